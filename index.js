@@ -94,6 +94,99 @@ app.use('/api/shifts', shiftsRoutes);
 const assignmentRoutes = require('./src/routes/managerAssignmentRoutes');
 app.use('/api/manager/assign', assignmentRoutes);
 
+// ===============================
+// ROTA AUTO-FILL AND PUBLISHING
+// ===============================
+const rotaRoutes = require('./src/routes/rotaRoutes');
+app.use('/api/manager/rota', rotaRoutes);
+
+// ===============================
+// WORKING TIME RULE PROFILES
+// ===============================
+const ruleProfileRoutes = require('./src/routes/ruleProfileRoutes');
+app.use('/api/manager/rule-profiles', ruleProfileRoutes);
+
+// ===============================
+// STAFF SCORING WEIGHTS
+// ===============================
+const scoringRoutes = require('./src/routes/scoringRoutes');
+app.use('/api/manager/scoring', scoringRoutes);
+
+// ===============================
+// ROLES, SKILLS & SHIFT SKILL MIX
+// ===============================
+const skillRoutes = require('./src/routes/skillRoutes');
+app.use('/api/manager/skills', skillRoutes);
+
+// ===============================
+// WARD SAFE STAFFING
+// ===============================
+const staffingRoutes = require('./src/routes/staffingRoutes');
+app.use('/api/manager/staffing', staffingRoutes);
+
+// ===============================
+// MANDATORY TRAINING
+// ===============================
+const trainingRoutes = require('./src/routes/trainingRoutes');
+app.use('/api/manager/training', trainingRoutes);
+
+// ===============================
+// OFFER CASCADES (permanent -> bank -> agency)
+// ===============================
+const offerCascadeRoutes = require('./src/routes/offerCascadeRoutes');
+app.use('/api/manager/cascade', offerCascadeRoutes);
+
+// ===============================
+// SHIFT SWAPS (staff marketplace + manager approval)
+// ===============================
+const swapRoutes = require('./src/routes/swapRoutes');
+app.use('/api/swaps', swapRoutes);
+
+const managerSwapRoutes = require('./src/routes/managerSwapRoutes');
+app.use('/api/manager/swaps', managerSwapRoutes);
+
+// ===============================
+// STAFF AVAILABILITY (staff self-service, managers for anyone)
+// ===============================
+const availabilityRoutes = require('./src/routes/availabilityRoutes');
+app.use('/api/availability', availabilityRoutes);
+
+// ===============================
+// ANNUAL LEAVE (staff requests + manager approval)
+// ===============================
+const leaveRoutes = require('./src/routes/leaveRoutes');
+app.use('/api/leave', leaveRoutes);
+
+const managerLeaveRoutes = require('./src/routes/managerLeaveRoutes');
+app.use('/api/manager/leave', managerLeaveRoutes);
+
+// ===============================
+// SICKNESS ABSENCE (return-to-work + Bradford factor)
+// ===============================
+const managerSicknessRoutes = require('./src/routes/managerSicknessRoutes');
+app.use('/api/manager/sickness', managerSicknessRoutes);
+
+// ===============================
+// NO-SHOWS (flagged by the background job)
+// ===============================
+const noShowRoutes = require('./src/routes/noShowRoutes');
+app.use('/api/manager/no-shows', noShowRoutes);
+
+// ===============================
+// CANCELLED SHIFTS (reporting + late-cancellation settings)
+// ===============================
+const shiftCancellationRoutes = require('./src/routes/shiftCancellationRoutes');
+app.use('/api/manager/cancellations', shiftCancellationRoutes);
+
+// ===============================
+// SHIFT TEMPLATES & ROTA PATTERNS (generate recurring shifts)
+// ===============================
+const shiftTemplateRoutes = require('./src/routes/shiftTemplateRoutes');
+app.use('/api/manager/shift-templates', shiftTemplateRoutes);
+
+const rotaPatternRoutes = require('./src/routes/rotaPatternRoutes');
+app.use('/api/manager/rota-patterns', rotaPatternRoutes);
+
 // ===============================
 // DEBUG JWT-PROTECTED ROUTE
 // ===============================
@@ -128,88 +221,12 @@ app.get('/api/test/ai/insight', (req, res) => {
 });
 
 // ===============================
-// AI SHIFT ASSIGNMENT (MOCK ENDPOINT)
-// Used by the Manager Dashboard "AI SHIFT ASSIGNMENT (EXPERIMENTAL)" card
-// URL: GET /api/ai/assign-shift/:shiftId
-// NOTE: This version uses mock data (no database) just to drive the UI.
+// AI SHIFT ASSIGNMENT
+// Used by the Manager Dashboard "AI SHIFT ASSIGNMENT" card
+// URL: GET /api/ai/assign-shift/:shiftId, POST /api/ai/assign-shift/:shiftId/offer
 // ===============================
-app.get('/api/ai/assign-shift/:shiftId', (req, res) => {
-  const shiftId = parseInt(req.params.shiftId, 10);
-  if (!Number.isInteger(shiftId)) {
-    return res.status(400).json({ error: 'Invalid shift id' });
-  }
-
-  // In a later milestone we will pull real shift + staff data from Postgres.
-  // For now we return a simple, consistent mock so the front-end card works.
-
-  const today = new Date();
-  const todayISO = today.toISOString().slice(0, 10);
-
-  // Very rough mapping just to make it feel real.
-  let ward = 'Woodlands';
-  let role = 'Healthcare Assistant';
-  if (shiftId === 3 || shiftId === 7) ward = 'Evergreen';
-  if (shiftId === 5 || shiftId === 2) role = 'Registered Nurse';
-
-  const mockShift = {
-    id: shiftId,
-    organisation_id: 1,
-    shift_ref: `DEMO-${String(shiftId).padStart(3, '0')}`,
-    ward,
-    role_required: role,
-    shift_date: todayISO,
-    start_time: '08:00:00',
-    end_time: '20:00:00',
-    number_required: 2,
-    number_filled: 0,
-    gender_required: 'any',
-  };
-
-  const now = new Date();
-  const isoHoursAgo = (hours) =>
-    new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
-
-  const candidates = [
-    {
-      staff_id: 3,
-      staff_name: 'Prince Opara',
-      score: 12,
-      last_seen: isoHoursAgo(2),
-      total_checkins: 8,
-      reasons: ['8 recent check-ins', 'worked very recently'],
-    },
-    {
-      staff_id: 5,
-      staff_name: 'Demo Staff RN',
-      score: 9,
-      last_seen: isoHoursAgo(16),
-      total_checkins: 5,
-      reasons: ['5 recent check-ins', 'worked within the last day'],
-    },
-    {
-      staff_id: 8,
-      staff_name: 'Bank HCA Evergreen',
-      score: 7,
-      last_seen: isoHoursAgo(36),
-      total_checkins: 4,
-      reasons: ['4 recent check-ins', 'worked within the last week'],
-    },
-    {
-      staff_id: 11,
-      staff_name: 'Agency Backup',
-      score: 3,
-      last_seen: isoHoursAgo(96),
-      total_checkins: 1,
-      reasons: ['very few recent check-ins', 'no very recent shifts'],
-    },
-  ];
-
-  res.json({
-    shift: mockShift,
-    top: candidates.slice(0, 3),
-    all: candidates,
-  });
-});
+const aiAssignmentRoutes = require('./src/routes/aiAssignmentRoutes');
+app.use('/api/ai/assign-shift', aiAssignmentRoutes);
 
 // ===============================
 // HEALTH CHECK
@@ -218,6 +235,70 @@ app.get('/', (_req, res) => {
   res.json({ message: 'Priory SmartShift Express API running' });
 });
 
+// ===============================
+// BACKGROUND JOBS
+// Set DISABLE_BACKGROUND_JOBS=true to run them elsewhere (or not at all).
+// ===============================
+const { sendTrainingReminders } = require('./src/services/trainingCompliance');
+const { processOfferCascades } = require('./src/services/offerCascade');
+const { detectNoShows } = require('./src/services/noShowDetection');
+const { advanceShiftStatuses } = require('./src/services/shiftStatus');
+
+const TRAINING_REMINDER_INTERVAL_MS =
+  (parseInt(process.env.TRAINING_REMINDER_INTERVAL_MINUTES, 10) || 360) * 60 * 1000;
+const OFFER_CASCADE_INTERVAL_MS =
+  (parseInt(process.env.OFFER_CASCADE_INTERVAL_MINUTES, 10) || 5) * 60 * 1000;
+const NO_SHOW_INTERVAL_MS =
+  (parseInt(process.env.NO_SHOW_INTERVAL_MINUTES, 10) || 5) * 60 * 1000;
+const SHIFT_STATUS_INTERVAL_MS =
+  (parseInt(process.env.SHIFT_STATUS_INTERVAL_MINUTES, 10) || 5) * 60 * 1000;
+
+if (String(process.env.DISABLE_BACKGROUND_JOBS || '').toLowerCase() !== 'true') {
+  setInterval(() => {
+    sendTrainingReminders()
+      .then(({ sent }) => {
+        if (sent) console.log(`[TRAINING] Sent ${sent} expiry reminder(s)`);
+      })
+      .catch((err) => console.error('[TRAINING] Reminder job failed:', err));
+  }, TRAINING_REMINDER_INTERVAL_MS);
+
+  setInterval(() => {
+    processOfferCascades()
+      .then(({ expired, completed, escalated, exhausted }) => {
+        if (expired || completed || escalated || exhausted) {
+          console.log(
+            `[CASCADE] Expired ${expired} offer(s); cascades completed ${completed}, ` +
+              `escalated ${escalated}, exhausted ${exhausted}`
+          );
+        }
+      })
+      .catch((err) => console.error('[CASCADE] Cascade job failed:', err));
+  }, OFFER_CASCADE_INTERVAL_MS);
+
+  setInterval(() => {
+    detectNoShows()
+      .then(({ detected, alerted, backfilled }) => {
+        if (detected) {
+          console.log(
+            `[NO-SHOW] Flagged ${detected} no-show(s); alerted managers for ${alerted}, ` +
+              `backfilled ${backfilled}`
+          );
+        }
+      })
+      .catch((err) => console.error('[NO-SHOW] No-show job failed:', err));
+  }, NO_SHOW_INTERVAL_MS);
+
+  setInterval(() => {
+    advanceShiftStatuses()
+      .then(({ started, completed }) => {
+        if (started || completed) {
+          console.log(`[STATUS] ${started} shift(s) in progress, ${completed} completed`);
+        }
+      })
+      .catch((err) => console.error('[STATUS] Shift status job failed:', err));
+  }, SHIFT_STATUS_INTERVAL_MS);
+}
+
 // ===============================
 // START SERVER
 // ===============================
@@ -0,0 +1,34 @@
+-- Working Time rule profiles (idempotent)
+--
+-- One organisation can have several profiles. The most specific active
+-- profile wins when resolving limits for a staff member on a shift:
+--   ward + staff_type + wtr_opt_out  >  ...  >  organisation-wide (all NULL)
+-- If no profile matches, the defaults in src/services/ruleProfiles.js apply.
+
+CREATE TABLE IF NOT EXISTS rule_profiles (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  ward TEXT,                  -- NULL = every ward
+  staff_type TEXT,            -- NULL = every staff type (permanent / bank / agency)
+  wtr_opt_out BOOLEAN,        -- NULL = everyone, TRUE = only staff who opted out of 48h
+  weekly_hours_soft NUMERIC NOT NULL DEFAULT 48,
+  weekly_hours_hard NUMERIC NOT NULL DEFAULT 72,
+  min_rest_hours NUMERIC NOT NULL DEFAULT 11,
+  max_nights INTEGER NOT NULL DEFAULT 4,
+  night_window_days INTEGER NOT NULL DEFAULT 14,
+  max_consecutive_days INTEGER NOT NULL DEFAULT 6,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (weekly_hours_soft <= weekly_hours_hard)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_profiles_org
+  ON rule_profiles (organisation_id, is_active);
+
+-- Staff attributes the profiles are matched on. staff_type and
+-- mandatory_training_complete are already read by the assignment engine.
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS staff_type TEXT DEFAULT 'permanent';
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS mandatory_training_complete BOOLEAN;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS wtr_opt_out BOOLEAN NOT NULL DEFAULT FALSE;
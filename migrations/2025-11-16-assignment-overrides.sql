@@ -0,0 +1,22 @@
+-- Manager overrides of the assignment rule gate (audit trail)
+--
+-- One row per rule that was overridden (or soft warning acknowledged)
+-- when a manager forced an assignment through.
+
+CREATE TABLE IF NOT EXISTS assignment_overrides (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  shift_id INTEGER NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  assignment_id INTEGER REFERENCES shift_assignments(id) ON DELETE SET NULL,
+  rule TEXT NOT NULL,
+  severity TEXT NOT NULL CHECK (severity IN ('block', 'warning')),
+  rule_message TEXT,
+  justification TEXT NOT NULL,
+  overridden_by_user_id INTEGER,
+  overridden_by_email TEXT,
+  overridden_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_overrides_org_time
+  ON assignment_overrides (organisation_id, overridden_at DESC);
@@ -0,0 +1,8 @@
+-- Organisation timezone (idempotent)
+--
+-- Shift start/end times are wall-clock times in this zone. Used by
+-- src/services/shiftTime.js to resolve shifts (including BST changeover
+-- nights) consistently across rules, engine, payroll and WhatsApp.
+
+ALTER TABLE organisations
+  ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'Europe/London';
@@ -0,0 +1,51 @@
+-- Mandatory training records and expiry tracking (idempotent)
+--
+-- training_courses          : courses per organisation (e.g. "Safeguarding L2")
+-- staff_training_records    : one row per completion; expires_at is computed
+--                             from the course's validity when recorded
+-- training_reminders        : WhatsApp reminders already sent (30 / 7 days
+--                             before expiry), so the job never double-sends
+--
+-- Once an organisation has at least one active mandatory course, compliance
+-- is computed from these tables (src/services/trainingCompliance.js) and the
+-- staff.mandatory_training_complete boolean is ignored.
+
+CREATE TABLE IF NOT EXISTS training_courses (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  validity_months INTEGER CHECK (validity_months IS NULL OR validity_months > 0), -- NULL = never expires
+  is_mandatory BOOLEAN NOT NULL DEFAULT TRUE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (organisation_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS staff_training_records (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  course_id INTEGER NOT NULL REFERENCES training_courses(id) ON DELETE CASCADE,
+  completed_on DATE NOT NULL,
+  expires_on DATE,            -- NULL = never expires
+  source TEXT NOT NULL DEFAULT 'manual', -- manual / csv
+  recorded_by_user_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (staff_id, course_id, completed_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_training_records_staff
+  ON staff_training_records (organisation_id, staff_id, course_id, completed_on DESC);
+
+CREATE INDEX IF NOT EXISTS idx_staff_training_records_expiry
+  ON staff_training_records (expires_on);
+
+CREATE TABLE IF NOT EXISTS training_reminders (
+  id SERIAL PRIMARY KEY,
+  record_id INTEGER NOT NULL REFERENCES staff_training_records(id) ON DELETE CASCADE,
+  days_before INTEGER NOT NULL,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (record_id, days_before)
+);
@@ -0,0 +1,53 @@
+-- Structured roles and skills with shift skill-mix requirements (idempotent)
+--
+-- skills                    : roles (RN, HCA, RMN …) and skills
+--                             (medication competent, ligature trained …)
+--                             per organisation
+-- staff_skills              : which roles / skills each staff member holds
+-- shift_skill_requirements  : "this shift needs at least N people with X"
+--
+-- Shifts without requirement rows fall back to matching role_required
+-- against a role's code or name (see src/services/skillMatching.js).
+
+CREATE TABLE IF NOT EXISTS skills (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'skill' CHECK (kind IN ('role', 'skill')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (organisation_id, code)
+);
+
+CREATE TABLE IF NOT EXISTS staff_skills (
+  staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (staff_id, skill_id)
+);
+
+CREATE TABLE IF NOT EXISTS shift_skill_requirements (
+  id SERIAL PRIMARY KEY,
+  shift_id INTEGER NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+  min_count INTEGER NOT NULL DEFAULT 1 CHECK (min_count > 0),
+  UNIQUE (shift_id, skill_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_skill_requirements_shift
+  ON shift_skill_requirements (shift_id);
+
+-- Standard Priory roles / skills for every organisation.
+INSERT INTO skills (organisation_id, code, name, kind)
+SELECT o.id, v.code, v.name, v.kind
+FROM organisations o
+CROSS JOIN (
+  VALUES
+    ('RN',  'Registered Nurse',                'role'),
+    ('RMN', 'Registered Mental Health Nurse',  'role'),
+    ('HCA', 'Healthcare Assistant',            'role'),
+    ('SW',  'Support Worker',                  'role'),
+    ('MED', 'Medication competent',            'skill'),
+    ('LIG', 'Ligature trained',                'skill')
+) AS v (code, name, kind)
+ON CONFLICT (organisation_id, code) DO NOTHING;
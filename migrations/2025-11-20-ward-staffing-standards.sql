@@ -0,0 +1,39 @@
+-- Ward safe-staffing standards (idempotent)
+--
+-- Minimum staffing per ward and shift period (day / night), checked
+-- against actual assignments by src/services/wardStaffing.js:
+--   min_headcount   – people on the ward for the period
+--   min_registered  – of whom registered nurses (RN / RMN role)
+--   min_male / min_female – for same-gender observations
+-- A row with ward NULL is the organisation-wide default.
+
+CREATE TABLE IF NOT EXISTS ward_staffing_standards (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  ward TEXT,                  -- NULL = every ward
+  period TEXT NOT NULL CHECK (period IN ('day', 'night')),
+  min_headcount INTEGER NOT NULL DEFAULT 0 CHECK (min_headcount >= 0),
+  min_registered INTEGER NOT NULL DEFAULT 0 CHECK (min_registered >= 0),
+  min_male INTEGER NOT NULL DEFAULT 0 CHECK (min_male >= 0),
+  min_female INTEGER NOT NULL DEFAULT 0 CHECK (min_female >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_ward_staffing_standards_ward_period
+  ON ward_staffing_standards (organisation_id, (COALESCE(ward, '')), period);
+
+-- Staff gender, used for same-gender observation cover. NULL = not recorded.
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS gender TEXT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'staff_gender_check'
+  ) THEN
+    ALTER TABLE staff
+      ADD CONSTRAINT staff_gender_check
+      CHECK (gender IS NULL OR gender IN ('male', 'female', 'other'));
+  END IF;
+END $$;
@@ -0,0 +1,16 @@
+-- Gender-aware assignment (idempotent)
+--
+-- shifts.gender_required stays the headline rule:
+--   'male' / 'female'  – every slot must be that gender
+--   'both' / 'any'     – no single-gender restriction
+-- gender_min_male / gender_min_female add mixed counts on top, e.g. a
+-- 2-person shift needing "1 female + 1 any" has gender_min_female = 1.
+--
+-- staff.observation_eligible: FALSE for staff who cannot do same-gender
+-- observations (e.g. restricted duties); they never count towards a
+-- gender requirement. See src/services/genderMatching.js.
+
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS gender_min_male INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS gender_min_female INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS observation_eligible BOOLEAN NOT NULL DEFAULT TRUE;
@@ -0,0 +1,13 @@
+-- Per-organisation weights for the staff scoring factors (idempotent)
+--
+-- Factors are defined in src/services/scoringFactors.js. An organisation
+-- without a row for a factor uses that factor's default weight (1);
+-- weight 0 switches the factor off.
+
+CREATE TABLE IF NOT EXISTS scoring_factor_weights (
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  factor TEXT NOT NULL,
+  weight NUMERIC NOT NULL DEFAULT 1 CHECK (weight >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (organisation_id, factor)
+);
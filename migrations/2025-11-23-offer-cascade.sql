@@ -0,0 +1,55 @@
+-- Offer cascade: permanent -> bank -> agency with timed escalation (idempotent)
+--
+-- One cascade per shift at a time. Each tier's offers carry an expires_at;
+-- when the tier window runs out the background job expires them and widens
+-- the offer to the next staff type (see src/services/offerCascade.js).
+
+CREATE TABLE IF NOT EXISTS shift_offer_cascades (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  shift_id INTEGER NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'paused', 'completed', 'exhausted', 'cancelled')),
+  current_tier TEXT NOT NULL DEFAULT 'permanent'
+    CHECK (current_tier IN ('permanent', 'bank', 'agency')),
+  tier_window_minutes INTEGER NOT NULL DEFAULT 60 CHECK (tier_window_minutes > 0),
+  max_offers_per_tier INTEGER CHECK (max_offers_per_tier IS NULL OR max_offers_per_tier > 0),
+  suggested_rate NUMERIC,
+  tier_started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  next_escalation_at TIMESTAMPTZ,
+  started_by_user_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Only one live (running / paused) cascade per shift.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shift_offer_cascades_live
+  ON shift_offer_cascades (shift_id)
+  WHERE status IN ('running', 'paused');
+
+CREATE INDEX IF NOT EXISTS idx_shift_offer_cascades_due
+  ON shift_offer_cascades (status, next_escalation_at);
+
+ALTER TABLE shift_offers
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cascade_id INTEGER REFERENCES shift_offer_cascades(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS tier TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_shift_offers_expiry
+  ON shift_offers (status, expires_at);
+
+-- Offers can now expire. Later migrations widen this check again, so only
+-- replace it while it doesn't allow 'expired' yet; a re-run must not narrow it.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'shift_offers_status_check'
+      AND pg_get_constraintdef(oid) LIKE '%''expired''%'
+  ) THEN
+    ALTER TABLE shift_offers DROP CONSTRAINT IF EXISTS shift_offers_status_check;
+    ALTER TABLE shift_offers
+      ADD CONSTRAINT shift_offers_status_check
+      CHECK (status IN ('offered', 'accepted', 'declined', 'expired'));
+  END IF;
+END $$;
@@ -0,0 +1,34 @@
+-- First-come-first-served offer acceptance (idempotent)
+--
+-- When a shift fills, the other staff still holding an offer for it have
+-- their offer marked 'superseded' and are told the shift has been filled
+-- (see src/services/offerAcceptance.js).
+
+-- Only widen the check while it doesn't allow 'superseded' yet, so a re-run
+-- doesn't drop values added by later migrations.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'shift_offers_status_check'
+      AND pg_get_constraintdef(oid) LIKE '%''superseded''%'
+  ) THEN
+    ALTER TABLE shift_offers DROP CONSTRAINT IF EXISTS shift_offers_status_check;
+    ALTER TABLE shift_offers
+      ADD CONSTRAINT shift_offers_status_check
+      CHECK (status IN ('offered', 'accepted', 'declined', 'expired', 'superseded'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_shift_offers_shift_status
+  ON shift_offers (shift_id, status);
+
+-- Open offers created before offers carried an expiry close at shift start.
+UPDATE shift_offers o
+SET expires_at = (s.shift_date::date + COALESCE(s.start_time, '00:00'::time))
+                   AT TIME ZONE org.timezone
+FROM shifts s
+JOIN organisations org ON org.id = s.organisation_id
+WHERE o.shift_id = s.id
+  AND o.status = 'offered'
+  AND o.expires_at IS NULL;
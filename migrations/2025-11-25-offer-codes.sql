@@ -0,0 +1,20 @@
+-- Shift offer codes (idempotent)
+--
+-- Staff with several pending offers reply "ACCEPT SH001" / "DECLINE SH001";
+-- the code is the shift_ref (or S<shift id> when a shift has none).
+
+ALTER TABLE shift_offers
+  ADD COLUMN IF NOT EXISTS offer_code TEXT;
+
+UPDATE shift_offers o
+SET offer_code = COALESCE(
+      NULLIF(UPPER(REGEXP_REPLACE(TRIM(s.shift_ref), '\s+', '-', 'g')), ''),
+      'S' || s.id
+    )
+FROM shifts s
+WHERE o.shift_id = s.id
+  AND o.offer_code IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_shift_offers_staff_code
+  ON shift_offers (staff_id, offer_code)
+  WHERE status = 'offered';
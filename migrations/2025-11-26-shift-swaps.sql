@@ -0,0 +1,43 @@
+-- Shift swap marketplace (idempotent)
+--
+-- A staff member offers one of their assigned shifts for swap; eligible
+-- colleagues (same role, passing every scheduling rule) are told, one of
+-- them takes it, and a manager approves – or it is approved straight away
+-- when the organisation's swap_approval_policy is 'auto' and the taker has
+-- no rule warnings. Approval moves the shift_assignments row to the taker
+-- (see src/services/shiftSwaps.js).
+
+ALTER TABLE organisations
+  ADD COLUMN IF NOT EXISTS swap_approval_policy TEXT NOT NULL DEFAULT 'manager';
+
+ALTER TABLE organisations DROP CONSTRAINT IF EXISTS organisations_swap_approval_policy_check;
+ALTER TABLE organisations
+  ADD CONSTRAINT organisations_swap_approval_policy_check
+  CHECK (swap_approval_policy IN ('manager', 'auto'));
+
+CREATE TABLE IF NOT EXISTS shift_swaps (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  shift_id INTEGER NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  assignment_id INTEGER REFERENCES shift_assignments(id) ON DELETE SET NULL,
+  requester_staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  taker_staff_id INTEGER REFERENCES staff(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'pending_approval', 'approved', 'rejected', 'cancelled', 'expired')),
+  reason TEXT,
+  notified_count INTEGER NOT NULL DEFAULT 0,
+  decided_by_user_id INTEGER,
+  decision_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  taken_at TIMESTAMPTZ,
+  decided_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One live swap per assignment.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shift_swaps_live_assignment
+  ON shift_swaps (assignment_id)
+  WHERE status IN ('open', 'pending_approval');
+
+CREATE INDEX IF NOT EXISTS idx_shift_swaps_org_status
+  ON shift_swaps (organisation_id, status, created_at DESC);
@@ -0,0 +1,30 @@
+-- Staff availability calendar (idempotent)
+--
+-- Recurring weekly patterns (weekday set, 1 = Monday) and one-off date
+-- ranges (start_date / end_date), each either 'available' or
+-- 'unavailable' for day shifts, nights or both. Unavailable staff are
+-- excluded by the assignment engine and offers (a warning at the gate);
+-- declared availability boosts a candidate's score
+-- (see src/services/staffAvailability.js).
+
+CREATE TABLE IF NOT EXISTS staff_availability (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('available', 'unavailable')),
+  weekday SMALLINT CHECK (weekday BETWEEN 1 AND 7),
+  period TEXT NOT NULL DEFAULT 'any' CHECK (period IN ('day', 'night', 'any')),
+  start_date DATE,
+  end_date DATE,
+  note TEXT,
+  source TEXT NOT NULL DEFAULT 'api' CHECK (source IN ('api', 'whatsapp')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (weekday IS NOT NULL OR (start_date IS NOT NULL AND end_date IS NOT NULL)),
+  CHECK (start_date IS NULL OR end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_availability_staff
+  ON staff_availability (staff_id, start_date, end_date);
+
+CREATE INDEX IF NOT EXISTS idx_staff_availability_org
+  ON staff_availability (organisation_id);
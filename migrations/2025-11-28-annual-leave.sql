@@ -0,0 +1,75 @@
+-- Annual leave: types, entitlement and requests (idempotent)
+--
+-- leave_types     : per organisation; 'annual' deducts from the yearly
+--                   entitlement, others (unpaid, compassionate, ...) don't
+-- leave_requests  : pending -> approved / rejected, or cancelled by the
+--                   staff member; approved leave blocks assignment
+--
+-- Entitlement is in hours, pro-rated from the contract:
+--   organisations.annual_leave_weeks * staff.contracted_hours_per_week
+-- (5.6 weeks = UK statutory minimum), unless the staff member has an
+-- annual_leave_hours override. The leave year starts on the 1st of
+-- organisations.leave_year_start_month (April by default).
+-- See src/services/leaveManagement.js.
+
+ALTER TABLE organisations
+  ADD COLUMN IF NOT EXISTS annual_leave_weeks NUMERIC NOT NULL DEFAULT 5.6;
+ALTER TABLE organisations
+  ADD COLUMN IF NOT EXISTS leave_year_start_month INTEGER NOT NULL DEFAULT 4;
+
+ALTER TABLE organisations DROP CONSTRAINT IF EXISTS organisations_leave_year_start_month_check;
+ALTER TABLE organisations
+  ADD CONSTRAINT organisations_leave_year_start_month_check
+  CHECK (leave_year_start_month BETWEEN 1 AND 12);
+
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS annual_leave_hours NUMERIC; -- NULL = pro-rated
+
+CREATE TABLE IF NOT EXISTS leave_types (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  code TEXT NOT NULL,
+  name TEXT NOT NULL,
+  is_paid BOOLEAN NOT NULL DEFAULT TRUE,
+  deducts_entitlement BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (organisation_id, code)
+);
+
+INSERT INTO leave_types (organisation_id, code, name, is_paid, deducts_entitlement)
+SELECT o.id, t.code, t.name, t.is_paid, t.deducts_entitlement
+FROM organisations o
+CROSS JOIN (
+  VALUES
+    ('annual', 'Annual leave', TRUE, TRUE),
+    ('unpaid', 'Unpaid leave', FALSE, FALSE),
+    ('compassionate', 'Compassionate leave', TRUE, FALSE)
+) AS t (code, name, is_paid, deducts_entitlement)
+ON CONFLICT (organisation_id, code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS leave_requests (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  leave_type_id INTEGER NOT NULL REFERENCES leave_types(id),
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  hours NUMERIC NOT NULL CHECK (hours >= 0),
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+  reason TEXT,
+  source TEXT NOT NULL DEFAULT 'api' CHECK (source IN ('api', 'whatsapp')),
+  decided_by_user_id INTEGER,
+  decision_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  decided_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_staff_dates
+  ON leave_requests (staff_id, start_date, end_date)
+  WHERE status IN ('pending', 'approved');
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_org_status
+  ON leave_requests (organisation_id, status, created_at DESC);
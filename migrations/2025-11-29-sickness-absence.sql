@@ -0,0 +1,45 @@
+-- Sickness absence (idempotent)
+--
+-- sickness_absences       : one row per spell. end_date / returned_on stay
+--                           NULL while the staff member is off; a
+--                           return-to-work interview is due once they are
+--                           back until rtw_completed_at is set
+-- sickness_absence_shifts : shifts the staff member was taken off (and
+--                           that were re-offered) because of the spell
+--
+-- Open spells block assignment; the Bradford factor (spells² × days over
+-- the last 52 weeks) is computed from these rows.
+-- See src/services/sicknessAbsence.js.
+
+CREATE TABLE IF NOT EXISTS sickness_absences (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE,              -- last day off; NULL = still off
+  returned_on DATE,
+  reason TEXT,
+  source TEXT NOT NULL DEFAULT 'whatsapp' CHECK (source IN ('api', 'whatsapp')),
+  reported_by_user_id INTEGER,
+  rtw_completed_at TIMESTAMPTZ,
+  rtw_completed_by_user_id INTEGER,
+  rtw_notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+-- One open spell per staff member.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sickness_absences_open
+  ON sickness_absences (staff_id)
+  WHERE end_date IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sickness_absences_org_dates
+  ON sickness_absences (organisation_id, start_date DESC);
+
+CREATE TABLE IF NOT EXISTS sickness_absence_shifts (
+  absence_id INTEGER NOT NULL REFERENCES sickness_absences(id) ON DELETE CASCADE,
+  shift_id INTEGER NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  removed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (absence_id, shift_id)
+);
@@ -0,0 +1,41 @@
+-- Attendance matched to assigned shifts (idempotent)
+--
+-- attendance_logs.shift_id       : the assigned shift a check-in / checkout
+--                                  was matched to (NULL = unmatched)
+-- attendance_logs.minutes_late   : check-in minutes after the shift start
+--                                  (negative = early)
+-- attendance_logs.minutes_early  : checkout minutes before the shift end
+--                                  (negative = stayed on)
+-- attendance_logs.match_status   : 'matched' | 'unmatched' (NULL on rows
+--                                  logged before matching existed)
+-- attendance_logs.review_status  : unmatched rows wait for a manager
+--                                  ('pending') until resolved
+--
+-- See src/services/shiftAttendance.js.
+
+ALTER TABLE attendance_logs
+  ADD COLUMN IF NOT EXISTS shift_id INTEGER REFERENCES shifts(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS minutes_late INTEGER,
+  ADD COLUMN IF NOT EXISTS minutes_early INTEGER,
+  ADD COLUMN IF NOT EXISTS match_status TEXT,
+  ADD COLUMN IF NOT EXISTS review_status TEXT,
+  ADD COLUMN IF NOT EXISTS reviewed_by_user_id INTEGER,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS review_note TEXT;
+
+ALTER TABLE attendance_logs DROP CONSTRAINT IF EXISTS attendance_logs_match_status_check;
+ALTER TABLE attendance_logs
+  ADD CONSTRAINT attendance_logs_match_status_check
+  CHECK (match_status IS NULL OR match_status IN ('matched', 'unmatched'));
+
+ALTER TABLE attendance_logs DROP CONSTRAINT IF EXISTS attendance_logs_review_status_check;
+ALTER TABLE attendance_logs
+  ADD CONSTRAINT attendance_logs_review_status_check
+  CHECK (review_status IS NULL OR review_status IN ('pending', 'resolved'));
+
+CREATE INDEX IF NOT EXISTS idx_attendance_logs_shift
+  ON attendance_logs (shift_id, staff_id);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_logs_review
+  ON attendance_logs (organisation_id, occurred_at DESC)
+  WHERE review_status = 'pending';
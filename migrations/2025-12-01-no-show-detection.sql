@@ -0,0 +1,40 @@
+-- No-show detection (idempotent)
+--
+-- organisations.no_show_grace_minutes : how long after a shift starts an
+--                                       assigned staff member without a
+--                                       check-in counts as a no-show
+-- organisations.no_show_auto_backfill : also take them off the shift and
+--                                       send urgent offers for the gap
+-- shift_no_shows                      : one row per missed assignment;
+--                                       the ward manager is alerted once
+--
+-- See src/services/noShowDetection.js.
+
+ALTER TABLE organisations
+  ADD COLUMN IF NOT EXISTS no_show_grace_minutes INTEGER NOT NULL DEFAULT 30,
+  ADD COLUMN IF NOT EXISTS no_show_auto_backfill BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE organisations DROP CONSTRAINT IF EXISTS organisations_no_show_grace_minutes_check;
+ALTER TABLE organisations
+  ADD CONSTRAINT organisations_no_show_grace_minutes_check
+  CHECK (no_show_grace_minutes BETWEEN 5 AND 240);
+
+CREATE TABLE IF NOT EXISTS shift_no_shows (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  shift_id INTEGER NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'arrived_late', 'excused', 'confirmed')),
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  managers_alerted INTEGER NOT NULL DEFAULT 0,
+  released BOOLEAN NOT NULL DEFAULT FALSE,   -- taken off the shift for backfill
+  offers_sent INTEGER NOT NULL DEFAULT 0,
+  resolved_at TIMESTAMPTZ,
+  resolved_by_user_id INTEGER,
+  resolution_note TEXT,
+  UNIQUE (shift_id, staff_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_no_shows_org_status
+  ON shift_no_shows (organisation_id, status, detected_at DESC);
@@ -0,0 +1,70 @@
+-- Shift templates and rota patterns (idempotent)
+--
+-- shift_templates              : a ward's standard shift (e.g. Alder "Day"
+--                                07:30–20:00, 4 staff, 1 RN + 2 HCA)
+-- shift_template_requirements  : skill mix copied onto generated shifts
+--                                (shift_skill_requirements)
+-- rota_patterns                : which templates run on which day, either
+--                                'weekly' (day 0 = Monday … 6 = Sunday) or
+--                                'rolling' (day 0 … cycle_length_days - 1
+--                                counted from anchor_date)
+-- rota_pattern_slots           : the templates for each pattern day
+-- shifts.template_id /
+-- shifts.template_date         : set on generated shifts; a template is
+--                                only ever generated once per date
+--
+-- See src/services/shiftTemplates.js.
+
+CREATE TABLE IF NOT EXISTS shift_templates (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  ward TEXT NOT NULL,
+  name TEXT NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  role_required TEXT,
+  number_required INTEGER NOT NULL DEFAULT 1 CHECK (number_required > 0),
+  gender_required TEXT NOT NULL DEFAULT 'both',
+  gender_min_male INTEGER NOT NULL DEFAULT 0 CHECK (gender_min_male >= 0),
+  gender_min_female INTEGER NOT NULL DEFAULT 0 CHECK (gender_min_female >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (organisation_id, ward, name)
+);
+
+CREATE TABLE IF NOT EXISTS shift_template_requirements (
+  template_id INTEGER NOT NULL REFERENCES shift_templates(id) ON DELETE CASCADE,
+  skill_id INTEGER NOT NULL REFERENCES skills(id) ON DELETE CASCADE,
+  min_count INTEGER NOT NULL DEFAULT 1 CHECK (min_count > 0),
+  PRIMARY KEY (template_id, skill_id)
+);
+
+CREATE TABLE IF NOT EXISTS rota_patterns (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  pattern_type TEXT NOT NULL DEFAULT 'weekly' CHECK (pattern_type IN ('weekly', 'rolling')),
+  cycle_length_days INTEGER NOT NULL DEFAULT 7 CHECK (cycle_length_days BETWEEN 1 AND 56),
+  anchor_date DATE,            -- day 0 of a rolling cycle
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (organisation_id, name),
+  CHECK (pattern_type = 'weekly' OR anchor_date IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS rota_pattern_slots (
+  pattern_id INTEGER NOT NULL REFERENCES rota_patterns(id) ON DELETE CASCADE,
+  day_index INTEGER NOT NULL CHECK (day_index >= 0),
+  template_id INTEGER NOT NULL REFERENCES shift_templates(id) ON DELETE CASCADE,
+  PRIMARY KEY (pattern_id, day_index, template_id)
+);
+
+ALTER TABLE shifts
+  ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES shift_templates(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS template_date DATE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_shifts_template_date
+  ON shifts (template_id, template_date)
+  WHERE template_id IS NOT NULL;
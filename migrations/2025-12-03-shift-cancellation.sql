@@ -0,0 +1,64 @@
+-- Shift cancellation (idempotent)
+--
+-- shifts.cancelled_at / cancelled_by_user_id / cancellation_reason
+--                                   : set when a manager cancels a shift;
+--                                     the row is kept (status 'cancelled')
+-- organisations.late_cancellation_hours
+--                                   : cancelling with less notice than this
+--                                     counts as a late cancellation for
+--                                     assigned staff (payroll rules)
+-- shift_cancellation_staff          : who was booked or offered the shift
+--                                     when it was cancelled, the notice
+--                                     they got and whether they were told
+-- shift_offers.status 'withdrawn'   : open offers on a cancelled shift
+--
+-- See src/services/shiftCancellation.js.
+
+ALTER TABLE shifts
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_by_user_id INTEGER,
+  ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+
+ALTER TABLE organisations
+  ADD COLUMN IF NOT EXISTS late_cancellation_hours INTEGER NOT NULL DEFAULT 24;
+
+ALTER TABLE organisations DROP CONSTRAINT IF EXISTS organisations_late_cancellation_hours_check;
+ALTER TABLE organisations
+  ADD CONSTRAINT organisations_late_cancellation_hours_check
+  CHECK (late_cancellation_hours BETWEEN 0 AND 168);
+
+CREATE TABLE IF NOT EXISTS shift_cancellation_staff (
+  id SERIAL PRIMARY KEY,
+  shift_id INTEGER NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('assigned', 'offered')),
+  assigned_at TIMESTAMPTZ,                  -- when they accepted (assigned only)
+  notice_hours NUMERIC(7, 1),               -- cancellation to shift start
+  late_cancellation BOOLEAN NOT NULL DEFAULT FALSE,
+  notified BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (shift_id, staff_id, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_cancellation_staff_staff
+  ON shift_cancellation_staff (staff_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_shifts_cancelled_at
+  ON shifts (organisation_id, cancelled_at)
+  WHERE cancelled_at IS NOT NULL;
+
+-- Only widen the check while it doesn't allow 'withdrawn' yet, so a re-run
+-- doesn't drop values added by later migrations.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'shift_offers_status_check'
+      AND pg_get_constraintdef(oid) LIKE '%''withdrawn''%'
+  ) THEN
+    ALTER TABLE shift_offers DROP CONSTRAINT IF EXISTS shift_offers_status_check;
+    ALTER TABLE shift_offers
+      ADD CONSTRAINT shift_offers_status_check
+      CHECK (status IN ('offered', 'accepted', 'declined', 'expired', 'superseded', 'withdrawn'));
+  END IF;
+END $$;
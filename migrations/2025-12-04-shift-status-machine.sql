@@ -0,0 +1,50 @@
+-- Shift status state machine (idempotent)
+--
+-- shifts.status            : one of draft, published, open, partially_filled,
+--                            filled, in_progress, completed, cancelled.
+--                            Old free-text values ('Open', 'Filled', …) are
+--                            re-derived from number_filled / number_required;
+--                            the background job moves started and finished
+--                            shifts on to in_progress / completed.
+-- shift_status_history     : every status change, who or what made it
+--                            (GET /api/shifts/:id/history)
+--
+-- See src/services/shiftStatus.js.
+
+UPDATE shifts
+SET status = CASE
+               WHEN LOWER(COALESCE(status, '')) IN ('draft', 'cancelled', 'completed', 'in_progress')
+                 THEN LOWER(status)
+               WHEN number_required > 0 AND number_filled >= number_required THEN 'filled'
+               WHEN number_filled > 0 THEN 'partially_filled'
+               ELSE 'open'
+             END
+WHERE status IS NULL
+   OR status NOT IN ('draft', 'cancelled', 'completed', 'in_progress');
+
+ALTER TABLE shifts ALTER COLUMN status SET DEFAULT 'open';
+ALTER TABLE shifts ALTER COLUMN status SET NOT NULL;
+
+ALTER TABLE shifts DROP CONSTRAINT IF EXISTS shifts_status_check;
+ALTER TABLE shifts
+  ADD CONSTRAINT shifts_status_check
+  CHECK (status IN ('draft', 'published', 'open', 'partially_filled', 'filled',
+                    'in_progress', 'completed', 'cancelled'));
+
+CREATE TABLE IF NOT EXISTS shift_status_history (
+  id SERIAL PRIMARY KEY,
+  shift_id INTEGER NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  from_status TEXT,                          -- NULL when the shift was created
+  to_status TEXT NOT NULL,
+  changed_by_user_id INTEGER,                -- NULL for the system / background job
+  source TEXT NOT NULL,                      -- created, assignment, release, update, publish, cancel, job, …
+  note TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_status_history_shift
+  ON shift_status_history (shift_id, changed_at);
+
+CREATE INDEX IF NOT EXISTS idx_shifts_org_status
+  ON shifts (organisation_id, status, shift_date);
@@ -0,0 +1,46 @@
+-- Draft rotas and publishing (idempotent)
+--
+-- rota_publications         : each time a manager publishes a ward's draft
+--                             rota for a period, who did it and how many
+--                             shifts / staff it covered
+-- rota_publication_staff    : the staff assigned in that publication and
+--                             whether their WhatsApp summary was sent
+-- shifts.publication_id / published_at
+--                           : the publication that took a draft shift live
+--
+-- Draft shifts use shifts.status = 'draft' (see
+-- 2025-12-04-shift-status-machine.sql and src/services/rotaPublishing.js).
+
+CREATE TABLE IF NOT EXISTS rota_publications (
+  id SERIAL PRIMARY KEY,
+  organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+  ward TEXT NOT NULL,
+  from_date DATE NOT NULL,
+  to_date DATE NOT NULL,
+  published_by_user_id INTEGER,
+  shift_count INTEGER NOT NULL DEFAULT 0,
+  staff_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (to_date >= from_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rota_publications_org
+  ON rota_publications (organisation_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS rota_publication_staff (
+  id SERIAL PRIMARY KEY,
+  publication_id INTEGER NOT NULL REFERENCES rota_publications(id) ON DELETE CASCADE,
+  staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  shift_count INTEGER NOT NULL DEFAULT 0,
+  notified BOOLEAN NOT NULL DEFAULT FALSE,
+  notified_at TIMESTAMPTZ,
+  UNIQUE (publication_id, staff_id)
+);
+
+ALTER TABLE shifts
+  ADD COLUMN IF NOT EXISTS publication_id INTEGER REFERENCES rota_publications(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_shifts_drafts
+  ON shifts (organisation_id, ward, shift_date)
+  WHERE status = 'draft';
@@ -1,9 +1,14 @@
 const { db, insertRecord } = require('../utils/db');
+const shiftTime = require('../services/shiftTime');
+
+// Unpaid break deducted from every shift.
+const UNPAID_BREAK_HOURS = 1;
 
 /**
  * Helper to compute payroll record for a given shift assignment.  Uses
  * environment variables for base rate and overtime multiplier.  The
- * hours worked are derived from the shift length (assumed 12 hours).
+ * hours worked are the real shift length (DST-aware, see shiftTime) minus
+ * a 1 hour unpaid break; shifts with no times fall back to 12 hours.
  * Contracted hours per day are computed by dividing the staff's
  * contracted hours per week by 5 (assuming a 5‑day work week).  Any
  * hours above this threshold are treated as overtime.
@@ -16,11 +21,11 @@ const { db, insertRecord } = require('../utils/db');
 function computePayroll(assignment, staff, shift) {
   const rate = parseFloat(process.env.BASE_RATE_DEFAULT || '12.10');
   const multiplier = parseFloat(process.env.OVERTIME_MULTIPLIER || '1.5');
-  const shiftStart = new Date(shift.shift_date);
-  const shiftEnd = new Date(shiftStart.getTime() + 12 * 60 * 60 * 1000); // 12h shift including break
-  // Compute hours worked: standard shift is 12 hours including a 1 hour break.
-  // Staff are only paid for working hours (12 - 1 = 11).
-  const hoursWorked = 11;
+  const { start: shiftStart } = shiftTime.getShiftRange(shift);
+  // Staff are only paid for working hours: shift length minus the unpaid
+  // break (a standard 12h shift pays 11h; 13.5h on the October clock change).
+  const shiftHours = shiftTime.getShiftDurationHours(shift) || shiftTime.DEFAULT_SHIFT_HOURS;
+  const hoursWorked = Math.max(shiftHours - UNPAID_BREAK_HOURS, 0);
   // Daily contracted hours derived from weekly contracted hours.  A 37.5 hour
   // work week implies 7.5 hours per day (over 5 days).  Fall back to 7.5
   // if no staff record is available.
@@ -56,7 +61,7 @@ function computePayroll(assignment, staff, shift) {
  * Generate payroll records for all assignments that have not yet been
  * processed.  This scans `shift_assignments` and checks whether a
  * corresponding record exists in `payroll_records`.  Only assignments
- * where the shift has ended (start + 12h < now) are processed.  The
+ * where the shift has ended are processed.  The
  * function returns the newly created payroll records.
  */
 function generatePayroll(organisationId = null) {
@@ -70,9 +75,8 @@ function generatePayroll(organisationId = null) {
     if (!shift) return;
     // Filter by organisation
     if (organisationId && String(shift.organisation_id) !== String(organisationId)) return;
-    const shiftStart = new Date(shift.shift_date);
-    const shiftEnd = new Date(shiftStart.getTime() + 12 * 60 * 60 * 1000);
-    if (now < shiftEnd) return; // shift not finished
+    const { end: shiftEnd } = shiftTime.getShiftRange(shift);
+    if (!shiftEnd || now < shiftEnd) return; // shift not finished
     const staff = db.staff.find(s => s.id === assign.staff_id);
     const record = computePayroll(assign, staff, shift);
     const saved = insertRecord('payroll_records', record);
@@ -0,0 +1,26 @@
+// src/middleware/requireManager.js
+//
+// Role guard for manager-only endpoints.
+// Must run AFTER the global JWT middleware (src/middleware/auth.js),
+// which sets req.user = { id, email, role, organisation_id }.
+
+const MANAGER_ROLES = ['admin', 'manager', 'super_admin'];
+
+/**
+ * Only allow manager-like roles through.
+ */
+function requireManager(req, res, next) {
+  const user = req.user;
+  if (!user) {
+    return res.status(401).json({ error: 'Unauthorised' });
+  }
+  if (!MANAGER_ROLES.includes(user.role)) {
+    return res
+      .status(403)
+      .json({ error: 'Forbidden: manager or admin access only' });
+  }
+  next();
+}
+
+module.exports = requireManager;
+module.exports.MANAGER_ROLES = MANAGER_ROLES;
@@ -0,0 +1,188 @@
+'use strict';
+
+// src/routes/aiAssignmentRoutes.js
+//
+// Backs the Manager Dashboard "AI SHIFT ASSIGNMENT" card with the real
+// assignment engine (src/services/shiftAssignmentEngine.js).
+//
+// Endpoints (all under /api/ai/assign-shift, manager/admin only):
+//   GET  /:shiftId        -> ranked staff for a shift  { shift, top, all }
+//   POST /:shiftId/offer  -> offer the shift to selected staff over WhatsApp
+//                            { "staff_ids": [3, 5], "suggested_rate": 18.5 }
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const { getBestStaffForShift } = require('../services/shiftAssignmentEngine');
+const { evaluateAssignment } = require('../services/assignmentService');
+const { offerShiftToSelectedStaff } = require('../services/shiftAutomation');
+
+router.use(requireManager);
+
+const TOP_LIMIT = 3;
+const CHECKIN_WINDOW_DAYS = 30;
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+async function shiftExists(shiftId, orgId) {
+  const { rowCount } = await pool.query(
+    'SELECT 1 FROM shifts WHERE id = $1 AND organisation_id = $2',
+    [shiftId, orgId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Last check-in and number of check-ins in the last 30 days per staff member.
+ * Returns Map staff_id -> { last_seen, total_checkins }.
+ */
+async function loadRecentCheckins(orgId, staffIds) {
+  if (!staffIds.length) return new Map();
+
+  const { rows } = await pool.query(
+    `
+      SELECT
+        staff_id,
+        MAX(occurred_at) AS last_seen,
+        COUNT(*) FILTER (WHERE action = 'checkin')::int AS total_checkins
+      FROM attendance_logs
+      WHERE organisation_id = $1
+        AND staff_id = ANY($2::int[])
+        AND occurred_at >= NOW() - ($3::int * INTERVAL '1 day')
+      GROUP BY staff_id
+    `,
+    [orgId, staffIds, CHECKIN_WINDOW_DAYS]
+  );
+
+  return new Map(rows.map((r) => [r.staff_id, r]));
+}
+
+function toCandidate(item, checkins) {
+  const seen = checkins.get(item.staff_id);
+
+  return {
+    staff_id: item.staff_id,
+    staff_name: item.staff_name,
+    staff_type: item.staff_type,
+    ward: item.ward,
+    score: item.score,
+    eligible: item.eligible,
+    can_offer: item.eligible && !!item.phone_number,
+    last_seen: seen ? seen.last_seen : null,
+    total_checkins: seen ? seen.total_checkins : 0,
+    reasons: item.reasons,
+    factors: item.factors,
+  };
+}
+
+// ---------------------------------------------
+// GET /api/ai/assign-shift/:shiftId
+// Top candidates also carry the assignment gate's verdict, so soft rule
+// warnings (e.g. over 48h) show before anyone is offered the shift.
+// ---------------------------------------------
+router.get('/:shiftId', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const shiftId = parseId(req.params.shiftId);
+    if (!shiftId) {
+      return res.status(400).json({ error: 'Invalid shift id' });
+    }
+    if (!(await shiftExists(shiftId, orgId))) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    const result = await getBestStaffForShift(shiftId, orgId, { limit: TOP_LIMIT });
+    const checkins = await loadRecentCheckins(
+      orgId,
+      result.allRanked.map((r) => r.staff_id)
+    );
+
+    const top = [];
+    for (const item of result.topRecommendations) {
+      const { verdict } = await evaluateAssignment(pool, {
+        shiftId,
+        staffId: item.staff_id,
+        organisationId: orgId,
+      });
+
+      top.push({
+        ...toCandidate(item, checkins),
+        rule_blocks: verdict.blocks.map((b) => b.reason),
+        rule_warnings: verdict.warnings.map((w) => w.reason),
+      });
+    }
+
+    res.json({
+      shift: result.shift,
+      requirements: result.requirements,
+      scoring_weights: result.weights,
+      top,
+      all: result.allRanked.map((item) => toCandidate(item, checkins)),
+    });
+  } catch (err) {
+    console.error('[AI ASSIGN] Error in GET /:shiftId:', err);
+    res.status(500).json({ error: 'Failed to rank staff for this shift' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/ai/assign-shift/:shiftId/offer
+// Body: { "staff_ids": [3, 5], "suggested_rate": 18.5 }
+// Creates shift_offers rows and sends the WhatsApp shift alert. Staff who
+// are not eligible, have no number or already hold a pending offer are
+// returned in `skipped`. Draft shifts aren't offered (see `message`).
+// ---------------------------------------------
+router.post('/:shiftId/offer', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const shiftId = parseId(req.params.shiftId);
+    const body = req.body || {};
+
+    if (!shiftId) {
+      return res.status(400).json({ error: 'Invalid shift id' });
+    }
+
+    const staffIds = Array.isArray(body.staff_ids) ? body.staff_ids.map(parseId) : [];
+    if (!staffIds.length || staffIds.includes(null)) {
+      return res.status(400).json({ error: 'staff_ids must be a non-empty array of staff ids' });
+    }
+
+    let suggestedRate = null;
+    if (body.suggested_rate !== undefined && body.suggested_rate !== null && body.suggested_rate !== '') {
+      suggestedRate = Number(body.suggested_rate);
+      if (!Number.isFinite(suggestedRate) || suggestedRate < 0) {
+        return res.status(400).json({ error: 'suggested_rate must be a positive number' });
+      }
+    }
+
+    if (!(await shiftExists(shiftId, orgId))) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    const result = await offerShiftToSelectedStaff({
+      organisationId: orgId,
+      shiftId,
+      staffIds,
+      suggestedRate,
+    });
+
+    res.status(result.offers.length ? 201 : 200).json({
+      success: result.offers.length > 0,
+      shift: result.shift,
+      broadcast_group: result.broadcast_group || null,
+      offers: result.offers,
+      skipped: result.skipped,
+      message: result.message || null,
+    });
+  } catch (err) {
+    console.error('[AI ASSIGN] Error in POST /:shiftId/offer:', err);
+    res.status(500).json({ error: 'Failed to send shift offers' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+'use strict';
+
+// src/routes/availabilityRoutes.js
+//
+// Staff availability calendar (see src/services/staffAvailability.js).
+// Staff logins (users.staff_id) manage their own entries; managers and
+// admins can pass staff_id to manage anyone in the organisation, or leave
+// it out on GET to see everyone. Staff without a login use WhatsApp:
+// AVAILABLE / UNAVAILABLE / MY AVAILABILITY.
+//
+// Endpoints (all under /api/availability):
+//   GET    /        -> current and future entries (?staff_id=&from=&to=)
+//   POST   /        -> add entries, weekly or a date range (see below)
+//   DELETE /:id     -> remove an entry
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const { MANAGER_ROLES } = require('../middleware/requireManager');
+const { getStaffIdForUser } = require('../services/staffDirectory');
+const {
+  KINDS,
+  PERIODS,
+  MAX_RANGE_DAYS,
+  listAvailability,
+  addAvailability,
+  deleteAvailability,
+  describeAvailabilityEntry,
+} = require('../services/staffAvailability');
+const { addDaysToKey } = require('../services/shiftTime');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function isManager(user) {
+  return MANAGER_ROLES.includes(user.role);
+}
+
+/**
+ * Staff id the request acts on: a manager's staff_id, else the caller's
+ * own staff record. Returns { staffId } (null = everyone, managers only)
+ * or { error, status }.
+ */
+async function resolveStaffId(req, rawStaffId, { allowAll = false } = {}) {
+  if (isManager(req.user)) {
+    if (rawStaffId != null && rawStaffId !== '') {
+      const staffId = parseId(rawStaffId);
+      if (!staffId) return { error: 'Invalid staff_id', status: 400 };
+
+      const { rows } = await pool.query(
+        'SELECT id FROM staff WHERE id = $1 AND organisation_id = $2',
+        [staffId, req.user.organisation_id]
+      );
+      if (!rows.length) return { error: 'Staff not found', status: 404 };
+      return { staffId };
+    }
+    if (allowAll) return { staffId: null };
+  }
+
+  const staffId = await getStaffIdForUser(req.user);
+  if (!staffId) {
+    return {
+      error: isManager(req.user)
+        ? 'staff_id is required'
+        : 'Your login is not linked to a staff record',
+      status: isManager(req.user) ? 400 : 403,
+    };
+  }
+  return { staffId };
+}
+
+/**
+ * Validate a POST body into service entries.
+ * Returns { kind, entries, note } or { error }.
+ */
+function parseBody(body) {
+  const kind = body.kind;
+  if (!KINDS.includes(kind)) {
+    return { error: `kind must be one of: ${KINDS.join(', ')}` };
+  }
+
+  const period = body.period || 'any';
+  if (!PERIODS.includes(period)) {
+    return { error: `period must be one of: ${PERIODS.join(', ')}` };
+  }
+
+  const note = body.note ? String(body.note).trim().slice(0, 500) : null;
+
+  if (Array.isArray(body.weekdays) && body.weekdays.length) {
+    const weekdays = [...new Set(body.weekdays.map(Number))];
+    if (!weekdays.every((d) => Number.isInteger(d) && d >= 1 && d <= 7)) {
+      return { error: 'weekdays must be numbers 1 (Monday) to 7 (Sunday)' };
+    }
+    return { kind, note, entries: weekdays.map((weekday) => ({ weekday, period })) };
+  }
+
+  const start = body.start_date;
+  const end = body.end_date || start;
+  if (!DATE_RE.test(start || '') || !DATE_RE.test(end || '')) {
+    return { error: 'Provide weekdays [1-7] or start_date (and optional end_date) as YYYY-MM-DD' };
+  }
+  if (end < start) {
+    return { error: 'end_date must be on or after start_date' };
+  }
+  if (addDaysToKey(start, MAX_RANGE_DAYS) < end) {
+    return { error: `Date ranges can be at most ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { kind, note, entries: [{ start_date: start, end_date: end, period }] };
+}
+
+// ---------------------------------------------
+// GET /api/availability?staff_id=12&from=2025-12-01&to=2025-12-31
+// Entries ending before `from` (default today) are left out.
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { from, to } = req.query;
+
+    if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+      return res.status(400).json({ error: 'from / to must be YYYY-MM-DD' });
+    }
+
+    const target = await resolveStaffId(req, req.query.staff_id, { allowAll: true });
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    const items = await listAvailability(pool, orgId, {
+      staffId: target.staffId,
+      from: from || null,
+      to: to || null,
+    });
+
+    res.json({
+      organisation_id: orgId,
+      staff_id: target.staffId,
+      total: items.length,
+      items: items.map((item) => ({ ...item, summary: describeAvailabilityEntry(item) })),
+    });
+  } catch (err) {
+    console.error('[AVAILABILITY] Error in GET /api/availability:', err);
+    res.status(500).json({ error: 'Failed to load availability' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/availability
+// Weekly:   { "kind": "unavailable", "weekdays": [2], "period": "any" }
+// One-off:  { "kind": "unavailable", "start_date": "2025-12-12",
+//             "end_date": "2025-12-15", "note": "Holiday" }
+// Managers may add "staff_id". A weekly entry replaces the staff
+// member's earlier one for the same weekday and period.
+// ---------------------------------------------
+router.post('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const body = req.body || {};
+
+    const parsed = parseBody(body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const target = await resolveStaffId(req, body.staff_id);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    const client = await pool.connect();
+    let saved;
+    try {
+      await client.query('BEGIN');
+      saved = await addAvailability(client, orgId, target.staffId, parsed.kind, parsed.entries, {
+        note: parsed.note,
+        source: 'api',
+      });
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({
+      staff_id: target.staffId,
+      items: saved.map((item) => ({ ...item, summary: describeAvailabilityEntry(item) })),
+    });
+  } catch (err) {
+    console.error('[AVAILABILITY] Error in POST /api/availability:', err);
+    res.status(500).json({ error: 'Failed to save availability' });
+  }
+});
+
+// ---------------------------------------------
+// DELETE /api/availability/:id
+// Staff can only remove their own entries.
+// ---------------------------------------------
+router.delete('/:id', async (req, res) => {
+  try {
+    const entryId = parseId(req.params.id);
+    if (!entryId) {
+      return res.status(400).json({ error: 'Invalid availability id' });
+    }
+
+    let staffId = null;
+    if (!isManager(req.user)) {
+      const target = await resolveStaffId(req, null);
+      if (target.error) {
+        return res.status(target.status).json({ error: target.error });
+      }
+      staffId = target.staffId;
+    }
+
+    const deleted = await deleteAvailability(pool, req.user.organisation_id, entryId, staffId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Availability entry not found' });
+    }
+
+    res.json({ deleted: true, id: entryId });
+  } catch (err) {
+    console.error('[AVAILABILITY] Error in DELETE /api/availability/:id:', err);
+    res.status(500).json({ error: 'Failed to delete availability' });
+  }
+});
+
+module.exports = router;
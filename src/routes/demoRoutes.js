@@ -4,12 +4,14 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const { requireManagerAuth } = require('../middleware/authMiddleware');
+const { assignStaffToShift } = require('../services/assignmentService');
 
 /**
  * POST /api/demo/simulate
  *
  * Demo-only endpoint.
- * - Randomly fills some upcoming shifts
+ * - Randomly fills some upcoming shifts (through the assignment rule gate,
+ *   so random picks that break a scheduling rule are skipped)
  * - Creates a few attendance logs for today
  * - Returns a summary so the UI can show something if needed
  */
@@ -63,6 +65,7 @@ router.post('/simulate', requireManagerAuth, async (req, res) => {
 
     let shiftsUpdated = 0;
     let assignmentsCreated = 0;
+    let assignmentsBlocked = 0;
     let attendanceCreated = 0;
 
     // 3) For each shift, try to fill 1..missing slots
@@ -71,36 +74,29 @@ router.post('/simulate', requireManagerAuth, async (req, res) => {
       if (missing <= 0) continue;
 
       const toFill = Math.max(1, Math.min(missing, Math.floor(Math.random() * missing) + 1));
+      let filledThisShift = 0;
 
       for (let i = 0; i < toFill; i++) {
         const staffId = randomStaffId();
 
-        // Create assignment
-        await client.query(
-          `
-            INSERT INTO shift_assignments (shift_id, staff_id, accepted_at)
-            VALUES ($1, $2, NOW())
-          `,
-          [shift.id, staffId]
-        );
-        assignmentsCreated++;
+        // Create assignment (rule gate also bumps number_filled / status)
+        const result = await assignStaffToShift(client, {
+          shiftId: shift.id,
+          staffId,
+          organisationId,
+        });
+
+        if (result.assigned) {
+          assignmentsCreated++;
+          filledThisShift++;
+        } else {
+          assignmentsBlocked++;
+        }
       }
 
-      // Update shift counts + status
-      await client.query(
-        `
-          UPDATE shifts
-          SET number_filled = number_filled + $2,
-              status = CASE
-                         WHEN number_filled + $2 >= number_required THEN 'filled'
-                         ELSE status
-                       END
-          WHERE id = $1
-        `,
-        [shift.id, toFill]
-      );
-
-      shiftsUpdated++;
+      if (filledThisShift > 0) {
+        shiftsUpdated++;
+      }
     }
 
     // 4) Add a few extra attendance logs for today (random staff)
@@ -133,6 +129,7 @@ router.post('/simulate', requireManagerAuth, async (req, res) => {
       message: 'Demo simulation completed',
       shiftsUpdated,
       assignmentsCreated,
+      assignmentsBlocked,
       attendanceCreated,
     });
   } catch (err) {
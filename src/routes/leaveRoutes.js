@@ -0,0 +1,130 @@
+'use strict';
+
+// src/routes/leaveRoutes.js
+//
+// Annual leave for staff logins (see src/services/leaveManagement.js). The
+// login must be linked to a staff record (users.staff_id). Staff without a
+// login use WhatsApp: LEAVE <dates> / LEAVE BALANCE.
+//
+// Endpoints (all under /api/leave):
+//   GET  /            -> my balance, leave requests and the leave types
+//   POST /            -> request leave { "start_date": "2025-12-12", "end_date": "2025-12-15" }
+//   POST /:id/cancel  -> withdraw a pending request or upcoming approved leave
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const { getStaffIdForUser } = require('../services/staffDirectory');
+const {
+  getLeaveBalance,
+  listLeaveTypes,
+  listLeaveRequests,
+  requestLeave,
+  cancelLeave,
+} = require('../services/leaveManagement');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Every route needs the caller's staff id.
+router.use(async (req, res, next) => {
+  try {
+    const staffId = await getStaffIdForUser(req.user || {});
+    if (!staffId) {
+      return res.status(403).json({ error: 'Your login is not linked to a staff record' });
+    }
+    req.staffId = staffId;
+    next();
+  } catch (err) {
+    console.error('[LEAVE] Error resolving staff for user:', err);
+    res.status(500).json({ error: 'Failed to resolve your staff record' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/leave
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+
+    const [balance, requests, types] = await Promise.all([
+      getLeaveBalance(pool, orgId, req.staffId),
+      listLeaveRequests(pool, orgId, { staffId: req.staffId }),
+      listLeaveTypes(pool, orgId, { activeOnly: true }),
+    ]);
+
+    res.json({ staff_id: req.staffId, balance, requests, types });
+  } catch (err) {
+    console.error('[LEAVE] Error in GET /:', err);
+    res.status(500).json({ error: 'Failed to load leave' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/leave
+// Body: { "leave_type": "annual", "start_date": "2025-12-12",
+//         "end_date": "2025-12-15", "reason": "Family holiday" }
+// The charge is worked out from the contract (weekdays × daily hours).
+// ---------------------------------------------
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    if (!DATE_RE.test(body.start_date || '') || (body.end_date && !DATE_RE.test(body.end_date))) {
+      return res.status(400).json({ error: 'start_date (and optional end_date) must be YYYY-MM-DD' });
+    }
+
+    const result = await requestLeave(pool, {
+      organisationId: req.user.organisation_id,
+      staffId: req.staffId,
+      typeCode: body.leave_type || 'annual',
+      startDate: body.start_date,
+      endDate: body.end_date || body.start_date,
+      reason: body.reason ? String(body.reason).trim().slice(0, 500) : null,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('[LEAVE] Error in POST /:', err);
+    res.status(500).json({ error: 'Failed to request leave' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/leave/:id/cancel
+// ---------------------------------------------
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const requestId = parseId(req.params.id);
+    if (!requestId) {
+      return res.status(400).json({ error: 'Invalid leave request id' });
+    }
+
+    const result = await cancelLeave(pool, {
+      organisationId: req.user.organisation_id,
+      requestId,
+      staffId: req.staffId,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ request: result.request });
+  } catch (err) {
+    console.error('[LEAVE] Error in POST /:id/cancel:', err);
+    res.status(500).json({ error: 'Failed to cancel leave' });
+  }
+});
+
+module.exports = router;
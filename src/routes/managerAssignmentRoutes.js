@@ -4,13 +4,21 @@
  * Manager assignment routes
  *
  * These routes expose the shift assignment engine so a manager can
- * request “best staff” recommendations for a given shift.
+ * request “best staff” recommendations for a given shift, and assign
+ * a member of staff through the compliance gate in assignmentService.
  */
 
 const express = require('express');
 const router = express.Router();
 
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
 const { getBestStaffForShift } = require('../services/shiftAssignmentEngine');
+const { assignStaffToShift } = require('../services/assignmentService');
+const {
+  MIN_JUSTIFICATION_LENGTH,
+  recordOverrides,
+} = require('../services/assignmentOverrides');
 
 // GET /api/manager/assign/shift/:shiftId/recommendations
 // Requires a valid JWT (handled by global auth middleware in index.js)
@@ -43,6 +51,8 @@ router.get('/shift/:shiftId/recommendations', async (req, res) => {
     return res.json({
       success: true,
       shift: result.shift,
+      requirements: result.requirements,
+      scoring_weights: result.weights,
       top_recommendations: result.topRecommendations,
       all_ranked: result.allRanked,
     });
@@ -55,4 +65,178 @@ router.get('/shift/:shiftId/recommendations', async (req, res) => {
   }
 });
 
+// POST /api/manager/assign/shift/:shiftId
+// Body: { "staff_id": 12 }
+// Runs every shiftRules.js check before writing the assignment.
+router.post('/shift/:shiftId', requireManager, async (req, res) => {
+  const shiftIdRaw = req.params.shiftId;
+  const shiftId = parseInt(shiftIdRaw, 10);
+  const staffId = parseInt((req.body || {}).staff_id, 10);
+
+  if (Number.isNaN(shiftId) || shiftId <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid shift id: ${shiftIdRaw}`,
+    });
+  }
+
+  if (Number.isNaN(staffId) || staffId <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Body field "staff_id" is required',
+    });
+  }
+
+  const organisationId = req.user.organisation_id;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await assignStaffToShift(client, {
+      shiftId,
+      staffId,
+      organisationId,
+    });
+
+    if (!result.assigned) {
+      await client.query('ROLLBACK');
+      const notFound = result.verdict.blocks.some(
+        (b) => b.rule === 'shift_not_found' || b.rule === 'staff_not_found'
+      );
+      return res.status(notFound ? 404 : 409).json({
+        success: false,
+        error: 'Assignment blocked by scheduling rules.',
+        blocks: result.verdict.blocks,
+        warnings: result.verdict.warnings,
+      });
+    }
+
+    await client.query('COMMIT');
+
+    return res.status(201).json({
+      success: true,
+      assignment: result.assignment,
+      warnings: result.verdict.warnings,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[ASSIGNMENT] Error in POST /shift/:shiftId:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to assign staff to shift.',
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/manager/assign/shift/:shiftId/override
+// Body: { "staff_id": 12, "reason": "Only RN available with ligature training; night cover agreed with matron" }
+//
+// Forces an assignment past overridable rules (night limit, mandatory
+// training) and soft warnings. Hard rules (double booking, rest period,
+// weekly hard cap, consecutive days, capacity) still block.
+// Every overridden rule is written to assignment_overrides.
+router.post('/shift/:shiftId/override', requireManager, async (req, res) => {
+  const shiftIdRaw = req.params.shiftId;
+  const shiftId = parseInt(shiftIdRaw, 10);
+  const body = req.body || {};
+  const staffId = parseInt(body.staff_id, 10);
+  const justification = String(body.reason || '').trim();
+
+  if (Number.isNaN(shiftId) || shiftId <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid shift id: ${shiftIdRaw}`,
+    });
+  }
+
+  if (Number.isNaN(staffId) || staffId <= 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Body field "staff_id" is required',
+    });
+  }
+
+  if (justification.length < MIN_JUSTIFICATION_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Body field "reason" is required (at least ${MIN_JUSTIFICATION_LENGTH} characters)`,
+    });
+  }
+
+  const organisationId = req.user.organisation_id;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await assignStaffToShift(client, {
+      shiftId,
+      staffId,
+      organisationId,
+      allowManagerOverride: true,
+    });
+
+    if (!result.assigned) {
+      await client.query('ROLLBACK');
+      const notFound = result.verdict.blocks.some(
+        (b) => b.rule === 'shift_not_found' || b.rule === 'staff_not_found'
+      );
+      return res.status(notFound ? 404 : 409).json({
+        success: false,
+        error: 'Assignment blocked by rules that cannot be overridden.',
+        blocks: result.verdict.blocks,
+        warnings: result.verdict.warnings,
+      });
+    }
+
+    const { verdict } = result;
+    if (!verdict.overridden.length && !verdict.warnings.length) {
+      // Nothing to override – keep the audit trail meaningful.
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error:
+          'No rule needs overriding for this assignment. Use POST /api/manager/assign/shift/:shiftId instead.',
+      });
+    }
+
+    const overrides = await recordOverrides(client, {
+      organisationId,
+      shiftId,
+      staffId,
+      assignmentId: result.assignment.id,
+      verdict,
+      justification,
+      user: req.user,
+    });
+
+    await client.query('COMMIT');
+
+    console.log('[ASSIGNMENT] Manager override recorded:', {
+      shiftId,
+      staffId,
+      by: req.user.email || req.user.id,
+      rules: overrides.map((o) => o.rule),
+    });
+
+    return res.status(201).json({
+      success: true,
+      assignment: result.assignment,
+      overrides,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[ASSIGNMENT] Error in POST /shift/:shiftId/override:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to record override assignment.',
+    });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,346 @@
+'use strict';
+
+// src/routes/managerLeaveRoutes.js
+//
+// Manager side of annual leave (see src/services/leaveManagement.js).
+//
+// Endpoints (all under /api/manager/leave, manager/admin only):
+//   GET  /                        -> requests (?status=pending&staff_id=&from=&to=)
+//   POST /                        -> request leave for a staff member { "staff_id": 3, ... }
+//   POST /:id/approve             -> approve; returns shifts they are still assigned to
+//   POST /:id/reject              -> reject { "note": "..." }
+//   GET  /balances/:staffId       -> entitlement / taken / pending (?date=YYYY-MM-DD)
+//   PUT  /staff/:staffId/entitlement -> { "annual_leave_hours": 180 } (null = pro-rated)
+//   GET  /hours?from=&to=         -> approved paid / unpaid leave hours per staff (payroll)
+//   GET  /types                   -> leave types
+//   PUT  /types/:code             -> create or update a leave type
+//   GET  /settings                -> { annual_leave_weeks, leave_year_start_month }
+//   PUT  /settings                -> set either
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const {
+  STATUSES,
+  getLeaveSettings,
+  setLeaveSettings,
+  listLeaveTypes,
+  saveLeaveType,
+  getLeaveBalance,
+  listLeaveRequests,
+  requestLeave,
+  approveLeave,
+  rejectLeave,
+  summariseLeaveHours,
+  notifyLeaveDecision,
+} = require('../services/leaveManagement');
+
+router.use(requireManager);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const CODE_RE = /^[a-z][a-z0-9_]{1,30}$/;
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function parseNote(body) {
+  return body && body.note ? String(body.note).trim().slice(0, 500) : null;
+}
+
+// ---------------------------------------------
+// GET /api/manager/leave?status=pending
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { status, from, to } = req.query;
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+      return res.status(400).json({ error: 'from / to must be YYYY-MM-DD' });
+    }
+
+    const items = await listLeaveRequests(pool, orgId, {
+      status,
+      staffId: req.query.staff_id ? parseId(req.query.staff_id) : null,
+      from,
+      to,
+    });
+    res.json({ organisation_id: orgId, total: items.length, items });
+  } catch (err) {
+    console.error('[LEAVE] Error in GET /api/manager/leave:', err);
+    res.status(500).json({ error: 'Failed to list leave requests' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/leave
+// Body: { "staff_id": 3, "leave_type": "annual", "start_date": "2025-12-12",
+//         "end_date": "2025-12-15", "hours": 22.5, "reason": "..." }
+// For staff without a login. "hours" overrides the contract-based charge.
+// The request still needs approving.
+// ---------------------------------------------
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const staffId = parseId(body.staff_id);
+
+    if (!staffId) {
+      return res.status(400).json({ error: 'staff_id is required' });
+    }
+    if (!DATE_RE.test(body.start_date || '') || (body.end_date && !DATE_RE.test(body.end_date))) {
+      return res.status(400).json({ error: 'start_date (and optional end_date) must be YYYY-MM-DD' });
+    }
+    if (body.hours != null && !(Number(body.hours) >= 0)) {
+      return res.status(400).json({ error: 'hours must be a number >= 0' });
+    }
+
+    const result = await requestLeave(pool, {
+      organisationId: req.user.organisation_id,
+      staffId,
+      typeCode: body.leave_type || 'annual',
+      startDate: body.start_date,
+      endDate: body.end_date || body.start_date,
+      hours: body.hours != null ? Number(body.hours) : null,
+      reason: body.reason ? String(body.reason).trim().slice(0, 500) : null,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json(result);
+  } catch (err) {
+    console.error('[LEAVE] Error in POST /api/manager/leave:', err);
+    res.status(500).json({ error: 'Failed to request leave' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/leave/balances/:staffId?date=2026-01-10
+// ---------------------------------------------
+router.get('/balances/:staffId', async (req, res) => {
+  try {
+    const staffId = parseId(req.params.staffId);
+    if (!staffId) {
+      return res.status(400).json({ error: 'Invalid staff id' });
+    }
+    if (req.query.date && !DATE_RE.test(req.query.date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    const balance = await getLeaveBalance(pool, req.user.organisation_id, staffId, {
+      dateKey: req.query.date,
+    });
+    if (!balance) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+    res.json(balance);
+  } catch (err) {
+    console.error('[LEAVE] Error in GET /balances/:staffId:', err);
+    res.status(500).json({ error: 'Failed to load leave balance' });
+  }
+});
+
+// ---------------------------------------------
+// PUT /api/manager/leave/staff/:staffId/entitlement
+// Body: { "annual_leave_hours": 180 }   (null = pro-rate from contract)
+// ---------------------------------------------
+router.put('/staff/:staffId/entitlement', async (req, res) => {
+  try {
+    const staffId = parseId(req.params.staffId);
+    const raw = req.body ? req.body.annual_leave_hours : undefined;
+
+    if (!staffId) {
+      return res.status(400).json({ error: 'Invalid staff id' });
+    }
+    if (raw === undefined || (raw !== null && !(Number(raw) >= 0))) {
+      return res.status(400).json({ error: 'annual_leave_hours must be a number >= 0 or null' });
+    }
+
+    const { rowCount } = await pool.query(
+      'UPDATE staff SET annual_leave_hours = $3 WHERE id = $1 AND organisation_id = $2',
+      [staffId, req.user.organisation_id, raw === null ? null : Number(raw)]
+    );
+    if (!rowCount) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    res.json(await getLeaveBalance(pool, req.user.organisation_id, staffId));
+  } catch (err) {
+    console.error('[LEAVE] Error in PUT /staff/:staffId/entitlement:', err);
+    res.status(500).json({ error: 'Failed to save entitlement' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/leave/hours?from=2025-12-01&to=2025-12-31
+// ---------------------------------------------
+router.get('/hours', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!DATE_RE.test(from || '') || !DATE_RE.test(to || '') || to < from) {
+      return res.status(400).json({ error: 'from and to (YYYY-MM-DD, from <= to) are required' });
+    }
+
+    const items = await summariseLeaveHours(pool, req.user.organisation_id, { from, to });
+    res.json({ from, to, items });
+  } catch (err) {
+    console.error('[LEAVE] Error in GET /hours:', err);
+    res.status(500).json({ error: 'Failed to summarise leave hours' });
+  }
+});
+
+// ---------------------------------------------
+// GET|PUT /api/manager/leave/types
+// ---------------------------------------------
+router.get('/types', async (req, res) => {
+  try {
+    const items = await listLeaveTypes(pool, req.user.organisation_id);
+    res.json({ items });
+  } catch (err) {
+    console.error('[LEAVE] Error in GET /types:', err);
+    res.status(500).json({ error: 'Failed to list leave types' });
+  }
+});
+
+// Body: { "name": "Study leave", "is_paid": true, "deducts_entitlement": false, "is_active": true }
+router.put('/types/:code', async (req, res) => {
+  try {
+    const code = String(req.params.code || '').toLowerCase();
+    const body = req.body || {};
+    const name = body.name ? String(body.name).trim() : '';
+
+    if (!CODE_RE.test(code)) {
+      return res.status(400).json({ error: 'code must be lowercase letters, digits or _' });
+    }
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const type = await saveLeaveType(pool, req.user.organisation_id, {
+      code,
+      name,
+      is_paid: body.is_paid,
+      deducts_entitlement: body.deducts_entitlement,
+      is_active: body.is_active,
+    });
+    res.json(type);
+  } catch (err) {
+    console.error('[LEAVE] Error in PUT /types/:code:', err);
+    res.status(500).json({ error: 'Failed to save leave type' });
+  }
+});
+
+// ---------------------------------------------
+// GET|PUT /api/manager/leave/settings
+// Body: { "annual_leave_weeks": 5.6, "leave_year_start_month": 4 }
+// ---------------------------------------------
+router.get('/settings', async (req, res) => {
+  try {
+    res.json(await getLeaveSettings(pool, req.user.organisation_id));
+  } catch (err) {
+    console.error('[LEAVE] Error in GET /settings:', err);
+    res.status(500).json({ error: 'Failed to load leave settings' });
+  }
+});
+
+router.put('/settings', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const weeks = body.annual_leave_weeks;
+    const month = body.leave_year_start_month;
+
+    if (weeks != null && !(Number(weeks) >= 0 && Number(weeks) <= 52)) {
+      return res.status(400).json({ error: 'annual_leave_weeks must be between 0 and 52' });
+    }
+    if (month != null && !(Number.isInteger(Number(month)) && Number(month) >= 1 && Number(month) <= 12)) {
+      return res.status(400).json({ error: 'leave_year_start_month must be 1-12' });
+    }
+
+    const settings = await setLeaveSettings(pool, req.user.organisation_id, {
+      annual_leave_weeks: weeks != null ? Number(weeks) : null,
+      leave_year_start_month: month != null ? Number(month) : null,
+    });
+    res.json(settings);
+  } catch (err) {
+    console.error('[LEAVE] Error in PUT /settings:', err);
+    res.status(500).json({ error: 'Failed to save leave settings' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/leave/:id/approve
+// Re-checks overlap and balance. Shifts the staff member is already
+// assigned to during the leave come back as `conflicts` to reassign;
+// from now on the assignment gate blocks them on those dates.
+// ---------------------------------------------
+router.post('/:id/approve', async (req, res) => {
+  const requestId = parseId(req.params.id);
+  if (!requestId) {
+    return res.status(400).json({ error: 'Invalid leave request id' });
+  }
+
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await approveLeave(client, {
+      organisationId: req.user.organisation_id,
+      requestId,
+      userId: req.user.id,
+      note: parseNote(req.body),
+    });
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[LEAVE] Error in POST /:id/approve:', err);
+    return res.status(500).json({ error: 'Failed to approve leave' });
+  } finally {
+    client.release();
+  }
+
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  await notifyLeaveDecision(pool, result.request);
+  res.json({ request: result.request, conflicts: result.conflicts });
+});
+
+// ---------------------------------------------
+// POST /api/manager/leave/:id/reject
+// ---------------------------------------------
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const requestId = parseId(req.params.id);
+    if (!requestId) {
+      return res.status(400).json({ error: 'Invalid leave request id' });
+    }
+
+    const result = await rejectLeave(pool, {
+      organisationId: req.user.organisation_id,
+      requestId,
+      userId: req.user.id,
+      note: parseNote(req.body),
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await notifyLeaveDecision(pool, result.request);
+    res.json({ request: result.request });
+  } catch (err) {
+    console.error('[LEAVE] Error in POST /:id/reject:', err);
+    res.status(500).json({ error: 'Failed to reject leave' });
+  }
+});
+
+module.exports = router;
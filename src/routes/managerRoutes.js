@@ -3,6 +3,13 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const { listOverrides } = require('../services/assignmentOverrides');
+const {
+  listAttendance,
+  resolveAttendance,
+  summariseLateness,
+} = require('../services/shiftAttendance');
 
 // NOTE: auth is applied globally in index.js:
 // app.use('/api/manager', requireManager, managerRoutes);
@@ -25,7 +32,12 @@ router.get('/attendance/today', async (req, res) => {
           al.organisation_id,
           al.action,
           al.source,
-          al.occurred_at
+          al.occurred_at,
+          al.shift_id,
+          al.minutes_late,
+          al.minutes_early,
+          al.match_status,
+          al.review_status
         FROM attendance_logs al
         LEFT JOIN staff s ON s.id = al.staff_id
         WHERE al.organisation_id = $1
@@ -73,7 +85,12 @@ router.get('/attendance/range', async (req, res) => {
           al.organisation_id,
           al.action,
           al.source,
-          al.occurred_at
+          al.occurred_at,
+          al.shift_id,
+          al.minutes_late,
+          al.minutes_early,
+          al.match_status,
+          al.review_status
         FROM attendance_logs al
         LEFT JOIN staff s ON s.id = al.staff_id
         WHERE al.organisation_id = $1
@@ -99,11 +116,94 @@ router.get('/attendance/range', async (req, res) => {
   }
 });
 
+// ---------------------------------------------
+// GET /api/manager/attendance/review
+// Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD (optional)
+// Check-ins / checkouts that matched no assigned shift and are waiting
+// for a manager.
+// ---------------------------------------------
+router.get('/attendance/review', requireManager, async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { from, to } = req.query;
+
+    if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+      return res.status(400).json({ error: 'from / to must be YYYY-MM-DD' });
+    }
+
+    const items = await listAttendance(pool, orgId, { from, to, reviewStatus: 'pending' });
+    res.json({ organisation_id: orgId, total: items.length, items });
+  } catch (err) {
+    console.error('[MANAGER] Error in /attendance/review:', err);
+    res.status(500).json({ error: 'Failed to fetch attendance waiting for review' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/attendance/:id/review
+// Body: { "shift_id": 42, "note": "Covering on Alder" }
+// With shift_id the record is attached to that shift and lateness worked
+// out; without it the record is dismissed.
+// ---------------------------------------------
+router.post('/attendance/:id/review', requireManager, async (req, res) => {
+  try {
+    const logId = parseInt(req.params.id, 10);
+    const body = req.body || {};
+    const shiftId = body.shift_id != null ? parseInt(body.shift_id, 10) : null;
+
+    if (!Number.isInteger(logId) || logId <= 0) {
+      return res.status(400).json({ error: 'Invalid attendance id' });
+    }
+    if (body.shift_id != null && !(Number.isInteger(shiftId) && shiftId > 0)) {
+      return res.status(400).json({ error: 'shift_id must be a shift id' });
+    }
+
+    const result = await resolveAttendance(pool, {
+      organisationId: req.user.organisation_id,
+      logId,
+      userId: req.user.id,
+      shiftId,
+      note: body.note ? String(body.note).trim().slice(0, 500) : null,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result.log);
+  } catch (err) {
+    console.error('[MANAGER] Error in POST /attendance/:id/review:', err);
+    res.status(500).json({ error: 'Failed to review attendance record' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/attendance/lateness
+// Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Late arrivals and early finishes per staff member (matched records).
+// ---------------------------------------------
+router.get('/attendance/lateness', requireManager, async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { from, to } = req.query;
+
+    if (!DATE_RE.test(from || '') || !DATE_RE.test(to || '') || to < from) {
+      return res.status(400).json({ error: 'from and to (YYYY-MM-DD, from <= to) are required' });
+    }
+
+    const items = await summariseLateness(pool, orgId, { from, to });
+    res.json({ organisation_id: orgId, from, to, total: items.length, items });
+  } catch (err) {
+    console.error('[MANAGER] Error in /attendance/lateness:', err);
+    res.status(500).json({ error: 'Failed to summarise lateness' });
+  }
+});
+
 // ---------------------------------------------
 // GET /api/manager/shifts/summary/today
 // Today’s shifts and fill status for this org
 // ---------------------------------------------
-router.get('/shifts/summary/today', async (req, res) => {
+router.get('/shifts/summary/today', requireManager, async (req, res) => {
   try {
     const orgId = req.user.organisation_id;
 
@@ -145,7 +245,7 @@ router.get('/shifts/summary/today', async (req, res) => {
 // GET /api/manager/shifts/summary/range
 // Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD
 // ---------------------------------------------
-router.get('/shifts/summary/range', async (req, res) => {
+router.get('/shifts/summary/range', requireManager, async (req, res) => {
   try {
     const orgId = req.user.organisation_id;
     const from = req.query.from;
@@ -196,4 +296,119 @@ router.get('/shifts/summary/range', async (req, res) => {
   }
 });
 
+// ---------------------------------------------
+// GET /api/manager/overrides
+// Query: ?week=YYYY-MM-DD   (any day in the week; Monday–Sunday window)
+//    or: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Optional: &ward=Alder
+// Defaults to the current week. Used by matrons to review rule overrides.
+// ---------------------------------------------
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function weekWindow(dateStr) {
+  const d = dateStr ? new Date(`${dateStr}T00:00:00Z`) : new Date();
+  if (Number.isNaN(d.getTime())) return null;
+
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 6);
+
+  return {
+    from: start.toISOString().slice(0, 10),
+    to: end.toISOString().slice(0, 10),
+  };
+}
+
+router.get('/overrides', requireManager, async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { from, to, week, ward } = req.query;
+
+    let window;
+    if (from && to) {
+      if (!DATE_RE.test(from) || !DATE_RE.test(to) || to < from) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD with from <= to' });
+      }
+      window = { from, to };
+    } else {
+      window = weekWindow(week);
+      if (!window) {
+        return res.status(400).json({
+          error: 'Query parameter "week" must be a date, e.g. ?week=2025-11-17',
+        });
+      }
+    }
+
+    const rows = await listOverrides(pool, orgId, { ...window, ward });
+
+    res.json({
+      organisation_id: orgId,
+      from: window.from,
+      to: window.to,
+      total: rows.length,
+      items: rows,
+    });
+  } catch (err) {
+    console.error('[MANAGER] Error in /overrides:', err);
+    res.status(500).json({ error: 'Failed to fetch assignment overrides' });
+  }
+});
+
+// ---------------------------------------------
+// PUT /api/manager/staff/:staffId/gender
+// Body: { "gender": "female", "observation_eligible": true }
+// gender may be "male", "female", "other" or null (not recorded).
+// Used for same-gender observations when assigning shifts.
+// ---------------------------------------------
+const STAFF_GENDERS = ['male', 'female', 'other'];
+
+router.put('/staff/:staffId/gender', requireManager, async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const staffId = parseInt(req.params.staffId, 10);
+    const body = req.body || {};
+
+    if (!Number.isInteger(staffId) || staffId <= 0) {
+      return res.status(400).json({ error: 'Invalid staff id' });
+    }
+
+    const hasGender = Object.prototype.hasOwnProperty.call(body, 'gender');
+    const gender = body.gender ? String(body.gender).trim().toLowerCase() : null;
+    if (gender && !STAFF_GENDERS.includes(gender)) {
+      return res.status(400).json({ error: 'gender must be "male", "female", "other" or null' });
+    }
+    if (body.observation_eligible !== undefined && typeof body.observation_eligible !== 'boolean') {
+      return res.status(400).json({ error: 'observation_eligible must be true or false' });
+    }
+
+    const { rows } = await pool.query(
+      `
+        UPDATE staff
+        SET
+          gender = CASE WHEN $3 THEN $4 ELSE gender END,
+          observation_eligible = COALESCE($5, observation_eligible)
+        WHERE id = $1 AND organisation_id = $2
+        RETURNING id, name, gender, observation_eligible
+      `,
+      [
+        staffId,
+        orgId,
+        hasGender,
+        gender,
+        typeof body.observation_eligible === 'boolean' ? body.observation_eligible : null,
+      ]
+    );
+
+    if (!rows.length) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('[MANAGER] Error in PUT /staff/:staffId/gender:', err);
+    res.status(500).json({ error: 'Failed to update staff gender' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,237 @@
+'use strict';
+
+// src/routes/managerSicknessRoutes.js
+//
+// Manager side of sickness absence (see src/services/sicknessAbsence.js).
+// Staff normally report over WhatsApp (SICK / BACK); these endpoints cover
+// staff who phone in, plus return-to-work and Bradford factor tracking.
+//
+// Endpoints (all under /api/manager/sickness, manager/admin only):
+//   GET  /                    -> spells (?status=open|rtw_due|closed&staff_id=)
+//   POST /                    -> report sickness for a staff member { "staff_id": 3, "days": 2 }
+//   POST /:id/return          -> they are back { "return_date": "2025-12-03" } (default today)
+//   POST /:id/return-to-work  -> record the return-to-work interview { "notes": "..." }
+//   GET  /bradford            -> Bradford factor per staff member, highest first
+//   GET  /staff/:staffId      -> one staff member's spells and Bradford factor
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const {
+  MAX_SICK_DAYS,
+  listAbsences,
+  reportSickness,
+  recordReturn,
+  completeReturnToWork,
+  getBradfordScores,
+} = require('../services/sicknessAbsence');
+const { backfillShifts } = require('../services/shiftAutomation');
+
+router.use(requireManager);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const STATUS_FILTERS = ['open', 'rtw_due', 'closed'];
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function parseText(value) {
+  return value ? String(value).trim().slice(0, 500) : null;
+}
+
+// ---------------------------------------------
+// GET /api/manager/sickness?status=rtw_due
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { status } = req.query;
+
+    if (status && !STATUS_FILTERS.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUS_FILTERS.join(', ')}` });
+    }
+
+    const items = await listAbsences(pool, orgId, {
+      status,
+      staffId: req.query.staff_id ? parseId(req.query.staff_id) : null,
+    });
+    res.json({ organisation_id: orgId, total: items.length, items });
+  } catch (err) {
+    console.error('[SICKNESS] Error in GET /api/manager/sickness:', err);
+    res.status(500).json({ error: 'Failed to list sickness absences' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/sickness
+// Body: { "staff_id": 3, "days": 2, "reason": "D&V" }
+// Same as the staff member texting SICK: their shifts in the window come
+// off them, reopen and are re-offered straight away. Omit "days" for the
+// next 24 hours (or their next shift).
+// ---------------------------------------------
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  const orgId = req.user.organisation_id;
+  const staffId = parseId(body.staff_id);
+  const days = body.days != null ? Number(body.days) : null;
+
+  if (!staffId) {
+    return res.status(400).json({ error: 'staff_id is required' });
+  }
+  if (days != null && !(Number.isInteger(days) && days >= 1 && days <= MAX_SICK_DAYS)) {
+    return res.status(400).json({ error: `days must be between 1 and ${MAX_SICK_DAYS}` });
+  }
+
+  const client = await pool.connect();
+  let result;
+  try {
+    const { rowCount } = await client.query(
+      'SELECT 1 FROM staff WHERE id = $1 AND organisation_id = $2',
+      [staffId, orgId]
+    );
+    if (!rowCount) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    await client.query('BEGIN');
+    result = await reportSickness(client, {
+      organisationId: orgId,
+      staffId,
+      days,
+      reason: parseText(body.reason),
+      source: 'api',
+      userId: req.user.id,
+    });
+    await client.query(result.error ? 'ROLLBACK' : 'COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[SICKNESS] Error in POST /api/manager/sickness:', err);
+    return res.status(500).json({ error: 'Failed to record sickness' });
+  } finally {
+    client.release();
+  }
+
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  const backfill = await backfillShifts({
+    organisationId: orgId,
+    shiftIds: result.shifts.map((s) => s.id),
+  });
+
+  res.status(result.alreadyOff ? 200 : 201).json({
+    absence: result.absence,
+    already_off: result.alreadyOff,
+    shifts_released: result.shifts,
+    backfill,
+  });
+});
+
+// ---------------------------------------------
+// GET /api/manager/sickness/bradford
+// ---------------------------------------------
+router.get('/bradford', async (req, res) => {
+  try {
+    const items = await getBradfordScores(pool, req.user.organisation_id);
+    res.json({ window_weeks: 52, total: items.length, items });
+  } catch (err) {
+    console.error('[SICKNESS] Error in GET /bradford:', err);
+    res.status(500).json({ error: 'Failed to calculate Bradford factors' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/sickness/staff/:staffId
+// ---------------------------------------------
+router.get('/staff/:staffId', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const staffId = parseId(req.params.staffId);
+    if (!staffId) {
+      return res.status(400).json({ error: 'Invalid staff id' });
+    }
+
+    const [spells, scores] = await Promise.all([
+      listAbsences(pool, orgId, { staffId }),
+      getBradfordScores(pool, orgId, { staffId }),
+    ]);
+
+    res.json({
+      staff_id: staffId,
+      bradford: scores[0] || { staff_id: staffId, spells: 0, days: 0, score: 0, level: 'none' },
+      spells,
+    });
+  } catch (err) {
+    console.error('[SICKNESS] Error in GET /staff/:staffId:', err);
+    res.status(500).json({ error: 'Failed to load sickness record' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/sickness/:id/return
+// Body: { "return_date": "2025-12-03" }   (first day back; default today)
+// ---------------------------------------------
+router.post('/:id/return', async (req, res) => {
+  try {
+    const absenceId = parseId(req.params.id);
+    const returnDate = req.body ? req.body.return_date : null;
+
+    if (!absenceId) {
+      return res.status(400).json({ error: 'Invalid sickness absence id' });
+    }
+    if (returnDate && !DATE_RE.test(returnDate)) {
+      return res.status(400).json({ error: 'return_date must be YYYY-MM-DD' });
+    }
+
+    const result = await recordReturn(pool, {
+      organisationId: req.user.organisation_id,
+      absenceId,
+      returnDate: returnDate || null,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ absence: result.absence });
+  } catch (err) {
+    console.error('[SICKNESS] Error in POST /:id/return:', err);
+    res.status(500).json({ error: 'Failed to record return' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/sickness/:id/return-to-work
+// Body: { "notes": "Fit to return, no adjustments" }
+// ---------------------------------------------
+router.post('/:id/return-to-work', async (req, res) => {
+  try {
+    const absenceId = parseId(req.params.id);
+    if (!absenceId) {
+      return res.status(400).json({ error: 'Invalid sickness absence id' });
+    }
+
+    const result = await completeReturnToWork(pool, {
+      organisationId: req.user.organisation_id,
+      absenceId,
+      userId: req.user.id,
+      notes: parseText(req.body && req.body.notes),
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ absence: result.absence });
+  } catch (err) {
+    console.error('[SICKNESS] Error in POST /:id/return-to-work:', err);
+    res.status(500).json({ error: 'Failed to record return-to-work interview' });
+  }
+});
+
+module.exports = router;
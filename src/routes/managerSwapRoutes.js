@@ -0,0 +1,164 @@
+'use strict';
+
+// src/routes/managerSwapRoutes.js
+//
+// Manager side of shift swaps (see src/services/shiftSwaps.js).
+//
+// Endpoints (all under /api/manager/swaps, manager/admin only):
+//   GET  /               -> swaps, newest first (?status=pending_approval)
+//   POST /:id/approve    -> move the assignment to the taker { "note": "..." }
+//   POST /:id/reject     -> requester keeps the shift        { "note": "..." }
+//   GET  /policy         -> { "approval_policy": "manager" | "auto" }
+//   PUT  /policy         -> set it
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const {
+  APPROVAL_POLICIES,
+  getSwapApprovalPolicy,
+  setSwapApprovalPolicy,
+  listSwaps,
+  approveSwap,
+  rejectSwap,
+  notifySwapOutcome,
+} = require('../services/shiftSwaps');
+
+router.use(requireManager);
+
+const STATUSES = ['open', 'pending_approval', 'approved', 'rejected', 'cancelled', 'expired'];
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function parseNote(body) {
+  return body && body.note ? String(body.note).trim().slice(0, 500) : null;
+}
+
+// ---------------------------------------------
+// GET /api/manager/swaps?status=pending_approval
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { status } = req.query;
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const items = await listSwaps(pool, orgId, { status });
+    res.json({ organisation_id: orgId, total: items.length, items });
+  } catch (err) {
+    console.error('[SWAPS] Error in GET /api/manager/swaps:', err);
+    res.status(500).json({ error: 'Failed to list swaps' });
+  }
+});
+
+// ---------------------------------------------
+// GET|PUT /api/manager/swaps/policy
+// 'manager': every taken swap waits for approval.
+// 'auto':    taken swaps with no rule warnings are approved immediately.
+// ---------------------------------------------
+router.get('/policy', async (req, res) => {
+  try {
+    const policy = await getSwapApprovalPolicy(pool, req.user.organisation_id);
+    res.json({ approval_policy: policy, options: APPROVAL_POLICIES });
+  } catch (err) {
+    console.error('[SWAPS] Error in GET /policy:', err);
+    res.status(500).json({ error: 'Failed to load swap policy' });
+  }
+});
+
+router.put('/policy', async (req, res) => {
+  try {
+    const policy = req.body && req.body.approval_policy;
+    if (!APPROVAL_POLICIES.includes(policy)) {
+      return res
+        .status(400)
+        .json({ error: `approval_policy must be one of: ${APPROVAL_POLICIES.join(', ')}` });
+    }
+
+    await setSwapApprovalPolicy(pool, req.user.organisation_id, policy);
+    res.json({ approval_policy: policy });
+  } catch (err) {
+    console.error('[SWAPS] Error in PUT /policy:', err);
+    res.status(500).json({ error: 'Failed to save swap policy' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/swaps/:id/approve
+// Re-checks the taker against every rule, then moves the assignment in
+// one transaction. Both staff are told on WhatsApp.
+// ---------------------------------------------
+router.post('/:id/approve', async (req, res) => {
+  const swapId = parseId(req.params.id);
+  if (!swapId) {
+    return res.status(400).json({ error: 'Invalid swap id' });
+  }
+
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await approveSwap(client, {
+      organisationId: req.user.organisation_id,
+      swapId,
+      userId: req.user.id,
+      note: parseNote(req.body),
+    });
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[SWAPS] Error in POST /:id/approve:', err);
+    return res.status(500).json({ error: 'Failed to approve swap' });
+  } finally {
+    client.release();
+  }
+
+  if (result.error) {
+    return res.status(result.status).json({
+      error: result.error,
+      blocks: result.verdict ? result.verdict.blocks : undefined,
+    });
+  }
+
+  await notifySwapOutcome(pool, result.swap, 'approved');
+  res.json({ swap: result.swap, warnings: result.verdict.warnings });
+});
+
+// ---------------------------------------------
+// POST /api/manager/swaps/:id/reject
+// ---------------------------------------------
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const swapId = parseId(req.params.id);
+    if (!swapId) {
+      return res.status(400).json({ error: 'Invalid swap id' });
+    }
+
+    const result = await rejectSwap(pool, {
+      organisationId: req.user.organisation_id,
+      swapId,
+      userId: req.user.id,
+      note: parseNote(req.body),
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await notifySwapOutcome(pool, result.swap, 'rejected');
+    res.json({ swap: result.swap });
+  } catch (err) {
+    console.error('[SWAPS] Error in POST /:id/reject:', err);
+    res.status(500).json({ error: 'Failed to reject swap' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+'use strict';
+
+// src/routes/noShowRoutes.js
+//
+// No-shows flagged by the background job (see
+// src/services/noShowDetection.js).
+//
+// Endpoints (all under /api/manager/no-shows, manager/admin only):
+//   GET  /               -> no-shows (?status=open&staff_id=&from=&to=)
+//   POST /:id/backfill   -> take them off the shift and send urgent offers
+//   POST /:id/resolve    -> { "status": "excused" | "confirmed", "note": "..." }
+//   GET  /settings       -> { grace_minutes, auto_backfill }
+//   PUT  /settings       -> set either
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const {
+  STATUSES,
+  MIN_GRACE_MINUTES,
+  MAX_GRACE_MINUTES,
+  getNoShowSettings,
+  setNoShowSettings,
+  listNoShows,
+  backfillNoShow,
+  resolveNoShow,
+} = require('../services/noShowDetection');
+
+router.use(requireManager);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// ---------------------------------------------
+// GET /api/manager/no-shows?status=open
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { status, from, to } = req.query;
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+      return res.status(400).json({ error: 'from / to must be YYYY-MM-DD' });
+    }
+
+    const items = await listNoShows(pool, orgId, {
+      status,
+      staffId: req.query.staff_id ? parseId(req.query.staff_id) : null,
+      from,
+      to,
+    });
+    res.json({ organisation_id: orgId, total: items.length, items });
+  } catch (err) {
+    console.error('[NO-SHOW] Error in GET /api/manager/no-shows:', err);
+    res.status(500).json({ error: 'Failed to list no-shows' });
+  }
+});
+
+// ---------------------------------------------
+// GET|PUT /api/manager/no-shows/settings
+// Body: { "grace_minutes": 30, "auto_backfill": true }
+// ---------------------------------------------
+router.get('/settings', async (req, res) => {
+  try {
+    res.json(await getNoShowSettings(pool, req.user.organisation_id));
+  } catch (err) {
+    console.error('[NO-SHOW] Error in GET /settings:', err);
+    res.status(500).json({ error: 'Failed to load no-show settings' });
+  }
+});
+
+router.put('/settings', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const grace = body.grace_minutes != null ? Number(body.grace_minutes) : null;
+
+    const graceOk =
+      grace == null || (Number.isInteger(grace) && grace >= MIN_GRACE_MINUTES && grace <= MAX_GRACE_MINUTES);
+
+    if (!graceOk) {
+      return res.status(400).json({
+        error: `grace_minutes must be between ${MIN_GRACE_MINUTES} and ${MAX_GRACE_MINUTES}`,
+      });
+    }
+    if (body.auto_backfill != null && typeof body.auto_backfill !== 'boolean') {
+      return res.status(400).json({ error: 'auto_backfill must be true or false' });
+    }
+
+    const settings = await setNoShowSettings(pool, req.user.organisation_id, {
+      grace_minutes: grace,
+      auto_backfill: body.auto_backfill,
+    });
+    res.json(settings);
+  } catch (err) {
+    console.error('[NO-SHOW] Error in PUT /settings:', err);
+    res.status(500).json({ error: 'Failed to save no-show settings' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/no-shows/:id/backfill
+// For organisations without auto backfill: takes the no-show off the
+// shift and sends urgent offers (open until the shift ends).
+// ---------------------------------------------
+router.post('/:id/backfill', async (req, res) => {
+  try {
+    const noShowId = parseId(req.params.id);
+    if (!noShowId) {
+      return res.status(400).json({ error: 'Invalid no-show id' });
+    }
+
+    const result = await backfillNoShow(pool, {
+      organisationId: req.user.organisation_id,
+      noShowId,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ no_show: result.noShow, offers_sent: result.offers_sent });
+  } catch (err) {
+    console.error('[NO-SHOW] Error in POST /:id/backfill:', err);
+    res.status(500).json({ error: 'Failed to backfill no-show' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/no-shows/:id/resolve
+// Body: { "status": "excused", "note": "Phoned in, car broke down" }
+// ---------------------------------------------
+router.post('/:id/resolve', async (req, res) => {
+  try {
+    const noShowId = parseId(req.params.id);
+    const body = req.body || {};
+    if (!noShowId) {
+      return res.status(400).json({ error: 'Invalid no-show id' });
+    }
+
+    const result = await resolveNoShow(pool, {
+      organisationId: req.user.organisation_id,
+      noShowId,
+      userId: req.user.id,
+      status: body.status,
+      note: body.note ? String(body.note).trim().slice(0, 500) : null,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ no_show: result.noShow });
+  } catch (err) {
+    console.error('[NO-SHOW] Error in POST /:id/resolve:', err);
+    res.status(500).json({ error: 'Failed to resolve no-show' });
+  }
+});
+
+module.exports = router;
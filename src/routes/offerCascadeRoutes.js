@@ -0,0 +1,209 @@
+'use strict';
+
+// src/routes/offerCascadeRoutes.js
+//
+// Timed offer cascades: permanent -> bank -> agency (see src/services/offerCascade.js).
+//
+// Endpoints (all under /api/manager/cascade, manager/admin only):
+//   GET  /                 -> live (running / paused) cascades
+//   POST /shift/:shiftId   -> start a cascade for a shift
+//                             { "window_minutes": 60, "max_offers_per_tier": 5, "suggested_rate": 18.5 }
+//   GET  /shift/:shiftId   -> cascade state for a shift (tiers, offers, fill)
+//   POST /:id/pause        -> stop escalating
+//   POST /:id/resume       -> escalate again, current tier gets a fresh window
+//   POST /:id/skip         -> widen to the next tier now
+//   POST /:id/cancel       -> stop the cascade and expire its open offers
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const {
+  TIERS,
+  startCascade,
+  pauseCascade,
+  resumeCascade,
+  skipTier,
+  cancelCascade,
+  getCascadeState,
+} = require('../services/offerCascade');
+
+router.use(requireManager);
+
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function parseOptionalPositiveInt(value, field, max) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > max) {
+    return { error: `Field "${field}" must be a whole number between 1 and ${max}` };
+  }
+  return { value: n };
+}
+
+// ---------------------------------------------
+// GET /api/manager/cascade
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+
+    const { rows } = await pool.query(
+      `
+        SELECT
+          c.id,
+          c.shift_id,
+          s.shift_ref,
+          s.ward,
+          s.shift_date,
+          s.start_time,
+          s.end_time,
+          s.number_required,
+          s.number_filled,
+          c.status,
+          c.current_tier,
+          c.tier_window_minutes,
+          c.tier_started_at,
+          c.next_escalation_at,
+          c.created_at
+        FROM shift_offer_cascades c
+        JOIN shifts s ON s.id = c.shift_id
+        WHERE c.organisation_id = $1
+          AND c.status IN ('running', 'paused')
+        ORDER BY s.shift_date ASC, s.start_time ASC
+      `,
+      [orgId]
+    );
+
+    res.json({ organisation_id: orgId, total: rows.length, items: rows });
+  } catch (err) {
+    console.error('[CASCADE] Error in GET /:', err);
+    res.status(500).json({ error: 'Failed to list offer cascades' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/cascade/shift/:shiftId
+// Body (all optional):
+//   {
+//     "window_minutes": 60,        // how long each tier gets before widening
+//     "max_offers_per_tier": 5,    // best-scored N per tier (default: everyone eligible)
+//     "suggested_rate": 18.5,
+//     "start_tier": "bank"         // skip straight past permanent
+//   }
+// ---------------------------------------------
+router.post('/shift/:shiftId', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const shiftId = parseId(req.params.shiftId);
+    const body = req.body || {};
+
+    if (!shiftId) {
+      return res.status(400).json({ error: 'Invalid shift id' });
+    }
+
+    const windowMinutes = parseOptionalPositiveInt(body.window_minutes, 'window_minutes', MAX_WINDOW_MINUTES);
+    const maxOffers = parseOptionalPositiveInt(body.max_offers_per_tier, 'max_offers_per_tier', 100);
+    if (windowMinutes.error || maxOffers.error) {
+      return res.status(400).json({ error: windowMinutes.error || maxOffers.error });
+    }
+
+    let suggestedRate = null;
+    if (body.suggested_rate !== undefined && body.suggested_rate !== null && body.suggested_rate !== '') {
+      suggestedRate = Number(body.suggested_rate);
+      if (!Number.isFinite(suggestedRate) || suggestedRate < 0) {
+        return res.status(400).json({ error: 'suggested_rate must be a positive number' });
+      }
+    }
+
+    if (body.start_tier !== undefined && !TIERS.includes(body.start_tier)) {
+      return res.status(400).json({ error: `start_tier must be one of: ${TIERS.join(', ')}` });
+    }
+
+    const result = await startCascade(pool, {
+      organisationId: orgId,
+      shiftId,
+      windowMinutes: windowMinutes.value,
+      maxOffersPerTier: maxOffers.value,
+      suggestedRate,
+      startTier: body.start_tier,
+      userId: req.user.id,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({ cascade: result.cascade, offers: result.offers });
+  } catch (err) {
+    console.error('[CASCADE] Error in POST /shift/:shiftId:', err);
+    res.status(500).json({ error: 'Failed to start offer cascade' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/cascade/shift/:shiftId
+// Latest cascade for the shift (live or finished) with per-tier counts.
+// ---------------------------------------------
+router.get('/shift/:shiftId', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const shiftId = parseId(req.params.shiftId);
+    if (!shiftId) {
+      return res.status(400).json({ error: 'Invalid shift id' });
+    }
+
+    const state = await getCascadeState(pool, orgId, shiftId);
+    if (!state) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    res.json(state);
+  } catch (err) {
+    console.error('[CASCADE] Error in GET /shift/:shiftId:', err);
+    res.status(500).json({ error: 'Failed to load offer cascade' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/cascade/:id/pause | resume | skip | cancel
+// ---------------------------------------------
+const ACTIONS = {
+  pause: pauseCascade,
+  resume: resumeCascade,
+  skip: skipTier,
+  cancel: cancelCascade,
+};
+
+router.post('/:id/:action', async (req, res) => {
+  const handler = ACTIONS[req.params.action];
+  if (!handler) {
+    return res.status(404).json({ error: 'Unknown cascade action' });
+  }
+
+  try {
+    const orgId = req.user.organisation_id;
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid cascade id' });
+    }
+
+    const result = await handler(pool, orgId, id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error(`[CASCADE] Error in POST /:id/${req.params.action}:`, err);
+    res.status(500).json({ error: `Failed to ${req.params.action} offer cascade` });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+'use strict';
+
+// src/routes/rotaPatternRoutes.js
+//
+// Rota patterns: which shift templates run on which day, and generating
+// the shifts for a date range (see src/services/shiftTemplates.js).
+//
+// Endpoints (all under /api/manager/rota-patterns, manager/admin only):
+//   GET    /               -> patterns
+//   GET    /:id            -> one pattern with its slots
+//   POST   /               -> create a pattern
+//   PUT    /:id            -> update a pattern ("slots" replaces all slots)
+//   DELETE /:id            -> delete a pattern (generated shifts are kept)
+//   POST   /:id/generate   -> { "from": "2025-12-01", "to": "2025-12-28", "dry_run": false,
+//                                "draft": true }
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const {
+  PATTERN_TYPES,
+  loadPattern,
+  listPatterns,
+  savePattern,
+  deletePattern,
+  generateShifts,
+} = require('../services/shiftTemplates');
+
+router.use(requireManager);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Validate a pattern body. With `partial` (PUT) omitted fields are fine.
+ * Returns { fields } or { error }.
+ */
+function parsePatternBody(body, partial) {
+  const fields = {};
+
+  if (body.name != null) {
+    fields.name = String(body.name).trim();
+  }
+  if (!partial && !fields.name) {
+    return { error: 'name is required' };
+  }
+
+  if (body.pattern_type != null && !PATTERN_TYPES.includes(body.pattern_type)) {
+    return { error: `pattern_type must be one of: ${PATTERN_TYPES.join(', ')}` };
+  }
+  fields.pattern_type = body.pattern_type || null;
+
+  if (body.cycle_length_days != null) {
+    fields.cycle_length_days = Number(body.cycle_length_days);
+  }
+
+  if (body.anchor_date != null && !DATE_RE.test(body.anchor_date)) {
+    return { error: 'anchor_date must be YYYY-MM-DD' };
+  }
+  fields.anchor_date = body.anchor_date;
+
+  if (body.is_active != null && typeof body.is_active !== 'boolean') {
+    return { error: 'is_active must be true or false' };
+  }
+  fields.is_active = body.is_active;
+
+  if (body.slots !== undefined && !Array.isArray(body.slots)) {
+    return { error: 'slots must be an array of { day, template_id }' };
+  }
+  fields.slots = body.slots;
+
+  return { fields };
+}
+
+/**
+ * Run fn(client) inside a transaction; rolled back when it returns an error
+ * (or for a dry run).
+ */
+async function inTransaction(fn, { dryRun = false } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query(result.error || dryRun ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ---------------------------------------------
+// GET /api/manager/rota-patterns
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const items = await listPatterns(pool, orgId);
+    res.json({ organisation_id: orgId, total: items.length, items });
+  } catch (err) {
+    console.error('[PATTERNS] Error in GET /api/manager/rota-patterns:', err);
+    res.status(500).json({ error: 'Failed to list rota patterns' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/rota-patterns/:id
+// ---------------------------------------------
+router.get('/:id', async (req, res) => {
+  try {
+    const patternId = parseId(req.params.id);
+    if (!patternId) {
+      return res.status(400).json({ error: 'Invalid pattern id' });
+    }
+
+    const pattern = await loadPattern(pool, req.user.organisation_id, patternId);
+    if (!pattern) {
+      return res.status(404).json({ error: 'Rota pattern not found' });
+    }
+    res.json({ pattern });
+  } catch (err) {
+    console.error('[PATTERNS] Error in GET /:id:', err);
+    res.status(500).json({ error: 'Failed to load rota pattern' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/rota-patterns
+// Body (weekly): {
+//   "name": "Alder standard week", "pattern_type": "weekly",
+//   "slots": [{ "day": "mon", "template_id": 1 }, { "day": "mon", "template_id": 2 }, ...]
+// }
+// Body (rolling): {
+//   "name": "Alder 2-week", "pattern_type": "rolling", "cycle_length_days": 14,
+//   "anchor_date": "2025-12-01", "slots": [{ "day": 0, "template_id": 1 }, ...]
+// }
+// ---------------------------------------------
+router.post('/', async (req, res) => {
+  try {
+    const parsed = parsePatternBody(req.body || {}, false);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const orgId = req.user.organisation_id;
+    const result = await inTransaction((client) => savePattern(client, orgId, parsed.fields));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({ pattern: result.pattern });
+  } catch (err) {
+    console.error('[PATTERNS] Error in POST /api/manager/rota-patterns:', err);
+    res.status(500).json({ error: 'Failed to create rota pattern' });
+  }
+});
+
+// ---------------------------------------------
+// PUT /api/manager/rota-patterns/:id
+// ---------------------------------------------
+router.put('/:id', async (req, res) => {
+  try {
+    const patternId = parseId(req.params.id);
+    if (!patternId) {
+      return res.status(400).json({ error: 'Invalid pattern id' });
+    }
+
+    const parsed = parsePatternBody(req.body || {}, true);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const orgId = req.user.organisation_id;
+    const result = await inTransaction((client) =>
+      savePattern(client, orgId, parsed.fields, patternId)
+    );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ pattern: result.pattern });
+  } catch (err) {
+    console.error('[PATTERNS] Error in PUT /:id:', err);
+    res.status(500).json({ error: 'Failed to update rota pattern' });
+  }
+});
+
+// ---------------------------------------------
+// DELETE /api/manager/rota-patterns/:id
+// ---------------------------------------------
+router.delete('/:id', async (req, res) => {
+  try {
+    const patternId = parseId(req.params.id);
+    if (!patternId) {
+      return res.status(400).json({ error: 'Invalid pattern id' });
+    }
+
+    const deleted = await deletePattern(pool, req.user.organisation_id, patternId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Rota pattern not found' });
+    }
+    res.json({ deleted: true, id: patternId });
+  } catch (err) {
+    console.error('[PATTERNS] Error in DELETE /:id:', err);
+    res.status(500).json({ error: 'Failed to delete rota pattern' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/rota-patterns/:id/generate
+// Body: { "from": "2025-12-01", "to": "2025-12-28", "dry_run": true, "draft": true }
+// Dates already generated for a template are skipped, so this is safe
+// to re-run over an overlapping range. With "draft" the shifts are
+// hidden from staff until the rota is published (POST /api/manager/rota/publish).
+// ---------------------------------------------
+router.post('/:id/generate', async (req, res) => {
+  try {
+    const patternId = parseId(req.params.id);
+    const { from, to } = req.body || {};
+    const dryRun = (req.body || {}).dry_run === true;
+    const draft = (req.body || {}).draft === true;
+
+    if (!patternId) {
+      return res.status(400).json({ error: 'Invalid pattern id' });
+    }
+    if (!DATE_RE.test(from || '') || !DATE_RE.test(to || '')) {
+      return res.status(400).json({ error: 'from and to are required (YYYY-MM-DD)' });
+    }
+
+    const orgId = req.user.organisation_id;
+    const result = await inTransaction(
+      (client) => generateShifts(client, { organisationId: orgId, patternId, from, to, dryRun, draft }),
+      { dryRun }
+    );
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      pattern_id: patternId,
+      from,
+      to,
+      dry_run: dryRun,
+      created_count: result.created.length,
+      skipped_count: result.skipped.length,
+      created: result.created,
+      skipped: result.skipped,
+    });
+  } catch (err) {
+    console.error('[PATTERNS] Error in POST /:id/generate:', err);
+    res.status(500).json({ error: 'Failed to generate shifts' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,194 @@
+'use strict';
+
+// src/routes/rotaRoutes.js
+//
+// Whole-rota auto-fill for a ward and date range (see src/services/rotaOptimiser.js),
+// and reviewing / publishing draft rotas (see src/services/rotaPublishing.js).
+//
+// Endpoints (all under /api/manager/rota, manager/admin only):
+//   GET  /auto-fill   -> proposed rota, nothing written
+//                        ?ward=Alder&from=YYYY-MM-DD&to=YYYY-MM-DD
+//   POST /apply       -> assign a reviewed / edited proposal in one transaction
+//                        { "assignments": [{ "shift_id": 12, "staff_id": 3 }] }
+//   GET  /draft       -> coverage of a ward's draft shifts
+//                        ?ward=Alder&from=YYYY-MM-DD&to=YYYY-MM-DD
+//   POST /publish     -> publish them and send each assigned staff member
+//                        their shifts { "ward": "Alder", "from": "...", "to": "..." }
+//   GET  /publications -> past publications (?ward=Alder)
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const { MAX_RANGE_DAYS, proposeRota, applyRota } = require('../services/rotaOptimiser');
+const {
+  validatePeriod,
+  reviewDraftRota,
+  publishAndNotify,
+  listPublications,
+} = require('../services/rotaPublishing');
+
+router.use(requireManager);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// ---------------------------------------------
+// GET /api/manager/rota/auto-fill?ward=Alder&from=2025-11-17&to=2025-11-23
+// `to` defaults to from + 6 days; ranges are capped at 31 days.
+// ---------------------------------------------
+router.get('/auto-fill', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { ward, from, to } = req.query;
+
+    if (!ward) {
+      return res.status(400).json({ error: 'Query parameter "ward" is required' });
+    }
+    if (!from || !DATE_RE.test(from) || (to && !DATE_RE.test(to))) {
+      return res.status(400).json({ error: 'from (required) / to must be YYYY-MM-DD' });
+    }
+
+    const result = await proposeRota(pool, orgId, { ward, from, to });
+
+    res.json({
+      organisation_id: orgId,
+      max_range_days: MAX_RANGE_DAYS,
+      ...result,
+    });
+  } catch (err) {
+    console.error('[ROTA] Error in GET /auto-fill:', err);
+    res.status(500).json({ error: 'Failed to build proposed rota' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/rota/apply
+// Body: { "assignments": [{ "shift_id": 12, "staff_id": 3 }, ...] }
+// All or nothing: if any assignment is blocked by the rule gate, nothing
+// is written and the blocked ones come back in `failed` (409).
+// ---------------------------------------------
+router.post('/apply', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const orgId = req.user.organisation_id;
+    const list = (req.body || {}).assignments;
+
+    if (!Array.isArray(list) || !list.length) {
+      return res.status(400).json({ error: 'assignments must be a non-empty array' });
+    }
+
+    const assignments = list.map((a) => ({
+      shift_id: parseId(a && a.shift_id),
+      staff_id: parseId(a && a.staff_id),
+    }));
+    if (assignments.some((a) => !a.shift_id || !a.staff_id)) {
+      return res.status(400).json({ error: 'Each assignment needs a valid shift_id and staff_id' });
+    }
+
+    const { applied, failed } = await applyRota(client, orgId, assignments);
+
+    if (failed.length) {
+      return res.status(409).json({
+        success: false,
+        error: 'Some assignments are blocked by the rules; nothing was applied',
+        failed,
+      });
+    }
+
+    res.status(201).json({ success: true, applied_count: applied.length, applied });
+  } catch (err) {
+    console.error('[ROTA] Error in POST /apply:', err);
+    res.status(500).json({ error: 'Failed to apply rota' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * Read ward / from / to from a query or body. `to` defaults to `from`.
+ * Returns { period } or { error }.
+ */
+function parsePeriod(source) {
+  const ward = String(source.ward || '').trim();
+  const { from } = source;
+  const to = source.to || from;
+
+  if (!from || !DATE_RE.test(from) || !DATE_RE.test(to)) {
+    return { error: 'from (required) / to must be YYYY-MM-DD' };
+  }
+  const error = validatePeriod({ ward, from, to });
+  return error ? { error } : { period: { ward, from, to } };
+}
+
+// ---------------------------------------------
+// GET /api/manager/rota/draft?ward=Alder&from=2025-12-01&to=2025-12-28
+// Nothing is published; staff can't see any of it yet.
+// ---------------------------------------------
+router.get('/draft', async (req, res) => {
+  try {
+    const { period, error } = parsePeriod(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const orgId = req.user.organisation_id;
+    const review = await reviewDraftRota(pool, orgId, period);
+    res.json({ organisation_id: orgId, ...review });
+  } catch (err) {
+    console.error('[ROTA] Error in GET /draft:', err);
+    res.status(500).json({ error: 'Failed to load draft rota' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/rota/publish
+// Body: { "ward": "Alder", "from": "2025-12-01", "to": "2025-12-28" }
+// Publishes every draft shift on the ward in the period in one
+// transaction, then sends each assigned staff member their shifts on
+// WhatsApp.
+// ---------------------------------------------
+router.post('/publish', async (req, res) => {
+  try {
+    const { period, error } = parsePeriod(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await publishAndNotify(pool, {
+      organisationId: req.user.organisation_id,
+      userId: req.user.id,
+      ...period,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({ success: true, ...result });
+  } catch (err) {
+    console.error('[ROTA] Error in POST /publish:', err);
+    res.status(500).json({ error: 'Failed to publish rota' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/rota/publications?ward=Alder
+// ---------------------------------------------
+router.get('/publications', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const ward = req.query.ward ? String(req.query.ward).trim() : null;
+    const items = await listPublications(pool, orgId, { ward });
+    res.json({ organisation_id: orgId, total: items.length, items });
+  } catch (err) {
+    console.error('[ROTA] Error in GET /publications:', err);
+    res.status(500).json({ error: 'Failed to list rota publications' });
+  }
+});
+
+module.exports = router;
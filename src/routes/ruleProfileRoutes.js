@@ -0,0 +1,309 @@
+'use strict';
+
+// src/routes/ruleProfileRoutes.js
+//
+// CRUD for Working Time rule profiles (see src/services/ruleProfiles.js).
+//
+// Endpoints (all under /api/manager/rule-profiles, manager/admin only):
+//   GET    /         -> list profiles for the organisation
+//   GET    /:id      -> single profile
+//   POST   /         -> create a profile
+//   PUT    /:id      -> update any subset of fields
+//   DELETE /:id      -> delete a profile
+//
+// Both the rule gate and the assignment engine read these limits.
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const { LIMIT_COLUMNS, DEFAULT_LIMITS } = require('../services/ruleProfiles');
+
+router.use(requireManager);
+
+const PROFILE_COLUMNS = `
+  id,
+  organisation_id,
+  name,
+  ward,
+  staff_type,
+  wtr_opt_out,
+  weekly_hours_soft,
+  weekly_hours_hard,
+  min_rest_hours,
+  max_nights,
+  night_window_days,
+  max_consecutive_days,
+  is_active,
+  created_at,
+  updated_at
+`;
+
+// Limits stored in INTEGER columns (see migrations/2025-11-15-rule-profiles.sql).
+const INTEGER_LIMIT_COLUMNS = new Set(['max_nights', 'night_window_days', 'max_consecutive_days']);
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Validate the numeric limit fields present in a request body.
+ * Returns { values, error }.
+ */
+function readLimitFields(body) {
+  const values = {};
+
+  for (const column of Object.keys(LIMIT_COLUMNS)) {
+    if (body[column] === undefined || body[column] === null || body[column] === '') {
+      continue;
+    }
+    const n = Number(body[column]);
+    if (Number.isNaN(n) || n <= 0) {
+      return { values, error: `Field "${column}" must be a positive number` };
+    }
+    if (INTEGER_LIMIT_COLUMNS.has(column) && !Number.isInteger(n)) {
+      return { values, error: `Field "${column}" must be a whole number` };
+    }
+    values[column] = n;
+  }
+
+  return { values, error: null };
+}
+
+function readOptOut(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
+// ---------------------------------------------
+// GET /api/manager/rule-profiles
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+
+    const { rows } = await pool.query(
+      `
+        SELECT ${PROFILE_COLUMNS}
+        FROM rule_profiles
+        WHERE organisation_id = $1
+        ORDER BY is_active DESC, id ASC
+      `,
+      [orgId]
+    );
+
+    res.json({
+      organisation_id: orgId,
+      defaults: DEFAULT_LIMITS,
+      total: rows.length,
+      items: rows,
+    });
+  } catch (err) {
+    console.error('[RULE PROFILES] Error in GET /:', err);
+    res.status(500).json({ error: 'Failed to list rule profiles' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/rule-profiles/:id
+// ---------------------------------------------
+router.get('/:id', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid rule profile id' });
+    }
+
+    const { rows } = await pool.query(
+      `
+        SELECT ${PROFILE_COLUMNS}
+        FROM rule_profiles
+        WHERE id = $1 AND organisation_id = $2
+      `,
+      [id, orgId]
+    );
+
+    if (!rows.length) {
+      return res.status(404).json({ error: 'Rule profile not found' });
+    }
+
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('[RULE PROFILES] Error in GET /:id:', err);
+    res.status(500).json({ error: 'Failed to load rule profile' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/rule-profiles
+// Body example:
+//   {
+//     "name": "WTR opt-out (72h)",
+//     "wtr_opt_out": true,
+//     "weekly_hours_soft": 60,
+//     "weekly_hours_hard": 72
+//   }
+// Any limit left out uses the default.
+// ---------------------------------------------
+router.post('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const body = req.body || {};
+
+    if (!body.name) {
+      return res.status(400).json({ error: 'Missing required field: name' });
+    }
+
+    const { values, error } = readLimitFields(body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const soft = values.weekly_hours_soft ?? DEFAULT_LIMITS.weeklyHoursSoft;
+    const hard = values.weekly_hours_hard ?? DEFAULT_LIMITS.weeklyHoursHard;
+    if (soft > hard) {
+      return res
+        .status(400)
+        .json({ error: 'weekly_hours_soft cannot be greater than weekly_hours_hard' });
+    }
+
+    const { rows } = await pool.query(
+      `
+        INSERT INTO rule_profiles (
+          organisation_id,
+          name,
+          ward,
+          staff_type,
+          wtr_opt_out,
+          weekly_hours_soft,
+          weekly_hours_hard,
+          min_rest_hours,
+          max_nights,
+          night_window_days,
+          max_consecutive_days,
+          is_active
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12, TRUE))
+        RETURNING ${PROFILE_COLUMNS}
+      `,
+      [
+        orgId,
+        body.name,
+        body.ward || null,
+        body.staff_type || null,
+        readOptOut(body.wtr_opt_out) ?? null,
+        soft,
+        hard,
+        values.min_rest_hours ?? DEFAULT_LIMITS.minRestHours,
+        values.max_nights ?? DEFAULT_LIMITS.maxNights,
+        values.night_window_days ?? DEFAULT_LIMITS.nightWindowDays,
+        values.max_consecutive_days ?? DEFAULT_LIMITS.maxConsecutiveDays,
+        typeof body.is_active === 'boolean' ? body.is_active : null,
+      ]
+    );
+
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    console.error('[RULE PROFILES] Error in POST /:', err);
+    res.status(500).json({ error: 'Failed to create rule profile' });
+  }
+});
+
+// ---------------------------------------------
+// PUT /api/manager/rule-profiles/:id
+// Send any subset of fields. Send ward / staff_type / wtr_opt_out as null
+// to widen the profile back to "everyone".
+// ---------------------------------------------
+router.put('/:id', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid rule profile id' });
+    }
+
+    const body = req.body || {};
+    const { values, error } = readLimitFields(body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const sets = [];
+    const params = [id, orgId];
+    const set = (column, value) => {
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    };
+
+    if (body.name) set('name', body.name);
+    if (body.ward !== undefined) set('ward', body.ward || null);
+    if (body.staff_type !== undefined) set('staff_type', body.staff_type || null);
+    if (body.wtr_opt_out !== undefined) set('wtr_opt_out', readOptOut(body.wtr_opt_out));
+    if (typeof body.is_active === 'boolean') set('is_active', body.is_active);
+    for (const [column, value] of Object.entries(values)) {
+      set(column, value);
+    }
+
+    if (!sets.length) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const { rows } = await pool.query(
+      `
+        UPDATE rule_profiles
+        SET ${sets.join(', ')}, updated_at = NOW()
+        WHERE id = $1 AND organisation_id = $2
+        RETURNING ${PROFILE_COLUMNS}
+      `,
+      params
+    );
+
+    if (!rows.length) {
+      return res.status(404).json({ error: 'Rule profile not found' });
+    }
+
+    res.json(rows[0]);
+  } catch (err) {
+    // 23514 = check_violation (weekly_hours_soft > weekly_hours_hard)
+    if (err && err.code === '23514') {
+      return res
+        .status(400)
+        .json({ error: 'weekly_hours_soft cannot be greater than weekly_hours_hard' });
+    }
+    console.error('[RULE PROFILES] Error in PUT /:id:', err);
+    res.status(500).json({ error: 'Failed to update rule profile' });
+  }
+});
+
+// ---------------------------------------------
+// DELETE /api/manager/rule-profiles/:id
+// ---------------------------------------------
+router.delete('/:id', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid rule profile id' });
+    }
+
+    const { rowCount } = await pool.query(
+      'DELETE FROM rule_profiles WHERE id = $1 AND organisation_id = $2',
+      [id, orgId]
+    );
+
+    if (rowCount === 0) {
+      return res.status(404).json({ error: 'Rule profile not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('[RULE PROFILES] Error in DELETE /:id:', err);
+    res.status(500).json({ error: 'Failed to delete rule profile' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+'use strict';
+
+// src/routes/scoringRoutes.js
+//
+// Per-organisation weights for the staff scoring factors used by
+// recommendations and offer broadcasting (see src/services/scoringFactors.js).
+//
+// Endpoints (all under /api/manager/scoring, manager/admin only):
+//   GET /weights   -> every factor with its default and current weight
+//   PUT /weights   -> set weights   { "weights": { "home_ward": 2, "wellbeing": 0 } }
+//                     (null resets a factor to its default)
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const {
+  FACTORS,
+  FACTOR_KEYS,
+  MAX_WEIGHT,
+  loadScoringWeights,
+} = require('../services/scoringFactors');
+
+router.use(requireManager);
+
+async function listFactors(orgId) {
+  const weights = await loadScoringWeights(pool, orgId);
+
+  return FACTORS.map((f) => ({
+    key: f.key,
+    label: f.label,
+    default_weight: f.defaultWeight,
+    weight: weights[f.key],
+  }));
+}
+
+// ---------------------------------------------
+// GET /api/manager/scoring/weights
+// ---------------------------------------------
+router.get('/weights', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const items = await listFactors(orgId);
+
+    res.json({ organisation_id: orgId, max_weight: MAX_WEIGHT, items });
+  } catch (err) {
+    console.error('[SCORING] Error in GET /weights:', err);
+    res.status(500).json({ error: 'Failed to load scoring weights' });
+  }
+});
+
+// ---------------------------------------------
+// PUT /api/manager/scoring/weights
+// Body: { "weights": { "home_ward": 2, "recent_workload": 1.5, "wellbeing": 0 } }
+// Factors not mentioned are left unchanged.
+// ---------------------------------------------
+router.put('/weights', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const orgId = req.user.organisation_id;
+    const weights = (req.body || {}).weights;
+
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      return res.status(400).json({ error: 'weights must be an object of factor -> weight' });
+    }
+
+    const unknown = Object.keys(weights).filter((k) => !FACTOR_KEYS.includes(k));
+    if (unknown.length) {
+      return res.status(400).json({
+        error: `Unknown factors: ${unknown.join(', ')}. Valid factors: ${FACTOR_KEYS.join(', ')}`,
+      });
+    }
+
+    for (const [factor, raw] of Object.entries(weights)) {
+      if (raw === null) continue;
+      const n = Number(raw);
+      if (!Number.isFinite(n) || n < 0 || n > MAX_WEIGHT) {
+        return res.status(400).json({
+          error: `Weight for "${factor}" must be a number between 0 and ${MAX_WEIGHT}`,
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+    for (const [factor, raw] of Object.entries(weights)) {
+      if (raw === null) {
+        await client.query(
+          'DELETE FROM scoring_factor_weights WHERE organisation_id = $1 AND factor = $2',
+          [orgId, factor]
+        );
+      } else {
+        await client.query(
+          `
+            INSERT INTO scoring_factor_weights (organisation_id, factor, weight)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (organisation_id, factor)
+            DO UPDATE SET weight = EXCLUDED.weight, updated_at = NOW()
+          `,
+          [orgId, factor, Number(raw)]
+        );
+      }
+    }
+    await client.query('COMMIT');
+
+    const items = await listFactors(orgId);
+    res.json({ success: true, organisation_id: orgId, items });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[SCORING] Error in PUT /weights:', err);
+    res.status(500).json({ error: 'Failed to update scoring weights' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
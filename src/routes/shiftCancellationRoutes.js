@@ -0,0 +1,108 @@
+'use strict';
+
+// src/routes/shiftCancellationRoutes.js
+//
+// Cancelled shifts for reporting and payroll (see
+// src/services/shiftCancellation.js). Shifts are cancelled with
+// POST /api/shifts/:id/cancel.
+//
+// Endpoints (all under /api/manager/cancellations, manager/admin only):
+//   GET  /           -> cancelled shifts with the staff affected
+//                       (?from=&to=&ward=&late_only=true)
+//   GET  /late-hours?from=&to= -> late-cancelled booked hours per staff (payroll)
+//   GET  /settings   -> { late_cancellation_hours }
+//   PUT  /settings   -> set it
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const {
+  MAX_LATE_CANCELLATION_HOURS,
+  getCancellationSettings,
+  setCancellationSettings,
+  listCancellations,
+  summariseLateCancellations,
+} = require('../services/shiftCancellation');
+
+router.use(requireManager);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ---------------------------------------------
+// GET /api/manager/cancellations?from=2025-12-01&to=2025-12-31&late_only=true
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { from, to, ward } = req.query;
+
+    if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+      return res.status(400).json({ error: 'from / to must be YYYY-MM-DD' });
+    }
+
+    const items = await listCancellations(pool, orgId, {
+      from,
+      to,
+      ward: ward ? String(ward).trim() : null,
+      lateOnly: String(req.query.late_only || '').toLowerCase() === 'true',
+    });
+    res.json({ organisation_id: orgId, total: items.length, items });
+  } catch (err) {
+    console.error('[CANCEL] Error in GET /api/manager/cancellations:', err);
+    res.status(500).json({ error: 'Failed to list cancelled shifts' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/cancellations/late-hours?from=2025-12-01&to=2025-12-31
+// ---------------------------------------------
+router.get('/late-hours', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!DATE_RE.test(from || '') || !DATE_RE.test(to || '') || to < from) {
+      return res.status(400).json({ error: 'from and to (YYYY-MM-DD, from <= to) are required' });
+    }
+
+    const items = await summariseLateCancellations(pool, req.user.organisation_id, { from, to });
+    res.json({ from, to, items });
+  } catch (err) {
+    console.error('[CANCEL] Error in GET /late-hours:', err);
+    res.status(500).json({ error: 'Failed to summarise late cancellations' });
+  }
+});
+
+// ---------------------------------------------
+// GET|PUT /api/manager/cancellations/settings
+// Body: { "late_cancellation_hours": 24 }
+// ---------------------------------------------
+router.get('/settings', async (req, res) => {
+  try {
+    res.json(await getCancellationSettings(pool, req.user.organisation_id));
+  } catch (err) {
+    console.error('[CANCEL] Error in GET /settings:', err);
+    res.status(500).json({ error: 'Failed to load cancellation settings' });
+  }
+});
+
+router.put('/settings', async (req, res) => {
+  try {
+    const hours = Number((req.body || {}).late_cancellation_hours);
+    if (!Number.isInteger(hours) || hours < 0 || hours > MAX_LATE_CANCELLATION_HOURS) {
+      return res.status(400).json({
+        error: `late_cancellation_hours must be between 0 and ${MAX_LATE_CANCELLATION_HOURS}`,
+      });
+    }
+
+    const settings = await setCancellationSettings(pool, req.user.organisation_id, {
+      late_cancellation_hours: hours,
+    });
+    res.json(settings);
+  } catch (err) {
+    console.error('[CANCEL] Error in PUT /settings:', err);
+    res.status(500).json({ error: 'Failed to save cancellation settings' });
+  }
+});
+
+module.exports = router;
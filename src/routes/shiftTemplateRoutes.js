@@ -0,0 +1,225 @@
+'use strict';
+
+// src/routes/shiftTemplateRoutes.js
+//
+// A ward's standard shifts, used by rota patterns to generate shifts
+// (see src/services/shiftTemplates.js).
+//
+// Endpoints (all under /api/manager/shift-templates, manager/admin only):
+//   GET    /        -> templates (?ward=Alder&active=true)
+//   GET    /:id     -> one template with its skill mix
+//   POST   /        -> create a template
+//   PUT    /:id     -> update a template (omitted fields unchanged)
+//   DELETE /:id     -> delete a template (generated shifts are kept)
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const {
+  loadTemplate,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate,
+} = require('../services/shiftTemplates');
+
+router.use(requireManager);
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Validate a template body. With `partial` (PUT) omitted fields are fine.
+ * Returns { fields } or { error }.
+ */
+function parseTemplateBody(body, partial) {
+  const fields = {};
+
+  for (const key of ['ward', 'name']) {
+    if (body[key] != null) {
+      fields[key] = String(body[key]).trim();
+    }
+    if (!partial && !fields[key]) {
+      return { error: `${key} is required` };
+    }
+  }
+
+  for (const key of ['start_time', 'end_time']) {
+    if (body[key] != null && !TIME_RE.test(body[key])) {
+      return { error: `${key} must be HH:MM` };
+    }
+    if (!partial && !body[key]) {
+      return { error: `${key} is required` };
+    }
+    fields[key] = body[key] || null;
+  }
+
+  fields.role_required = body.role_required != null ? String(body.role_required).trim() : null;
+
+  for (const key of ['number_required', 'gender_min_male', 'gender_min_female']) {
+    if (body[key] == null || body[key] === '') continue;
+    const n = Number(body[key]);
+    const min = key === 'number_required' ? 1 : 0;
+    if (!Number.isInteger(n) || n < min) {
+      return { error: `${key} must be a whole number (${min} or more)` };
+    }
+    fields[key] = n;
+  }
+  if ((fields.gender_min_male || 0) + (fields.gender_min_female || 0) > (fields.number_required || 1)) {
+    return { error: 'gender_min_male + gender_min_female cannot exceed number_required' };
+  }
+
+  if (body.gender_required != null) {
+    fields.gender_required = String(body.gender_required).trim().toLowerCase();
+  }
+
+  if (body.is_active != null && typeof body.is_active !== 'boolean') {
+    return { error: 'is_active must be true or false' };
+  }
+  fields.is_active = body.is_active;
+
+  if (body.requirements !== undefined && !Array.isArray(body.requirements)) {
+    return { error: 'requirements must be an array' };
+  }
+  fields.requirements = body.requirements;
+
+  return { fields };
+}
+
+/**
+ * saveTemplate inside a transaction, so the skill mix is replaced
+ * together with the template.
+ */
+async function saveTemplateTx(organisationId, fields, templateId = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await saveTemplate(client, organisationId, fields, templateId);
+    await client.query(result.error ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ---------------------------------------------
+// GET /api/manager/shift-templates?ward=Alder&active=true
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const items = await listTemplates(pool, orgId, {
+      ward: req.query.ward ? String(req.query.ward).trim() : null,
+      activeOnly: String(req.query.active || '').toLowerCase() === 'true',
+    });
+    res.json({ organisation_id: orgId, total: items.length, items });
+  } catch (err) {
+    console.error('[TEMPLATES] Error in GET /api/manager/shift-templates:', err);
+    res.status(500).json({ error: 'Failed to list shift templates' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/shift-templates/:id
+// ---------------------------------------------
+router.get('/:id', async (req, res) => {
+  try {
+    const templateId = parseId(req.params.id);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    const template = await loadTemplate(pool, req.user.organisation_id, templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Shift template not found' });
+    }
+    res.json({ template });
+  } catch (err) {
+    console.error('[TEMPLATES] Error in GET /:id:', err);
+    res.status(500).json({ error: 'Failed to load shift template' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/shift-templates
+// Body: {
+//   "ward": "Alder", "name": "Day", "start_time": "07:30", "end_time": "20:00",
+//   "role_required": "HCA", "number_required": 4, "gender_required": "both",
+//   "gender_min_female": 1, "requirements": [{ "skill": "RN", "min_count": 1 }]
+// }
+// ---------------------------------------------
+router.post('/', async (req, res) => {
+  try {
+    const parsed = parseTemplateBody(req.body || {}, false);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const result = await saveTemplateTx(req.user.organisation_id, parsed.fields);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json({ template: result.template });
+  } catch (err) {
+    console.error('[TEMPLATES] Error in POST /api/manager/shift-templates:', err);
+    res.status(500).json({ error: 'Failed to create shift template' });
+  }
+});
+
+// ---------------------------------------------
+// PUT /api/manager/shift-templates/:id
+// Same body as POST; "requirements" (if given) replaces the skill mix.
+// ---------------------------------------------
+router.put('/:id', async (req, res) => {
+  try {
+    const templateId = parseId(req.params.id);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    const parsed = parseTemplateBody(req.body || {}, true);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const result = await saveTemplateTx(req.user.organisation_id, parsed.fields, templateId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ template: result.template });
+  } catch (err) {
+    console.error('[TEMPLATES] Error in PUT /:id:', err);
+    res.status(500).json({ error: 'Failed to update shift template' });
+  }
+});
+
+// ---------------------------------------------
+// DELETE /api/manager/shift-templates/:id
+// ---------------------------------------------
+router.delete('/:id', async (req, res) => {
+  try {
+    const templateId = parseId(req.params.id);
+    if (!templateId) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    const deleted = await deleteTemplate(pool, req.user.organisation_id, templateId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Shift template not found' });
+    }
+    res.json({ deleted: true, id: templateId });
+  } catch (err) {
+    console.error('[TEMPLATES] Error in DELETE /:id:', err);
+    res.status(500).json({ error: 'Failed to delete shift template' });
+  }
+});
+
+module.exports = router;
@@ -5,65 +5,38 @@
 // Endpoints (all under /api/shifts):
 //   GET    /         -> list shifts (with optional filters)
 //   GET    /:id      -> get single shift by id
+//   GET    /:id/history -> status changes of a shift (manager only)
 //   POST   /         -> create a new shift (manager only)
+//   POST   /bulk     -> create / update / delete / cancel many shifts (manager only)
 //   PUT    /:id      -> update an existing shift (manager only)
-//   DELETE /:id      -> delete a shift (manager only)
+//   POST   /:id/cancel -> cancel a shift and tell its staff (manager only)
+//   DELETE /:id      -> delete a shift nobody is booked or offered (manager only)
 //
 // All routes are protected by the global auth middleware in index.js,
 // which attaches req.user with { id, email, role, organisation_id }.
 
 const express = require('express');
 const { pool } = require('../utils/db_postgres');
+const requireManager = require('../middleware/requireManager');
+const { MANAGER_ROLES } = require('../middleware/requireManager');
+const { loadShiftRequirements } = require('../services/skillMatching');
+const { createShift, updateShift, deleteShift } = require('../services/shiftRecords');
+const { STATUSES, parseStatus, listStatusHistory } = require('../services/shiftStatus');
+const { applyBulkOperations } = require('../services/shiftBulk');
+const { cancelAndNotify } = require('../services/shiftCancellation');
 
 const router = express.Router();
 
-/**
- * Only allow manager-like roles to modify shifts.
- * We will still allow any authenticated user to READ shifts.
- */
-function requireManager(req, res, next) {
-  const user = req.user;
-  if (!user) {
-    return res.status(401).json({ error: 'Unauthorised' });
-  }
-  if (!['admin', 'manager', 'super_admin'].includes(user.role)) {
-    return res
-      .status(403)
-      .json({ error: 'Forbidden: manager or admin access only' });
-  }
-  next();
-}
-
-/**
- * Helper to generate a human-readable shift reference if not supplied.
- * For example: "ALDER-20251114-0800"
- */
-function generateShiftRef(ward, date) {
-  const safeWard = (ward || 'SHIFT')
-    .toUpperCase()
-    .replace(/[^A-Z0-9]+/g, '-') // replace spaces/symbols with dashes
-    .replace(/-+/g, '-') // collapse multiple dashes
-    .replace(/^-|-$/g, '') // trim leading/trailing dashes
-    .slice(0, 10); // keep it short
-
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  const d = String(date.getDate()).padStart(2, '0');
-  const hh = String(date.getHours()).padStart(2, '0');
-  const mm = String(date.getMinutes()).padStart(2, '0');
-
-  return `${safeWard || 'SHIFT'}-${y}${m}${d}-${hh}${mm}`;
-}
-
 /**
  * GET /api/shifts
  *
  * List shifts for the logged-in user's organisation.
  * Optional query parameters:
- *   ?status=Open
+ *   ?status=open                (any state, e.g. draft / partially_filled)
  *   ?ward=Alder
  *   ?from=2025-11-01
  *   ?to=2025-11-30
+ * Draft shifts are only listed for managers.
  */
 router.get('/', async (req, res) => {
   try {
@@ -78,8 +51,16 @@ router.get('/', async (req, res) => {
     const params = [orgId];
     let where = 'WHERE organisation_id = $1';
 
+    if (!MANAGER_ROLES.includes(user.role)) {
+      where += " AND status <> 'draft'";
+    }
+
     if (status) {
-      params.push(status);
+      const wanted = parseStatus(status);
+      if (!wanted) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+      params.push(wanted);
       where += ` AND status = $${params.length}`;
     }
 
@@ -116,6 +97,8 @@ router.get('/', async (req, res) => {
         start_time,
         end_time,
         gender_required,
+        gender_min_male,
+        gender_min_female,
         number_required,
         number_filled
       FROM shifts
@@ -141,6 +124,7 @@ router.get('/', async (req, res) => {
  * GET /api/shifts/:id
  *
  * Get a single shift by id for the logged-in user's organisation.
+ * Staff get a 404 for draft shifts.
  */
 router.get('/:id', async (req, res) => {
   try {
@@ -167,27 +151,63 @@ router.get('/:id', async (req, res) => {
         start_time,
         end_time,
         gender_required,
+        gender_min_male,
+        gender_min_female,
         number_required,
         number_filled,
-        organisation_id
+        organisation_id,
+        cancelled_at,
+        cancellation_reason
       FROM shifts
       WHERE id = $1 AND organisation_id = $2
+        AND ($3 OR status <> 'draft')
       LIMIT 1
     `,
-      [shiftId, orgId]
+      [shiftId, orgId, MANAGER_ROLES.includes(user.role)]
     );
 
     if (!rows.length) {
       return res.status(404).json({ error: 'Shift not found' });
     }
 
-    return res.json(rows[0]);
+    const requirements = await loadShiftRequirements(pool, rows[0]);
+
+    return res.json({ ...rows[0], requirements });
   } catch (err) {
     console.error('Error in GET /api/shifts/:id:', err);
     return res.status(500).json({ error: 'Failed to load shift' });
   }
 });
 
+/**
+ * GET /api/shifts/:id/history
+ *
+ * Every status change of a shift, oldest first (manager/admin only).
+ */
+router.get('/:id/history', requireManager, async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const shiftId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(shiftId) || shiftId <= 0) {
+      return res.status(400).json({ error: 'Invalid shift id' });
+    }
+
+    const { rows } = await pool.query(
+      'SELECT id, status FROM shifts WHERE id = $1 AND organisation_id = $2',
+      [shiftId, orgId]
+    );
+    if (!rows.length) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    const history = await listStatusHistory(pool, orgId, shiftId);
+    return res.json({ shift_id: shiftId, status: rows[0].status, history });
+  } catch (err) {
+    console.error('Error in GET /api/shifts/:id/history:', err);
+    return res.status(500).json({ error: 'Failed to load shift history' });
+  }
+});
+
 /**
  * POST /api/shifts
  *
@@ -196,106 +216,76 @@ router.get('/:id', async (req, res) => {
  *   {
  *     "ward": "Alder",
  *     "role_required": "Support Worker",
- *     "status": "Open",              // optional, defaults to 'Open'
+ *     "status": "open",              // optional: "draft" or "open" (default)
  *     "shift_date": "2025-11-15T08:00:00.000Z",
  *     "start_time": "08:00",         // optional
  *     "end_time": "20:00",           // optional
- *     "gender_required": "both",     // optional
- *     "number_required": 2           // optional (default 1)
+ *     "gender_required": "both",     // optional: "male" / "female" / "both"
+ *     "gender_min_male": 0,          // optional: mixed counts, e.g. 1 female + 1 any
+ *     "gender_min_female": 1,        // optional
+ *     "number_required": 2,          // optional (default 1)
+ *     "requirements": [              // optional role / skill mix
+ *       { "skill": "RN", "min_count": 1 },
+ *       { "skill": "HCA", "min_count": 1 }
+ *     ]
  *   }
  */
 router.post('/', requireManager, async (req, res) => {
   try {
-    const user = req.user;
-    const orgId = user.organisation_id;
-
-    const {
-      ward,
-      role_required,
-      status,
-      shift_date,
-      start_time,
-      end_time,
-      gender_required,
-      number_required,
-      shift_ref,
-    } = req.body || {};
-
-    if (!ward || !shift_date) {
-      return res.status(400).json({
-        error: 'Missing required fields: ward and shift_date are required',
-      });
-    }
-
-    const dateObj = new Date(shift_date);
-    if (isNaN(dateObj.getTime())) {
-      return res
-        .status(400)
-        .json({ error: 'Invalid shift_date. Use a valid date/time.' });
+    const result = await createShift(pool, req.user.organisation_id, req.body || {}, {
+      userId: req.user.id,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    const finalShiftRef = shift_ref || generateShiftRef(ward, dateObj);
+    return res.status(201).json(result.shift);
+  } catch (err) {
+    console.error('Error in POST /api/shifts:', err);
+    return res.status(500).json({ error: 'Failed to create shift' });
+  }
+});
 
-    const numRequired = Number(number_required);
-    const numRequiredValue = Number.isNaN(numRequired) ? null : numRequired;
+/**
+ * POST /api/shifts/bulk
+ *
+ * Apply many shift operations in one call (manager/admin only).
+ * See src/services/shiftBulk.js for the operation format.
+ *   {
+ *     "mode": "atomic",              // or "best_effort"
+ *     "operations": [
+ *       { "op": "create", "ref": "row-1", "data": { "ward": "Alder", "shift_date": "..." },
+ *         "assign_staff_ids": [12] },
+ *       { "op": "update", "id": 42, "data": { "end_time": "20:00" } },
+ *       { "op": "cancel", "id": 43, "reason": "Ward closed" },
+ *       { "op": "delete", "id": 44 }
+ *     ]
+ *   }
+ *
+ * Responds 200 when every operation succeeded, 207 when best_effort
+ * committed only some of them, and 422 when nothing was committed.
+ */
+router.post('/bulk', requireManager, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await applyBulkOperations(pool, {
+      organisationId: req.user.organisation_id,
+      userId: req.user.id,
+      operations: body.operations,
+      mode: body.mode || 'atomic',
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
-    const insertSql = `
-      INSERT INTO shifts (
-        shift_ref,
-        ward,
-        role_required,
-        status,
-        shift_date,
-        start_time,
-        end_time,
-        gender_required,
-        number_required,
-        number_filled,
-        organisation_id
-      )
-      VALUES (
-        $1, $2, $3, COALESCE($4, 'Open'),
-        $5, $6, $7,
-        COALESCE($8, 'both'),
-        COALESCE($9, 1),
-        0,
-        $10
-      )
-      RETURNING
-        id,
-        shift_ref,
-        ward,
-        role_required,
-        status,
-        shift_date,
-        start_time,
-        end_time,
-        gender_required,
-        number_required,
-        number_filled,
-        organisation_id
-    `;
+    let status = 200;
+    if (!result.committed || !result.succeeded) status = 422;
+    else if (result.failed) status = 207;
 
-    const params = [
-      finalShiftRef,
-      ward,
-      role_required || null,
-      status || null,
-      dateObj.toISOString(),
-      start_time || null,
-      end_time || null,
-      gender_required || null,
-      numRequiredValue,
-      orgId,
-    ];
-
-    const { rows } = await pool.query(insertSql, params);
-    const created = rows[0];
-
-    return res.status(201).json(created);
+    return res.status(status).json(result);
   } catch (err) {
-    console.error('Error in POST /api/shifts:', err);
-    return res.status(500).json({ error: 'Failed to create shift' });
+    console.error('Error in POST /api/shifts/bulk:', err);
+    return res.status(500).json({ error: 'Failed to apply bulk shift operations' });
   }
 });
 
@@ -304,125 +294,84 @@ router.post('/', requireManager, async (req, res) => {
  *
  * Update an existing shift (manager/admin only).
  * You can send any subset of fields; missing ones will stay unchanged.
+ * "status" only takes "draft" or "published"; open / partially_filled /
+ * filled / in_progress / completed follow assignments and shift times.
  */
 router.put('/:id', requireManager, async (req, res) => {
   try {
-    const user = req.user;
-    const orgId = user.organisation_id;
     const shiftId = parseInt(req.params.id, 10);
 
     if (!Number.isInteger(shiftId) || shiftId <= 0) {
       return res.status(400).json({ error: 'Invalid shift id' });
     }
 
-    const {
-      ward,
-      role_required,
-      status,
-      shift_date,
-      start_time,
-      end_time,
-      gender_required,
-      number_required,
-      number_filled,
-    } = req.body || {};
-
-    let shiftDateIso = null;
-    if (shift_date) {
-      const d = new Date(shift_date);
-      if (isNaN(d.getTime())) {
-        return res
-          .status(400)
-          .json({ error: 'Invalid shift_date. Use a valid date/time.' });
-      }
-      shiftDateIso = d.toISOString();
+    const result = await updateShift(pool, req.user.organisation_id, shiftId, req.body || {}, {
+      userId: req.user.id,
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    const numRequired = Number(number_required);
-    const numRequiredValue = Number.isNaN(numRequired) ? null : numRequired;
-
-    const numFilled = Number(number_filled);
-    const numFilledValue = Number.isNaN(numFilled) ? null : numFilled;
-
-    const updateSql = `
-      UPDATE shifts
-      SET
-        ward = COALESCE($3, ward),
-        role_required = COALESCE($4, role_required),
-        status = COALESCE($5, status),
-        shift_date = COALESCE($6, shift_date),
-        start_time = COALESCE($7, start_time),
-        end_time = COALESCE($8, end_time),
-        gender_required = COALESCE($9, gender_required),
-        number_required = COALESCE($10, number_required),
-        number_filled = COALESCE($11, number_filled)
-      WHERE id = $1 AND organisation_id = $2
-      RETURNING
-        id,
-        shift_ref,
-        ward,
-        role_required,
-        status,
-        shift_date,
-        start_time,
-        end_time,
-        gender_required,
-        number_required,
-        number_filled,
-        organisation_id
-    `;
+    return res.json(result.shift);
+  } catch (err) {
+    console.error('Error in PUT /api/shifts/:id:', err);
+    return res.status(500).json({ error: 'Failed to update shift' });
+  }
+});
 
-    const params = [
-      shiftId,
-      orgId,
-      ward || null,
-      role_required || null,
-      status || null,
-      shiftDateIso,
-      start_time || null,
-      end_time || null,
-      gender_required || null,
-      numRequiredValue,
-      numFilledValue,
-    ];
-
-    const { rows } = await pool.query(updateSql, params);
+/**
+ * POST /api/shifts/:id/cancel
+ *
+ * Cancel a shift (manager/admin only). Body: { "reason": "Ward closed" }
+ * The shift is kept with status 'cancelled'; assigned staff are released
+ * and, with anyone holding an open offer, told on WhatsApp.
+ */
+router.post('/:id/cancel', requireManager, async (req, res) => {
+  try {
+    const shiftId = parseInt(req.params.id, 10);
+    const reason = String((req.body || {}).reason || '').trim();
 
-    if (!rows.length) {
-      return res.status(404).json({ error: 'Shift not found' });
+    if (!Number.isInteger(shiftId) || shiftId <= 0) {
+      return res.status(400).json({ error: 'Invalid shift id' });
+    }
+    if (!reason) {
+      return res.status(400).json({ error: 'Body field "reason" is required' });
+    }
+
+    const result = await cancelAndNotify(pool, {
+      organisationId: req.user.organisation_id,
+      shiftId,
+      userId: req.user.id,
+      reason: reason.slice(0, 500),
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    return res.json(rows[0]);
+    return res.json(result);
   } catch (err) {
-    console.error('Error in PUT /api/shifts/:id:', err);
-    return res.status(500).json({ error: 'Failed to update shift' });
+    console.error('Error in POST /api/shifts/:id/cancel:', err);
+    return res.status(500).json({ error: 'Failed to cancel shift' });
   }
 });
 
 /**
  * DELETE /api/shifts/:id
  *
- * Delete a shift (manager/admin only).
- * NOTE: In a real system we might "soft delete" or mark as cancelled,
- * but for now we perform a hard delete.
+ * Delete a shift (manager/admin only). Shifts with staff booked or
+ * offered, and cancelled shifts, are refused with 409: cancel instead.
  */
 router.delete('/:id', requireManager, async (req, res) => {
   try {
-    const user = req.user;
-    const orgId = user.organisation_id;
     const shiftId = parseInt(req.params.id, 10);
 
     if (!Number.isInteger(shiftId) || shiftId <= 0) {
       return res.status(400).json({ error: 'Invalid shift id' });
     }
 
-    const { rowCount } = await pool.query(
-      'DELETE FROM shifts WHERE id = $1 AND organisation_id = $2',
-      [shiftId, orgId]
-    );
-
-    if (rowCount === 0) {
-      return res.status(404).json({ error: 'Shift not found' });
+    const result = await deleteShift(pool, req.user.organisation_id, shiftId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
     return res.json({ success: true });
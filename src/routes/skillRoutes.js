@@ -0,0 +1,288 @@
+'use strict';
+
+// src/routes/skillRoutes.js
+//
+// Structured roles / skills, what each staff member holds, and the skill
+// mix each shift requires (see src/services/skillMatching.js).
+//
+// Endpoints (all under /api/manager/skills, manager/admin only):
+//   GET    /                  -> list roles and skills
+//   POST   /                  -> create a role or skill
+//   DELETE /:id               -> delete a role or skill
+//   GET    /staff/:staffId    -> roles / skills a staff member holds
+//   PUT    /staff/:staffId    -> replace them   { "skills": ["RN", "MED"] }
+//   GET    /shift/:shiftId    -> a shift's requirements
+//   PUT    /shift/:shiftId    -> replace them   { "requirements": [{ "skill": "RN", "min_count": 1 }] }
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const {
+  loadSkills,
+  resolveSkills,
+  loadShiftRequirements,
+  replaceShiftRequirements,
+} = require('../services/skillMatching');
+
+router.use(requireManager);
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// ---------------------------------------------
+// GET /api/manager/skills
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const items = await loadSkills(pool, orgId);
+
+    res.json({ organisation_id: orgId, total: items.length, items });
+  } catch (err) {
+    console.error('[SKILLS] Error in GET /:', err);
+    res.status(500).json({ error: 'Failed to list skills' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/skills
+// Body: { "code": "PMVA", "name": "PMVA trained", "kind": "skill" }
+// ---------------------------------------------
+router.post('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { code, name } = req.body || {};
+    const kind = (req.body && req.body.kind) || 'skill';
+
+    if (!code || !name) {
+      return res.status(400).json({ error: 'Missing required fields: code and name' });
+    }
+    if (!['role', 'skill'].includes(kind)) {
+      return res.status(400).json({ error: 'kind must be "role" or "skill"' });
+    }
+
+    const { rows } = await pool.query(
+      `
+        INSERT INTO skills (organisation_id, code, name, kind)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, organisation_id, code, name, kind, created_at
+      `,
+      [orgId, String(code).trim().toUpperCase(), String(name).trim(), kind]
+    );
+
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    if (err && err.code === '23505') {
+      return res.status(409).json({ error: 'A role or skill with this code already exists' });
+    }
+    console.error('[SKILLS] Error in POST /:', err);
+    res.status(500).json({ error: 'Failed to create skill' });
+  }
+});
+
+// ---------------------------------------------
+// DELETE /api/manager/skills/:id
+// Also removes it from staff and shift requirements.
+// ---------------------------------------------
+router.delete('/:id', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid skill id' });
+    }
+
+    const { rowCount } = await pool.query(
+      'DELETE FROM skills WHERE id = $1 AND organisation_id = $2',
+      [id, orgId]
+    );
+
+    if (rowCount === 0) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('[SKILLS] Error in DELETE /:id:', err);
+    res.status(500).json({ error: 'Failed to delete skill' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/skills/staff/:staffId
+// ---------------------------------------------
+router.get('/staff/:staffId', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const staffId = parseId(req.params.staffId);
+    if (!staffId) {
+      return res.status(400).json({ error: 'Invalid staff id' });
+    }
+
+    const { rows: staffRows } = await pool.query(
+      'SELECT id, name FROM staff WHERE id = $1 AND organisation_id = $2',
+      [staffId, orgId]
+    );
+    if (!staffRows.length) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    const { rows } = await pool.query(
+      `
+        SELECT sk.id, sk.code, sk.name, sk.kind
+        FROM staff_skills ss
+        JOIN skills sk ON sk.id = ss.skill_id
+        WHERE ss.staff_id = $1
+        ORDER BY sk.kind ASC, sk.name ASC
+      `,
+      [staffId]
+    );
+
+    res.json({ staff: staffRows[0], skills: rows });
+  } catch (err) {
+    console.error('[SKILLS] Error in GET /staff/:staffId:', err);
+    res.status(500).json({ error: 'Failed to load staff skills' });
+  }
+});
+
+// ---------------------------------------------
+// PUT /api/manager/skills/staff/:staffId
+// Body: { "skills": ["RN", "MED", 7] }   (codes or ids)
+// ---------------------------------------------
+router.put('/staff/:staffId', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const orgId = req.user.organisation_id;
+    const staffId = parseId(req.params.staffId);
+    const refs = (req.body || {}).skills;
+
+    if (!staffId) {
+      return res.status(400).json({ error: 'Invalid staff id' });
+    }
+    if (!Array.isArray(refs)) {
+      return res.status(400).json({ error: 'skills must be an array of skill codes or ids' });
+    }
+
+    const { rows: staffRows } = await client.query(
+      'SELECT id FROM staff WHERE id = $1 AND organisation_id = $2',
+      [staffId, orgId]
+    );
+    if (!staffRows.length) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    const { skills, unknown } = await resolveSkills(client, orgId, refs);
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown skills: ${unknown.join(', ')}` });
+    }
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM staff_skills WHERE staff_id = $1', [staffId]);
+    for (const skill of skills) {
+      await client.query(
+        'INSERT INTO staff_skills (staff_id, skill_id) VALUES ($1, $2)',
+        [staffId, skill.id]
+      );
+    }
+    await client.query('COMMIT');
+
+    res.json({ success: true, staff_id: staffId, skills });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[SKILLS] Error in PUT /staff/:staffId:', err);
+    res.status(500).json({ error: 'Failed to update staff skills' });
+  } finally {
+    client.release();
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/skills/shift/:shiftId
+// ---------------------------------------------
+router.get('/shift/:shiftId', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const shiftId = parseId(req.params.shiftId);
+    if (!shiftId) {
+      return res.status(400).json({ error: 'Invalid shift id' });
+    }
+
+    const { rows } = await pool.query(
+      `
+        SELECT id, organisation_id, role_required, number_required
+        FROM shifts
+        WHERE id = $1 AND organisation_id = $2
+      `,
+      [shiftId, orgId]
+    );
+    if (!rows.length) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    const requirements = await loadShiftRequirements(pool, rows[0]);
+    res.json({ shift_id: shiftId, requirements });
+  } catch (err) {
+    console.error('[SKILLS] Error in GET /shift/:shiftId:', err);
+    res.status(500).json({ error: 'Failed to load shift requirements' });
+  }
+});
+
+// ---------------------------------------------
+// PUT /api/manager/skills/shift/:shiftId
+// Body: { "requirements": [{ "skill": "RN", "min_count": 1 },
+//                          { "skill": "HCA", "min_count": 2 }] }
+// Send an empty array to clear (falls back to role_required).
+// ---------------------------------------------
+router.put('/shift/:shiftId', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const orgId = req.user.organisation_id;
+    const shiftId = parseId(req.params.shiftId);
+    const requirements = (req.body || {}).requirements;
+
+    if (!shiftId) {
+      return res.status(400).json({ error: 'Invalid shift id' });
+    }
+    if (!Array.isArray(requirements)) {
+      return res.status(400).json({ error: 'requirements must be an array' });
+    }
+
+    const { rows } = await client.query(
+      'SELECT id, number_required FROM shifts WHERE id = $1 AND organisation_id = $2',
+      [shiftId, orgId]
+    );
+    if (!rows.length) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    await client.query('BEGIN');
+    const { saved, unknown } = await replaceShiftRequirements(client, orgId, shiftId, requirements);
+    if (unknown.length) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: `Unknown skills: ${unknown.join(', ')}` });
+    }
+    await client.query('COMMIT');
+
+    const roleSlots = saved
+      .filter((r) => r.kind === 'role')
+      .reduce((sum, r) => sum + r.min_count, 0);
+    const warning =
+      roleSlots > Number(rows[0].number_required || 0)
+        ? `Role requirements add up to ${roleSlots} but the shift only needs ${rows[0].number_required}`
+        : null;
+
+    res.json({ success: true, shift_id: shiftId, requirements: saved, warning });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[SKILLS] Error in PUT /shift/:shiftId:', err);
+    res.status(500).json({ error: 'Failed to update shift requirements' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -43,6 +43,7 @@ router.get('/:id/shifts', async (req, res) => {
        WHERE sa.staff_id = $1
          AND s.shift_date >= $2
          AND s.shift_date <= $3
+         AND s.status <> 'draft'
        ORDER BY s.shift_date ASC
        LIMIT 50`,
       [staffId, fromDate.toISOString(), toDate.toISOString()]
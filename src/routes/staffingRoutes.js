@@ -0,0 +1,200 @@
+'use strict';
+
+// src/routes/staffingRoutes.js
+//
+// Ward safe-staffing standards and compliance (see src/services/wardStaffing.js).
+//
+// Endpoints (all under /api/manager/staffing, manager/admin only):
+//   GET    /standards       -> list standards
+//   PUT    /standards       -> create or update the standard for a ward + period
+//   DELETE /standards/:id   -> delete a standard
+//   GET    /compliance      -> staffing vs standard per ward period
+//                              ?from=YYYY-MM-DD&to=YYYY-MM-DD&ward=Alder&only=understaffed
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const { getStaffingCompliance } = require('../services/wardStaffing');
+
+router.use(requireManager);
+
+const STANDARD_COLUMNS = `
+  id,
+  organisation_id,
+  ward,
+  period,
+  min_headcount,
+  min_registered,
+  min_male,
+  min_female,
+  is_active,
+  created_at,
+  updated_at
+`;
+
+const MIN_FIELDS = ['min_headcount', 'min_registered', 'min_male', 'min_female'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// ---------------------------------------------
+// GET /api/manager/staffing/standards
+// ---------------------------------------------
+router.get('/standards', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+
+    const { rows } = await pool.query(
+      `
+        SELECT ${STANDARD_COLUMNS}
+        FROM ward_staffing_standards
+        WHERE organisation_id = $1
+        ORDER BY ward ASC NULLS FIRST, period ASC
+      `,
+      [orgId]
+    );
+
+    res.json({ organisation_id: orgId, total: rows.length, items: rows });
+  } catch (err) {
+    console.error('[STAFFING] Error in GET /standards:', err);
+    res.status(500).json({ error: 'Failed to list staffing standards' });
+  }
+});
+
+// ---------------------------------------------
+// PUT /api/manager/staffing/standards
+// Body example:
+//   {
+//     "ward": "Alder",          // omit / null for the organisation-wide default
+//     "period": "night",
+//     "min_headcount": 4,
+//     "min_registered": 1,
+//     "min_male": 1,
+//     "min_female": 1
+//   }
+// ---------------------------------------------
+router.put('/standards', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const body = req.body || {};
+
+    if (!['day', 'night'].includes(body.period)) {
+      return res.status(400).json({ error: 'period must be "day" or "night"' });
+    }
+
+    const values = {};
+    for (const field of MIN_FIELDS) {
+      const n = body[field] === undefined || body[field] === '' ? 0 : Number(body[field]);
+      if (!Number.isInteger(n) || n < 0) {
+        return res.status(400).json({ error: `Field "${field}" must be a whole number (0 or more)` });
+      }
+      values[field] = n;
+    }
+
+    const { rows } = await pool.query(
+      `
+        INSERT INTO ward_staffing_standards (
+          organisation_id,
+          ward,
+          period,
+          min_headcount,
+          min_registered,
+          min_male,
+          min_female,
+          is_active
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, TRUE))
+        ON CONFLICT (organisation_id, (COALESCE(ward, '')), period)
+        DO UPDATE SET
+          min_headcount = EXCLUDED.min_headcount,
+          min_registered = EXCLUDED.min_registered,
+          min_male = EXCLUDED.min_male,
+          min_female = EXCLUDED.min_female,
+          is_active = EXCLUDED.is_active,
+          updated_at = NOW()
+        RETURNING ${STANDARD_COLUMNS}
+      `,
+      [
+        orgId,
+        body.ward ? String(body.ward).trim() : null,
+        body.period,
+        values.min_headcount,
+        values.min_registered,
+        values.min_male,
+        values.min_female,
+        typeof body.is_active === 'boolean' ? body.is_active : null,
+      ]
+    );
+
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('[STAFFING] Error in PUT /standards:', err);
+    res.status(500).json({ error: 'Failed to save staffing standard' });
+  }
+});
+
+// ---------------------------------------------
+// DELETE /api/manager/staffing/standards/:id
+// ---------------------------------------------
+router.delete('/standards/:id', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid standard id' });
+    }
+
+    const { rowCount } = await pool.query(
+      'DELETE FROM ward_staffing_standards WHERE id = $1 AND organisation_id = $2',
+      [id, orgId]
+    );
+
+    if (rowCount === 0) {
+      return res.status(404).json({ error: 'Staffing standard not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('[STAFFING] Error in DELETE /standards/:id:', err);
+    res.status(500).json({ error: 'Failed to delete staffing standard' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/staffing/compliance
+// Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&ward=Alder&only=understaffed
+// Defaults to the next 7 days in the organisation's timezone.
+// ---------------------------------------------
+router.get('/compliance', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const { from, to, ward, only } = req.query;
+
+    if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+      return res.status(400).json({ error: 'from / to must be YYYY-MM-DD' });
+    }
+
+    const result = await getStaffingCompliance(pool, orgId, { from, to, ward });
+
+    res.json({
+      organisation_id: orgId,
+      timezone: result.timezone,
+      from: result.from,
+      to: result.to,
+      total_periods: result.periods.length,
+      understaffed_count: result.understaffed.length,
+      items: only === 'understaffed' ? result.understaffed : result.periods,
+    });
+  } catch (err) {
+    console.error('[STAFFING] Error in GET /compliance:', err);
+    res.status(500).json({ error: 'Failed to evaluate staffing compliance' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+'use strict';
+
+// src/routes/swapRoutes.js
+//
+// Shift swaps for staff logins (see src/services/shiftSwaps.js). The login
+// must be linked to a staff record (users.staff_id). Staff without a login
+// use WhatsApp: SWAP <code> / TAKE <swap code>.
+//
+// Endpoints (all under /api/swaps):
+//   GET  /            -> my swaps plus open swaps I could take
+//   POST /            -> offer one of my shifts for swap { "shift_id": 12, "reason": "..." }
+//   POST /:id/take    -> take a colleague's open swap
+//   POST /:id/cancel  -> withdraw my own swap before it is approved
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const {
+  listSwaps,
+  findSwapCandidates,
+  requestSwap,
+  takeSwap,
+  cancelSwap,
+  notifySwapCandidates,
+  notifySwapOutcome,
+} = require('../services/shiftSwaps');
+const { getStaffIdForUser } = require('../services/staffDirectory');
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Every route needs the caller's staff id.
+router.use(async (req, res, next) => {
+  try {
+    const staffId = await getStaffIdForUser(req.user || {});
+    if (!staffId) {
+      return res.status(403).json({ error: 'Your login is not linked to a staff record' });
+    }
+    req.staffId = staffId;
+    next();
+  } catch (err) {
+    console.error('[SWAPS] Error resolving staff for user:', err);
+    res.status(500).json({ error: 'Failed to resolve your staff record' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/swaps
+// `mine`: swaps I asked for or took. `available`: open swaps from
+// colleagues that I pass every scheduling rule for.
+// ---------------------------------------------
+router.get('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+
+    const mine = await listSwaps(pool, orgId, { staffId: req.staffId });
+    const open = await listSwaps(pool, orgId, { status: 'open' });
+
+    const available = [];
+    for (const swap of open) {
+      if (swap.requester_staff_id === req.staffId) continue;
+      const candidates = await findSwapCandidates(pool, orgId, swap.shift_id, swap.requester_staff_id);
+      const me = candidates.find((c) => c.staff_id === req.staffId);
+      if (me) available.push({ ...swap, warnings: me.warnings });
+    }
+
+    res.json({ staff_id: req.staffId, mine, available });
+  } catch (err) {
+    console.error('[SWAPS] Error in GET /:', err);
+    res.status(500).json({ error: 'Failed to list swaps' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/swaps
+// Body: { "shift_id": 12, "reason": "Childcare" }
+// ---------------------------------------------
+router.post('/', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const body = req.body || {};
+    const shiftId = parseId(body.shift_id);
+
+    if (!shiftId) {
+      return res.status(400).json({ error: 'shift_id is required' });
+    }
+
+    const result = await requestSwap(pool, {
+      organisationId: orgId,
+      staffId: req.staffId,
+      shiftId,
+      reason: body.reason ? String(body.reason).trim().slice(0, 500) : null,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const notified = await notifySwapCandidates(pool, result.swap, result.candidates);
+
+    res.status(201).json({
+      swap: result.swap,
+      eligible_colleagues: result.candidates.length,
+      notified,
+    });
+  } catch (err) {
+    console.error('[SWAPS] Error in POST /:', err);
+    res.status(500).json({ error: 'Failed to request swap' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/swaps/:id/take
+// ---------------------------------------------
+router.post('/:id/take', async (req, res) => {
+  const swapId = parseId(req.params.id);
+  if (!swapId) {
+    return res.status(400).json({ error: 'Invalid swap id' });
+  }
+
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await takeSwap(client, {
+      organisationId: req.user.organisation_id,
+      swapId,
+      staffId: req.staffId,
+    });
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[SWAPS] Error in POST /:id/take:', err);
+    return res.status(500).json({ error: 'Failed to take swap' });
+  } finally {
+    client.release();
+  }
+
+  if (result.error) {
+    return res.status(result.status).json({
+      error: result.error,
+      blocks: result.verdict ? result.verdict.blocks : undefined,
+    });
+  }
+
+  await notifySwapOutcome(pool, result.swap, result.approved ? 'approved' : 'taken');
+
+  res.json({
+    swap: result.swap,
+    approved: result.approved,
+    warnings: result.verdict.warnings,
+  });
+});
+
+// ---------------------------------------------
+// POST /api/swaps/:id/cancel
+// ---------------------------------------------
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const swapId = parseId(req.params.id);
+    if (!swapId) {
+      return res.status(400).json({ error: 'Invalid swap id' });
+    }
+
+    const result = await cancelSwap(pool, {
+      organisationId: req.user.organisation_id,
+      swapId,
+      staffId: req.staffId,
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ swap: result.swap });
+  } catch (err) {
+    console.error('[SWAPS] Error in POST /:id/cancel:', err);
+    res.status(500).json({ error: 'Failed to cancel swap' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,423 @@
+'use strict';
+
+// src/routes/trainingRoutes.js
+//
+// Mandatory training courses, staff completions and compliance
+// (see src/services/trainingCompliance.js).
+//
+// Endpoints (all under /api/manager/training, manager/admin only):
+//   GET  /courses            -> list courses
+//   POST /courses            -> create a course
+//   PUT  /courses/:id        -> update a course
+//   GET  /compliance         -> compliance status for every staff member (?ward=)
+//   GET  /staff/:staffId     -> one staff member's status + completion history
+//   POST /records            -> record a single completion
+//   POST /import             -> bulk import completions from CSV
+//   POST /reminders/run      -> send due expiry reminders now (normally a background job)
+
+const express = require('express');
+const router = express.Router();
+
+const pool = require('../db');
+const requireManager = require('../middleware/requireManager');
+const {
+  loadTrainingStatuses,
+  recordCompletion,
+  parseCompletionDate,
+  importCompletionsCsv,
+  sendTrainingReminders,
+} = require('../services/trainingCompliance');
+
+router.use(requireManager);
+
+// CSV can be posted raw (Content-Type: text/csv) as well as { "csv": "..." }.
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }));
+
+const COURSE_COLUMNS = `
+  id,
+  organisation_id,
+  code,
+  name,
+  validity_months,
+  is_mandatory,
+  is_active,
+  created_at,
+  updated_at
+`;
+
+function parseId(raw) {
+  const id = parseInt(raw, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * validity_months: positive integer, or null/"" for "never expires".
+ * Returns { value, error }; value is undefined when the field was not sent.
+ */
+function readValidity(body) {
+  if (body.validity_months === undefined) return { value: undefined, error: null };
+  if (body.validity_months === null || body.validity_months === '') return { value: null, error: null };
+
+  const n = Number(body.validity_months);
+  if (!Number.isInteger(n) || n <= 0) {
+    return { value: undefined, error: 'validity_months must be a positive whole number of months' };
+  }
+  return { value: n, error: null };
+}
+
+// ---------------------------------------------
+// GET /api/manager/training/courses
+// ---------------------------------------------
+router.get('/courses', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+
+    const { rows } = await pool.query(
+      `
+        SELECT ${COURSE_COLUMNS}
+        FROM training_courses
+        WHERE organisation_id = $1
+        ORDER BY is_active DESC, name ASC
+      `,
+      [orgId]
+    );
+
+    res.json({ organisation_id: orgId, total: rows.length, items: rows });
+  } catch (err) {
+    console.error('[TRAINING] Error in GET /courses:', err);
+    res.status(500).json({ error: 'Failed to list training courses' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/training/courses
+// Body example:
+//   { "code": "SG-L2", "name": "Safeguarding Level 2", "validity_months": 36 }
+// ---------------------------------------------
+router.post('/courses', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const body = req.body || {};
+
+    if (!body.code || !body.name) {
+      return res.status(400).json({ error: 'Missing required fields: code and name' });
+    }
+
+    const validity = readValidity(body);
+    if (validity.error) {
+      return res.status(400).json({ error: validity.error });
+    }
+
+    const { rows } = await pool.query(
+      `
+        INSERT INTO training_courses (
+          organisation_id,
+          code,
+          name,
+          validity_months,
+          is_mandatory,
+          is_active
+        )
+        VALUES ($1, $2, $3, $4, COALESCE($5, TRUE), COALESCE($6, TRUE))
+        RETURNING ${COURSE_COLUMNS}
+      `,
+      [
+        orgId,
+        String(body.code).trim(),
+        String(body.name).trim(),
+        validity.value ?? null,
+        typeof body.is_mandatory === 'boolean' ? body.is_mandatory : null,
+        typeof body.is_active === 'boolean' ? body.is_active : null,
+      ]
+    );
+
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    // 23505 = unique_violation (course code already used)
+    if (err && err.code === '23505') {
+      return res.status(409).json({ error: 'A course with this code already exists' });
+    }
+    console.error('[TRAINING] Error in POST /courses:', err);
+    res.status(500).json({ error: 'Failed to create training course' });
+  }
+});
+
+// ---------------------------------------------
+// PUT /api/manager/training/courses/:id
+// Send any subset of fields. Changing validity_months only affects
+// completions recorded afterwards.
+// ---------------------------------------------
+router.put('/courses/:id', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid course id' });
+    }
+
+    const body = req.body || {};
+    const validity = readValidity(body);
+    if (validity.error) {
+      return res.status(400).json({ error: validity.error });
+    }
+
+    const sets = [];
+    const params = [id, orgId];
+    const set = (column, value) => {
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    };
+
+    if (body.code) set('code', String(body.code).trim());
+    if (body.name) set('name', String(body.name).trim());
+    if (validity.value !== undefined) set('validity_months', validity.value);
+    if (typeof body.is_mandatory === 'boolean') set('is_mandatory', body.is_mandatory);
+    if (typeof body.is_active === 'boolean') set('is_active', body.is_active);
+
+    if (!sets.length) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const { rows } = await pool.query(
+      `
+        UPDATE training_courses
+        SET ${sets.join(', ')}, updated_at = NOW()
+        WHERE id = $1 AND organisation_id = $2
+        RETURNING ${COURSE_COLUMNS}
+      `,
+      params
+    );
+
+    if (!rows.length) {
+      return res.status(404).json({ error: 'Training course not found' });
+    }
+
+    res.json(rows[0]);
+  } catch (err) {
+    if (err && err.code === '23505') {
+      return res.status(409).json({ error: 'A course with this code already exists' });
+    }
+    console.error('[TRAINING] Error in PUT /courses/:id:', err);
+    res.status(500).json({ error: 'Failed to update training course' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/training/compliance?ward=Alder
+// ---------------------------------------------
+router.get('/compliance', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const params = [orgId];
+    let where = 'WHERE organisation_id = $1';
+
+    if (req.query.ward) {
+      params.push(req.query.ward);
+      where += ` AND LOWER(ward) = LOWER($${params.length})`;
+    }
+
+    const { rows: staff } = await pool.query(
+      `
+        SELECT id, name, ward, mandatory_training_complete
+        FROM staff
+        ${where}
+        ORDER BY name ASC
+      `,
+      params
+    );
+
+    const statuses = await loadTrainingStatuses(pool, orgId, staff);
+
+    const items = staff.map((s) => {
+      const status = statuses.get(s.id);
+      return {
+        staff_id: s.id,
+        staff_name: s.name,
+        ward: s.ward,
+        is_compliant: status ? status.isCompliant : null,
+        overdue_courses: status ? status.overdueCourses : [],
+        expiring_soon: status ? status.expiringSoon : [],
+      };
+    });
+
+    res.json({
+      organisation_id: orgId,
+      total: items.length,
+      non_compliant: items.filter((i) => i.is_compliant === false).length,
+      expiring_soon: items.filter((i) => i.expiring_soon.length > 0).length,
+      items,
+    });
+  } catch (err) {
+    console.error('[TRAINING] Error in GET /compliance:', err);
+    res.status(500).json({ error: 'Failed to load training compliance' });
+  }
+});
+
+// ---------------------------------------------
+// GET /api/manager/training/staff/:staffId
+// ---------------------------------------------
+router.get('/staff/:staffId', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const staffId = parseId(req.params.staffId);
+    if (!staffId) {
+      return res.status(400).json({ error: 'Invalid staff id' });
+    }
+
+    const { rows: staffRows } = await pool.query(
+      `
+        SELECT id, name, ward, mandatory_training_complete
+        FROM staff
+        WHERE id = $1 AND organisation_id = $2
+      `,
+      [staffId, orgId]
+    );
+    if (!staffRows.length) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    const [statuses, { rows: history }] = await Promise.all([
+      loadTrainingStatuses(pool, orgId, staffRows),
+      pool.query(
+        `
+          SELECT
+            r.id,
+            r.course_id,
+            c.code AS course_code,
+            c.name AS course_name,
+            to_char(r.completed_on, 'YYYY-MM-DD') AS completed_on,
+            to_char(r.expires_on, 'YYYY-MM-DD') AS expires_on,
+            r.source,
+            r.created_at
+          FROM staff_training_records r
+          JOIN training_courses c ON c.id = r.course_id
+          WHERE r.staff_id = $1 AND r.organisation_id = $2
+          ORDER BY r.completed_on DESC
+        `,
+        [staffId, orgId]
+      ),
+    ]);
+
+    res.json({
+      staff: staffRows[0],
+      status: statuses.get(staffId) || null,
+      history,
+    });
+  } catch (err) {
+    console.error('[TRAINING] Error in GET /staff/:staffId:', err);
+    res.status(500).json({ error: 'Failed to load staff training' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/training/records
+// Body: { "staff_id": 12, "course_id": 3, "completed_on": "2025-11-01" }
+// (course_code may be sent instead of course_id)
+// ---------------------------------------------
+router.post('/records', async (req, res) => {
+  try {
+    const orgId = req.user.organisation_id;
+    const body = req.body || {};
+
+    const staffId = parseId(body.staff_id);
+    const completedOn = parseCompletionDate(body.completed_on);
+    if (!staffId || (!body.course_id && !body.course_code) || !completedOn) {
+      return res.status(400).json({
+        error: 'staff_id, course_id (or course_code) and a valid completed_on are required',
+      });
+    }
+
+    const { rows: staffRows } = await pool.query(
+      'SELECT id FROM staff WHERE id = $1 AND organisation_id = $2',
+      [staffId, orgId]
+    );
+    if (!staffRows.length) {
+      return res.status(404).json({ error: 'Staff not found' });
+    }
+
+    let courseId = parseId(body.course_id);
+    if (!courseId) {
+      const { rows } = await pool.query(
+        'SELECT id FROM training_courses WHERE organisation_id = $1 AND LOWER(code) = LOWER($2)',
+        [orgId, String(body.course_code)]
+      );
+      courseId = rows[0] ? rows[0].id : null;
+    }
+
+    const record = courseId
+      ? await recordCompletion(pool, {
+          organisationId: orgId,
+          staffId,
+          courseId,
+          completedOn,
+          source: 'manual',
+          userId: req.user.id,
+        })
+      : null;
+
+    if (!record) {
+      return res.status(404).json({ error: 'Training course not found' });
+    }
+
+    res.status(201).json(record);
+  } catch (err) {
+    console.error('[TRAINING] Error in POST /records:', err);
+    res.status(500).json({ error: 'Failed to record training completion' });
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/training/import
+// Body: raw CSV (Content-Type: text/csv) or { "csv": "..." }
+//
+//   staff_id,course_code,completed_on
+//   12,SG-L2,2025-10-14
+//   14,FIRE,14/10/2025
+//
+// phone_number / course_name may be used instead of staff_id / course_code.
+// Valid rows are imported, invalid rows are returned in `skipped`.
+// ---------------------------------------------
+router.post('/import', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const orgId = req.user.organisation_id;
+    const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+
+    if (!csv || !String(csv).trim()) {
+      return res.status(400).json({ error: 'CSV body is empty' });
+    }
+
+    await client.query('BEGIN');
+    const result = await importCompletionsCsv(client, {
+      organisationId: orgId,
+      csv,
+      userId: req.user.id,
+    });
+    await client.query('COMMIT');
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[TRAINING] Error in POST /import:', err);
+    res.status(500).json({ error: 'Failed to import training records' });
+  } finally {
+    client.release();
+  }
+});
+
+// ---------------------------------------------
+// POST /api/manager/training/reminders/run
+// Sends any due 30/7-day expiry reminders for this organisation now.
+// Already-sent reminders are never repeated.
+// ---------------------------------------------
+router.post('/reminders/run', async (req, res) => {
+  try {
+    const result = await sendTrainingReminders({ organisationId: req.user.organisation_id });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('[TRAINING] Error in POST /reminders/run:', err);
+    res.status(500).json({ error: 'Failed to send training reminders' });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,36 @@ const router = express.Router();
 const pool = require('../db');
 const { getOrCreateStaffByPhone } = require('../services/staffDirectory');
 const twilioSender = require('../services/twilioSender');
+const { describeVerdict } = require('../services/assignmentService');
+const { acceptShiftOffer, notifySupersededOffers } = require('../services/offerAcceptance');
+const { formatExpiry, getOfferCode, backfillShifts } = require('../services/shiftAutomation');
+const {
+  getSwapCode,
+  parseSwapCode,
+  requestSwap,
+  takeSwap,
+  notifySwapCandidates,
+  notifySwapOutcome,
+} = require('../services/shiftSwaps');
+const {
+  parseDateRange,
+  parseAvailabilityText,
+  describeAvailabilityEntry,
+  addAvailability,
+  listAvailability,
+} = require('../services/staffAvailability');
+const {
+  listLeaveTypes,
+  listLeaveRequests,
+  getLeaveBalance,
+  requestLeave,
+  describeLeave,
+} = require('../services/leaveManagement');
+const { MAX_SICK_DAYS, reportSickness, recordReturn } = require('../services/sicknessAbsence');
+const { LATE_GRACE_MINUTES, recordCheckin, recordCheckout } = require('../services/shiftAttendance');
+const shiftTime = require('../services/shiftTime');
+const { getOrganisationTimezone } = require('../services/organisationSettings');
+const { getGenderRequirement, describeGenderRequirement } = require('../services/genderMatching');
 
 // -------------------------
 // In-memory registration sessions
@@ -23,7 +53,10 @@ const twilioSender = require('../services/twilioSender');
 //     preferredShift: 'Day',
 //     hoursPerWeek: 37.5
 //   },
-//   originalCommand: 'CHECKIN' | 'CHECKOUT' | 'MY SHIFTS' | 'ACCEPT' | 'DECLINE' | 'INSIGHT TODAY'
+//   originalCommand: 'CHECKIN' | 'CHECKOUT' | 'MY SHIFTS' | 'OFFERS' | 'ACCEPT [code]' | 'DECLINE [code]'
+//                    | 'SWAP [code]' | 'TAKE <code>' | 'AVAILABLE <when>' | 'UNAVAILABLE <when>'
+//                    | 'MY AVAILABILITY' | 'LEAVE [dates | BALANCE]' | 'SICK [days]' | 'BACK'
+//                    | 'INSIGHT TODAY'
 // }
 
 const registrationSessions = new Map();
@@ -63,14 +96,139 @@ async function replyWhatsApp(toPhone, message) {
   }
 }
 
-function formatShiftDate(dateStr) {
-  const d = new Date(dateStr);
-  return d.toLocaleDateString('en-GB', {
-    weekday: 'short',
-    day: '2-digit',
-    month: 'short',
-    year: 'numeric',
-  });
+// Shift dates are shown in the organisation's timezone, not the server's.
+function formatShiftDate(shift, timezone) {
+  return shiftTime.formatShiftDate(shift, timezone);
+}
+
+// "ACCEPT", "ACCEPT SH001", "decline sh001" -> { action, code }
+const OFFER_REPLY_RE = /^(ACCEPT|DECLINE)(?:\s+(\S+))?$/i;
+
+function parseOfferReply(text) {
+  const match = String(text || '').trim().match(OFFER_REPLY_RE);
+  if (!match) return null;
+  return { action: match[1].toUpperCase(), code: match[2] ? match[2].toUpperCase() : null };
+}
+
+// "SWAP", "SWAP SH001", "TAKE SW12" -> { action, code }
+const SWAP_REPLY_RE = /^(SWAP|TAKE)(?:\s+(\S+))?$/i;
+
+function parseSwapReply(text) {
+  const match = String(text || '').trim().match(SWAP_REPLY_RE);
+  if (!match) return null;
+  return { action: match[1].toUpperCase(), code: match[2] ? match[2].toUpperCase() : null };
+}
+
+// "AVAILABLE Mon Tue nights", "UNAVAILABLE 12-15 Dec" -> { kind, text }
+const AVAILABILITY_RE = /^(AVAILABLE|UNAVAILABLE)(?:\s+(.+))?$/i;
+
+function parseAvailabilityReply(text) {
+  const match = String(text || '').trim().match(AVAILABILITY_RE);
+  if (!match) return null;
+  return { kind: match[1].toLowerCase(), text: match[2] || '' };
+}
+
+// "LEAVE", "LEAVE BALANCE", "LEAVE 12-15 Dec", "LEAVE unpaid 3 Jan" -> { text }
+const LEAVE_RE = /^LEAVE(?:\s+(.+))?$/i;
+
+function parseLeaveReply(text) {
+  const match = String(text || '').trim().match(LEAVE_RE);
+  return match ? { text: (match[1] || '').trim() } : null;
+}
+
+// "SICK", "SICK 3", "sick 2 days" -> { days } (null = next 24h / next shift)
+const SICK_RE = /^SICK(?:\s+(\d{1,2})(?:\s+DAYS?)?)?$/i;
+
+function parseSickReply(text) {
+  const match = String(text || '').trim().match(SICK_RE);
+  return match ? { days: match[1] ? parseInt(match[1], 10) : null } : null;
+}
+
+// -------------------------
+// Pending offers
+// -------------------------
+
+/**
+ * The staff member's open (not yet expired) offers, soonest shift first.
+ */
+async function loadPendingOffers(staffId) {
+  const { rows } = await pool.query(
+    `
+      SELECT
+        o.*,
+        s.shift_ref,
+        s.ward,
+        s.shift_date,
+        s.start_time,
+        s.end_time
+      FROM shift_offers o
+      JOIN shifts s ON s.id = o.shift_id
+      WHERE o.staff_id = $1
+        AND o.status = 'offered'
+        AND (o.expires_at IS NULL OR o.expires_at > NOW())
+      ORDER BY s.shift_date ASC, s.start_time ASC, o.created_at ASC
+    `,
+    [staffId]
+  );
+  return rows;
+}
+
+// Offers created before offer codes existed fall back to S<shift id>.
+function offerCode(offer) {
+  return offer.offer_code || `S${offer.shift_id}`;
+}
+
+function formatOfferLine(offer, timezone) {
+  const start = shiftTime.formatTime(offer.start_time);
+  const end = shiftTime.formatTime(offer.end_time);
+  const expiry = offer.expires_at ? `\n  ⏳ open until ${formatExpiry(offer.expires_at, timezone)}` : '';
+  return (
+    `• *${offerCode(offer)}* – ${formatShiftDate(offer, timezone)}\n` +
+    `  🏥 ${offer.ward || 'Ward TBC'}  ⏰ ${start}–${end}` +
+    expiry
+  );
+}
+
+/**
+ * Pick the offer an ACCEPT / DECLINE refers to, replying to the sender
+ * when it can't: no pending offers, unknown code, or several offers and
+ * no code. Returns the offer row or null.
+ */
+async function resolveOfferForReply(fromPhone, staff, organisationId, action, code) {
+  const pending = await loadPendingOffers(staff.id);
+
+  if (!pending.length) {
+    const msg =
+      "ℹ️ I couldn't find any *pending shift offers* for you right now.\n\n" +
+      'If you believe this is wrong, please speak with your ward manager.';
+    await replyWhatsApp(fromPhone, msg);
+    return null;
+  }
+
+  if (code) {
+    const offer = pending.find((o) => offerCode(o).toUpperCase() === code);
+    if (!offer) {
+      const msg =
+        `ℹ️ I couldn't find a pending offer with code *${code}*.\n\n` +
+        'Type *OFFERS* to see your pending offers and their codes.';
+      await replyWhatsApp(fromPhone, msg);
+      return null;
+    }
+    return offer;
+  }
+
+  if (pending.length === 1) {
+    return pending[0];
+  }
+
+  const timezone = await getOrganisationTimezone(pool, organisationId);
+  const example = offerCode(pending[0]);
+  const msg =
+    `📋 You have *${pending.length} pending shift offers*:\n\n` +
+    pending.map((o) => formatOfferLine(o, timezone)).join('\n\n') +
+    `\n\nPlease reply with the code, e.g. *${action} ${example}*.`;
+  await replyWhatsApp(fromPhone, msg);
+  return null;
 }
 
 // -------------------------
@@ -304,7 +462,12 @@ async function handleRegistrationReply(phone, text, organisationId) {
         'You can now use:\n' +
         '• *CHECKIN* / *CHECKOUT* to record attendance\n' +
         '• *MY SHIFTS* to see upcoming shifts\n' +
-        '• *ACCEPT* / *DECLINE* to respond to shift offers\n' +
+        '• *OFFERS* to see your pending shift offers\n' +
+        '• *ACCEPT <code>* / *DECLINE <code>* to respond to shift offers\n' +
+        '• *SWAP* to offer one of your shifts to a colleague\n' +
+        '• *AVAILABLE* / *UNAVAILABLE* to tell us when you can work\n' +
+        '• *LEAVE <dates>* to request annual leave, *LEAVE BALANCE* to check it\n' +
+        '• *SICK* if you are too unwell for your next shift, *BACK* when you return\n' +
         '• *INSIGHT TODAY* for staffing snapshot'
     );
 
@@ -313,6 +476,12 @@ async function handleRegistrationReply(phone, text, organisationId) {
       const cmd = session.originalCommand.toUpperCase();
       console.log('[REGISTRATION] Re-running original command after registration:', cmd);
 
+      const offerReply = parseOfferReply(cmd);
+      const swapReply = parseSwapReply(cmd);
+      const availabilityReply = parseAvailabilityReply(cmd);
+      const leaveReply = parseLeaveReply(cmd);
+      const sickReply = parseSickReply(cmd);
+
       try {
         if (cmd === 'CHECKIN') {
           await handleCheckinCommand(phone, session.organisationId, { skipRegistrationCheck: true });
@@ -320,10 +489,49 @@ async function handleRegistrationReply(phone, text, organisationId) {
           await handleCheckoutCommand(phone, session.organisationId, { skipRegistrationCheck: true });
         } else if (cmd === 'MY SHIFTS') {
           await handleMyShiftsCommand(phone, session.organisationId, { skipRegistrationCheck: true });
-        } else if (cmd === 'ACCEPT') {
-          await handleAcceptCommand(phone, session.organisationId, { skipRegistrationCheck: true });
-        } else if (cmd === 'DECLINE') {
-          await handleDeclineCommand(phone, session.organisationId, { skipRegistrationCheck: true });
+        } else if (cmd === 'OFFERS') {
+          await handleOffersCommand(phone, session.organisationId, { skipRegistrationCheck: true });
+        } else if (offerReply && offerReply.action === 'ACCEPT') {
+          await handleAcceptCommand(phone, session.organisationId, {
+            skipRegistrationCheck: true,
+            code: offerReply.code,
+          });
+        } else if (offerReply && offerReply.action === 'DECLINE') {
+          await handleDeclineCommand(phone, session.organisationId, {
+            skipRegistrationCheck: true,
+            code: offerReply.code,
+          });
+        } else if (swapReply && swapReply.action === 'SWAP') {
+          await handleSwapCommand(phone, session.organisationId, {
+            skipRegistrationCheck: true,
+            code: swapReply.code,
+          });
+        } else if (swapReply && swapReply.action === 'TAKE') {
+          await handleTakeCommand(phone, session.organisationId, {
+            skipRegistrationCheck: true,
+            code: swapReply.code,
+          });
+        } else if (availabilityReply) {
+          await handleAvailabilityCommand(phone, session.organisationId, {
+            skipRegistrationCheck: true,
+            ...availabilityReply,
+          });
+        } else if (cmd === 'MY AVAILABILITY') {
+          await handleMyAvailabilityCommand(phone, session.organisationId, {
+            skipRegistrationCheck: true,
+          });
+        } else if (leaveReply) {
+          await handleLeaveCommand(phone, session.organisationId, {
+            skipRegistrationCheck: true,
+            text: leaveReply.text,
+          });
+        } else if (sickReply) {
+          await handleSickCommand(phone, session.organisationId, {
+            skipRegistrationCheck: true,
+            days: sickReply.days,
+          });
+        } else if (cmd === 'BACK') {
+          await handleBackCommand(phone, session.organisationId, { skipRegistrationCheck: true });
         } else if (cmd === 'INSIGHT TODAY') {
           await handleInsightTodayCommand(phone, session.organisationId, { skipRegistrationCheck: true });
         }
@@ -351,8 +559,19 @@ async function handleMenuCommand(fromPhone) {
     '• 🏁 *CHECKOUT* – log your attendance at the end of a shift\n' +
     '• 📅 *MY SHIFTS* – see your upcoming shifts\n' +
     '• 📊 *INSIGHT TODAY* – staffing & wellbeing insight\n' +
-    '• ✅ *ACCEPT* – accept your latest shift offer\n' +
-    '• ❌ *DECLINE* – decline your latest shift offer\n';
+    '• 📋 *OFFERS* – list your pending shift offers and their codes\n' +
+    '• ✅ *ACCEPT <code>* – accept a shift offer (e.g. ACCEPT SH001)\n' +
+    '• ❌ *DECLINE <code>* – decline a shift offer\n\n' +
+    'With only one pending offer, *ACCEPT* / *DECLINE* on its own is enough.\n\n' +
+    '• 🔁 *SWAP <code>* – ask colleagues to take one of your shifts\n' +
+    '• 🙋 *TAKE <swap code>* – take a colleague\'s shift (e.g. TAKE SW12)\n\n' +
+    '• 🗓️ *AVAILABLE <days or dates>* – e.g. AVAILABLE Mon Tue nights\n' +
+    '• 🚫 *UNAVAILABLE <days or dates>* – e.g. UNAVAILABLE 12-15 Dec\n' +
+    '• 📆 *MY AVAILABILITY* – see what you have told us\n\n' +
+    '• 🏖️ *LEAVE <dates>* – request annual leave (e.g. LEAVE 12-15 Dec)\n' +
+    '• 💼 *LEAVE BALANCE* – your leave left this year and your requests\n\n' +
+    '• 🤒 *SICK* – too unwell to work; your next shift is re-offered (*SICK 3* for 3 days)\n' +
+    '• 👋 *BACK* – you are back at work after sickness\n';
 
   await replyWhatsApp(fromPhone, menuText);
 }
@@ -371,21 +590,10 @@ async function handleCheckinCommand(fromPhone, organisationId, options = {}) {
     }
   }
 
-  const { rows } = await pool.query(
-    `
-      SELECT id, staff_id, organisation_id, action, source, occurred_at
-      FROM attendance_logs
-      WHERE staff_id = $1 AND organisation_id = $2
-      ORDER BY occurred_at DESC
-      LIMIT 1
-    `,
-    [staff.id, organisationId]
-  );
+  const result = await recordCheckin(pool, { organisationId, staffId: staff.id });
+  console.log('[CHECKIN] Result for staff', staff.id, result.log || result.error);
 
-  const last = rows[0] || null;
-  console.log('[CHECKIN] Last log for staff', staff.id, last);
-
-  if (last && last.action === 'checkin') {
+  if (result.error) {
     const msg =
       '⚠️ You are already *checked in* for your current shift.\n\n' +
       'If this seems wrong, please speak with your ward manager.';
@@ -393,17 +601,30 @@ async function handleCheckinCommand(fromPhone, organisationId, options = {}) {
     return;
   }
 
-  await pool.query(
-    `
-      INSERT INTO attendance_logs (staff_id, organisation_id, action, source, occurred_at, metadata)
-      VALUES ($1, $2, 'checkin', 'whatsapp', NOW(), '{}'::jsonb)
-    `,
-    [staff.id, organisationId]
-  );
-
   const displayName = staff.name || staff.full_name || 'staff member';
+
+  if (!result.shift) {
+    const msg =
+      `✅ Thank you *${displayName}*, your *check-in* has been recorded.\n\n` +
+      "⚠️ I couldn't find a shift you are assigned to around now, so your ward manager " +
+      'will check it.';
+    await replyWhatsApp(fromPhone, msg);
+    return;
+  }
+
+  const timezone = await getOrganisationTimezone(pool, organisationId);
+  const minutesLate = result.log.minutes_late;
+  const timing = result.late
+    ? `⏰ You are *${minutesLate} minutes late*.`
+    : minutesLate < -LATE_GRACE_MINUTES
+      ? `You are ${-minutesLate} minutes early.`
+      : 'You are on time.';
+
   const msg =
-    `✅ Thank you *${displayName}*, your *check-in* has been recorded.\n\n` +
+    `✅ Thank you *${displayName}*, your *check-in* has been recorded for ` +
+    `${formatShiftDate(result.shift, timezone)}, ${result.shift.ward || 'Ward TBC'} ` +
+    `(${shiftTime.formatTime(result.shift.start_time)}–${shiftTime.formatTime(result.shift.end_time)}).\n\n` +
+    `${timing}\n\n` +
     '🩺 Have a safe and productive shift.';
   await replyWhatsApp(fromPhone, msg);
 }
@@ -422,21 +643,10 @@ async function handleCheckoutCommand(fromPhone, organisationId, options = {}) {
     }
   }
 
-  const { rows } = await pool.query(
-    `
-      SELECT id, staff_id, organisation_id, action, source, occurred_at
-      FROM attendance_logs
-      WHERE staff_id = $1 AND organisation_id = $2
-      ORDER BY occurred_at DESC
-      LIMIT 1
-    `,
-    [staff.id, organisationId]
-  );
-
-  const last = rows[0] || null;
-  console.log('[CHECKOUT] Last log for staff', staff.id, last);
+  const result = await recordCheckout(pool, { organisationId, staffId: staff.id });
+  console.log('[CHECKOUT] Result for staff', staff.id, result.log || result.error);
 
-  if (!last || last.action !== 'checkin') {
+  if (result.error) {
     const msg =
       "⚠️ You don't appear to be *currently checked in*.\n\n" +
       'If this seems wrong, please speak with your ward manager.';
@@ -444,17 +654,12 @@ async function handleCheckoutCommand(fromPhone, organisationId, options = {}) {
     return;
   }
 
-  await pool.query(
-    `
-      INSERT INTO attendance_logs (staff_id, organisation_id, action, source, occurred_at, metadata)
-      VALUES ($1, $2, 'checkout', 'whatsapp', NOW(), '{}'::jsonb)
-    `,
-    [staff.id, organisationId]
-  );
-
   const displayName = staff.name || staff.full_name || 'staff member';
   const msg =
     `✅ Thank you *${displayName}*, your *checkout* has been recorded.\n\n` +
+    (result.shift
+      ? ''
+      : "⚠️ I couldn't match it to a shift you are assigned to, so your ward manager will check it.\n\n") +
     '😌 Have a good rest after your shift.';
   await replyWhatsApp(fromPhone, msg);
 }
@@ -480,10 +685,14 @@ async function handleMyShiftsCommand(fromPhone, organisationId, options = {}) {
         s.ward,
         s.role_required,
         s.status,
-        s.gender_required
+        s.gender_required,
+        s.gender_min_male,
+        s.gender_min_female,
+        s.number_required
       FROM shift_assignments sa
       JOIN shifts s ON s.id = sa.shift_id
       WHERE sa.staff_id = $1
+        AND s.status <> 'draft'
       ORDER BY s.shift_date ASC, s.start_time ASC
       LIMIT 5
     `,
@@ -498,21 +707,17 @@ async function handleMyShiftsCommand(fromPhone, organisationId, options = {}) {
     return;
   }
 
+  const timezone = await getOrganisationTimezone(pool, organisationId);
   let text = `📅 *Here are your next ${rows.length} shift(s):*\n\n`;
 
   for (const r of rows) {
-    const dateLabel = formatShiftDate(r.shift_date);
-    const start = String(r.start_time || '').slice(0, 5);
-    const end = String(r.end_time || '').slice(0, 5);
-
-    let genderLabel = '';
-    if (r.gender_required === 'male') {
-      genderLabel = '♂️ Male only';
-    } else if (r.gender_required === 'female') {
-      genderLabel = '♀️ Female only';
-    } else {
-      genderLabel = '⚧ Any gender';
-    }
+    const dateLabel = formatShiftDate(r, timezone);
+    const start = shiftTime.formatTime(r.start_time);
+    const end = shiftTime.formatTime(r.end_time);
+
+    const genderRule = getGenderRequirement(r);
+    const genderIcon = genderRule.single === 'male' ? '♂️ ' : genderRule.single === 'female' ? '♀️ ' : '⚧ ';
+    const genderLabel = genderIcon + describeGenderRequirement(r);
 
     text +=
       `• ${dateLabel}\n` +
@@ -525,72 +730,63 @@ async function handleMyShiftsCommand(fromPhone, organisationId, options = {}) {
   await replyWhatsApp(fromPhone, text.trim());
 }
 
-async function handleAcceptCommand(fromPhone, organisationId, options = {}) {
+async function handleOffersCommand(fromPhone, organisationId, options = {}) {
   const staff = await getOrCreateStaffByPhone(fromPhone, organisationId);
-  console.log('[ACCEPT] Staff record:', staff);
+  console.log('[OFFERS] Staff record:', staff);
 
   if (!options.skipRegistrationCheck) {
     const needsReg = await staffNeedsRegistration(staff.id, organisationId);
     if (needsReg) {
-      await beginRegistrationFlow(fromPhone, staff, organisationId, 'ACCEPT');
+      await beginRegistrationFlow(fromPhone, staff, organisationId, 'OFFERS');
       return;
     }
   }
 
-  const { rows } = await pool.query(
-    `
-      SELECT *
-      FROM shift_offers
-      WHERE staff_id = $1
-        AND status = 'offered'
-      ORDER BY created_at DESC
-      LIMIT 1
-    `,
-    [staff.id]
-  );
-
-  const offer = rows[0];
+  const pending = await loadPendingOffers(staff.id);
 
-  if (!offer) {
-    const msg =
-      "ℹ️ I couldn't find any *pending shift offers* for you right now.\n\n" +
-      'If you believe this is wrong, please speak with your ward manager.';
-    await replyWhatsApp(fromPhone, msg);
+  if (!pending.length) {
+    await replyWhatsApp(fromPhone, 'ℹ️ You have no *pending shift offers* right now.');
     return;
   }
 
-  console.log('[ACCEPT] Latest offer row:', offer);
+  const timezone = await getOrganisationTimezone(pool, organisationId);
+  const example = offerCode(pending[0]);
+  const text =
+    `📋 *Your pending shift offers (${pending.length}):*\n\n` +
+    pending.map((o) => formatOfferLine(o, timezone)).join('\n\n') +
+    `\n\nReply *ACCEPT ${example}* or *DECLINE ${example}* (using the code of the shift).`;
+
+  await replyWhatsApp(fromPhone, text);
+}
+
+async function handleAcceptCommand(fromPhone, organisationId, options = {}) {
+  const staff = await getOrCreateStaffByPhone(fromPhone, organisationId);
+  console.log('[ACCEPT] Staff record:', staff);
+
+  if (!options.skipRegistrationCheck) {
+    const needsReg = await staffNeedsRegistration(staff.id, organisationId);
+    if (needsReg) {
+      const original = options.code ? `ACCEPT ${options.code}` : 'ACCEPT';
+      await beginRegistrationFlow(fromPhone, staff, organisationId, original);
+      return;
+    }
+  }
+
+  const offer = await resolveOfferForReply(fromPhone, staff, organisationId, 'ACCEPT', options.code);
+  if (!offer) return;
+
+  console.log('[ACCEPT] Offer row:', offer);
 
   const client = await pool.connect();
+  let acceptance;
   try {
     await client.query('BEGIN');
 
-    await client.query(
-      `
-        UPDATE shift_offers
-        SET status = 'accepted',
-            responded_at = NOW()
-        WHERE id = $1
-      `,
-      [offer.id]
-    );
-
-    await client.query(
-      `
-        INSERT INTO shift_assignments (shift_id, staff_id, accepted_at)
-        VALUES ($1, $2, NOW())
-      `,
-      [offer.shift_id, staff.id]
-    );
-
-    await client.query(
-      `
-        UPDATE shifts
-        SET number_filled = number_filled + 1
-        WHERE id = $1
-      `,
-      [offer.shift_id]
-    );
+    acceptance = await acceptShiftOffer(client, {
+      offerId: offer.id,
+      staffId: staff.id,
+      organisationId,
+    });
 
     await client.query('COMMIT');
   } catch (err) {
@@ -605,11 +801,48 @@ async function handleAcceptCommand(fromPhone, organisationId, options = {}) {
     client.release();
   }
 
+  if (acceptance.outcome === 'filled') {
+    const msg =
+      '🙏 Thank you for replying – unfortunately this shift has now been *filled* by another colleague.\n\n' +
+      "We'll be in touch with other shifts soon.";
+    await replyWhatsApp(fromPhone, msg);
+    return;
+  }
+
+  if (acceptance.outcome === 'unavailable') {
+    const msg =
+      'ℹ️ Sorry, this shift offer is *no longer open*.\n\n' +
+      'If you believe this is wrong, please speak with your ward manager.';
+    await replyWhatsApp(fromPhone, msg);
+    return;
+  }
+
+  const { result } = acceptance;
+
+  if (acceptance.outcome === 'blocked') {
+    console.log('[ACCEPT] Blocked by scheduling rules:', result.verdict.blocks);
+    const msg =
+      '⛔ Sorry, we could not confirm this shift because it breaks a scheduling rule:\n\n' +
+      describeVerdict({ blocks: result.verdict.blocks, warnings: [] }).join('\n') +
+      '\n\nPlease speak with your ward manager if you think this is wrong.';
+    await replyWhatsApp(fromPhone, msg);
+    return;
+  }
+
   const displayName = staff.name || staff.full_name || 'staff member';
-  const msg =
-    `✅ Thank you *${displayName}*, your shift has been *confirmed*.\n\n` +
+  let msg =
+    `✅ Thank you *${displayName}*, your shift *${offerCode(offer)}* has been *confirmed*.\n\n` +
     'If your availability changes, please inform your ward manager as soon as possible.';
+  if (result.verdict.warnings.length) {
+    msg += '\n\n' + describeVerdict({ blocks: [], warnings: result.verdict.warnings }).join('\n');
+  }
   await replyWhatsApp(fromPhone, msg);
+
+  if (acceptance.superseded.length) {
+    const timezone = await getOrganisationTimezone(pool, organisationId);
+    const notified = await notifySupersededOffers(acceptance.superseded, result.shift, timezone);
+    console.log(`[ACCEPT] Shift ${result.shift.id} filled; told ${notified} other offer holder(s)`);
+  }
 }
 
 async function handleDeclineCommand(fromPhone, organisationId, options = {}) {
@@ -619,32 +852,14 @@ async function handleDeclineCommand(fromPhone, organisationId, options = {}) {
   if (!options.skipRegistrationCheck) {
     const needsReg = await staffNeedsRegistration(staff.id, organisationId);
     if (needsReg) {
-      await beginRegistrationFlow(fromPhone, staff, organisationId, 'DECLINE');
+      const original = options.code ? `DECLINE ${options.code}` : 'DECLINE';
+      await beginRegistrationFlow(fromPhone, staff, organisationId, original);
       return;
     }
   }
 
-  const { rows } = await pool.query(
-    `
-      SELECT *
-      FROM shift_offers
-      WHERE staff_id = $1
-        AND status = 'offered'
-      ORDER BY created_at DESC
-      LIMIT 1
-    `,
-    [staff.id]
-  );
-
-  const offer = rows[0];
-
-  if (!offer) {
-    const msg =
-      "ℹ️ I couldn't find any *pending shift offers* for you right now.\n\n" +
-      'If you believe this is wrong, please speak with your ward manager.';
-    await replyWhatsApp(fromPhone, msg);
-    return;
-  }
+  const offer = await resolveOfferForReply(fromPhone, staff, organisationId, 'DECLINE', options.code);
+  if (!offer) return;
 
   await pool.query(
     `
@@ -652,17 +867,422 @@ async function handleDeclineCommand(fromPhone, organisationId, options = {}) {
       SET status = 'declined',
           responded_at = NOW()
       WHERE id = $1
+        AND status = 'offered'
     `,
     [offer.id]
   );
 
   const displayName = staff.name || staff.full_name || 'staff member';
   const msg =
-    `❌ Thanks *${displayName}*, we've recorded that you *cannot work* this shift.\n\n` +
+    `❌ Thanks *${displayName}*, we've recorded that you *cannot work* shift *${offerCode(offer)}*.\n\n` +
     'Your manager may offer this shift to other staff.';
   await replyWhatsApp(fromPhone, msg);
 }
 
+/**
+ * SWAP        -> list my upcoming shifts with their codes
+ * SWAP <code> -> offer that shift to eligible colleagues
+ */
+async function handleSwapCommand(fromPhone, organisationId, options = {}) {
+  const staff = await getOrCreateStaffByPhone(fromPhone, organisationId);
+  console.log('[SWAP] Staff record:', staff);
+
+  if (!options.skipRegistrationCheck) {
+    const needsReg = await staffNeedsRegistration(staff.id, organisationId);
+    if (needsReg) {
+      const original = options.code ? `SWAP ${options.code}` : 'SWAP';
+      await beginRegistrationFlow(fromPhone, staff, organisationId, original);
+      return;
+    }
+  }
+
+  const { rows: upcoming } = await pool.query(
+    `
+      SELECT s.id, s.shift_ref, s.ward, s.shift_date, s.start_time, s.end_time
+      FROM shift_assignments sa
+      JOIN shifts s ON s.id = sa.shift_id
+      WHERE sa.staff_id = $1
+        AND s.organisation_id = $2
+        AND s.shift_date >= CURRENT_DATE
+        AND s.status <> 'draft'
+      ORDER BY s.shift_date ASC, s.start_time ASC
+      LIMIT 10
+    `,
+    [staff.id, organisationId]
+  );
+
+  const timezone = await getOrganisationTimezone(pool, organisationId);
+
+  if (!options.code) {
+    if (!upcoming.length) {
+      await replyWhatsApp(fromPhone, 'ℹ️ You have no upcoming shifts to swap.');
+      return;
+    }
+    const lines = upcoming.map(
+      (s) =>
+        `• *${getOfferCode(s)}* – ${formatShiftDate(s, timezone)}, ${s.ward || 'Ward TBC'} ` +
+        `(${shiftTime.formatTime(s.start_time)}–${shiftTime.formatTime(s.end_time)})`
+    );
+    await replyWhatsApp(
+      fromPhone,
+      '🔁 *Which shift would you like to swap?*\n\n' +
+        lines.join('\n') +
+        `\n\nReply *SWAP ${getOfferCode(upcoming[0])}* (using the code of the shift).`
+    );
+    return;
+  }
+
+  const shift = upcoming.find((s) => getOfferCode(s) === options.code);
+  if (!shift) {
+    await replyWhatsApp(
+      fromPhone,
+      `ℹ️ I couldn't find an upcoming shift of yours with code *${options.code}*.\n\n` +
+        'Type *SWAP* to see your shifts and their codes.'
+    );
+    return;
+  }
+
+  const result = await requestSwap(pool, {
+    organisationId,
+    staffId: staff.id,
+    shiftId: shift.id,
+  });
+
+  if (result.error) {
+    await replyWhatsApp(fromPhone, `⛔ Sorry, I couldn't set up this swap: ${result.error}.`);
+    return;
+  }
+
+  const notified = await notifySwapCandidates(pool, result.swap, result.candidates);
+  const msg = notified
+    ? `🔁 Swap *${getSwapCode(result.swap)}* is open. I've told *${notified}* eligible colleague(s); ` +
+      "I'll let you know when someone takes it.\n\nYou are still on this shift until the swap is approved."
+    : `🔁 Swap *${getSwapCode(result.swap)}* is open, but no colleague can currently take this shift ` +
+      'without breaking a scheduling rule.\n\nPlease speak with your ward manager.';
+  await replyWhatsApp(fromPhone, msg);
+}
+
+/**
+ * TAKE <swap code> -> take a colleague's open swap
+ */
+async function handleTakeCommand(fromPhone, organisationId, options = {}) {
+  const staff = await getOrCreateStaffByPhone(fromPhone, organisationId);
+  console.log('[TAKE] Staff record:', staff);
+
+  if (!options.skipRegistrationCheck) {
+    const needsReg = await staffNeedsRegistration(staff.id, organisationId);
+    if (needsReg) {
+      const original = options.code ? `TAKE ${options.code}` : 'TAKE';
+      await beginRegistrationFlow(fromPhone, staff, organisationId, original);
+      return;
+    }
+  }
+
+  const swapId = parseSwapCode(options.code);
+  if (!swapId) {
+    await replyWhatsApp(
+      fromPhone,
+      'ℹ️ Please reply with the swap code from the message, e.g. *TAKE SW12*.'
+    );
+    return;
+  }
+
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await takeSwap(client, { organisationId, swapId, staffId: staff.id });
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[TAKE] Error in transaction:', err);
+    await replyWhatsApp(
+      fromPhone,
+      '❌ Something went wrong while taking this swap.\n\nPlease try again or speak with your ward manager.'
+    );
+    return;
+  } finally {
+    client.release();
+  }
+
+  if (result.error) {
+    const reasons = result.verdict
+      ? '\n\n' + describeVerdict({ blocks: result.verdict.blocks, warnings: [] }).join('\n')
+      : '';
+    await replyWhatsApp(fromPhone, `⛔ Sorry, you can't take this swap: ${result.error}.${reasons}`);
+    return;
+  }
+
+  // The taker's confirmation is part of the outcome notice.
+  await notifySwapOutcome(pool, result.swap, result.approved ? 'approved' : 'taken');
+}
+
+/**
+ * AVAILABLE <when> / UNAVAILABLE <when>
+ * <when> is weekdays ("Mon Tue nights", "weekends") or dates ("12-15 Dec",
+ * "24/12"); see staffAvailability.parseAvailabilityText.
+ */
+async function handleAvailabilityCommand(fromPhone, organisationId, options = {}) {
+  const staff = await getOrCreateStaffByPhone(fromPhone, organisationId);
+  console.log('[AVAILABILITY] Staff record:', staff);
+
+  const keyword = options.kind === 'unavailable' ? 'UNAVAILABLE' : 'AVAILABLE';
+
+  if (!options.skipRegistrationCheck) {
+    const needsReg = await staffNeedsRegistration(staff.id, organisationId);
+    if (needsReg) {
+      const original = options.text ? `${keyword} ${options.text}` : keyword;
+      await beginRegistrationFlow(fromPhone, staff, organisationId, original);
+      return;
+    }
+  }
+
+  const timezone = await getOrganisationTimezone(pool, organisationId);
+  const todayKey = shiftTime.getLocalDateKey(new Date(), timezone);
+  const parsed = parseAvailabilityText(options.text, todayKey);
+
+  if (parsed.error) {
+    await replyWhatsApp(
+      fromPhone,
+      `ℹ️ ${parsed.error}\n\nExamples:\n• *${keyword} Mon Tue nights*\n• *${keyword} 12-15 Dec*`
+    );
+    return;
+  }
+
+  const saved = await addAvailability(pool, organisationId, staff.id, options.kind, parsed.entries, {
+    source: 'whatsapp',
+  });
+
+  await replyWhatsApp(
+    fromPhone,
+    '✅ Thanks, saved:\n' +
+      saved.map((entry) => `• ${describeAvailabilityEntry(entry)}`).join('\n') +
+      (options.kind === 'unavailable'
+        ? "\n\nYou won't be offered shifts then."
+        : '\n\nWe\'ll look to you first for shifts then.')
+  );
+}
+
+/**
+ * MY AVAILABILITY -> weekly patterns and upcoming dates
+ */
+async function handleMyAvailabilityCommand(fromPhone, organisationId, options = {}) {
+  const staff = await getOrCreateStaffByPhone(fromPhone, organisationId);
+  console.log('[MY AVAILABILITY] Staff record:', staff);
+
+  if (!options.skipRegistrationCheck) {
+    const needsReg = await staffNeedsRegistration(staff.id, organisationId);
+    if (needsReg) {
+      await beginRegistrationFlow(fromPhone, staff, organisationId, 'MY AVAILABILITY');
+      return;
+    }
+  }
+
+  const entries = await listAvailability(pool, organisationId, { staffId: staff.id });
+
+  if (!entries.length) {
+    await replyWhatsApp(
+      fromPhone,
+      "ℹ️ You haven't told us about any availability yet.\n\n" +
+        'Try *AVAILABLE Mon Tue nights* or *UNAVAILABLE 12-15 Dec*.'
+    );
+    return;
+  }
+
+  await replyWhatsApp(
+    fromPhone,
+    '📆 *Your availability*\n\n' +
+      entries
+        .slice(0, 15)
+        .map((entry) => `• ${describeAvailabilityEntry(entry)}`)
+        .join('\n') +
+      '\n\nA new *AVAILABLE* / *UNAVAILABLE* for the same weekday replaces the old one.'
+  );
+}
+
+/**
+ * LEAVE / LEAVE BALANCE -> balance and upcoming requests
+ * LEAVE <dates>         -> request annual leave ("LEAVE 12-15 Dec")
+ * LEAVE <type> <dates>  -> another leave type ("LEAVE unpaid 3 Jan")
+ */
+async function handleLeaveCommand(fromPhone, organisationId, options = {}) {
+  const staff = await getOrCreateStaffByPhone(fromPhone, organisationId);
+  console.log('[LEAVE] Staff record:', staff);
+
+  if (!options.skipRegistrationCheck) {
+    const needsReg = await staffNeedsRegistration(staff.id, organisationId);
+    if (needsReg) {
+      const original = options.text ? `LEAVE ${options.text}` : 'LEAVE';
+      await beginRegistrationFlow(fromPhone, staff, organisationId, original);
+      return;
+    }
+  }
+
+  const text = String(options.text || '').trim();
+
+  if (!text || text.toUpperCase() === 'BALANCE') {
+    const timezone = await getOrganisationTimezone(pool, organisationId);
+    const todayKey = shiftTime.getLocalDateKey(new Date(), timezone);
+    const [balance, requests] = await Promise.all([
+      getLeaveBalance(pool, organisationId, staff.id),
+      listLeaveRequests(pool, organisationId, { staffId: staff.id, from: todayKey }),
+    ]);
+    const live = requests.filter((r) => r.status === 'pending' || r.status === 'approved');
+
+    await replyWhatsApp(
+      fromPhone,
+      `💼 *Your leave ${balance.leave_year.start.slice(0, 4)}/${balance.leave_year.end.slice(2, 4)}*\n\n` +
+        `Entitlement: ${balance.entitlement_hours}h\n` +
+        `Taken / booked: ${balance.taken_hours}h\n` +
+        `Waiting for approval: ${balance.pending_hours}h\n` +
+        `*Left: ${balance.remaining_hours}h* (about ${balance.remaining_days} days)` +
+        (live.length
+          ? '\n\n' + live.map((r) => `• ${describeLeave(r)} – ${r.status}`).join('\n')
+          : '') +
+        '\n\nTo request leave, reply e.g. *LEAVE 12-15 Dec*.'
+    );
+    return;
+  }
+
+  // Optional leave type before the dates ("unpaid 3 Jan").
+  const types = await listLeaveTypes(pool, organisationId, { activeOnly: true });
+  const [first, ...restWords] = text.split(/\s+/);
+  const type = types.find((t) => t.code === first.toLowerCase());
+  const dates = type ? restWords.join(' ') : text;
+
+  const timezone = await getOrganisationTimezone(pool, organisationId);
+  const range = parseDateRange(dates, shiftTime.getLocalDateKey(new Date(), timezone));
+  if (!range || range.error) {
+    await replyWhatsApp(
+      fromPhone,
+      `ℹ️ ${range ? range.error : `I couldn't read the dates "${dates}".`}\n\n` +
+        'Examples:\n• *LEAVE 12-15 Dec*\n• *LEAVE 24/12*\n• *LEAVE 28 Dec - 3 Jan*'
+    );
+    return;
+  }
+
+  const result = await requestLeave(pool, {
+    organisationId,
+    staffId: staff.id,
+    typeCode: type ? type.code : 'annual',
+    startDate: range.start_date,
+    endDate: range.end_date,
+    source: 'whatsapp',
+  });
+
+  if (result.error) {
+    await replyWhatsApp(fromPhone, `⛔ Sorry, I couldn't request this leave: ${result.error}.`);
+    return;
+  }
+
+  await replyWhatsApp(
+    fromPhone,
+    `📝 Your request for *${describeLeave(result.request)}* (${Number(result.request.hours)}h) ` +
+      "has been sent to your ward manager. I'll message you when it is approved.\n\n" +
+      `Leave left after approval: ${
+        Math.round((result.balance.remaining_hours - result.balance.pending_hours) * 100) / 100
+      }h.`
+  );
+}
+
+/**
+ * SICK [days] -> record sickness, come off the shifts in the window (next
+ *                24h or next shift; up to MAX_SICK_DAYS) and re-offer them
+ */
+async function handleSickCommand(fromPhone, organisationId, options = {}) {
+  const staff = await getOrCreateStaffByPhone(fromPhone, organisationId);
+  console.log('[SICK] Staff record:', staff);
+
+  if (!options.skipRegistrationCheck) {
+    const needsReg = await staffNeedsRegistration(staff.id, organisationId);
+    if (needsReg) {
+      const original = options.days ? `SICK ${options.days}` : 'SICK';
+      await beginRegistrationFlow(fromPhone, staff, organisationId, original);
+      return;
+    }
+  }
+
+  if (options.days != null && !(options.days >= 1 && options.days <= MAX_SICK_DAYS)) {
+    await replyWhatsApp(
+      fromPhone,
+      `ℹ️ I can take you off up to ${MAX_SICK_DAYS} days of shifts at a time. ` +
+        'Reply e.g. *SICK 3*, or speak with your ward manager for longer absences.'
+    );
+    return;
+  }
+
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await reportSickness(client, {
+      organisationId,
+      staffId: staff.id,
+      days: options.days,
+      source: 'whatsapp',
+    });
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const timezone = await getOrganisationTimezone(pool, organisationId);
+  const shiftLines = result.shifts.map(
+    (s) =>
+      `• *${getOfferCode(s)}* – ${formatShiftDate(s, timezone)}, ${s.ward || 'Ward TBC'} ` +
+      `(${shiftTime.formatTime(s.start_time)}–${shiftTime.formatTime(s.end_time)})`
+  );
+
+  await replyWhatsApp(
+    fromPhone,
+    (result.alreadyOff
+      ? "🤒 You're already recorded as off sick."
+      : "🤒 Sorry you're unwell – I've recorded you as off sick.") +
+      (shiftLines.length
+        ? "\n\nI've taken you off:\n" +
+          shiftLines.join('\n') +
+          '\n\nThe team are being offered these shifts now, so you do not need to find cover.'
+        : '\n\nYou have no shifts coming up that need covering.') +
+      "\n\nYou won't be offered shifts until you reply *BACK*. Get well soon."
+  );
+
+  if (result.shifts.length) {
+    await backfillShifts({ organisationId, shiftIds: result.shifts.map((s) => s.id) });
+  }
+}
+
+/**
+ * BACK -> close the open sickness spell (back from today)
+ */
+async function handleBackCommand(fromPhone, organisationId, options = {}) {
+  const staff = await getOrCreateStaffByPhone(fromPhone, organisationId);
+  console.log('[BACK] Staff record:', staff);
+
+  if (!options.skipRegistrationCheck) {
+    const needsReg = await staffNeedsRegistration(staff.id, organisationId);
+    if (needsReg) {
+      await beginRegistrationFlow(fromPhone, staff, organisationId, 'BACK');
+      return;
+    }
+  }
+
+  const result = await recordReturn(pool, { organisationId, staffId: staff.id });
+
+  if (result.error) {
+    await replyWhatsApp(fromPhone, "ℹ️ You're not recorded as off sick, so there's nothing to update.");
+    return;
+  }
+
+  await replyWhatsApp(
+    fromPhone,
+    "👋 Welcome back! You're available for shifts again.\n\n" +
+      'Your ward manager will arrange a short return-to-work chat with you.'
+  );
+}
+
 async function handleInsightTodayCommand(fromPhone, organisationId, options = {}) {
   console.log('[INSIGHT TODAY] Start for', fromPhone, 'org', organisationId);
 
@@ -818,6 +1438,12 @@ router.post('/webhook', async (req, res) => {
       return;
     }
 
+    const offerReply = parseOfferReply(upper);
+    const swapReply = parseSwapReply(upper);
+    const availabilityReply = parseAvailabilityReply(command);
+    const leaveReply = parseLeaveReply(command);
+    const sickReply = parseSickReply(upper);
+
     if (upper === 'MENU' || upper === 'HELP') {
       await handleMenuCommand(from);
     } else if (upper === 'CHECKIN') {
@@ -828,10 +1454,26 @@ router.post('/webhook', async (req, res) => {
       await handleMyShiftsCommand(from, organisationId);
     } else if (upper === 'INSIGHT TODAY') {
       await handleInsightTodayCommand(from, organisationId);
-    } else if (upper === 'ACCEPT') {
-      await handleAcceptCommand(from, organisationId);
-    } else if (upper === 'DECLINE') {
-      await handleDeclineCommand(from, organisationId);
+    } else if (upper === 'OFFERS') {
+      await handleOffersCommand(from, organisationId);
+    } else if (offerReply && offerReply.action === 'ACCEPT') {
+      await handleAcceptCommand(from, organisationId, { code: offerReply.code });
+    } else if (offerReply && offerReply.action === 'DECLINE') {
+      await handleDeclineCommand(from, organisationId, { code: offerReply.code });
+    } else if (swapReply && swapReply.action === 'SWAP') {
+      await handleSwapCommand(from, organisationId, { code: swapReply.code });
+    } else if (swapReply && swapReply.action === 'TAKE') {
+      await handleTakeCommand(from, organisationId, { code: swapReply.code });
+    } else if (availabilityReply) {
+      await handleAvailabilityCommand(from, organisationId, availabilityReply);
+    } else if (upper === 'MY AVAILABILITY') {
+      await handleMyAvailabilityCommand(from, organisationId);
+    } else if (leaveReply) {
+      await handleLeaveCommand(from, organisationId, { text: leaveReply.text });
+    } else if (sickReply) {
+      await handleSickCommand(from, organisationId, { days: sickReply.days });
+    } else if (upper === 'BACK') {
+      await handleBackCommand(from, organisationId);
     } else {
       const msg =
         "🤔 Sorry, I didn't understand that.\n\n" +
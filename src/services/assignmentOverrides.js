@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Assignment override audit trail
+ *
+ * When a ward manager forces an assignment past an overridable rule
+ * (night limit, mandatory training) or a soft warning (weekly hours over
+ * the WTR guidance), we record who did it, which rule, their written
+ * justification and when. Matrons review these per week.
+ */
+
+// Justifications shorter than this are rejected ("ok", "n/a", ...).
+const MIN_JUSTIFICATION_LENGTH = 10;
+
+/**
+ * Write one audit row per overridden block and acknowledged warning.
+ * Call inside the same transaction that created the assignment.
+ */
+async function recordOverrides(client, { organisationId, shiftId, staffId, assignmentId, verdict, justification, user }) {
+  const entries = [
+    ...(verdict.overridden || []).map((o) => ({ ...o, severity: 'block' })),
+    ...(verdict.warnings || []).map((w) => ({ ...w, severity: 'warning' })),
+  ];
+
+  const saved = [];
+
+  for (const entry of entries) {
+    const { rows } = await client.query(
+      `
+        INSERT INTO assignment_overrides (
+          organisation_id,
+          shift_id,
+          staff_id,
+          assignment_id,
+          rule,
+          severity,
+          rule_message,
+          justification,
+          overridden_by_user_id,
+          overridden_by_email
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id, rule, severity, rule_message, overridden_at
+      `,
+      [
+        organisationId,
+        shiftId,
+        staffId,
+        assignmentId,
+        entry.rule,
+        entry.severity,
+        entry.reason || null,
+        justification,
+        user && user.id != null ? user.id : null,
+        (user && user.email) || null,
+      ]
+    );
+    saved.push(rows[0]);
+  }
+
+  return saved;
+}
+
+/**
+ * List overrides for an organisation between two dates (inclusive).
+ * `from` / `to` are YYYY-MM-DD strings.
+ */
+async function listOverrides(db, organisationId, { from, to, ward } = {}) {
+  const params = [organisationId, from, to];
+  let wardFilter = '';
+  if (ward) {
+    params.push(`%${ward}%`);
+    wardFilter = `AND s.ward ILIKE $${params.length}`;
+  }
+
+  const { rows } = await db.query(
+    `
+      SELECT
+        ao.id,
+        ao.shift_id,
+        s.shift_ref,
+        s.ward,
+        s.shift_date,
+        s.start_time,
+        s.end_time,
+        ao.staff_id,
+        st.name AS staff_name,
+        ao.rule,
+        ao.severity,
+        ao.rule_message,
+        ao.justification,
+        ao.overridden_by_user_id,
+        ao.overridden_by_email,
+        ao.overridden_at
+      FROM assignment_overrides ao
+      JOIN shifts s ON s.id = ao.shift_id
+      LEFT JOIN staff st ON st.id = ao.staff_id
+      WHERE ao.organisation_id = $1
+        AND ao.overridden_at::date >= $2
+        AND ao.overridden_at::date <= $3
+        ${wardFilter}
+      ORDER BY ao.overridden_at DESC
+    `,
+    params
+  );
+
+  return rows;
+}
+
+module.exports = {
+  MIN_JUSTIFICATION_LENGTH,
+  recordOverrides,
+  listOverrides,
+};
@@ -0,0 +1,457 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Assignment Service (compliance gate)
+ *
+ * Every code path that puts a member of staff on a shift goes through
+ * assignStaffToShift(), so the shiftRules.js checks always run before a
+ * row is written to shift_assignments:
+ *   - WhatsApp ACCEPT       (src/routes/whatsappRoutes.js)
+ *   - Manager assign        (src/routes/managerAssignmentRoutes.js)
+ *   - Demo simulate         (src/routes/demoRoutes.js)
+ *
+ * The gate returns a structured verdict:
+ *   {
+ *     ok: boolean,                 // true when there are no blocks
+ *     blocks:     [{ rule, reason, overridable }],
+ *     warnings:   [{ rule, reason }],
+ *     overridden: [{ rule, reason }],   // only with allowManagerOverride
+ *   }
+ *
+ * "Hard" blocks (cancelled shift, double-booking, rest period, weekly hard
+ * cap, consecutive days, capacity, role/skill mix, gender requirement,
+ * approved leave, sickness) can never be bypassed. Blocks marked overridable
+ * (night limit, mandatory training) need an explicit manager decision:
+ * with allowManagerOverride they move from `blocks` to `overridden` so the
+ * caller can write them to the assignment_overrides audit trail.
+ *
+ * The numeric limits come from the organisation's rule profiles
+ * (see ruleProfiles.js), the same ones the assignment engine uses.
+ *
+ * Self-declared unavailability (staffAvailability.js) is only a warning
+ * here: the engine and offers already leave those staff out, so reaching
+ * the gate means a manager picked them or they accepted the shift anyway.
+ */
+
+const shiftRules = require('./shiftRules');
+const { loadRuleProfiles, resolveLimits, DEFAULT_LIMITS } = require('./ruleProfiles');
+const { withTimezone, getShiftDateKey } = require('./shiftTime');
+const { getOrganisationTimezone } = require('./organisationSettings');
+const { getTrainingStatus } = require('./trainingCompliance');
+const { loadSkillMixContext, loadStaffSkillIds, evaluateSkillFit } = require('./skillMatching');
+const { loadAssignedGenderCounts, evaluateGenderFit } = require('./genderMatching');
+const { loadAvailability, evaluateAvailability } = require('./staffAvailability');
+const { loadApprovedLeave, findLeaveForShift, describeLeave } = require('./leaveManagement');
+const { loadSickness, findSicknessForShift, describeAbsence } = require('./sicknessAbsence');
+const { syncShiftStatus } = require('./shiftStatus');
+
+// How far either side of the new shift we look for existing assignments.
+// 14 days covers the rolling night-shift window and the 7-day hours window.
+const RULE_WINDOW_DAYS = 14;
+
+// -------------------------
+// Loaders
+// -------------------------
+
+/**
+ * Load the shift being assigned, scoped to the organisation.
+ * Pass { forUpdate: true } inside a transaction to lock the row.
+ */
+async function loadShift(db, shiftId, organisationId, options = {}) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        id,
+        organisation_id,
+        shift_ref,
+        ward,
+        role_required,
+        gender_required,
+        gender_min_male,
+        gender_min_female,
+        status,
+        shift_date,
+        start_time,
+        end_time,
+        number_required,
+        number_filled
+      FROM shifts
+      WHERE id = $1 AND organisation_id = $2
+      LIMIT 1
+      ${options.forUpdate ? 'FOR UPDATE' : ''}
+    `,
+    [shiftId, organisationId]
+  );
+
+  return rows[0] || null;
+}
+
+async function loadStaff(db, staffId, organisationId) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        id,
+        name,
+        ward,
+        staff_type,
+        wtr_opt_out,
+        mandatory_training_complete,
+        gender,
+        observation_eligible
+      FROM staff
+      WHERE id = $1 AND organisation_id = $2
+      LIMIT 1
+    `,
+    [staffId, organisationId]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Load the staff member's assignments around the new shift, as plain
+ * shift objects that the shiftRules.js helpers understand.
+ */
+async function loadSurroundingAssignments(db, staffId, organisationId, shift) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        s.id,
+        s.shift_ref,
+        s.ward,
+        s.shift_date,
+        s.start_time,
+        s.end_time
+      FROM shift_assignments sa
+      JOIN shifts s ON s.id = sa.shift_id
+      WHERE sa.staff_id = $1
+        AND s.organisation_id = $2
+        AND s.shift_date BETWEEN ($3::timestamptz - make_interval(days => $4))
+                             AND ($3::timestamptz + make_interval(days => $4))
+      ORDER BY s.shift_date ASC, s.start_time ASC
+    `,
+    [staffId, organisationId, shift.shift_date, RULE_WINDOW_DAYS]
+  );
+
+  return rows;
+}
+
+// -------------------------
+// Rule evaluation
+// -------------------------
+
+/**
+ * Run every shiftRules.js check for one staff member against one shift.
+ * Pure function: all data must already be loaded.
+ *
+ * context: {
+ *   existingAssignments: [...],   // other shifts already worked/booked
+ *   trainingStatus: { isCompliant, overdueCourses } | null,
+ *   alreadyAssigned: boolean,
+ *   skillFit: skillMatching.evaluateSkillFit result | null,
+ *   genderFit: genderMatching.evaluateGenderFit result | null,
+ *   availability: staffAvailability.evaluateAvailability result | null,
+ *   leave: approved leave covering the shift (leaveManagement) | null,
+ *   sickness: sickness spell covering the shift (sicknessAbsence) | null,
+ *   limits: resolved rule profile limits (defaults if omitted),
+ *   allowManagerOverride: boolean,
+ * }
+ */
+function evaluateRules(shift, context = {}) {
+  const existing = context.existingAssignments || [];
+  const limits = context.limits || DEFAULT_LIMITS;
+  const allowOverride = !!context.allowManagerOverride;
+  const blocks = [];
+  const warnings = [];
+  const overridden = [];
+
+  const block = (rule, reason, overridable = false) => {
+    if (overridable && allowOverride) {
+      overridden.push({ rule, reason });
+    } else {
+      blocks.push({ rule, reason, overridable });
+    }
+  };
+  const warn = (rule, reason) => warnings.push({ rule, reason });
+
+  // Cancelled and completed shifts are kept for reporting but can't be
+  // staffed. in_progress stays open for urgent no-show backfill.
+  const shiftStatus = String(shift.status || '').toLowerCase();
+  if (shiftStatus === 'cancelled') {
+    block('shift_cancelled', 'Shift has been cancelled');
+  } else if (shiftStatus === 'completed') {
+    block('shift_completed', 'Shift has already finished');
+  }
+
+  // Capacity / duplicates
+  if (context.alreadyAssigned) {
+    block('already_assigned', 'Staff member is already assigned to this shift');
+  }
+
+  const required = Number(shift.number_required || 0);
+  const filled = Number(shift.number_filled || 0);
+  if (required > 0 && filled >= required) {
+    block('shift_full', `Shift is already fully staffed (${filled}/${required})`);
+  }
+
+  // Role / skill mix
+  if (context.skillFit && !context.skillFit.ok) {
+    block('skill_mix', context.skillFit.reason);
+  }
+
+  // Gender requirement (single-gender shifts, observation cover)
+  if (context.genderFit && !context.genderFit.ok) {
+    block('gender_requirement', context.genderFit.reason);
+  }
+
+  // Approved leave
+  if (context.leave) {
+    block('on_leave', `Staff member is on approved leave (${describeLeave(context.leave)})`);
+  }
+
+  // Reported sick (open spells cover every date until they are back)
+  if (context.sickness) {
+    block('off_sick', `Staff member is ${describeAbsence(context.sickness)}`);
+  }
+
+  // Staff said they can't work then
+  if (context.availability && context.availability.status === 'unavailable') {
+    warn('availability', `Staff availability: ${context.availability.label}`);
+  }
+
+  // Working time rules
+  const doubleBooking = shiftRules.checkDoubleBooking(existing, shift);
+  if (!doubleBooking.ok) {
+    const other = doubleBooking.conflictingShift || {};
+    block(
+      'double_booking',
+      `Overlaps with shift ${other.shift_ref || other.id || ''}`.trim()
+    );
+  }
+
+  const rest = shiftRules.checkRestPeriod(existing, shift, limits.minRestHours);
+  if (!rest.ok) {
+    block('rest_period', rest.reason);
+  }
+
+  const weekly = shiftRules.checkWeeklyHoursLimit(existing, shift, {
+    softThresholdHours: limits.weeklyHoursSoft,
+    hardCapHours: limits.weeklyHoursHard,
+  });
+  if (!weekly.ok) {
+    block('weekly_hours', weekly.reason);
+  } else if (weekly.legalWarning) {
+    warn('weekly_hours', weekly.legalWarning);
+  }
+
+  const consecutive = shiftRules.checkConsecutiveDaysLimit(
+    existing,
+    shift,
+    limits.maxConsecutiveDays
+  );
+  if (!consecutive.ok) {
+    block('consecutive_days', consecutive.reason);
+  }
+
+  const nights = shiftRules.checkNightShiftLimit(
+    existing,
+    shift,
+    limits.maxNights,
+    limits.nightWindowDays
+  );
+  if (!nights.ok) {
+    block('night_limit', nights.reason, true);
+  }
+
+  const training = shiftRules.checkMandatoryTraining(context.trainingStatus, allowOverride);
+  const trainingOverdue = context.trainingStatus && !context.trainingStatus.isCompliant;
+  if (!training.ok || trainingOverdue) {
+    const courses = training.overdueCourses || [];
+    block(
+      'mandatory_training',
+      courses.length
+        ? `${training.reason} (${courses.join(', ')})`
+        : training.reason,
+      true
+    );
+  }
+
+  return {
+    ok: blocks.length === 0,
+    blocks,
+    warnings,
+    overridden,
+    ruleProfile: limits.profileName,
+  };
+}
+
+/**
+ * Load everything needed and evaluate the rules for staff + shift.
+ * `db` can be the pool or a transaction client.
+ *
+ * Pass replacingStaffId to evaluate taking over that staff member's place
+ * (shift swaps): their slot counts as open and they are left out of the
+ * skill and gender mix.
+ *
+ * Returns { shift, staff, verdict }. shift/staff are null if not found.
+ */
+async function evaluateAssignment(
+  db,
+  {
+    shiftId,
+    staffId,
+    organisationId,
+    forUpdate = false,
+    allowManagerOverride = false,
+    replacingStaffId = null,
+  }
+) {
+  const loaded = await loadShift(db, shiftId, organisationId, { forUpdate });
+  const shiftRow =
+    loaded && replacingStaffId
+      ? { ...loaded, number_filled: Math.max(0, Number(loaded.number_filled || 0) - 1) }
+      : loaded;
+  if (!shiftRow) {
+    return {
+      shift: null,
+      staff: null,
+      verdict: {
+        ok: false,
+        blocks: [{ rule: 'shift_not_found', reason: `Shift ${shiftId} not found`, overridable: false }],
+        warnings: [],
+        overridden: [],
+      },
+    };
+  }
+
+  const staff = await loadStaff(db, staffId, organisationId);
+  if (!staff) {
+    return {
+      shift: shiftRow,
+      staff: null,
+      verdict: {
+        ok: false,
+        blocks: [{ rule: 'staff_not_found', reason: `Staff ${staffId} not found`, overridable: false }],
+        warnings: [],
+        overridden: [],
+      },
+    };
+  }
+
+  const [surroundingRows, profiles, timezone] = await Promise.all([
+    loadSurroundingAssignments(db, staffId, organisationId, shiftRow),
+    loadRuleProfiles(db, organisationId),
+    getOrganisationTimezone(db, organisationId),
+  ]);
+  const trainingStatus = await getTrainingStatus(db, organisationId, staff, { timezone });
+
+  const [skillMix, staffSkills, genderCounts] = await Promise.all([
+    loadSkillMixContext(db, shiftRow, { excludeStaffId: replacingStaffId || staffId }),
+    loadStaffSkillIds(db, [staffId]),
+    loadAssignedGenderCounts(db, shiftRow.id, replacingStaffId || staffId),
+  ]);
+  const openSlots =
+    Number(shiftRow.number_required || 0) - Number(shiftRow.number_filled || 0);
+  const skillFit = evaluateSkillFit(
+    skillMix.requirements,
+    staffSkills.get(staff.id),
+    skillMix.assignedCounts,
+    openSlots
+  );
+  const genderFit = evaluateGenderFit(shiftRow, staff, genderCounts, openSlots);
+
+  // Rules resolve times in the organisation's zone (see shiftTime.js)
+  const shift = withTimezone(shiftRow, timezone);
+  const surrounding = withTimezone(surroundingRows, timezone);
+
+  const dateKey = getShiftDateKey(shift.shift_date, timezone);
+  const [availabilityMap, leaveMap, sicknessMap] = await Promise.all([
+    loadAvailability(db, organisationId, [staff.id], { from: dateKey, to: dateKey }),
+    loadApprovedLeave(db, organisationId, [staff.id], { from: dateKey, to: dateKey }),
+    loadSickness(db, organisationId, [staff.id], { from: dateKey, to: dateKey }),
+  ]);
+
+  const verdict = evaluateRules(shift, {
+    existingAssignments: surrounding.filter((s) => s.id !== shift.id),
+    alreadyAssigned: surrounding.some((s) => s.id === shift.id),
+    trainingStatus,
+    skillFit,
+    genderFit,
+    availability: evaluateAvailability(availabilityMap.get(staff.id), shift, timezone),
+    leave: findLeaveForShift(leaveMap.get(staff.id), shift, timezone),
+    sickness: findSicknessForShift(sicknessMap.get(staff.id), shift, timezone),
+    limits: resolveLimits(profiles, staff, shift),
+    allowManagerOverride,
+  });
+
+  return { shift, staff, verdict };
+}
+
+// -------------------------
+// Writing assignments
+// -------------------------
+
+/**
+ * Gate + write a single assignment.
+ *
+ * Must be called with a client that is already inside a transaction
+ * (BEGIN ... COMMIT is owned by the caller so it can bundle other
+ * writes, e.g. marking a shift offer as accepted).
+ *
+ * Pass allowManagerOverride only from the manager override endpoint;
+ * it waives overridable blocks (they come back in verdict.overridden).
+ *
+ * Returns:
+ *   { assigned: true,  assignment, shift, verdict }
+ *   { assigned: false, shift, verdict }
+ */
+async function assignStaffToShift(
+  client,
+  { shiftId, staffId, organisationId, allowManagerOverride = false }
+) {
+  const { shift, verdict } = await evaluateAssignment(client, {
+    shiftId,
+    staffId,
+    organisationId,
+    forUpdate: true,
+    allowManagerOverride,
+  });
+
+  if (!verdict.ok) {
+    return { assigned: false, shift, verdict };
+  }
+
+  const { rows } = await client.query(
+    `
+      INSERT INTO shift_assignments (shift_id, staff_id, accepted_at)
+      VALUES ($1, $2, NOW())
+      RETURNING id, shift_id, staff_id, accepted_at
+    `,
+    [shift.id, staffId]
+  );
+
+  await client.query('UPDATE shifts SET number_filled = number_filled + 1 WHERE id = $1', [
+    shift.id,
+  ]);
+  await syncShiftStatus(client, shift.id, { source: 'assignment' });
+
+  return { assigned: true, assignment: rows[0], shift, verdict };
+}
+
+/**
+ * Turn a verdict into short bullet lines for WhatsApp / API messages.
+ */
+function describeVerdict(verdict) {
+  return [
+    ...verdict.blocks.map((b) => `⛔ ${b.reason}`),
+    ...verdict.warnings.map((w) => `⚠️ ${w.reason}`),
+  ];
+}
+
+module.exports = {
+  evaluateRules,
+  evaluateAssignment,
+  assignStaffToShift,
+  describeVerdict,
+};
+
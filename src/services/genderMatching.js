@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Gender-aware assignment
+ *
+ * Works out whether a staff member can take a slot on a shift given:
+ *   - shifts.gender_required: 'male' / 'female' means every slot must be
+ *     that gender; 'both' / 'any' (or NULL) means no single-gender rule
+ *   - shifts.gender_min_male / gender_min_female: mixed counts, e.g.
+ *     "1 female + 1 any" on a 2-person shift
+ *   - staff.gender and staff.observation_eligible: only observation-
+ *     eligible staff with a recorded gender count towards a requirement
+ *
+ * Like skillMatching, a candidate who does not cover an outstanding
+ * requirement is only eligible if the remaining open slots can still
+ * cover it after they are placed.
+ *
+ * Used by the assignment gate, the assignment engine and the offer
+ * broadcaster in shiftAutomation.
+ */
+
+const GENDER_LABELS = { male: 'male', female: 'female' };
+
+/**
+ * Normalise the gender rule on a shift.
+ * Returns { single: 'male' | 'female' | null, minMale, minFemale }.
+ */
+function getGenderRequirement(shift) {
+  const raw = String((shift && shift.gender_required) || '').trim().toLowerCase();
+  const single = GENDER_LABELS[raw] || null;
+
+  return {
+    single,
+    minMale: Math.max(parseInt(shift && shift.gender_min_male, 10) || 0, 0),
+    minFemale: Math.max(parseInt(shift && shift.gender_min_female, 10) || 0, 0),
+  };
+}
+
+/**
+ * Gender a staff member counts as for observations, or null if they
+ * cannot count (not recorded, 'other', or not observation-eligible).
+ */
+function observationGender(staff) {
+  if (!staff || staff.observation_eligible === false) return null;
+  return GENDER_LABELS[String(staff.gender || '').toLowerCase()] || null;
+}
+
+/**
+ * Observation-eligible staff already assigned to a shift by gender:
+ * { male, female }. Pass excludeStaffId to ignore one person.
+ */
+async function loadAssignedGenderCounts(db, shiftId, excludeStaffId = null) {
+  const { rows } = await db.query(
+    `
+      SELECT LOWER(st.gender) AS gender, COUNT(*)::int AS assigned
+      FROM shift_assignments sa
+      JOIN staff st ON st.id = sa.staff_id
+      WHERE sa.shift_id = $1
+        AND ($2::int IS NULL OR sa.staff_id <> $2)
+        AND st.observation_eligible IS NOT FALSE
+        AND LOWER(st.gender) IN ('male', 'female')
+      GROUP BY LOWER(st.gender)
+    `,
+    [shiftId, excludeStaffId]
+  );
+
+  const counts = { male: 0, female: 0 };
+  for (const row of rows) counts[row.gender] = row.assigned;
+  return counts;
+}
+
+/**
+ * Can this staff member take a slot without breaking the gender rule?
+ *
+ * assignedCounts: from loadAssignedGenderCounts
+ * openSlots:      number_required - number_filled (before placing them)
+ *
+ * Returns { ok, reason, covers: 'male' | 'female' | null }.
+ */
+function evaluateGenderFit(shift, staff, assignedCounts, openSlots) {
+  const req = getGenderRequirement(shift);
+  const gender = observationGender(staff);
+
+  if (req.single) {
+    if (gender === req.single) {
+      return { ok: true, covers: gender };
+    }
+    const why = !staff || !staff.gender
+      ? 'gender not recorded'
+      : staff.observation_eligible === false
+        ? 'not eligible for observations'
+        : `staff member is ${staff.gender}`;
+    return { ok: false, reason: `Shift is ${req.single} only (${why})`, covers: null };
+  }
+
+  if (!req.minMale && !req.minFemale) {
+    return { ok: true, covers: null };
+  }
+
+  const counts = assignedCounts || { male: 0, female: 0 };
+  let needMale = Math.max(req.minMale - counts.male, 0);
+  let needFemale = Math.max(req.minFemale - counts.female, 0);
+
+  let covers = null;
+  if (gender === 'male' && needMale > 0) {
+    needMale--;
+    covers = 'male';
+  } else if (gender === 'female' && needFemale > 0) {
+    needFemale--;
+    covers = 'female';
+  }
+
+  const slotsAfter = Math.max((openSlots || 1) - 1, 0);
+  if (needMale + needFemale <= slotsAfter) {
+    return { ok: true, covers };
+  }
+
+  const outstanding = [
+    needMale ? `${needMale} male` : null,
+    needFemale ? `${needFemale} female` : null,
+  ]
+    .filter(Boolean)
+    .join(' + ');
+
+  return {
+    ok: false,
+    reason: `Remaining slots are needed for ${outstanding} staff (observations)`,
+    covers,
+  };
+}
+
+/**
+ * Short label for messages: "Female only", "1 female + 1 any", "Any gender".
+ */
+function describeGenderRequirement(shift) {
+  const req = getGenderRequirement(shift);
+  if (req.single) {
+    return req.single === 'male' ? 'Male only' : 'Female only';
+  }
+
+  const parts = [];
+  if (req.minMale) parts.push(`${req.minMale} male`);
+  if (req.minFemale) parts.push(`${req.minFemale} female`);
+  if (!parts.length) return 'Any gender';
+
+  const required = parseInt(shift && shift.number_required, 10) || 0;
+  const any = required - req.minMale - req.minFemale;
+  if (any > 0) parts.push(`${any} any`);
+  return parts.join(' + ');
+}
+
+module.exports = {
+  getGenderRequirement,
+  observationGender,
+  loadAssignedGenderCounts,
+  evaluateGenderFit,
+  describeGenderRequirement,
+};
@@ -0,0 +1,708 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Annual leave
+ *
+ * Leave types per organisation ('annual' deducts from the entitlement;
+ * unpaid / compassionate and any custom types don't), a yearly
+ * entitlement in hours and a request workflow:
+ *
+ *   pending   – requested (WhatsApp "LEAVE 12-15 Dec" or POST /api/leave)
+ *   approved  – by a manager; the staff member is blocked from being
+ *               assigned on those dates (assignment gate) and left out of
+ *               recommendations and offers
+ *   rejected / cancelled
+ *
+ * Entitlement is pro-rated from the contract: annual_leave_weeks (5.6 by
+ * default) × contracted_hours_per_week, unless staff.annual_leave_hours is
+ * set. Requests are charged per weekday (Mon–Fri) at a fifth of the
+ * weekly contract, and count towards the leave year they start in.
+ */
+
+const twilioSender = require('./twilioSender');
+const shiftTime = require('./shiftTime');
+const { getOrganisationTimezone } = require('./organisationSettings');
+const { formatDateKey } = require('./staffAvailability');
+
+const DEFAULT_LEAVE_TYPES = [
+  { code: 'annual', name: 'Annual leave', is_paid: true, deducts_entitlement: true },
+  { code: 'unpaid', name: 'Unpaid leave', is_paid: false, deducts_entitlement: false },
+  { code: 'compassionate', name: 'Compassionate leave', is_paid: true, deducts_entitlement: false },
+];
+
+const STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const DEFAULT_CONTRACT_HOURS = 37.5;
+const MAX_LEAVE_DAYS = 366;
+
+const REQUEST_COLUMNS = `
+  lr.id,
+  lr.organisation_id,
+  lr.staff_id,
+  st.name AS staff_name,
+  lr.leave_type_id,
+  lt.code AS leave_type,
+  lt.name AS leave_type_name,
+  lt.is_paid,
+  lt.deducts_entitlement,
+  lr.start_date::text AS start_date,
+  lr.end_date::text AS end_date,
+  lr.hours,
+  lr.status,
+  lr.reason,
+  lr.source,
+  lr.decided_by_user_id,
+  lr.decision_note,
+  lr.created_at,
+  lr.decided_at
+`;
+
+const REQUEST_FROM = `
+  FROM leave_requests lr
+  JOIN staff st ON st.id = lr.staff_id
+  JOIN leave_types lt ON lt.id = lr.leave_type_id
+`;
+
+// -------------------------
+// Settings and types
+// -------------------------
+
+async function getLeaveSettings(db, organisationId) {
+  const { rows } = await db.query(
+    'SELECT annual_leave_weeks, leave_year_start_month FROM organisations WHERE id = $1 LIMIT 1',
+    [organisationId]
+  );
+  const row = rows[0] || {};
+  return {
+    annual_leave_weeks: row.annual_leave_weeks != null ? Number(row.annual_leave_weeks) : 5.6,
+    leave_year_start_month: row.leave_year_start_month || 4,
+  };
+}
+
+async function setLeaveSettings(db, organisationId, settings) {
+  await db.query(
+    `
+      UPDATE organisations
+      SET annual_leave_weeks = COALESCE($2, annual_leave_weeks),
+          leave_year_start_month = COALESCE($3, leave_year_start_month)
+      WHERE id = $1
+    `,
+    [organisationId, settings.annual_leave_weeks ?? null, settings.leave_year_start_month ?? null]
+  );
+  return getLeaveSettings(db, organisationId);
+}
+
+/**
+ * Make sure the organisation has the default types (new organisations
+ * created after the migration have none).
+ */
+async function ensureLeaveTypes(db, organisationId) {
+  for (const t of DEFAULT_LEAVE_TYPES) {
+    await db.query(
+      `
+        INSERT INTO leave_types (organisation_id, code, name, is_paid, deducts_entitlement)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (organisation_id, code) DO NOTHING
+      `,
+      [organisationId, t.code, t.name, t.is_paid, t.deducts_entitlement]
+    );
+  }
+}
+
+async function listLeaveTypes(db, organisationId, { activeOnly = false } = {}) {
+  await ensureLeaveTypes(db, organisationId);
+  const { rows } = await db.query(
+    `
+      SELECT id, code, name, is_paid, deducts_entitlement, is_active
+      FROM leave_types
+      WHERE organisation_id = $1 AND ($2::boolean = FALSE OR is_active)
+      ORDER BY deducts_entitlement DESC, name ASC
+    `,
+    [organisationId, activeOnly]
+  );
+  return rows;
+}
+
+/**
+ * Create or update a type by code.
+ */
+async function saveLeaveType(db, organisationId, type) {
+  const { rows } = await db.query(
+    `
+      INSERT INTO leave_types (organisation_id, code, name, is_paid, deducts_entitlement, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (organisation_id, code) DO UPDATE
+      SET name = EXCLUDED.name,
+          is_paid = EXCLUDED.is_paid,
+          deducts_entitlement = EXCLUDED.deducts_entitlement,
+          is_active = EXCLUDED.is_active
+      RETURNING id, code, name, is_paid, deducts_entitlement, is_active
+    `,
+    [
+      organisationId,
+      type.code,
+      type.name,
+      type.is_paid !== false,
+      !!type.deducts_entitlement,
+      type.is_active !== false,
+    ]
+  );
+  return rows[0];
+}
+
+// -------------------------
+// Entitlement and balance
+// -------------------------
+
+function isoWeekday(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const dow = new Date(Date.UTC(y, m - 1, d)).getUTCDay(); // 0 = Sunday
+  return dow === 0 ? 7 : dow;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Hours one working day of leave costs this staff member.
+ */
+function hoursPerDay(staff) {
+  return round2(Number(staff.contracted_hours_per_week || DEFAULT_CONTRACT_HOURS) / 5);
+}
+
+function countWeekdays(startKey, endKey) {
+  let days = 0;
+  for (let key = startKey; key <= endKey; key = shiftTime.addDaysToKey(key, 1)) {
+    if (isoWeekday(key) <= 5) days++;
+  }
+  return days;
+}
+
+/**
+ * Default charge for a request: weekdays in the range × hoursPerDay.
+ */
+function calculateLeaveHours(staff, startKey, endKey) {
+  return round2(countWeekdays(startKey, endKey) * hoursPerDay(staff));
+}
+
+/**
+ * Yearly entitlement in hours: the staff override, else
+ * annual_leave_weeks × contracted hours.
+ */
+function getEntitlementHours(staff, settings) {
+  if (staff.annual_leave_hours != null) return Number(staff.annual_leave_hours);
+  const contract = Number(staff.contracted_hours_per_week || DEFAULT_CONTRACT_HOURS);
+  return Math.round(settings.annual_leave_weeks * contract * 10) / 10;
+}
+
+/**
+ * Leave year containing dateKey: { start, end } date keys.
+ */
+function getLeaveYear(dateKey, startMonth) {
+  const year = Number(dateKey.slice(0, 4));
+  const month = Number(dateKey.slice(5, 7));
+  const startYear = month >= startMonth ? year : year - 1;
+  const start = `${startYear}-${String(startMonth).padStart(2, '0')}-01`;
+  const nextStart = `${startYear + 1}-${String(startMonth).padStart(2, '0')}-01`;
+  return { start, end: shiftTime.addDaysToKey(nextStart, -1) };
+}
+
+async function loadLeaveStaff(db, organisationId, staffId) {
+  const { rows } = await db.query(
+    `
+      SELECT id, name, phone_number, contracted_hours_per_week, annual_leave_hours
+      FROM staff
+      WHERE id = $1 AND organisation_id = $2
+    `,
+    [staffId, organisationId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Entitlement, taken and pending hours for the leave year containing
+ * dateKey (default: today in the organisation's zone).
+ * Pass excludeRequestId to leave one request out (re-checking it).
+ * Returns null if the staff member is not found.
+ */
+async function getLeaveBalance(db, organisationId, staffId, options = {}) {
+  const staff = await loadLeaveStaff(db, organisationId, staffId);
+  if (!staff) return null;
+
+  const settings = await getLeaveSettings(db, organisationId);
+  let dateKey = options.dateKey;
+  if (!dateKey) {
+    const timezone = await getOrganisationTimezone(db, organisationId);
+    dateKey = shiftTime.getLocalDateKey(new Date(), timezone);
+  }
+  const year = getLeaveYear(dateKey, settings.leave_year_start_month);
+
+  const { rows } = await db.query(
+    `
+      SELECT
+        COALESCE(SUM(lr.hours) FILTER (WHERE lr.status = 'approved'), 0) AS taken,
+        COALESCE(SUM(lr.hours) FILTER (WHERE lr.status = 'pending'), 0) AS pending
+      FROM leave_requests lr
+      JOIN leave_types lt ON lt.id = lr.leave_type_id
+      WHERE lr.staff_id = $1
+        AND lt.deducts_entitlement
+        AND lr.start_date BETWEEN $2::date AND $3::date
+        AND ($4::int IS NULL OR lr.id <> $4)
+    `,
+    [staffId, year.start, year.end, options.excludeRequestId || null]
+  );
+
+  const entitlement = getEntitlementHours(staff, settings);
+  const taken = Number(rows[0].taken);
+  const pending = Number(rows[0].pending);
+  const perDay = hoursPerDay(staff);
+
+  return {
+    staff_id: staff.id,
+    staff_name: staff.name,
+    leave_year: year,
+    hours_per_day: perDay,
+    entitlement_hours: entitlement,
+    taken_hours: round2(taken),
+    pending_hours: round2(pending),
+    remaining_hours: round2(entitlement - taken),
+    remaining_days: perDay ? Math.floor(((entitlement - taken) / perDay) * 10) / 10 : null,
+  };
+}
+
+// -------------------------
+// Requests
+// -------------------------
+
+async function loadLeaveRequest(db, organisationId, requestId, options = {}) {
+  if (options.forUpdate) {
+    await db.query('SELECT id FROM leave_requests WHERE id = $1 AND organisation_id = $2 FOR UPDATE', [
+      requestId,
+      organisationId,
+    ]);
+  }
+
+  const { rows } = await db.query(
+    `SELECT ${REQUEST_COLUMNS} ${REQUEST_FROM} WHERE lr.id = $1 AND lr.organisation_id = $2`,
+    [requestId, organisationId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Requests for an organisation, soonest leave first.
+ * filters: { status, staffId, from, to }
+ */
+async function listLeaveRequests(db, organisationId, filters = {}) {
+  const params = [organisationId];
+  const where = ['lr.organisation_id = $1'];
+
+  if (filters.status) {
+    params.push(filters.status);
+    where.push(`lr.status = $${params.length}`);
+  }
+  if (filters.staffId) {
+    params.push(filters.staffId);
+    where.push(`lr.staff_id = $${params.length}`);
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    where.push(`lr.end_date >= $${params.length}::date`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    where.push(`lr.start_date <= $${params.length}::date`);
+  }
+
+  const { rows } = await db.query(
+    `
+      SELECT ${REQUEST_COLUMNS}
+      ${REQUEST_FROM}
+      WHERE ${where.join(' AND ')}
+      ORDER BY lr.start_date ASC, lr.id ASC
+      LIMIT 500
+    `,
+    params
+  );
+  return rows;
+}
+
+async function findOverlappingRequest(db, staffId, startKey, endKey, excludeId = null) {
+  const { rows } = await db.query(
+    `
+      SELECT id, status, start_date::text AS start_date, end_date::text AS end_date
+      FROM leave_requests
+      WHERE staff_id = $1
+        AND status IN ('pending', 'approved')
+        AND start_date <= $3::date
+        AND end_date >= $2::date
+        AND ($4::int IS NULL OR id <> $4)
+      LIMIT 1
+    `,
+    [staffId, startKey, endKey, excludeId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Shifts the staff member is assigned to during the leave.
+ */
+async function findConflictingAssignments(db, organisationId, staffId, startKey, endKey, timezone) {
+  const { rows } = await db.query(
+    `
+      SELECT s.id, s.shift_ref, s.ward, s.shift_date, s.start_time, s.end_time
+      FROM shift_assignments sa
+      JOIN shifts s ON s.id = sa.shift_id
+      WHERE sa.staff_id = $1
+        AND s.organisation_id = $2
+        AND s.shift_date BETWEEN ($3::date - 1) AND ($4::date + 1)
+      ORDER BY s.shift_date ASC, s.start_time ASC
+    `,
+    [staffId, organisationId, startKey, endKey]
+  );
+
+  return rows.filter((s) => {
+    const key = shiftTime.getShiftDateKey(s.shift_date, timezone);
+    return key && key >= startKey && key <= endKey;
+  });
+}
+
+/**
+ * Ask for leave. Managers may pass `hours` to override the default charge.
+ *
+ * Returns { request, balance } or { error, status }.
+ */
+async function requestLeave(
+  db,
+  {
+    organisationId,
+    staffId,
+    typeCode = 'annual',
+    startDate,
+    endDate,
+    hours = null,
+    reason = null,
+    source = 'api',
+  }
+) {
+  const end = endDate || startDate;
+  if (end < startDate) {
+    return { error: 'end_date must be on or after start_date', status: 400 };
+  }
+  if (shiftTime.addDaysToKey(startDate, MAX_LEAVE_DAYS) < end) {
+    return { error: `Leave can be at most ${MAX_LEAVE_DAYS} days`, status: 400 };
+  }
+
+  const timezone = await getOrganisationTimezone(db, organisationId);
+  const todayKey = shiftTime.getLocalDateKey(new Date(), timezone);
+  if (startDate < todayKey) {
+    return { error: 'Leave cannot start in the past', status: 400 };
+  }
+
+  const types = await listLeaveTypes(db, organisationId, { activeOnly: true });
+  const type = types.find((t) => t.code === typeCode);
+  if (!type) {
+    return { error: `Unknown leave type '${typeCode}'`, status: 400 };
+  }
+
+  const staff = await loadLeaveStaff(db, organisationId, staffId);
+  if (!staff) {
+    return { error: 'Staff not found', status: 404 };
+  }
+
+  const overlap = await findOverlappingRequest(db, staffId, startDate, end);
+  if (overlap) {
+    return {
+      error: `Overlaps your ${overlap.status} leave ${overlap.start_date} to ${overlap.end_date}`,
+      status: 409,
+    };
+  }
+
+  const charge = hours != null ? round2(Number(hours)) : calculateLeaveHours(staff, startDate, end);
+  const balance = await getLeaveBalance(db, organisationId, staffId, { dateKey: startDate });
+
+  if (type.deducts_entitlement && charge > balance.remaining_hours - balance.pending_hours) {
+    return {
+      error:
+        `Not enough leave left: this needs ${charge}h, you have ${balance.remaining_hours}h ` +
+        `(${balance.pending_hours}h already requested)`,
+      status: 409,
+    };
+  }
+
+  const { rows } = await db.query(
+    `
+      INSERT INTO leave_requests (
+        organisation_id, staff_id, leave_type_id, start_date, end_date, hours, reason, source
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `,
+    [organisationId, staffId, type.id, startDate, end, charge, reason, source]
+  );
+
+  return {
+    request: await loadLeaveRequest(db, organisationId, rows[0].id),
+    balance: await getLeaveBalance(db, organisationId, staffId, { dateKey: startDate }),
+  };
+}
+
+/**
+ * Manager approval. Caller owns BEGIN / COMMIT.
+ *
+ * Returns { request, conflicts } or { error, status }. conflicts are the
+ * shifts the staff member is already assigned to during the leave; they
+ * stay assigned until a manager moves them.
+ */
+async function approveLeave(client, { organisationId, requestId, userId, note = null }) {
+  const request = await loadLeaveRequest(client, organisationId, requestId, { forUpdate: true });
+  if (!request) {
+    return { error: 'Leave request not found', status: 404 };
+  }
+  if (request.status !== 'pending') {
+    return { error: `This leave request is already ${request.status}`, status: 409 };
+  }
+
+  const overlap = await findOverlappingRequest(
+    client,
+    request.staff_id,
+    request.start_date,
+    request.end_date,
+    request.id
+  );
+  if (overlap && overlap.status === 'approved') {
+    return {
+      error: `Overlaps approved leave ${overlap.start_date} to ${overlap.end_date}`,
+      status: 409,
+    };
+  }
+
+  if (request.deducts_entitlement) {
+    const balance = await getLeaveBalance(client, organisationId, request.staff_id, {
+      dateKey: request.start_date,
+      excludeRequestId: request.id,
+    });
+    if (Number(request.hours) > balance.remaining_hours) {
+      return {
+        error: `Not enough leave left: needs ${request.hours}h, ${balance.remaining_hours}h remaining`,
+        status: 409,
+      };
+    }
+  }
+
+  await client.query(
+    `
+      UPDATE leave_requests
+      SET status = 'approved',
+          decided_by_user_id = $2,
+          decision_note = $3,
+          decided_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+    `,
+    [request.id, userId, note]
+  );
+
+  const timezone = await getOrganisationTimezone(client, organisationId);
+  const conflicts = await findConflictingAssignments(
+    client,
+    organisationId,
+    request.staff_id,
+    request.start_date,
+    request.end_date,
+    timezone
+  );
+
+  return { request: await loadLeaveRequest(client, organisationId, request.id), conflicts };
+}
+
+async function rejectLeave(db, { organisationId, requestId, userId, note = null }) {
+  const { rowCount } = await db.query(
+    `
+      UPDATE leave_requests
+      SET status = 'rejected',
+          decided_by_user_id = $3,
+          decision_note = $4,
+          decided_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1 AND organisation_id = $2 AND status = 'pending'
+    `,
+    [requestId, organisationId, userId, note]
+  );
+  if (!rowCount) {
+    const request = await loadLeaveRequest(db, organisationId, requestId);
+    return request
+      ? { error: `This leave request is already ${request.status}`, status: 409 }
+      : { error: 'Leave request not found', status: 404 };
+  }
+  return { request: await loadLeaveRequest(db, organisationId, requestId) };
+}
+
+/**
+ * The staff member withdraws a pending request, or approved leave that
+ * hasn't started yet.
+ */
+async function cancelLeave(db, { organisationId, requestId, staffId }) {
+  const { rowCount } = await db.query(
+    `
+      UPDATE leave_requests
+      SET status = 'cancelled', decided_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+        AND organisation_id = $2
+        AND staff_id = $3
+        AND (status = 'pending' OR (status = 'approved' AND start_date > CURRENT_DATE))
+    `,
+    [requestId, organisationId, staffId]
+  );
+  if (!rowCount) {
+    return { error: 'No pending or upcoming leave of yours with that id', status: 404 };
+  }
+  return { request: await loadLeaveRequest(db, organisationId, requestId) };
+}
+
+/**
+ * Approved leave hours per staff member for a pay period, split into paid
+ * and unpaid. Requests crossing the period edge are counted pro rata by
+ * weekday.
+ */
+async function summariseLeaveHours(db, organisationId, { from, to }) {
+  const { rows } = await db.query(
+    `
+      SELECT ${REQUEST_COLUMNS}
+      ${REQUEST_FROM}
+      WHERE lr.organisation_id = $1
+        AND lr.status = 'approved'
+        AND lr.end_date >= $2::date
+        AND lr.start_date <= $3::date
+    `,
+    [organisationId, from, to]
+  );
+
+  const byStaff = new Map();
+  for (const r of rows) {
+    const start = r.start_date > from ? r.start_date : from;
+    const end = r.end_date < to ? r.end_date : to;
+    const total = countWeekdays(r.start_date, r.end_date);
+    const hours = total ? round2((Number(r.hours) * countWeekdays(start, end)) / total) : 0;
+
+    if (!byStaff.has(r.staff_id)) {
+      byStaff.set(r.staff_id, {
+        staff_id: r.staff_id,
+        staff_name: r.staff_name,
+        paid_leave_hours: 0,
+        unpaid_leave_hours: 0,
+      });
+    }
+    const entry = byStaff.get(r.staff_id);
+    if (r.is_paid) entry.paid_leave_hours = round2(entry.paid_leave_hours + hours);
+    else entry.unpaid_leave_hours = round2(entry.unpaid_leave_hours + hours);
+  }
+
+  return [...byStaff.values()].sort((a, b) => a.staff_name.localeCompare(b.staff_name));
+}
+
+// -------------------------
+// Assignment checks
+// -------------------------
+
+/**
+ * Approved leave overlapping a date range ("YYYY-MM-DD" keys) for several
+ * staff. Returns Map staff_id -> [request].
+ */
+async function loadApprovedLeave(db, organisationId, staffIds, { from, to }) {
+  const map = new Map();
+  if (!staffIds.length) return map;
+
+  const { rows } = await db.query(
+    `
+      SELECT lr.id, lr.staff_id, lt.name AS leave_type_name,
+             lr.start_date::text AS start_date, lr.end_date::text AS end_date
+      FROM leave_requests lr
+      JOIN leave_types lt ON lt.id = lr.leave_type_id
+      WHERE lr.organisation_id = $1
+        AND lr.staff_id = ANY($2::int[])
+        AND lr.status = 'approved'
+        AND lr.end_date >= $3::date
+        AND lr.start_date <= $4::date
+    `,
+    [organisationId, staffIds, from, to]
+  );
+
+  for (const row of rows) {
+    if (!map.has(row.staff_id)) map.set(row.staff_id, []);
+    map.get(row.staff_id).push(row);
+  }
+  return map;
+}
+
+/**
+ * The approved leave covering the shift's date, or null.
+ */
+function findLeaveForShift(leave, shift, timezone) {
+  if (!leave || !leave.length) return null;
+  const dateKey = shiftTime.getShiftDateKey(shift.shift_date, timezone || shift.timezone);
+  if (!dateKey) return null;
+  return leave.find((l) => dateKey >= l.start_date && dateKey <= l.end_date) || null;
+}
+
+/**
+ * "Annual leave 12 Dec – 15 Dec".
+ */
+function describeLeave(leave) {
+  const when =
+    leave.start_date === leave.end_date
+      ? formatDateKey(leave.start_date)
+      : `${formatDateKey(leave.start_date)} – ${formatDateKey(leave.end_date)}`;
+  return `${leave.leave_type_name} ${when}`;
+}
+
+// -------------------------
+// WhatsApp notifications (call after COMMIT; failures are logged)
+// -------------------------
+
+async function notifyLeaveDecision(db, request) {
+  const { rows } = await db.query('SELECT phone_number FROM staff WHERE id = $1', [request.staff_id]);
+  const phone = rows[0] && rows[0].phone_number;
+  if (!phone) return false;
+
+  const note = request.decision_note ? `\n\nManager's note: ${request.decision_note}` : '';
+  const body =
+    request.status === 'approved'
+      ? `✅ Your ${describeLeave(request)} (${Number(request.hours)}h) is *approved*.${note}`
+      : `❌ Your ${describeLeave(request)} request was *not approved*.${note}`;
+
+  try {
+    await twilioSender.sendWhatsAppMessage({
+      to: `whatsapp:${phone.replace(/^whatsapp:/, '')}`,
+      body,
+    });
+    return true;
+  } catch (err) {
+    console.error(`[LEAVE] Failed to message staff ${request.staff_id}:`, err);
+    return false;
+  }
+}
+
+module.exports = {
+  STATUSES,
+  DEFAULT_LEAVE_TYPES,
+  getLeaveSettings,
+  setLeaveSettings,
+  listLeaveTypes,
+  saveLeaveType,
+  calculateLeaveHours,
+  getEntitlementHours,
+  getLeaveYear,
+  getLeaveBalance,
+  loadLeaveRequest,
+  listLeaveRequests,
+  requestLeave,
+  approveLeave,
+  rejectLeave,
+  cancelLeave,
+  summariseLeaveHours,
+  loadApprovedLeave,
+  findLeaveForShift,
+  describeLeave,
+  notifyLeaveDecision,
+};
@@ -0,0 +1,405 @@
+'use strict';
+
+/**
+ * Priory SmartShift – No-show detection
+ *
+ * Background job (detectNoShows, run from index.js). Once a shift has been
+ * running for the organisation's no_show_grace_minutes, every assigned
+ * staff member with no check-in matched to it (shiftAttendance.js) is
+ * recorded in shift_no_shows and the ward manager is alerted on WhatsApp.
+ * Only shifts that are still running are checked, so nothing historic is
+ * flagged and each assignment is flagged once. Staff who are still
+ * checked in (unmatched, or for a shift running into this one) are on
+ * site and are not flagged.
+ *
+ * With no_show_auto_backfill on (or when a manager asks) the no-show is
+ * taken off the shift and urgent offers for the gap go out straight away;
+ * urgent offers stay open until the shift ends.
+ *
+ * A late check-in against the shift marks the no-show 'arrived_late';
+ * managers can also mark it 'excused' or 'confirmed'.
+ */
+
+const pool = require('../db');
+const shiftTime = require('./shiftTime');
+const { sendWhatsAppMessage } = require('./twilioSender');
+const { listManagerContacts } = require('./staffDirectory');
+const { releaseStaffFromShift } = require('./shiftRelease');
+const { backfillShifts, getOfferCode } = require('./shiftAutomation');
+
+const STATUSES = ['open', 'arrived_late', 'excused', 'confirmed'];
+const RESOLUTIONS = ['excused', 'confirmed'];
+const MIN_GRACE_MINUTES = 5;
+const MAX_GRACE_MINUTES = 240;
+
+// An open check-in older than this before the shift start is a missed
+// checkout, not someone still on site.
+const OPEN_CHECKIN_MAX_HOURS = 16;
+
+const NO_SHOW_COLUMNS = `
+  ns.id,
+  ns.organisation_id,
+  ns.shift_id,
+  s.shift_ref,
+  s.ward,
+  s.shift_date,
+  s.start_time,
+  s.end_time,
+  ns.staff_id,
+  st.name AS staff_name,
+  ns.status,
+  ns.detected_at,
+  ns.managers_alerted,
+  ns.released,
+  ns.offers_sent,
+  ns.resolved_at,
+  ns.resolved_by_user_id,
+  ns.resolution_note,
+  o.timezone
+`;
+
+const NO_SHOW_FROM = `
+  FROM shift_no_shows ns
+  JOIN shifts s ON s.id = ns.shift_id
+  JOIN staff st ON st.id = ns.staff_id
+  JOIN organisations o ON o.id = ns.organisation_id
+`;
+
+// -------------------------
+// Settings
+// -------------------------
+
+async function getNoShowSettings(db, organisationId) {
+  const { rows } = await db.query(
+    `
+      SELECT no_show_grace_minutes AS grace_minutes, no_show_auto_backfill AS auto_backfill
+      FROM organisations
+      WHERE id = $1
+    `,
+    [organisationId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * settings: { grace_minutes, auto_backfill } (null / undefined = unchanged)
+ */
+async function setNoShowSettings(db, organisationId, settings) {
+  await db.query(
+    `
+      UPDATE organisations
+      SET no_show_grace_minutes = COALESCE($2, no_show_grace_minutes),
+          no_show_auto_backfill = COALESCE($3, no_show_auto_backfill)
+      WHERE id = $1
+    `,
+    [
+      organisationId,
+      settings.grace_minutes != null ? settings.grace_minutes : null,
+      settings.auto_backfill != null ? settings.auto_backfill : null,
+    ]
+  );
+  return getNoShowSettings(db, organisationId);
+}
+
+// -------------------------
+// Loading
+// -------------------------
+
+async function loadNoShow(db, organisationId, noShowId) {
+  const { rows } = await db.query(
+    `SELECT ${NO_SHOW_COLUMNS} ${NO_SHOW_FROM} WHERE ns.id = $1 AND ns.organisation_id = $2`,
+    [noShowId, organisationId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * No-shows, newest first.
+ * filters: { status, staffId, from, to } (from / to on the shift date)
+ */
+async function listNoShows(db, organisationId, filters = {}) {
+  const params = [organisationId];
+  const where = ['ns.organisation_id = $1'];
+
+  if (filters.status) {
+    params.push(filters.status);
+    where.push(`ns.status = $${params.length}`);
+  }
+  if (filters.staffId) {
+    params.push(filters.staffId);
+    where.push(`ns.staff_id = $${params.length}`);
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    where.push(`s.shift_date >= $${params.length}::date`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    where.push(`s.shift_date <= $${params.length}::date`);
+  }
+
+  const { rows } = await db.query(
+    `
+      SELECT ${NO_SHOW_COLUMNS}
+      ${NO_SHOW_FROM}
+      WHERE ${where.join(' AND ')}
+      ORDER BY ns.detected_at DESC
+      LIMIT 500
+    `,
+    params
+  );
+  return rows;
+}
+
+// -------------------------
+// Backfill and alerts
+// -------------------------
+
+/**
+ * Take the no-show off the shift and send urgent offers for the gap.
+ * Returns the number of offers sent.
+ */
+async function releaseAndBackfill(db, noShow) {
+  const client = await db.connect();
+  let released;
+  try {
+    await client.query('BEGIN');
+    released = await releaseStaffFromShift(client, noShow.shift_id, noShow.staff_id);
+    await client.query('UPDATE shift_no_shows SET released = TRUE WHERE id = $1', [noShow.id]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (!released) return 0;
+
+  const [result] = await backfillShifts({
+    organisationId: noShow.organisation_id,
+    shiftIds: [noShow.shift_id],
+    urgent: true,
+  });
+  const offersSent = result.offers.length;
+
+  await db.query('UPDATE shift_no_shows SET offers_sent = offers_sent + $2 WHERE id = $1', [
+    noShow.id,
+    offersSent,
+  ]);
+  return offersSent;
+}
+
+function buildManagerAlert(row, { minutesLate, backfilled, offersSent }) {
+  const shiftLine =
+    `${shiftTime.formatShiftDate(row)}, ${row.ward || 'Ward TBC'} ` +
+    `(${shiftTime.formatTime(row.start_time)}–${shiftTime.formatTime(row.end_time)}, ${getOfferCode({ id: row.shift_id, shift_ref: row.shift_ref })})`;
+
+  let next;
+  if (!backfilled) {
+    next = 'They are still on the rota. Please arrange cover if needed.';
+  } else if (offersSent) {
+    next = `They have been taken off the shift and urgent offers sent to ${offersSent} staff.`;
+  } else {
+    next = 'They have been taken off the shift, but nobody eligible could be offered it.';
+  }
+
+  return (
+    '⚠️ *No-show*\n\n' +
+    `*${row.staff_name}* has not checked in for ${shiftLine}, ` +
+    `which started ${minutesLate} minutes ago.\n\n` +
+    next
+  );
+}
+
+async function alertManagers(row, message) {
+  const managers = await listManagerContacts(row.organisation_id, { ward: row.ward });
+  let sent = 0;
+
+  for (const manager of managers) {
+    try {
+      await sendWhatsAppMessage({
+        to: manager.phone_number.startsWith('whatsapp:')
+          ? manager.phone_number
+          : `whatsapp:${manager.phone_number}`,
+        body: message,
+      });
+      sent++;
+    } catch (err) {
+      console.error(`[NO-SHOW] Failed to alert manager ${manager.user_id}:`, err);
+    }
+  }
+  return sent;
+}
+
+// -------------------------
+// Background job
+// -------------------------
+
+/**
+ * Flag assignments on running shifts past the grace period with no
+ * check-in, alert managers and (if configured) backfill.
+ * Returns counts for logging.
+ */
+async function detectNoShows({ db = pool, organisationId = null } = {}) {
+  const summary = { detected: 0, alerted: 0, backfilled: 0 };
+  const now = new Date();
+
+  const { rows } = await db.query(
+    `
+      SELECT
+        s.organisation_id,
+        s.id AS shift_id,
+        s.shift_ref,
+        s.ward,
+        s.shift_date,
+        s.start_time,
+        s.end_time,
+        sa.staff_id,
+        st.name AS staff_name,
+        o.timezone,
+        o.no_show_grace_minutes,
+        o.no_show_auto_backfill,
+        CASE WHEN last_log.action = 'checkin' THEN last_log.occurred_at END AS open_checkin_at
+      FROM shift_assignments sa
+      JOIN shifts s ON s.id = sa.shift_id
+      JOIN staff st ON st.id = sa.staff_id
+      JOIN organisations o ON o.id = s.organisation_id
+      LEFT JOIN LATERAL (
+        SELECT al.action, al.occurred_at
+        FROM attendance_logs al
+        WHERE al.staff_id = sa.staff_id AND al.organisation_id = s.organisation_id
+        ORDER BY al.occurred_at DESC
+        LIMIT 1
+      ) last_log ON TRUE
+      WHERE ($1::int IS NULL OR s.organisation_id = $1)
+        AND s.shift_date BETWEEN (NOW() - INTERVAL '2 days')::date AND (NOW() + INTERVAL '1 day')::date
+        AND s.status <> 'draft'
+        AND NOT EXISTS (
+          SELECT 1 FROM attendance_logs al
+          WHERE al.shift_id = s.id AND al.staff_id = sa.staff_id AND al.action = 'checkin'
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM shift_no_shows ns
+          WHERE ns.shift_id = s.id AND ns.staff_id = sa.staff_id
+        )
+    `,
+    [organisationId]
+  );
+
+  for (const row of rows) {
+    const { start, end } = shiftTime.getShiftRange(row);
+    if (!start || !end || now >= end) continue;
+
+    const minutesLate = Math.floor((now - start) / 60000);
+    if (minutesLate < row.no_show_grace_minutes) continue;
+
+    // Still checked in (e.g. a long day running into a night, or a
+    // check-in that matched no shift), so they are on site.
+    const openCheckin = row.open_checkin_at ? new Date(row.open_checkin_at) : null;
+    if (openCheckin && start - openCheckin <= OPEN_CHECKIN_MAX_HOURS * 3600000) {
+      continue;
+    }
+
+    try {
+      const { rows: claimed } = await db.query(
+        `
+          INSERT INTO shift_no_shows (organisation_id, shift_id, staff_id)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (shift_id, staff_id) DO NOTHING
+          RETURNING id, organisation_id, shift_id, staff_id
+        `,
+        [row.organisation_id, row.shift_id, row.staff_id]
+      );
+      if (!claimed.length) continue;
+      summary.detected++;
+
+      let offersSent = 0;
+      if (row.no_show_auto_backfill) {
+        offersSent = await releaseAndBackfill(db, claimed[0]);
+        summary.backfilled++;
+      }
+
+      const alerted = await alertManagers(
+        row,
+        buildManagerAlert(row, { minutesLate, backfilled: row.no_show_auto_backfill, offersSent })
+      );
+      await db.query('UPDATE shift_no_shows SET managers_alerted = $2 WHERE id = $1', [
+        claimed[0].id,
+        alerted,
+      ]);
+      if (alerted) summary.alerted++;
+    } catch (err) {
+      console.error(`[NO-SHOW] Failed to process shift ${row.shift_id} staff ${row.staff_id}:`, err);
+    }
+  }
+
+  return summary;
+}
+
+// -------------------------
+// Manager actions
+// -------------------------
+
+/**
+ * Manager asks for urgent cover for an open no-show (auto backfill off).
+ * Returns { noShow, offers_sent } or { error, status }.
+ */
+async function backfillNoShow(db, { organisationId, noShowId }) {
+  const noShow = await loadNoShow(db, organisationId, noShowId);
+  if (!noShow) {
+    return { error: 'No-show not found', status: 404 };
+  }
+  if (noShow.status !== 'open' || noShow.released) {
+    return { error: 'This no-show is resolved or has already been backfilled', status: 409 };
+  }
+
+  const { end } = shiftTime.getShiftRange(noShow);
+  if (end && end <= new Date()) {
+    return { error: 'The shift has already finished', status: 409 };
+  }
+
+  const offersSent = await releaseAndBackfill(db, noShow);
+  return { noShow: await loadNoShow(db, organisationId, noShowId), offers_sent: offersSent };
+}
+
+/**
+ * Manager marks a no-show 'excused' or 'confirmed'.
+ * Returns { noShow } or { error, status }.
+ */
+async function resolveNoShow(db, { organisationId, noShowId, userId, status, note = null }) {
+  if (!RESOLUTIONS.includes(status)) {
+    return { error: `status must be one of: ${RESOLUTIONS.join(', ')}`, status: 400 };
+  }
+
+  const { rowCount } = await db.query(
+    `
+      UPDATE shift_no_shows
+      SET status = $3,
+          resolved_at = NOW(),
+          resolved_by_user_id = $4,
+          resolution_note = $5
+      WHERE id = $1 AND organisation_id = $2
+    `,
+    [noShowId, organisationId, status, userId, note]
+  );
+  if (!rowCount) {
+    return { error: 'No-show not found', status: 404 };
+  }
+
+  return { noShow: await loadNoShow(db, organisationId, noShowId) };
+}
+
+module.exports = {
+  STATUSES,
+  RESOLUTIONS,
+  MIN_GRACE_MINUTES,
+  MAX_GRACE_MINUTES,
+  getNoShowSettings,
+  setNoShowSettings,
+  loadNoShow,
+  listNoShows,
+  detectNoShows,
+  backfillNoShow,
+  resolveNoShow,
+};
@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Shift offer acceptance
+ *
+ * First come, first served: several staff can hold an offer for the same
+ * shift (one broadcast_group, or a cascade tier), but only as many as the
+ * shift needs can accept it. Acceptance locks the offer and the shift row,
+ * so concurrent ACCEPTs are serialised and the shift is never overfilled.
+ *
+ * When an acceptance fills the shift, everyone else's open offer is marked
+ * 'superseded', any live cascade for the shift is completed, and the
+ * caller sends notifySupersededOffers() once the transaction commits.
+ */
+
+const twilioSender = require('./twilioSender');
+const shiftTime = require('./shiftTime');
+const { assignStaffToShift } = require('./assignmentService');
+
+/**
+ * Accept an offer inside the caller's transaction (caller owns BEGIN / COMMIT).
+ *
+ * Returns { outcome, offer, ... } where outcome is:
+ *   'accepted'     – assigned; also { result, superseded: [...] }
+ *   'filled'       – the shift was already full; the offer is now superseded
+ *   'unavailable'  – the offer is no longer open (expired, answered, withdrawn)
+ *   'blocked'      – a scheduling rule blocks it; { result } has the verdict
+ *
+ * Every outcome is safe to COMMIT: nothing is written for 'blocked'.
+ */
+async function acceptShiftOffer(client, { offerId, staffId, organisationId }) {
+  const { rows: offerRows } = await client.query(
+    `
+      SELECT *
+      FROM shift_offers
+      WHERE id = $1 AND staff_id = $2 AND organisation_id = $3
+      FOR UPDATE
+    `,
+    [offerId, staffId, organisationId]
+  );
+  const offer = offerRows[0];
+
+  if (!offer || offer.status !== 'offered') {
+    return { outcome: 'unavailable', offer: offer || null };
+  }
+  if (offer.expires_at && new Date(offer.expires_at) <= new Date()) {
+    await setOfferStatus(client, offer.id, 'expired');
+    return { outcome: 'unavailable', offer };
+  }
+
+  // Lock the shift before reading its fill so concurrent acceptances queue here.
+  const { rows: shiftRows } = await client.query(
+    `
+      SELECT id, number_required, number_filled
+      FROM shifts
+      WHERE id = $1 AND organisation_id = $2
+      FOR UPDATE
+    `,
+    [offer.shift_id, organisationId]
+  );
+  const shift = shiftRows[0];
+
+  if (!shift) {
+    await setOfferStatus(client, offer.id, 'expired');
+    return { outcome: 'unavailable', offer };
+  }
+  if (isFull(shift.number_required, shift.number_filled)) {
+    await setOfferStatus(client, offer.id, 'superseded');
+    return { outcome: 'filled', offer };
+  }
+
+  const result = await assignStaffToShift(client, {
+    shiftId: offer.shift_id,
+    staffId,
+    organisationId,
+  });
+
+  if (!result.assigned) {
+    return { outcome: 'blocked', offer, result };
+  }
+
+  await setOfferStatus(client, offer.id, 'accepted');
+
+  let superseded = [];
+  if (isFull(shift.number_required, Number(shift.number_filled || 0) + 1)) {
+    superseded = await supersedeOpenOffers(client, offer.shift_id);
+  }
+
+  return { outcome: 'accepted', offer, result, superseded };
+}
+
+function isFull(required, filled) {
+  const r = Number(required || 0);
+  return r > 0 && Number(filled || 0) >= r;
+}
+
+async function setOfferStatus(client, offerId, status) {
+  await client.query(
+    'UPDATE shift_offers SET status = $2, responded_at = NOW() WHERE id = $1',
+    [offerId, status]
+  );
+}
+
+/**
+ * The shift is full: supersede every other open offer and complete any
+ * live cascade. Returns the superseded offers with the staff's phone.
+ */
+async function supersedeOpenOffers(client, shiftId) {
+  const { rows } = await client.query(
+    `
+      UPDATE shift_offers o
+      SET status = 'superseded', responded_at = NOW()
+      FROM staff st
+      WHERE o.shift_id = $1
+        AND o.status = 'offered'
+        AND st.id = o.staff_id
+      RETURNING o.id AS offer_id, o.staff_id, st.name AS staff_name, st.phone_number
+    `,
+    [shiftId]
+  );
+
+  await client.query(
+    `
+      UPDATE shift_offer_cascades
+      SET status = 'completed', next_escalation_at = NULL, updated_at = NOW()
+      WHERE shift_id = $1 AND status IN ('running', 'paused')
+    `,
+    [shiftId]
+  );
+
+  return rows;
+}
+
+/**
+ * "This shift has now been filled" to each superseded offer holder.
+ * Call after COMMIT; failures are logged, not thrown.
+ */
+async function notifySupersededOffers(superseded, shift, timezone) {
+  if (!superseded || !superseded.length) return 0;
+
+  const dateLabel = shiftTime.formatShiftDate(shift, timezone);
+  const start = shiftTime.formatTime(shift.start_time);
+  const end = shiftTime.formatTime(shift.end_time);
+  let sent = 0;
+
+  for (const s of superseded) {
+    if (!s.phone_number) continue;
+
+    const body =
+      `Hi ${s.staff_name || 'there'}, thank you for your interest.\n\n` +
+      `The ${shift.ward || ''} shift on ${dateLabel} (${start}–${end}) has now been *filled*, ` +
+      "so there's no need to reply to that offer.\n\n" +
+      "We'll be in touch with other shifts soon.";
+
+    try {
+      await twilioSender.sendWhatsAppMessage({
+        to: `whatsapp:${s.phone_number.replace(/^whatsapp:/, '')}`,
+        body,
+      });
+      sent++;
+    } catch (err) {
+      console.error(`[OFFERS] Failed to send filled notice for offer ${s.offer_id}:`, err);
+    }
+  }
+
+  return sent;
+}
+
+module.exports = {
+  acceptShiftOffer,
+  notifySupersededOffers,
+};
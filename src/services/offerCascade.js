@@ -0,0 +1,464 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Offer cascade
+ *
+ * Offers an open shift tier by tier instead of to everyone at once:
+ *   permanent staff  ->  bank  ->  agency
+ *
+ * Each tier gets the engine's eligible staff of that type that the
+ * assignment gate would accept and who aren't already on the shift (best
+ * score first, optionally capped), and their offers carry an expires_at at
+ * the end of the tier window. When the window runs out the background job
+ * (processOfferCascades) expires the stale offers and widens to the next
+ * tier. A tier with nobody to offer to is skipped straight away. The
+ * cascade stops as soon as the shift has number_required staff, or
+ * becomes "exhausted" once agency has had its window.
+ *
+ * Managers can pause / resume a cascade, skip the current tier, or
+ * cancel it (see src/routes/offerCascadeRoutes.js).
+ */
+
+const pool = require('../db');
+const { getBestStaffForShift } = require('./shiftAssignmentEngine');
+const { getShiftType, sendShiftOffers, selectOfferableStaff } = require('./shiftAutomation');
+
+const TIERS = ['permanent', 'bank', 'agency'];
+
+const DEFAULT_TIER_WINDOW_MINUTES =
+  parseInt(process.env.OFFER_TIER_WINDOW_MINUTES, 10) || 60;
+
+const LIVE_STATUSES = ['running', 'paused'];
+
+const CASCADE_COLUMNS = `
+  id,
+  organisation_id,
+  shift_id,
+  status,
+  current_tier,
+  tier_window_minutes,
+  max_offers_per_tier,
+  suggested_rate,
+  tier_started_at,
+  next_escalation_at,
+  started_by_user_id,
+  created_at,
+  updated_at
+`;
+
+function nextTier(tier) {
+  const i = TIERS.indexOf(tier);
+  return i >= 0 && i < TIERS.length - 1 ? TIERS[i + 1] : null;
+}
+
+// -------------------------
+// Loading
+// -------------------------
+
+async function loadCascadeById(db, organisationId, cascadeId) {
+  const { rows } = await db.query(
+    `SELECT ${CASCADE_COLUMNS} FROM shift_offer_cascades WHERE id = $1 AND organisation_id = $2`,
+    [cascadeId, organisationId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Most recent cascade for a shift (live or finished), or null.
+ */
+async function loadCascadeForShift(db, organisationId, shiftId) {
+  const { rows } = await db.query(
+    `
+      SELECT ${CASCADE_COLUMNS}
+      FROM shift_offer_cascades
+      WHERE shift_id = $1 AND organisation_id = $2
+      ORDER BY created_at DESC
+      LIMIT 1
+    `,
+    [shiftId, organisationId]
+  );
+  return rows[0] || null;
+}
+
+async function shiftIsFull(db, shiftId) {
+  const { rows } = await db.query(
+    'SELECT number_required, number_filled FROM shifts WHERE id = $1',
+    [shiftId]
+  );
+  if (!rows.length) return true;
+  const required = Number(rows[0].number_required || 0);
+  return required > 0 && Number(rows[0].number_filled || 0) >= required;
+}
+
+// -------------------------
+// State changes
+// -------------------------
+
+async function setCascadeStatus(db, cascadeId, status, extra = {}) {
+  const { rows } = await db.query(
+    `
+      UPDATE shift_offer_cascades
+      SET status = $2,
+          current_tier = COALESCE($3, current_tier),
+          tier_started_at = CASE WHEN $3::text IS NULL THEN tier_started_at ELSE NOW() END,
+          next_escalation_at = $4,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${CASCADE_COLUMNS}
+    `,
+    [cascadeId, status, extra.tier || null, extra.nextEscalationAt || null]
+  );
+  return rows[0];
+}
+
+/**
+ * Close the cascade's outstanding offers: 'superseded' when the shift has
+ * filled, 'expired' when the cascade is cancelled.
+ */
+async function expireCascadeOffers(db, cascadeId, status = 'expired') {
+  const { rowCount } = await db.query(
+    `
+      UPDATE shift_offers
+      SET status = $2, responded_at = NOW()
+      WHERE cascade_id = $1 AND status = 'offered'
+    `,
+    [cascadeId, status]
+  );
+  return rowCount;
+}
+
+/**
+ * Offer the shift to `tier`. Tiers with nobody to offer to are skipped
+ * until one sends offers or the cascade is exhausted.
+ * Returns the updated cascade row plus the offers sent.
+ */
+async function openTier(db, cascade, tier) {
+  let current = tier;
+
+  while (current) {
+    if (await shiftIsFull(db, cascade.shift_id)) {
+      const done = await setCascadeStatus(db, cascade.id, 'completed');
+      await expireCascadeOffers(db, cascade.id, 'superseded');
+      return { cascade: done, offers: [] };
+    }
+
+    const { shift, allRanked } = await getBestStaffForShift(
+      cascade.shift_id,
+      cascade.organisation_id
+    );
+
+    // Anyone already offered this shift (in any tier or by hand) is not re-offered.
+    const { rows: previous } = await db.query(
+      'SELECT DISTINCT staff_id FROM shift_offers WHERE shift_id = $1',
+      [cascade.shift_id]
+    );
+    const alreadyOffered = new Set(previous.map((r) => r.staff_id));
+
+    // Staff already on the shift, or whom the gate would block, don't take
+    // up the tier's places (selectOfferableStaff).
+    const ranked = allRanked.filter(
+      (r) =>
+        r.eligible &&
+        r.phone_number &&
+        r.staff_type === current &&
+        !alreadyOffered.has(r.staff_id)
+    );
+    const { offerable: candidates } = await selectOfferableStaff(
+      cascade.organisation_id,
+      cascade.shift_id,
+      ranked,
+      cascade.max_offers_per_tier || Infinity
+    );
+
+    if (candidates.length) {
+      const expiresAt = new Date(Date.now() + cascade.tier_window_minutes * 60 * 1000);
+      const shiftType = getShiftType(shift);
+
+      const result = await sendShiftOffers({
+        organisationId: cascade.organisation_id,
+        shift,
+        items: candidates.map((r) => ({
+          staff: { id: r.staff_id, name: r.staff_name, phone_number: r.phone_number },
+          score: r.score,
+          shiftType,
+          factors: r.factors,
+        })),
+        suggestedRate: cascade.suggested_rate,
+        expiresAt,
+        cascadeId: cascade.id,
+        tier: current,
+      });
+
+      const updated = await setCascadeStatus(db, cascade.id, 'running', {
+        tier: current,
+        nextEscalationAt: expiresAt,
+      });
+      console.log(
+        `[CASCADE] Shift ${cascade.shift_id}: offered to ${result.offers.length} ${current} staff`
+      );
+      return { cascade: updated, offers: result.offers };
+    }
+
+    console.log(`[CASCADE] Shift ${cascade.shift_id}: no eligible ${current} staff, skipping tier`);
+    current = nextTier(current);
+  }
+
+  const exhausted = await setCascadeStatus(db, cascade.id, 'exhausted', {
+    tier: TIERS[TIERS.length - 1],
+  });
+  return { cascade: exhausted, offers: [] };
+}
+
+// -------------------------
+// Public API
+// -------------------------
+
+/**
+ * Start a cascade for a shift.
+ *
+ * options: { organisationId, shiftId, windowMinutes, maxOffersPerTier,
+ *            suggestedRate, startTier, userId }
+ * Returns { cascade, offers }, or { error, status } (404 / 409) when the
+ * shift is missing, a draft, full or already has a live cascade.
+ */
+async function startCascade(db, options) {
+  const { organisationId, shiftId } = options;
+  const startTier = options.startTier || TIERS[0];
+
+  const { rows: shiftRows } = await db.query(
+    'SELECT id, status FROM shifts WHERE id = $1 AND organisation_id = $2',
+    [shiftId, organisationId]
+  );
+  if (!shiftRows.length) {
+    return { error: 'Shift not found', status: 404 };
+  }
+  if (shiftRows[0].status === 'draft') {
+    return { error: 'Publish the rota before offering this shift', status: 409 };
+  }
+  if (await shiftIsFull(db, shiftId)) {
+    return { error: 'Shift is already fully staffed', status: 409 };
+  }
+
+  let cascade;
+  try {
+    const { rows } = await db.query(
+      `
+        INSERT INTO shift_offer_cascades (
+          organisation_id,
+          shift_id,
+          current_tier,
+          tier_window_minutes,
+          max_offers_per_tier,
+          suggested_rate,
+          started_by_user_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING ${CASCADE_COLUMNS}
+      `,
+      [
+        organisationId,
+        shiftId,
+        startTier,
+        options.windowMinutes || DEFAULT_TIER_WINDOW_MINUTES,
+        options.maxOffersPerTier || null,
+        options.suggestedRate ?? null,
+        options.userId || null,
+      ]
+    );
+    cascade = rows[0];
+  } catch (err) {
+    if (err && err.code === '23505') {
+      return { error: 'This shift already has a running or paused cascade', status: 409 };
+    }
+    throw err;
+  }
+
+  return openTier(db, cascade, startTier);
+}
+
+/**
+ * The manager actions below only apply to running / paused cascades and
+ * return { error, status } otherwise, like startCascade.
+ */
+async function loadLiveCascade(db, organisationId, cascadeId) {
+  const cascade = await loadCascadeById(db, organisationId, cascadeId);
+  if (!cascade) {
+    return { error: 'Cascade not found', status: 404 };
+  }
+  if (!LIVE_STATUSES.includes(cascade.status)) {
+    return { error: `Cascade is already ${cascade.status}`, status: 409 };
+  }
+  return { cascade };
+}
+
+/**
+ * Pause: no escalation until resumed. Offers already sent stay open
+ * until their own expiry.
+ */
+async function pauseCascade(db, organisationId, cascadeId) {
+  const live = await loadLiveCascade(db, organisationId, cascadeId);
+  if (live.error || live.cascade.status === 'paused') return live;
+  return { cascade: await setCascadeStatus(db, cascadeId, 'paused') };
+}
+
+/**
+ * Resume: the current tier gets a fresh window from now.
+ */
+async function resumeCascade(db, organisationId, cascadeId) {
+  const live = await loadLiveCascade(db, organisationId, cascadeId);
+  if (live.error || live.cascade.status === 'running') return live;
+  const cascade = await setCascadeStatus(db, cascadeId, 'running', {
+    nextEscalationAt: new Date(Date.now() + live.cascade.tier_window_minutes * 60 * 1000),
+  });
+  return { cascade };
+}
+
+/**
+ * Widen to the next tier now. Offers to the current tier stay open until
+ * they expire.
+ */
+async function skipTier(db, organisationId, cascadeId) {
+  const live = await loadLiveCascade(db, organisationId, cascadeId);
+  if (live.error) return live;
+  const tier = nextTier(live.cascade.current_tier);
+  if (!tier) {
+    const exhausted = await setCascadeStatus(db, cascadeId, 'exhausted');
+    return { cascade: exhausted, offers: [] };
+  }
+  return openTier(db, live.cascade, tier);
+}
+
+async function cancelCascade(db, organisationId, cascadeId) {
+  const live = await loadLiveCascade(db, organisationId, cascadeId);
+  if (live.error) return live;
+  const cascade = live.cascade;
+  const cancelled = await setCascadeStatus(db, cascade.id, 'cancelled');
+  const expired = await expireCascadeOffers(db, cascade.id);
+  return { cascade: cancelled, expired_offers: expired };
+}
+
+/**
+ * Cascade state for a shift: the cascade row, its offers and counts per
+ * tier / status, and how full the shift is.
+ */
+async function getCascadeState(db, organisationId, shiftId) {
+  const cascade = await loadCascadeForShift(db, organisationId, shiftId);
+  const { rows: shiftRows } = await db.query(
+    `
+      SELECT id, shift_ref, ward, shift_date, start_time, end_time, number_required, number_filled
+      FROM shifts
+      WHERE id = $1 AND organisation_id = $2
+    `,
+    [shiftId, organisationId]
+  );
+  if (!shiftRows.length) return null;
+
+  if (!cascade) {
+    return { shift: shiftRows[0], cascade: null, tiers: [], offers: [] };
+  }
+
+  const { rows: offers } = await db.query(
+    `
+      SELECT
+        o.id,
+        o.staff_id,
+        st.name AS staff_name,
+        o.tier,
+        o.status,
+        o.ai_score,
+        o.created_at,
+        o.expires_at,
+        o.responded_at
+      FROM shift_offers o
+      JOIN staff st ON st.id = o.staff_id
+      WHERE o.cascade_id = $1
+      ORDER BY o.created_at ASC
+    `,
+    [cascade.id]
+  );
+
+  const tiers = TIERS.map((tier) => {
+    const mine = offers.filter((o) => o.tier === tier);
+    const count = (status) => mine.filter((o) => o.status === status).length;
+    return {
+      tier,
+      offered: mine.length,
+      pending: count('offered'),
+      accepted: count('accepted'),
+      declined: count('declined'),
+      expired: count('expired'),
+      superseded: count('superseded'),
+    };
+  });
+
+  return { shift: shiftRows[0], cascade, tiers, offers };
+}
+
+/**
+ * Background job: expire stale offers, complete cascades whose shift is
+ * full and escalate running cascades whose tier window has passed.
+ * Returns counts for logging.
+ */
+async function processOfferCascades({ db = pool } = {}) {
+  const summary = { expired: 0, completed: 0, escalated: 0, exhausted: 0 };
+
+  const { rowCount } = await db.query(
+    `
+      UPDATE shift_offers
+      SET status = 'expired', responded_at = NOW()
+      WHERE status = 'offered'
+        AND expires_at IS NOT NULL
+        AND expires_at <= NOW()
+    `
+  );
+  summary.expired = rowCount;
+
+  const { rows: cascades } = await db.query(
+    `
+      SELECT ${CASCADE_COLUMNS}
+      FROM shift_offer_cascades
+      WHERE status = 'running'
+      ORDER BY id ASC
+    `
+  );
+
+  for (const cascade of cascades) {
+    try {
+      if (await shiftIsFull(db, cascade.shift_id)) {
+        await setCascadeStatus(db, cascade.id, 'completed');
+        await expireCascadeOffers(db, cascade.id, 'superseded');
+        summary.completed++;
+        continue;
+      }
+
+      if (!cascade.next_escalation_at || new Date(cascade.next_escalation_at) > new Date()) {
+        continue;
+      }
+
+      const tier = nextTier(cascade.current_tier);
+      const { cascade: updated } = tier
+        ? await openTier(db, cascade, tier)
+        : { cascade: await setCascadeStatus(db, cascade.id, 'exhausted') };
+
+      if (updated.status === 'exhausted') summary.exhausted++;
+      else if (updated.status === 'completed') summary.completed++;
+      else summary.escalated++;
+    } catch (err) {
+      console.error(`[CASCADE] Failed to process cascade ${cascade.id}:`, err);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  TIERS,
+  DEFAULT_TIER_WINDOW_MINUTES,
+  startCascade,
+  pauseCascade,
+  resumeCascade,
+  skipTier,
+  cancelCascade,
+  getCascadeState,
+  processOfferCascades,
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Organisation settings
+ *
+ * Small read helpers for per-organisation configuration stored on the
+ * organisations table.
+ */
+
+const { DEFAULT_TIMEZONE, resolveTimezone } = require('./shiftTime');
+
+/**
+ * IANA timezone for an organisation (Europe/London if unset or invalid).
+ * `db` can be the pool or a transaction client.
+ */
+async function getOrganisationTimezone(db, organisationId) {
+  const { rows } = await db.query(
+    'SELECT timezone FROM organisations WHERE id = $1 LIMIT 1',
+    [organisationId]
+  );
+
+  return resolveTimezone(rows[0] ? rows[0].timezone : DEFAULT_TIMEZONE);
+}
+
+module.exports = {
+  getOrganisationTimezone,
+};
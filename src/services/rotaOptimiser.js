@@ -0,0 +1,486 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Rota auto-fill optimiser
+ *
+ * Proposes staff for every open shift on a ward over a date range at once,
+ * instead of ranking one shift at a time. Filling a week greedily in date
+ * order gives the best people to the earliest shifts and leaves later ones
+ * uncoverable, so this fills the most constrained shift first: each round
+ * it picks the open shift with the fewest feasible candidates per open
+ * slot, places the best-scoring candidate, and repeats.
+ *
+ * - Hard rules: every candidate goes through assignmentService.evaluateRules
+ *   (double booking, rest, weekly hours, consecutive days, nights, training,
+ *   skill mix, gender, capacity, leave, sickness) with the proposal so far
+ *   counted as if it were already worked. Overridable blocks are never
+ *   proposed, nor is anyone who marked themselves unavailable
+ *   (staffAvailability.js).
+ * - Fairness: candidates are scored with the shared weighted factors
+ *   (scoringFactors.js) using weekly hours that include the proposal, so
+ *   contract hours fill evenly, plus a penalty for each night already
+ *   proposed to the same person.
+ *
+ * Nothing is written here; managers review / edit the proposal and apply
+ * it through applyRota, which assigns everything in one transaction.
+ */
+
+const shiftTime = require('./shiftTime');
+const { getOrganisationTimezone } = require('./organisationSettings');
+const { loadRuleProfiles, resolveLimits } = require('./ruleProfiles');
+const { evaluateRules, assignStaffToShift } = require('./assignmentService');
+const { loadTrainingStatuses } = require('./trainingCompliance');
+const { loadSkillMixContext, loadStaffSkillIds, evaluateSkillFit } = require('./skillMatching');
+const {
+  loadAssignedGenderCounts,
+  evaluateGenderFit,
+  observationGender,
+} = require('./genderMatching');
+const { loadScoringWeights, applyScoringFactors } = require('./scoringFactors');
+const { loadAvailability, evaluateAvailability } = require('./staffAvailability');
+const { loadApprovedLeave, findLeaveForShift } = require('./leaveManagement');
+const { loadSickness, findSicknessForShift } = require('./sicknessAbsence');
+const { getStaffForOrganisation } = require('./shiftAssignmentEngine');
+
+// Longest range the optimiser will plan in one call.
+const MAX_RANGE_DAYS = 31;
+
+// Existing assignments this far either side of the range feed the rules
+// (night window, rest, weekly hours).
+const RULE_WINDOW_DAYS = 14;
+
+// Points taken off per night already proposed to the same person.
+const NIGHT_BALANCE_PENALTY = 10;
+
+// -------------------------
+// Loading
+// -------------------------
+
+async function loadOpenShifts(db, organisationId, ward, from, to, timezone) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        id,
+        organisation_id,
+        shift_ref,
+        ward,
+        role_required,
+        gender_required,
+        gender_min_male,
+        gender_min_female,
+        status,
+        shift_date,
+        start_time,
+        end_time,
+        number_required,
+        number_filled
+      FROM shifts
+      WHERE organisation_id = $1
+        AND LOWER(ward) = LOWER($2)
+        AND shift_date BETWEEN $3::date AND $4::date
+        AND number_filled < number_required
+        AND LOWER(COALESCE(status, '')) NOT IN ('cancelled', 'filled', 'in_progress', 'completed')
+      ORDER BY shift_date ASC, start_time ASC
+    `,
+    [organisationId, ward, shiftTime.addDaysToKey(from, -1), shiftTime.addDaysToKey(to, 1)]
+  );
+
+  return shiftTime.withTimezone(rows, timezone).filter((s) => {
+    const key = shiftTime.getShiftDateKey(s.shift_date, timezone);
+    return key && key >= from && key <= to;
+  });
+}
+
+/**
+ * Every assignment in the organisation around the range, grouped by staff:
+ * Map staff_id -> [shift rows].
+ */
+async function loadExistingAssignments(db, organisationId, from, to, timezone) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        sa.staff_id,
+        s.id,
+        s.shift_ref,
+        s.ward,
+        s.shift_date,
+        s.start_time,
+        s.end_time
+      FROM shift_assignments sa
+      JOIN shifts s ON s.id = sa.shift_id
+      WHERE s.organisation_id = $1
+        AND s.shift_date BETWEEN $2::date AND $3::date
+    `,
+    [
+      organisationId,
+      shiftTime.addDaysToKey(from, -RULE_WINDOW_DAYS),
+      shiftTime.addDaysToKey(to, RULE_WINDOW_DAYS),
+    ]
+  );
+
+  const byStaff = new Map();
+  for (const row of shiftTime.withTimezone(rows, timezone)) {
+    if (!byStaff.has(row.staff_id)) byStaff.set(row.staff_id, []);
+    byStaff.get(row.staff_id).push(row);
+  }
+  return byStaff;
+}
+
+// -------------------------
+// Scoring helpers
+// -------------------------
+
+function hoursInWeek(assignments, shift, timezone) {
+  const key = shiftTime.getShiftDateKey(shift.shift_date, timezone);
+  const { start, end } = shiftTime.getWeekWindow(key);
+
+  return assignments.reduce((sum, a) => {
+    const k = shiftTime.getShiftDateKey(a.shift_date, timezone);
+    return k && k >= start && k <= end
+      ? sum + shiftTime.getShiftDurationHours(a, timezone)
+      : sum;
+  }, 0);
+}
+
+function daysInWeek(assignments, shift, timezone) {
+  const key = shiftTime.getShiftDateKey(shift.shift_date, timezone);
+  const { start, end } = shiftTime.getWeekWindow(key);
+  const days = new Set();
+  for (const a of assignments) {
+    const k = shiftTime.getShiftDateKey(a.shift_date, timezone);
+    if (k && k >= start && k <= end) days.add(k);
+  }
+  return days.size;
+}
+
+function shiftsAround(assignments, shift, timezone) {
+  const key = shiftTime.getShiftDateKey(shift.shift_date, timezone);
+  const before = shiftTime.addDaysToKey(key, -7);
+  const after = shiftTime.addDaysToKey(key, 7);
+  let last7 = 0;
+  let next7 = 0;
+  for (const a of assignments) {
+    const k = shiftTime.getShiftDateKey(a.shift_date, timezone);
+    if (!k) continue;
+    if (k >= before && k < key) last7++;
+    if (k > key && k <= after) next7++;
+  }
+  return { last7, next7 };
+}
+
+// -------------------------
+// Optimiser
+// -------------------------
+
+/**
+ * Propose a rota for every open shift on a ward between two local dates.
+ *
+ * options: { ward, from, to }  (YYYY-MM-DD, organisation timezone)
+ * Returns {
+ *   timezone, ward, from, to,
+ *   shifts: [{ shift_id, shift_ref, date, period, start_time, end_time,
+ *              open_slots, proposed: [{ staff_id, staff_name, score, reasons, warnings }],
+ *              unfilled, unfilled_reason }],
+ *   staff: [{ staff_id, staff_name, staff_type, contract_hours,
+ *             proposed_shifts, proposed_hours, proposed_nights }],
+ *   assignments: [{ shift_id, staff_id }],   // ready for applyRota
+ *   unfilled_slots
+ * }
+ */
+async function proposeRota(db, organisationId, options = {}) {
+  const timezone = await getOrganisationTimezone(db, organisationId);
+  const ward = String(options.ward || '').trim();
+  const from = options.from;
+  let to = options.to || shiftTime.addDaysToKey(from, 6);
+  if (to < from) to = from;
+  if (shiftTime.addDaysToKey(from, MAX_RANGE_DAYS - 1) < to) {
+    to = shiftTime.addDaysToKey(from, MAX_RANGE_DAYS - 1);
+  }
+
+  const shifts = await loadOpenShifts(db, organisationId, ward, from, to, timezone);
+  const staffList = await getStaffForOrganisation(organisationId);
+  const staffIds = staffList.map((s) => s.id);
+
+  const [
+    existing,
+    profiles,
+    trainingMap,
+    staffSkills,
+    availabilityMap,
+    leaveMap,
+    sicknessMap,
+    weights,
+  ] = await Promise.all([
+      loadExistingAssignments(db, organisationId, from, to, timezone),
+      loadRuleProfiles(db, organisationId),
+      loadTrainingStatuses(db, organisationId, staffList, { timezone }),
+      loadStaffSkillIds(db, staffIds),
+      loadAvailability(db, organisationId, staffIds, { from, to }),
+      loadApprovedLeave(db, organisationId, staffIds, { from, to }),
+      loadSickness(db, organisationId, staffIds, { from, to }),
+      loadScoringWeights(db, organisationId),
+    ]);
+
+  // Per-shift state that changes as people are proposed.
+  const state = new Map();
+  for (const shift of shifts) {
+    const [skillMix, genderCounts] = await Promise.all([
+      loadSkillMixContext(db, shift),
+      loadAssignedGenderCounts(db, shift.id),
+    ]);
+    state.set(shift.id, {
+      shift,
+      skillMix,
+      genderCounts,
+      filled: Number(shift.number_filled || 0),
+      proposed: [],
+    });
+  }
+
+  // Per-staff assignments: existing + proposed.
+  const worked = new Map(staffIds.map((id) => [id, [...(existing.get(id) || [])]]));
+  const proposedNights = new Map();
+
+  // (shift, staff) -> { ok, score, ... }; invalidated when either changes.
+  const cache = new Map();
+
+  function evaluate(entry, staff) {
+    const cacheKey = `${entry.shift.id}:${staff.id}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    const shift = { ...entry.shift, number_filled: entry.filled };
+    const openSlots = Number(shift.number_required || 0) - entry.filled;
+    const assignments = worked.get(staff.id);
+    const limits = resolveLimits(profiles, staff, shift);
+    const training = trainingMap.get(staff.id) || null;
+
+    const skillFit = evaluateSkillFit(
+      entry.skillMix.requirements,
+      staffSkills.get(staff.id),
+      entry.skillMix.assignedCounts,
+      openSlots
+    );
+    const genderFit = evaluateGenderFit(shift, staff, entry.genderCounts, openSlots);
+    const availability = evaluateAvailability(availabilityMap.get(staff.id), shift, timezone);
+
+    const verdict = evaluateRules(shift, {
+      existingAssignments: assignments.filter((a) => a.id !== shift.id),
+      alreadyAssigned: assignments.some((a) => a.id === shift.id),
+      trainingStatus: training,
+      skillFit,
+      genderFit,
+      availability,
+      leave: findLeaveForShift(leaveMap.get(staff.id), shift, timezone),
+      sickness: findSicknessForShift(sicknessMap.get(staff.id), shift, timezone),
+      limits,
+    });
+
+    let result = { ok: false, verdict };
+    if (verdict.ok && availability.status !== 'unavailable') {
+      const weeklyHours = hoursInWeek(assignments, shift, timezone);
+      const shiftHours =
+        shiftTime.getShiftDurationHours(shift, timezone) || shiftTime.DEFAULT_SHIFT_HOURS;
+      const scored = applyScoringFactors(
+        staff,
+        {
+          shift,
+          limits,
+          weeklyHours,
+          weeklyDays: daysInWeek(assignments, shift, timezone),
+          totalIfAssigned: weeklyHours + shiftHours,
+          recentShifts: shiftsAround(assignments, shift, timezone),
+          availability,
+        },
+        weights
+      );
+
+      let score = scored.score;
+      const reasons = [...scored.reasons];
+      const nights = proposedNights.get(staff.id) || 0;
+      if (nights && shiftTime.getShiftType(shift, timezone) === 'night') {
+        score -= nights * NIGHT_BALANCE_PENALTY;
+        reasons.push(`Already proposed ${nights} night(s) -${nights * NIGHT_BALANCE_PENALTY}`);
+      }
+
+      result = { ok: true, verdict, score, reasons };
+    }
+
+    cache.set(cacheKey, result);
+    return result;
+  }
+
+  function place(entry, staff, result) {
+    const shift = entry.shift;
+    entry.proposed.push({
+      staff_id: staff.id,
+      staff_name: staff.name,
+      score: result.score,
+      reasons: result.reasons,
+      warnings: result.verdict.warnings.map((w) => w.reason),
+    });
+    entry.filled += 1;
+
+    for (const req of entry.skillMix.requirements) {
+      if (staffSkills.get(staff.id) && staffSkills.get(staff.id).has(req.skill_id)) {
+        entry.skillMix.assignedCounts.set(
+          req.skill_id,
+          (entry.skillMix.assignedCounts.get(req.skill_id) || 0) + 1
+        );
+      }
+    }
+    const gender = observationGender(staff);
+    if (gender) entry.genderCounts[gender] += 1;
+
+    worked.get(staff.id).push(shift);
+    if (shiftTime.getShiftType(shift, timezone) === 'night') {
+      proposedNights.set(staff.id, (proposedNights.get(staff.id) || 0) + 1);
+    }
+
+    for (const key of [...cache.keys()]) {
+      const [shiftId, staffId] = key.split(':').map(Number);
+      if (shiftId === shift.id || staffId === staff.id) cache.delete(key);
+    }
+  }
+
+  // Most constrained first: fewest feasible candidates per open slot.
+  for (;;) {
+    let pick = null;
+
+    for (const entry of state.values()) {
+      const open = Number(entry.shift.number_required || 0) - entry.filled;
+      if (open <= 0 || entry.stuck) continue;
+
+      const feasible = [];
+      for (const staff of staffList) {
+        const result = evaluate(entry, staff);
+        if (result.ok) feasible.push({ staff, result });
+      }
+
+      if (!feasible.length) {
+        entry.stuck = true;
+        continue;
+      }
+
+      const slack = feasible.length / open;
+      if (!pick || slack < pick.slack) {
+        pick = { entry, feasible, slack };
+      }
+    }
+
+    if (!pick) break;
+
+    pick.feasible.sort((a, b) => b.result.score - a.result.score);
+    const best = pick.feasible[0];
+    place(pick.entry, best.staff, best.result);
+  }
+
+  // Build the response
+  const shiftsOut = [...state.values()].map((entry) => {
+    const s = entry.shift;
+    const unfilled = Number(s.number_required || 0) - entry.filled;
+    return {
+      shift_id: s.id,
+      shift_ref: s.shift_ref,
+      date: shiftTime.getShiftDateKey(s.shift_date, timezone),
+      period: shiftTime.getShiftType(s, timezone) === 'night' ? 'night' : 'day',
+      start_time: s.start_time,
+      end_time: s.end_time,
+      role_required: s.role_required,
+      number_required: s.number_required,
+      number_filled: s.number_filled,
+      open_slots: Number(s.number_required || 0) - Number(s.number_filled || 0),
+      proposed: entry.proposed,
+      unfilled,
+      unfilled_reason: unfilled > 0 ? 'No remaining staff can take this shift within the rules' : null,
+    };
+  });
+
+  const staffOut = staffList
+    .map((staff) => {
+      const mine = shiftsOut.filter((s) => s.proposed.some((p) => p.staff_id === staff.id));
+      return {
+        staff_id: staff.id,
+        staff_name: staff.name,
+        staff_type: staff.staff_type,
+        contract_hours: staff.contracted_hours_per_week,
+        proposed_shifts: mine.length,
+        proposed_hours: Math.round(
+          mine.reduce(
+            (sum, s) => sum + shiftTime.getShiftDurationHours(state.get(s.shift_id).shift, timezone),
+            0
+          ) * 10
+        ) / 10,
+        proposed_nights: proposedNights.get(staff.id) || 0,
+      };
+    })
+    .filter((s) => s.proposed_shifts > 0);
+
+  return {
+    timezone,
+    ward,
+    from,
+    to,
+    shifts: shiftsOut,
+    staff: staffOut,
+    assignments: shiftsOut.flatMap((s) =>
+      s.proposed.map((p) => ({ shift_id: s.shift_id, staff_id: p.staff_id }))
+    ),
+    unfilled_slots: shiftsOut.reduce((sum, s) => sum + s.unfilled, 0),
+  };
+}
+
+/**
+ * Apply a (possibly edited) proposal in one transaction. Every assignment
+ * goes through the rule gate; if any is blocked nothing is written.
+ *
+ * `client` must not already be inside a transaction.
+ * assignments: [{ shift_id, staff_id }]
+ * Returns { applied: [...], failed: [{ shift_id, staff_id, blocks }] }.
+ */
+async function applyRota(client, organisationId, assignments) {
+  const applied = [];
+  const failed = [];
+
+  await client.query('BEGIN');
+  try {
+    for (const item of assignments) {
+      const result = await assignStaffToShift(client, {
+        shiftId: item.shift_id,
+        staffId: item.staff_id,
+        organisationId,
+      });
+
+      if (result.assigned) {
+        applied.push({
+          shift_id: item.shift_id,
+          staff_id: item.staff_id,
+          assignment_id: result.assignment.id,
+          warnings: result.verdict.warnings.map((w) => w.reason),
+        });
+      } else {
+        failed.push({
+          shift_id: item.shift_id,
+          staff_id: item.staff_id,
+          blocks: result.verdict.blocks.map((b) => b.reason),
+        });
+      }
+    }
+
+    if (failed.length) {
+      await client.query('ROLLBACK');
+      return { applied: [], failed };
+    }
+
+    await client.query('COMMIT');
+    return { applied, failed };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  proposeRota,
+  applyRota,
+};
@@ -0,0 +1,388 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Draft rotas and publishing
+ *
+ * Managers build a ward's rota as draft shifts (status 'draft': created
+ * with POST /api/shifts or /bulk, or generated from a rota pattern with
+ * "draft": true), staff them by hand or with the auto-fill optimiser,
+ * review the coverage and then publish the ward's rota for a period in
+ * one go.
+ *
+ * Until then drafts are hidden from staff: staff don't see them in
+ * /api/shifts, MY SHIFTS or their shift lists, they can't be offered,
+ * swapped or checked in to, and no-show detection ignores them.
+ * Assigning staff to a draft tells nobody.
+ *
+ * publishRota moves every draft on the ward in the period to published
+ * (and straight on to its staffing status, see shiftStatus.js), records
+ * a rota_publications row and returns each assigned staff member's
+ * shifts. After COMMIT the caller sends notifyRotaPublished(), which
+ * gives each of them their own summary on WhatsApp.
+ */
+
+const pool = require('../db');
+const shiftTime = require('./shiftTime');
+const { getOrganisationTimezone } = require('./organisationSettings');
+const { sendWhatsAppMessage } = require('./twilioSender');
+const { setShiftStatus } = require('./shiftStatus');
+const { getStaffingCompliance } = require('./wardStaffing');
+
+// Longest period that can be reviewed or published in one call.
+const MAX_RANGE_DAYS = 31;
+
+function daysInRange(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000) + 1;
+}
+
+/**
+ * Check a ward + from..to period. Returns an error message or null.
+ */
+function validatePeriod({ ward, from, to }) {
+  if (!ward) return 'ward is required';
+  const days = daysInRange(from, to);
+  if (!Number.isFinite(days) || days < 1 || days > MAX_RANGE_DAYS) {
+    return `from..to must cover 1 to ${MAX_RANGE_DAYS} days`;
+  }
+  return null;
+}
+
+// -------------------------
+// Loading
+// -------------------------
+
+/**
+ * Draft shifts on a ward whose local date falls in from..to, in date order.
+ * With `lock` the rows are locked for publishing.
+ */
+async function loadDraftShifts(db, organisationId, { ward, from, to }, timezone, lock = false) {
+  const { rows } = await db.query(
+    `
+      SELECT id, shift_ref, ward, role_required, status, shift_date, start_time, end_time,
+             number_required, number_filled
+      FROM shifts
+      WHERE organisation_id = $1
+        AND LOWER(ward) = LOWER($2)
+        AND status = 'draft'
+        AND shift_date BETWEEN $3::date AND $4::date
+      ORDER BY shift_date ASC, start_time ASC
+      ${lock ? 'FOR UPDATE' : ''}
+    `,
+    [organisationId, ward, shiftTime.addDaysToKey(from, -1), shiftTime.addDaysToKey(to, 1)]
+  );
+
+  return shiftTime.withTimezone(rows, timezone).filter((s) => {
+    const key = shiftTime.getShiftDateKey(s.shift_date, timezone);
+    return key && key >= from && key <= to;
+  });
+}
+
+async function loadAssignedStaff(db, shiftIds) {
+  if (!shiftIds.length) return [];
+  const { rows } = await db.query(
+    `
+      SELECT sa.shift_id, st.id AS staff_id, st.name AS staff_name, st.phone_number
+      FROM shift_assignments sa
+      JOIN staff st ON st.id = sa.staff_id
+      WHERE sa.shift_id = ANY($1::int[])
+      ORDER BY st.name ASC
+    `,
+    [shiftIds]
+  );
+  return rows;
+}
+
+/**
+ * Group assignments by staff member: [{ staff_id, staff_name,
+ * phone_number, shifts: [shift, …] }] with each person's shifts in date
+ * order.
+ */
+function groupByStaff(shifts, assigned) {
+  const shiftById = new Map(shifts.map((s) => [s.id, s]));
+  const byStaff = new Map();
+
+  for (const a of assigned) {
+    if (!byStaff.has(a.staff_id)) {
+      byStaff.set(a.staff_id, {
+        staff_id: a.staff_id,
+        staff_name: a.staff_name,
+        phone_number: a.phone_number,
+        shifts: [],
+      });
+    }
+    byStaff.get(a.staff_id).shifts.push(shiftById.get(a.shift_id));
+  }
+
+  const staff = [...byStaff.values()];
+  for (const s of staff) {
+    s.shifts.sort((a, b) => shifts.indexOf(a) - shifts.indexOf(b));
+  }
+  return staff.sort((a, b) => String(a.staff_name || '').localeCompare(String(b.staff_name || '')));
+}
+
+// -------------------------
+// Reviewing
+// -------------------------
+
+/**
+ * Coverage of a ward's draft rota for from..to: every draft shift with
+ * who is on it and its shortfall, totals, the hours each staff member is
+ * down for, and the ward periods that miss the safe-staffing standard
+ * (drafts and already published shifts together, see wardStaffing.js).
+ */
+async function reviewDraftRota(db, organisationId, { ward, from, to }) {
+  const timezone = await getOrganisationTimezone(db, organisationId);
+  const shifts = await loadDraftShifts(db, organisationId, { ward, from, to }, timezone);
+  const assigned = await loadAssignedStaff(db, shifts.map((s) => s.id));
+
+  const items = shifts.map((s) => {
+    const staff = assigned.filter((a) => a.shift_id === s.id);
+    const required = Number(s.number_required || 0);
+    return {
+      id: s.id,
+      shift_ref: s.shift_ref,
+      date: shiftTime.getShiftDateKey(s.shift_date, timezone),
+      start_time: s.start_time,
+      end_time: s.end_time,
+      role_required: s.role_required,
+      number_required: required,
+      number_filled: staff.length,
+      shortfall: Math.max(required - staff.length, 0),
+      staff: staff.map((a) => ({ staff_id: a.staff_id, staff_name: a.staff_name })),
+    };
+  });
+
+  const staff = groupByStaff(shifts, assigned).map((s) => ({
+    staff_id: s.staff_id,
+    staff_name: s.staff_name,
+    shift_count: s.shifts.length,
+    hours: s.shifts.reduce(
+      (sum, shift) => sum + (shiftTime.getShiftDurationHours(shift) || shiftTime.DEFAULT_SHIFT_HOURS),
+      0
+    ),
+    has_whatsapp: Boolean(s.phone_number),
+  }));
+
+  const compliance = await getStaffingCompliance(db, organisationId, { ward, from, to });
+
+  return {
+    ward,
+    from,
+    to,
+    timezone,
+    totals: {
+      shifts: items.length,
+      slots_required: items.reduce((sum, s) => sum + s.number_required, 0),
+      slots_filled: items.reduce((sum, s) => sum + Math.min(s.number_filled, s.number_required), 0),
+      unfilled_shifts: items.filter((s) => s.shortfall > 0).length,
+      staff: staff.length,
+    },
+    shifts: items,
+    staff,
+    understaffed: compliance.understaffed,
+  };
+}
+
+// -------------------------
+// Publishing
+// -------------------------
+
+/**
+ * Publish a ward's draft shifts for from..to. Caller owns BEGIN / COMMIT.
+ *
+ * Returns { publication, shifts, staff: [{ staff_id, staff_name,
+ * phone_number, shifts }], timezone } for notifyRotaPublished, or
+ * { error, status }.
+ */
+async function publishRota(client, { organisationId, ward, from, to, userId = null }) {
+  const timezone = await getOrganisationTimezone(client, organisationId);
+  const shifts = await loadDraftShifts(client, organisationId, { ward, from, to }, timezone, true);
+  if (!shifts.length) {
+    return { error: `No draft shifts on ${ward} between ${from} and ${to}`, status: 404 };
+  }
+
+  const staff = groupByStaff(shifts, await loadAssignedStaff(client, shifts.map((s) => s.id)));
+
+  const { rows: pubRows } = await client.query(
+    `
+      INSERT INTO rota_publications
+        (organisation_id, ward, from_date, to_date, published_by_user_id, shift_count, staff_count)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, organisation_id, ward, from_date::text AS from_date, to_date::text AS to_date,
+                published_by_user_id, shift_count, staff_count, created_at
+    `,
+    [organisationId, shifts[0].ward, from, to, userId, shifts.length, staff.length]
+  );
+  const publication = pubRows[0];
+
+  for (const shift of shifts) {
+    const result = await setShiftStatus(client, shift.id, 'published', {
+      userId,
+      source: 'publish',
+      note: `Rota ${from} to ${to}`,
+    });
+    if (result.error) return result;
+    shift.status = result.shiftStatus;
+  }
+
+  await client.query(
+    `
+      UPDATE shifts
+      SET publication_id = $2, published_at = NOW()
+      WHERE id = ANY($1::int[])
+    `,
+    [shifts.map((s) => s.id), publication.id]
+  );
+
+  for (const s of staff) {
+    await client.query(
+      `
+        INSERT INTO rota_publication_staff (publication_id, staff_id, shift_count)
+        VALUES ($1, $2, $3)
+      `,
+      [publication.id, s.staff_id, s.shifts.length]
+    );
+  }
+
+  return { publication, shifts, staff, timezone };
+}
+
+/**
+ * "Hi Sam, the Alder rota for … is out" with the person's own shifts.
+ */
+function formatRotaSummary({ publication, timezone }, person) {
+  const period =
+    `${shiftTime.formatShiftDate({ shift_date: publication.from_date }, timezone)} – ` +
+    `${shiftTime.formatShiftDate({ shift_date: publication.to_date }, timezone)}`;
+
+  const lines = person.shifts.map(
+    (shift) =>
+      `• ${shiftTime.formatShiftDate(shift, timezone)}  ` +
+      `${shiftTime.formatTime(shift.start_time)}–${shiftTime.formatTime(shift.end_time)}` +
+      (shift.role_required ? ` (${shift.role_required})` : '')
+  );
+
+  return (
+    '📅 *New rota published*\n\n' +
+    `Hi ${person.staff_name || 'there'}, the *${publication.ward}* rota for ${period} is out. ` +
+    `You are booked on ${person.shifts.length} shift(s):\n\n` +
+    `${lines.join('\n')}\n\n` +
+    'Type *MY SHIFTS* any time to see your upcoming shifts.'
+  );
+}
+
+/**
+ * Send every assigned staff member their summary. Call after COMMIT with
+ * publishRota's result; failures are logged, not thrown.
+ * Returns the number of messages sent.
+ */
+async function notifyRotaPublished(result, db = pool) {
+  let sent = 0;
+  for (const person of result.staff) {
+    if (!person.phone_number) continue;
+    try {
+      await sendWhatsAppMessage({
+        to: `whatsapp:${person.phone_number.replace(/^whatsapp:/, '')}`,
+        body: formatRotaSummary(result, person),
+      });
+      await db.query(
+        `
+          UPDATE rota_publication_staff SET notified = TRUE, notified_at = NOW()
+          WHERE publication_id = $1 AND staff_id = $2
+        `,
+        [result.publication.id, person.staff_id]
+      );
+      sent++;
+    } catch (err) {
+      console.error(
+        `[ROTA] Failed to send rota ${result.publication.id} to staff ${person.staff_id}:`,
+        err
+      );
+    }
+  }
+  return sent;
+}
+
+/**
+ * Publish with its own transaction, then notify.
+ * Returns { publication, shifts, staff, notified } or { error, status }.
+ */
+async function publishAndNotify(db, { organisationId, ward, from, to, userId }) {
+  const client = await db.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await publishRota(client, { organisationId, ward, from, to, userId });
+    await client.query(result.error ? 'ROLLBACK' : 'COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (result.error) return result;
+
+  const notified = await notifyRotaPublished(result, db);
+  return { ...summarisePublication(result), notified };
+}
+
+/**
+ * API shape of a publishRota result (no phone numbers).
+ */
+function summarisePublication(result) {
+  return {
+    publication: result.publication,
+    shifts: result.shifts.map((s) => ({
+      id: s.id,
+      shift_ref: s.shift_ref,
+      shift_date: s.shift_date,
+      start_time: s.start_time,
+      end_time: s.end_time,
+      status: s.status,
+    })),
+    staff: result.staff.map((s) => ({
+      staff_id: s.staff_id,
+      staff_name: s.staff_name,
+      shift_count: s.shifts.length,
+    })),
+  };
+}
+
+async function listPublications(db, organisationId, { ward } = {}) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        p.id,
+        p.ward,
+        p.from_date::text AS from_date,
+        p.to_date::text AS to_date,
+        p.published_by_user_id,
+        u.email AS published_by_email,
+        p.shift_count,
+        p.staff_count,
+        (SELECT COUNT(*)::int FROM rota_publication_staff ps
+          WHERE ps.publication_id = p.id AND ps.notified) AS staff_notified,
+        p.created_at
+      FROM rota_publications p
+      LEFT JOIN users u ON u.id = p.published_by_user_id
+      WHERE p.organisation_id = $1
+        AND ($2::text IS NULL OR LOWER(p.ward) = LOWER($2))
+      ORDER BY p.created_at DESC
+      LIMIT 100
+    `,
+    [organisationId, ward || null]
+  );
+  return rows;
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  validatePeriod,
+  reviewDraftRota,
+  publishRota,
+  notifyRotaPublished,
+  publishAndNotify,
+  summarisePublication,
+  listPublications,
+};
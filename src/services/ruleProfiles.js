@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Working Time rule profiles
+ *
+ * Single source of the limits used by both the rule gate
+ * (assignmentService -> shiftRules) and the assignment engine
+ * (shiftAssignmentEngine.scoreStaffForShift).
+ *
+ * Profiles live in the rule_profiles table and can be scoped by ward,
+ * staff_type and WTR opt-out. The most specific matching profile wins;
+ * with no match we fall back to DEFAULT_LIMITS.
+ */
+
+const DEFAULT_LIMITS = {
+  profileId: null,
+  profileName: 'Default (UK WTR)',
+  weeklyHoursSoft: 48,     // WTR guidance -> warning
+  weeklyHoursHard: 72,     // 6×12h -> block
+  minRestHours: 11,
+  maxNights: 4,
+  nightWindowDays: 14,
+  maxConsecutiveDays: 6,
+};
+
+// Columns editable through the API, mapped to their limit names.
+const LIMIT_COLUMNS = {
+  weekly_hours_soft: 'weeklyHoursSoft',
+  weekly_hours_hard: 'weeklyHoursHard',
+  min_rest_hours: 'minRestHours',
+  max_nights: 'maxNights',
+  night_window_days: 'nightWindowDays',
+  max_consecutive_days: 'maxConsecutiveDays',
+};
+
+/**
+ * Load all active profiles for an organisation.
+ * `db` can be the pool or a transaction client.
+ */
+async function loadRuleProfiles(db, organisationId) {
+  const { rows } = await db.query(
+    `
+      SELECT *
+      FROM rule_profiles
+      WHERE organisation_id = $1
+        AND is_active = TRUE
+      ORDER BY id ASC
+    `,
+    [organisationId]
+  );
+
+  return rows;
+}
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * Does this profile apply to the staff member on this shift?
+ * NULL scope columns match everything.
+ */
+function profileMatches(profile, staff, shift) {
+  if (profile.ward && !sameText(profile.ward, shift && shift.ward)) return false;
+  if (profile.staff_type && !sameText(profile.staff_type, staff && staff.staff_type)) return false;
+  if (profile.wtr_opt_out != null && profile.wtr_opt_out !== !!(staff && staff.wtr_opt_out)) {
+    return false;
+  }
+  return true;
+}
+
+function specificity(profile) {
+  return (
+    (profile.ward ? 1 : 0) +
+    (profile.staff_type ? 1 : 0) +
+    (profile.wtr_opt_out != null ? 1 : 0)
+  );
+}
+
+/**
+ * Convert a rule_profiles row into a limits object.
+ */
+function toLimits(profile) {
+  if (!profile) return { ...DEFAULT_LIMITS };
+
+  const limits = {
+    ...DEFAULT_LIMITS,
+    profileId: profile.id,
+    profileName: profile.name,
+  };
+
+  for (const [column, key] of Object.entries(LIMIT_COLUMNS)) {
+    const value = Number(profile[column]);
+    if (profile[column] != null && !Number.isNaN(value)) {
+      limits[key] = value;
+    }
+  }
+
+  return limits;
+}
+
+/**
+ * Pick the limits for one staff member on one shift from a list of
+ * already-loaded profiles (so the engine can resolve many staff with a
+ * single query). Ties on specificity go to the newest profile.
+ */
+function resolveLimits(profiles, staff, shift) {
+  let best = null;
+
+  for (const p of profiles || []) {
+    if (!profileMatches(p, staff, shift)) continue;
+    if (
+      !best ||
+      specificity(p) > specificity(best) ||
+      (specificity(p) === specificity(best) && p.id > best.id)
+    ) {
+      best = p;
+    }
+  }
+
+  return toLimits(best);
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  LIMIT_COLUMNS,
+  loadRuleProfiles,
+  resolveLimits,
+};
@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Staff scoring factors
+ *
+ * The single scoring pipeline behind shift recommendations, offer
+ * broadcasting and the dashboard's AI assignment card. Each factor is
+ * named and returns raw points plus a reason; the organisation's weight
+ * for that factor scales the points into its contribution, and a staff
+ * member's score is the sum of the contributions.
+ *
+ * Weights live in scoring_factor_weights (one row per organisation and
+ * factor). Missing rows use the factor's default weight; a weight of 0
+ * switches the factor off.
+ *
+ * Hard rules (training, skill mix, gender, weekly limits) are not factors:
+ * they decide eligibility in shiftAssignmentEngine and cannot be weighted
+ * away.
+ */
+
+const shiftTime = require('./shiftTime');
+
+const MAX_WEIGHT = 10;
+
+/**
+ * Factor context, built per staff member by the engine:
+ *   shift, limits, weeklyHours, weeklyDays, totalIfAssigned,
+ *   recentShifts: { last7, next7 },
+ *   availability: staffAvailability.evaluateAvailability result
+ */
+const FACTORS = [
+  {
+    key: 'staff_type',
+    label: 'Staff type (permanent > bank > agency)',
+    defaultWeight: 1,
+    score(staff) {
+      if (staff.staff_type === 'permanent') return { points: 40, reason: 'Staff type: Permanent' };
+      if (staff.staff_type === 'bank') return { points: 20, reason: 'Staff type: Bank' };
+      if (staff.staff_type === 'agency') return { points: 5, reason: 'Staff type: Agency' };
+      return { points: 0, reason: 'Staff type: Unknown' };
+    },
+  },
+  {
+    key: 'home_ward',
+    label: 'Home ward matches the shift',
+    defaultWeight: 1,
+    score(staff, { shift }) {
+      if (staff.ward && shift.ward && staff.ward.toLowerCase() === shift.ward.toLowerCase()) {
+        return { points: 30, reason: `Home ward match (${shift.ward})` };
+      }
+      if (staff.ward) {
+        return {
+          points: 5,
+          reason: `Different ward (home: ${staff.ward}, shift: ${shift.ward || 'n/a'})`,
+        };
+      }
+      return null;
+    },
+  },
+  {
+    key: 'shift_preference',
+    label: 'Day / night preference',
+    defaultWeight: 1,
+    score(staff, { shift }) {
+      const pref = (staff.preferred_shift || 'Day').toLowerCase();
+      const shiftLabel = shiftTime.getShiftType(shift) === 'night' ? 'night' : 'day';
+
+      if (pref === 'any') {
+        return { points: 10, reason: 'Flexible shift preference (Any)' };
+      }
+      if (pref === shiftLabel) {
+        return { points: 15, reason: `Shift preference match (${pref})` };
+      }
+      return {
+        points: -5,
+        reason: `Shift preference mismatch (prefers ${pref}, shift is ${shiftLabel})`,
+      };
+    },
+  },
+  {
+    key: 'availability',
+    label: 'Declared available for the shift',
+    defaultWeight: 1,
+    score(staff, { availability }) {
+      if (!availability || availability.status !== 'available') return null;
+      return { points: 20, reason: availability.label };
+    },
+  },
+  {
+    key: 'contract_hours',
+    label: 'Contract hours still to fill this week',
+    defaultWeight: 1,
+    score(staff, { weeklyHours, totalIfAssigned, limits }) {
+      const contractHours = staff.contracted_hours_per_week || 37.5;
+
+      if (staff.staff_type === 'permanent') {
+        const utilisation = totalIfAssigned / contractHours;
+        if (utilisation < 0.5) {
+          return {
+            points: 35,
+            reason: `Contract hours under 50% (${weeklyHours.toFixed(1)}/${contractHours} after shift)`,
+          };
+        }
+        if (utilisation <= 1.0) {
+          return {
+            points: 20,
+            reason: `Contract hours between 50–100% (${weeklyHours.toFixed(1)}/${contractHours} after shift)`,
+          };
+        }
+        return {
+          points: -10,
+          reason: `Already at/over contract hours (${weeklyHours.toFixed(1)}/${contractHours} before shift)`,
+        };
+      }
+
+      // Bank / agency – no contract, but gently reward low overall hours
+      if (weeklyHours < 24) {
+        return { points: 10, reason: `Low hours this week (${weeklyHours.toFixed(1)}h)` };
+      }
+      if (weeklyHours > limits.weeklyHoursSoft) {
+        return { points: -10, reason: `High hours this week (${weeklyHours.toFixed(1)}h)` };
+      }
+      return { points: 0, reason: `Moderate hours this week (${weeklyHours.toFixed(1)}h)` };
+    },
+  },
+  {
+    key: 'recent_workload',
+    label: 'Shifts worked in the last 7 days and booked in the next 7',
+    defaultWeight: 1,
+    score(staff, { recentShifts }) {
+      const { last7 = 0, next7 = 0 } = recentShifts || {};
+      if (!last7 && !next7) return null;
+      return {
+        points: -(last7 * 8 + next7 * 5),
+        reason: `Recent workload (${last7} shift(s) last 7 days, ${next7} next 7 days)`,
+      };
+    },
+  },
+  {
+    key: 'wellbeing',
+    label: 'Wellbeing score',
+    defaultWeight: 1,
+    score(staff) {
+      // wellbeing_score assumed 0–100, higher = better; 0 = no data.
+      if (staff.wellbeing_score <= 0) return null;
+      if (staff.wellbeing_score < 30) {
+        return {
+          points: -5,
+          reason: `Low wellbeing score (${staff.wellbeing_score}) (avoid overloading this staff)`,
+        };
+      }
+      if (staff.wellbeing_score > 70) {
+        return {
+          points: 5,
+          reason: `Good wellbeing score (${staff.wellbeing_score}) (more resilient to extra shifts)`,
+        };
+      }
+      return null;
+    },
+  },
+];
+
+const FACTOR_KEYS = FACTORS.map((f) => f.key);
+
+function defaultWeights() {
+  return Object.fromEntries(FACTORS.map((f) => [f.key, f.defaultWeight]));
+}
+
+/**
+ * Weights for an organisation: { factor_key: weight }, defaults filled in.
+ * `db` can be the pool or a transaction client.
+ */
+async function loadScoringWeights(db, organisationId) {
+  const weights = defaultWeights();
+
+  const { rows } = await db.query(
+    'SELECT factor, weight FROM scoring_factor_weights WHERE organisation_id = $1',
+    [organisationId]
+  );
+
+  for (const row of rows) {
+    if (FACTOR_KEYS.includes(row.factor)) {
+      weights[row.factor] = Number(row.weight);
+    }
+  }
+
+  return weights;
+}
+
+function formatPoints(n) {
+  const rounded = Math.round(n * 100) / 100;
+  return rounded >= 0 ? `+${rounded}` : String(rounded);
+}
+
+/**
+ * Run every factor for one staff member.
+ * Returns { score, factors: [{ key, label, weight, points, contribution, reason }], reasons }.
+ * Factors with nothing to say (or weight 0) are left out of `reasons` but
+ * still listed in `factors` so the response shows every factor.
+ */
+function applyScoringFactors(staff, context, weights) {
+  const w = weights || defaultWeights();
+  let score = 0;
+  const factors = [];
+  const reasons = [];
+
+  for (const factor of FACTORS) {
+    const weight = w[factor.key] ?? factor.defaultWeight;
+    const result = factor.score(staff, context) || { points: 0, reason: null };
+    const contribution = Math.round(result.points * weight * 100) / 100;
+
+    score += contribution;
+    factors.push({
+      key: factor.key,
+      label: factor.label,
+      weight,
+      points: result.points,
+      contribution,
+      reason: result.reason,
+    });
+
+    if (result.reason && weight !== 0) {
+      reasons.push(`${result.reason} ${formatPoints(contribution)}`);
+    }
+  }
+
+  return { score: Math.round(score * 100) / 100, factors, reasons };
+}
+
+module.exports = {
+  FACTORS,
+  FACTOR_KEYS,
+  MAX_WEIGHT,
+  defaultWeights,
+  loadScoringWeights,
+  applyScoringFactors,
+};
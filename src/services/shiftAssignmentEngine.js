@@ -6,17 +6,40 @@
  * This service scores staff for a given shift using HR-safe logic:
  * - Hard constraints:
  *   - Must belong to the same organisation
- *   - Must have completed mandatory training
- * - Contract / fairness:
- *   - Prioritise permanent staff until their weekly contract is fulfilled
- *   - Then bank staff, then agency
- *   - Avoid > 6 days per week and excessive weekly hours
- * - Clinical / operational:
- *   - Prefer staff whose home ward matches the shift ward
- *   - Use shift preference (Day / Night / Any)
+ *   - Must be up to date with mandatory training (trainingCompliance.js)
+ *   - Must hold the roles / skills the shift still needs (skillMatching.js)
+ *   - Must fit the shift's gender requirement (genderMatching.js)
+ *   - Must stay within the rule-profile consecutive-day / weekly-hour
+ *     limits used by the assignment gate (ruleProfiles.js, shiftRules.js)
+ *   - Must not be on approved leave (leaveManagement.js), off sick
+ *     (sicknessAbsence.js) or have marked themselves unavailable
+ *     (staffAvailability.js)
+ * - Soft preferences are the weighted scoring factors in scoringFactors.js
+ *   (staff type, home ward, shift preference, declared availability,
+ *   contract hours, recent workload, wellbeing), configurable per
+ *   organisation.
+ *
+ * This is the only staff ranking: recommendations, offer broadcasting
+ * (shiftAutomation.js) and the dashboard card all go through
+ * getBestStaffForShift.
  */
 
 const pool = require('../db');
+const { loadRuleProfiles, resolveLimits } = require('./ruleProfiles');
+const shiftTime = require('./shiftTime');
+const { getOrganisationTimezone } = require('./organisationSettings');
+const shiftRules = require('./shiftRules');
+const { loadTrainingStatuses } = require('./trainingCompliance');
+const { loadSkillMixContext, loadStaffSkillIds, evaluateSkillFit } = require('./skillMatching');
+const { loadAssignedGenderCounts, evaluateGenderFit } = require('./genderMatching');
+const { loadScoringWeights, applyScoringFactors } = require('./scoringFactors');
+const { loadAvailability, evaluateAvailability } = require('./staffAvailability');
+const { loadApprovedLeave, findLeaveForShift, describeLeave } = require('./leaveManagement');
+const { loadSickness, findSicknessForShift, describeAbsence } = require('./sicknessAbsence');
+
+// Same window the assignment gate loads around a shift (assignmentService.js),
+// so the consecutive-days streak is counted over the same assignments.
+const RULE_WINDOW_DAYS = 14;
 
 // -------------------------
 // Helpers
@@ -34,6 +57,8 @@ async function getShiftById(shiftId, organisationId) {
         ward,
         role_required,
         gender_required,
+        gender_min_male,
+        gender_min_female,
         number_required,
         number_filled,
         status,
@@ -61,13 +86,17 @@ async function getStaffForOrganisation(organisationId) {
       SELECT
         id,
         name,
+        phone_number,
         ward,
         organisation_id,
         preferred_shift,
         wellbeing_score,
         contracted_hours_per_week,
         staff_type,
-        mandatory_training_complete
+        wtr_opt_out,
+        mandatory_training_complete,
+        gender,
+        observation_eligible
       FROM staff
       WHERE organisation_id = $1
     `,
@@ -85,131 +114,160 @@ async function getStaffForOrganisation(organisationId) {
     return {
       id: row.id,
       name: row.name || 'Unknown',
+      phone_number: row.phone_number || null,
       ward: row.ward || null,
       organisation_id: row.organisation_id,
       preferred_shift: row.preferred_shift || 'Day',
       wellbeing_score: row.wellbeing_score || 0,
       contracted_hours_per_week: isNaN(contractHours) ? 37.5 : contractHours,
       staff_type: staffType,
-      mandatory_training_complete:
-        row.mandatory_training_complete === null
-          ? true
-          : !!row.mandatory_training_complete,
+      wtr_opt_out: !!row.wtr_opt_out,
+      mandatory_training_complete: row.mandatory_training_complete,
+      gender: row.gender || null,
+      observation_eligible: row.observation_eligible !== false,
     };
   });
 }
 
 /**
- * Compute the Monday–Sunday window containing a given date.
- */
-function getWeekWindowAround(date) {
-  const d = new Date(date);
-  const day = d.getUTCDay(); // 0=Sun,1=Mon,...
-  // Make Monday = start of week
-  const diffToMonday = (day + 6) % 7; // Mon=0, Tue=1, ..., Sun=6
-
-  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
-  start.setUTCDate(start.getUTCDate() - diffToMonday);
-
-  const end = new Date(start);
-  end.setUTCDate(end.getUTCDate() + 6);
-
-  return { start, end };
-}
-
-/**
- * For a set of staff IDs, compute how many hours they are already
- * scheduled/assigned this week (based on shift_assignments + shifts).
+ * For a set of staff IDs, compute how many hours and distinct days they are
+ * already assigned in the Monday–Sunday week containing the shift.
+ *
+ * Weeks, days and durations are resolved in the organisation's timezone via
+ * shiftTime, so overnight and BST changeover shifts count at their real
+ * length (SQL end_time - start_time goes negative for nights).
  *
- * IMPORTANT FIX:
- * We now correctly use s.organisation_id instead of sa.organisation_id.
+ * Returns { hoursMap, daysMap } keyed by staff_id.
  */
-async function getWeeklyHoursForStaff(organisationId, staffIds, referenceDate) {
+async function getWeeklyLoadForStaff(organisationId, staffIds, shift, timezone) {
+  const hoursMap = {};
+  const daysMap = {};
   if (!staffIds || staffIds.length === 0) {
-    return {};
+    return { hoursMap, daysMap };
   }
 
-  const { start, end } = getWeekWindowAround(referenceDate);
+  const dateKey =
+    shiftTime.getShiftDateKey(shift.shift_date, timezone) ||
+    shiftTime.getLocalDateKey(new Date(), timezone);
+  const { start, end } = shiftTime.getWeekWindow(dateKey);
 
+  // Pad the SQL window by a day either side; the exact week is applied below
+  // on local dates.
   const { rows } = await pool.query(
     `
       SELECT
         sa.staff_id,
-        COALESCE(
-          SUM(
-            EXTRACT(EPOCH FROM (s.end_time - s.start_time)) / 3600.0
-          ),
-          0
-        ) AS hours
+        s.shift_date,
+        s.start_time,
+        s.end_time
       FROM shift_assignments sa
       JOIN shifts s ON s.id = sa.shift_id
       WHERE
         s.organisation_id = $1
         AND sa.staff_id = ANY($2::int[])
         AND s.shift_date BETWEEN $3::date AND $4::date
-      GROUP BY sa.staff_id
     `,
-    [organisationId, staffIds, start.toISOString(), end.toISOString()]
+    [
+      organisationId,
+      staffIds,
+      shiftTime.addDaysToKey(start, -1),
+      shiftTime.addDaysToKey(end, 1),
+    ]
   );
 
-  const result = {};
+  const daySets = {};
   for (const row of rows) {
-    result[row.staff_id] = parseFloat(row.hours) || 0;
+    const rowKey = shiftTime.getShiftDateKey(row.shift_date, timezone);
+    if (!rowKey || rowKey < start || rowKey > end) continue;
+
+    hoursMap[row.staff_id] =
+      (hoursMap[row.staff_id] || 0) + shiftTime.getShiftDurationHours(row, timezone);
+
+    if (!daySets[row.staff_id]) daySets[row.staff_id] = new Set();
+    daySets[row.staff_id].add(rowKey);
   }
-  return result;
+
+  for (const [staffId, days] of Object.entries(daySets)) {
+    daysMap[staffId] = days.size;
+  }
+
+  return { hoursMap, daysMap };
 }
 
 /**
- * Sometimes we also want how many distinct days the staff already works
- * this week (for "no more than 6 days" rules). We can approximate that.
+ * Each staff member's other assignments within RULE_WINDOW_DAYS either side
+ * of the shift, for the consecutive-days rule (shiftRules.js).
+ * Returns Map staff_id -> [shift rows with timezone].
  */
-async function getWeeklyDaysWorkedForStaff(organisationId, staffIds, referenceDate) {
-  if (!staffIds || staffIds.length === 0) {
-    return {};
-  }
-
-  const { start, end } = getWeekWindowAround(referenceDate);
+async function getSurroundingAssignments(organisationId, staffIds, shift, timezone) {
+  const result = new Map();
+  const dateKey = shiftTime.getShiftDateKey(shift.shift_date, timezone);
+  if (!staffIds || staffIds.length === 0 || !dateKey) return result;
 
   const { rows } = await pool.query(
     `
       SELECT
         sa.staff_id,
-        COUNT(DISTINCT s.shift_date) AS days_worked
+        s.id,
+        s.shift_date,
+        s.start_time,
+        s.end_time
       FROM shift_assignments sa
       JOIN shifts s ON s.id = sa.shift_id
       WHERE
         s.organisation_id = $1
         AND sa.staff_id = ANY($2::int[])
-        AND s.shift_date BETWEEN $3::date AND $4::date
-      GROUP BY sa.staff_id
+        AND s.id <> $3
+        AND s.shift_date BETWEEN $4::date AND $5::date
     `,
-    [organisationId, staffIds, start.toISOString(), end.toISOString()]
+    [
+      organisationId,
+      staffIds,
+      shift.id,
+      shiftTime.addDaysToKey(dateKey, -RULE_WINDOW_DAYS),
+      shiftTime.addDaysToKey(dateKey, RULE_WINDOW_DAYS),
+    ]
   );
 
-  const result = {};
-  for (const row of rows) {
-    result[row.staff_id] = parseInt(row.days_worked, 10) || 0;
+  for (const row of shiftTime.withTimezone(rows, timezone)) {
+    if (!result.has(row.staff_id)) result.set(row.staff_id, []);
+    result.get(row.staff_id).push(row);
   }
   return result;
 }
 
 /**
- * Estimate the duration of a shift in hours.
+ * Shifts each staff member worked in the last 7 days and has booked in the
+ * next 7, for the recent_workload factor.
+ * Returns Map staff_id -> { last7, next7 }.
  */
-function estimateShiftHours(shift) {
-  if (!shift.start_time || !shift.end_time) {
-    // Fallback for typical 12h shifts
-    return 12;
-  }
-  const [sh, sm] = String(shift.start_time).split(':').map((x) => parseInt(x, 10) || 0);
-  const [eh, em] = String(shift.end_time).split(':').map((x) => parseInt(x, 10) || 0);
-  const startMinutes = sh * 60 + sm;
-  const endMinutes = eh * 60 + em;
-  let diffMinutes = endMinutes - startMinutes;
-  if (diffMinutes <= 0) {
-    diffMinutes += 24 * 60; // cross-midnight
+async function getRecentShiftCounts(organisationId, staffIds) {
+  const result = new Map();
+  if (!staffIds || staffIds.length === 0) return result;
+
+  const { rows } = await pool.query(
+    `
+      SELECT
+        sa.staff_id,
+        COUNT(*) FILTER (
+          WHERE s.shift_date >= NOW() - INTERVAL '7 days' AND s.shift_date <= NOW()
+        )::int AS last7,
+        COUNT(*) FILTER (
+          WHERE s.shift_date > NOW() AND s.shift_date <= NOW() + INTERVAL '7 days'
+        )::int AS next7
+      FROM shift_assignments sa
+      JOIN shifts s ON s.id = sa.shift_id
+      WHERE s.organisation_id = $1
+        AND sa.staff_id = ANY($2::int[])
+      GROUP BY sa.staff_id
+    `,
+    [organisationId, staffIds]
+  );
+
+  for (const row of rows) {
+    result.set(row.staff_id, { last7: row.last7, next7: row.next7 });
   }
-  return diffMinutes / 60;
+  return result;
 }
 
 // -------------------------
@@ -218,141 +276,136 @@ function estimateShiftHours(shift) {
 
 /**
  * Calculate a score for one staff member for a specific shift.
+ * `limits` is the resolved rule profile for this staff member + shift.
+ * `training` is the staff member's training status (null = no data).
+ * `skillFit` / `genderFit` are the skillMatching / genderMatching results
+ * for this staff member.
+ * `surrounding` is the staff member's other assignments around the shift
+ * (getSurroundingAssignments), `recentShifts` is { last7, next7 }, `weights`
+ * the organisation's scoring weights (scoringFactors.loadScoringWeights),
+ * `availability` the staffAvailability.evaluateAvailability result, and
+ * `leave` / `sickness` the approved leave / sickness spell covering the
+ * shift (or null).
+ *
+ * Returns { score, eligible, reasons, factors }.
  */
-function scoreStaffForShift(staff, shift, weeklyHoursMap, weeklyDaysMap) {
-  let score = 0;
+function scoreStaffForShift(
+  staff,
+  shift,
+  weeklyHoursMap,
+  weeklyDaysMap,
+  limits,
+  training,
+  skillFit,
+  genderFit,
+  surrounding,
+  recentShifts,
+  weights,
+  availability,
+  leave,
+  sickness
+) {
   const reasons = [];
   let eligible = true;
 
-  const shiftHours = estimateShiftHours(shift);
+  const shiftHours = shiftTime.getShiftDurationHours(shift) || shiftTime.DEFAULT_SHIFT_HOURS;
   const weeklyHours = weeklyHoursMap[staff.id] || 0;
   const weeklyDays = weeklyDaysMap[staff.id] || 0;
   const totalIfAssigned = weeklyHours + shiftHours;
 
-  const contractHours = staff.contracted_hours_per_week || 37.5;
-
   // 1) Hard filters / disqualifiers
 
-  // Mandatory training
-  if (!staff.mandatory_training_complete) {
+  // Cancelled shift (kept for reporting, never offered)
+  if (String(shift.status || '').toLowerCase() === 'cancelled') {
     eligible = false;
-    reasons.push('Excluded: mandatory training not complete.');
+    reasons.push('Excluded: shift has been cancelled.');
   }
 
-  // No more than 6 days per week
-  if (weeklyDays >= 6) {
+  // Mandatory training
+  if (training && !training.isCompliant) {
     eligible = false;
-    reasons.push('Excluded: already at 6 days this week.');
+    reasons.push(
+      training.overdueCourses.length
+        ? `Excluded: mandatory training overdue (${training.overdueCourses.join(', ')}).`
+        : 'Excluded: mandatory training not complete.'
+    );
+  } else if (training && training.expiringSoon.length) {
+    reasons.push(
+      `Training expiring soon: ${training.expiringSoon
+        .map((c) => `${c.name} in ${c.days_remaining}d`)
+        .join(', ')}`
+    );
   }
 
-  // Very high hours (hard stop at 60h/week)
-  if (weeklyHours >= 60) {
+  // Required roles / skills
+  if (skillFit && !skillFit.ok) {
     eligible = false;
-    reasons.push(
-      `Excluded: already at or above 60 hours this week (${weeklyHours.toFixed(1)}h).`
-    );
+    reasons.push(`Excluded: ${skillFit.reason}.`);
+  } else if (skillFit && skillFit.covers.length) {
+    reasons.push(`Covers required ${skillFit.covers.join(', ')}`);
   }
 
-  // If already ineligible, we still continue scoring lightly so it appears in "full ranked"
-  // but managers see clearly that it's not eligible.
-
-  // 2) Staff type priority (permanent > bank > agency)
-  if (staff.staff_type === 'permanent') {
-    score += 40;
-    reasons.push('Staff type: Permanent +40');
-  } else if (staff.staff_type === 'bank') {
-    score += 20;
-    reasons.push('Staff type: Bank +20');
-  } else if (staff.staff_type === 'agency') {
-    score += 5;
-    reasons.push('Staff type: Agency +5');
-  } else {
-    reasons.push('Staff type: Unknown +0');
+  // Gender requirement
+  if (genderFit && !genderFit.ok) {
+    eligible = false;
+    reasons.push(`Excluded: ${genderFit.reason}.`);
+  } else if (genderFit && genderFit.covers) {
+    reasons.push(`Covers ${genderFit.covers} observation requirement`);
   }
 
-  // 3) Home ward familiarity
-  if (staff.ward && shift.ward && staff.ward.toLowerCase() === shift.ward.toLowerCase()) {
-    score += 30;
-    reasons.push(`Home ward match (${shift.ward}) +30`);
-  } else if (staff.ward) {
-    score += 5;
-    reasons.push(`Different ward (home: ${staff.ward}, shift: ${shift.ward || 'n/a'}) +5`);
+  // Approved leave
+  if (leave) {
+    eligible = false;
+    reasons.push(`Excluded: on approved leave (${describeLeave(leave)}).`);
   }
 
-  // 4) Shift preference
-  const pref = (staff.preferred_shift || 'Day').toLowerCase();
-  const shiftLabel =
-    shift.start_time && parseInt(String(shift.start_time).slice(0, 2), 10) >= 18
-      ? 'night'
-      : 'day';
-
-  if (pref === 'any') {
-    score += 10;
-    reasons.push('Flexible shift preference (Any) +10');
-  } else if (pref === shiftLabel) {
-    score += 15;
-    reasons.push(`Shift preference match (${pref}) +15`);
-  } else {
-    score -= 5;
-    reasons.push(`Shift preference mismatch (prefers ${pref}, shift is ${shiftLabel}) -5`);
+  // Reported sick
+  if (sickness) {
+    eligible = false;
+    reasons.push(`Excluded: ${describeAbsence(sickness)}.`);
   }
 
-  // 5) Contract hours fairness
-  if (staff.staff_type === 'permanent') {
-    const utilisation = totalIfAssigned / (contractHours || 37.5);
+  // Declared unavailable (holiday, "unavailable Tuesdays", ...)
+  if (availability && availability.status === 'unavailable') {
+    eligible = false;
+    reasons.push(`Excluded: ${availability.label}.`);
+  }
 
-    if (utilisation < 0.5) {
-      score += 35;
-      reasons.push(
-        `Contract hours under 50% (${weeklyHours.toFixed(
-          1
-        )}/${contractHours} after shift) +35`
-      );
-    } else if (utilisation <= 1.0) {
-      score += 20;
-      reasons.push(
-        `Contract hours between 50–100% (${weeklyHours.toFixed(
-          1
-        )}/${contractHours} after shift) +20`
-      );
-    } else {
-      score -= 10;
-      reasons.push(
-        `Already at/over contract hours (${weeklyHours.toFixed(
-          1
-        )}/${contractHours} before shift) -10`
-      );
-    }
-  } else {
-    // Bank / agency – no contract, but we can still gently reward low overall hours
-    if (weeklyHours < 24) {
-      score += 10;
-      reasons.push(`Low hours this week (${weeklyHours.toFixed(1)}h) +10`);
-    } else if (weeklyHours > 48) {
-      score -= 10;
-      reasons.push(`High hours this week (${weeklyHours.toFixed(1)}h) -10`);
-    } else {
-      reasons.push(`Moderate hours this week (${weeklyHours.toFixed(1)}h) +0`);
-    }
+  // No more than N consecutive days (rule profile, default 6), as the gate checks
+  const consecutive = shiftRules.checkConsecutiveDaysLimit(
+    surrounding || [],
+    shift,
+    limits.maxConsecutiveDays
+  );
+  if (!consecutive.ok) {
+    eligible = false;
+    reasons.push(`Excluded: ${consecutive.reason}.`);
   }
 
-  // 6) Burnout / wellbeing (simple placeholder)
-  // wellbeing_score assumed 0–100, higher = better.
-  if (staff.wellbeing_score <= 0) {
-    // neutral
-  } else if (staff.wellbeing_score < 30) {
-    score -= 5;
-    reasons.push(
-      `Low wellbeing score (${staff.wellbeing_score}) -5 (avoid overloading this staff).`
-    );
-  } else if (staff.wellbeing_score > 70) {
-    score += 5;
+  // Weekly hard cap (rule profile, default 72h)
+  if (totalIfAssigned > limits.weeklyHoursHard) {
+    eligible = false;
     reasons.push(
-      `Good wellbeing score (${staff.wellbeing_score}) +5 (more resilient to extra shifts).`
+      `Excluded: ${totalIfAssigned.toFixed(1)}h this week with this shift exceeds the ${
+        limits.weeklyHoursHard
+      }h cap (${limits.profileName}).`
     );
   }
 
-  return { score, reasons, eligible };
+  // 2) Weighted factors. Ineligible staff are still scored so they appear
+  // in the full ranking, but managers see clearly that they're excluded.
+  const scored = applyScoringFactors(
+    staff,
+    { shift, limits, weeklyHours, weeklyDays, totalIfAssigned, recentShifts, availability },
+    weights
+  );
+
+  return {
+    score: scored.score,
+    eligible,
+    reasons: reasons.concat(scored.reasons),
+    factors: scored.factors,
+  };
 }
 
 // -------------------------
@@ -365,8 +418,10 @@ function scoreStaffForShift(staff, shift, weeklyHoursMap, weeklyDaysMap) {
  * Returns:
  * {
  *   shift: { ... },
+ *   requirements: [...],
+ *   weights: { factor_key: weight },
  *   topRecommendations: [...],
- *   allRanked: [...]
+ *   allRanked: [...]       // each with score, eligible, reasons, factors
  * }
  */
 async function getBestStaffForShift(shiftId, organisationId, options = {}) {
@@ -374,11 +429,13 @@ async function getBestStaffForShift(shiftId, organisationId, options = {}) {
   try {
     const limit = options.limit && options.limit > 0 ? options.limit : 5;
 
-    // 1) Load shift
-    const shift = await getShiftById(shiftId, organisationId);
-    if (!shift) {
+    // 1) Load shift (times resolved in the organisation's timezone)
+    const timezone = await getOrganisationTimezone(pool, organisationId);
+    const shiftRow = await getShiftById(shiftId, organisationId);
+    if (!shiftRow) {
       throw new Error(`Shift ${shiftId} not found for organisation ${organisationId}`);
     }
+    const shift = shiftTime.withTimezone(shiftRow, timezone);
 
     // 2) Load staff in org
     const staffList = await getStaffForOrganisation(organisationId);
@@ -387,36 +444,104 @@ async function getBestStaffForShift(shiftId, organisationId, options = {}) {
     }
 
     const staffIds = staffList.map((s) => s.id);
-    const referenceDate = shift.shift_date || new Date().toISOString().slice(0, 10);
 
     // 3) Load weekly hours & days
-    const [weeklyHoursMap, weeklyDaysMap] = await Promise.all([
-      getWeeklyHoursForStaff(organisationId, staffIds, referenceDate),
-      getWeeklyDaysWorkedForStaff(organisationId, staffIds, referenceDate),
+    const { hoursMap: weeklyHoursMap, daysMap: weeklyDaysMap } = await getWeeklyLoadForStaff(
+      organisationId,
+      staffIds,
+      shift,
+      timezone
+    );
+
+    // 3b) Rule profiles (same limits as the assignment gate), training
+    //     status, the shift's role / skill / gender mix, surrounding
+    //     assignments (consecutive days), recent workload, availability,
+    //     approved leave and sickness on the shift date and the
+    //     organisation's scoring weights
+    const dateKey = shiftTime.getShiftDateKey(shift.shift_date, timezone);
+    const [
+      profiles,
+      trainingMap,
+      skillMix,
+      staffSkills,
+      genderCounts,
+      surroundingMap,
+      recentMap,
+      availabilityMap,
+      leaveMap,
+      sicknessMap,
+      weights,
+    ] = await Promise.all([
+      loadRuleProfiles(pool, organisationId),
+      loadTrainingStatuses(pool, organisationId, staffList, { timezone }),
+      loadSkillMixContext(pool, shift),
+      loadStaffSkillIds(pool, staffIds),
+      loadAssignedGenderCounts(pool, shift.id),
+      getSurroundingAssignments(organisationId, staffIds, shift, timezone),
+      getRecentShiftCounts(organisationId, staffIds),
+      loadAvailability(pool, organisationId, staffIds, { from: dateKey, to: dateKey }),
+      loadApprovedLeave(pool, organisationId, staffIds, { from: dateKey, to: dateKey }),
+      loadSickness(pool, organisationId, staffIds, { from: dateKey, to: dateKey }),
+      loadScoringWeights(pool, organisationId),
     ]);
+    const openSlots = Number(shift.number_required || 0) - Number(shift.number_filled || 0);
 
     // 4) Score each staff
     const ranked = staffList.map((staff) => {
-      const { score, reasons, eligible } = scoreStaffForShift(
+      const limits = resolveLimits(profiles, staff, shift);
+      const training = trainingMap.get(staff.id) || null;
+      const skillFit = evaluateSkillFit(
+        skillMix.requirements,
+        staffSkills.get(staff.id),
+        skillMix.assignedCounts,
+        openSlots
+      );
+      const genderFit = evaluateGenderFit(shift, staff, genderCounts, openSlots);
+      const recentShifts = recentMap.get(staff.id) || { last7: 0, next7: 0 };
+      const availability = evaluateAvailability(availabilityMap.get(staff.id), shift, timezone);
+      const leave = findLeaveForShift(leaveMap.get(staff.id), shift, timezone);
+      const sickness = findSicknessForShift(sicknessMap.get(staff.id), shift, timezone);
+      const { score, reasons, eligible, factors } = scoreStaffForShift(
         staff,
         shift,
         weeklyHoursMap,
-        weeklyDaysMap
+        weeklyDaysMap,
+        limits,
+        training,
+        skillFit,
+        genderFit,
+        surroundingMap.get(staff.id),
+        recentShifts,
+        weights,
+        availability,
+        leave,
+        sickness
       );
 
       return {
         staff_id: staff.id,
         staff_name: staff.name,
+        phone_number: staff.phone_number,
         staff_type: staff.staff_type,
         ward: staff.ward,
         preferred_shift: staff.preferred_shift,
         contract_hours: staff.contracted_hours_per_week,
-        mandatory_training_complete: staff.mandatory_training_complete,
+        mandatory_training_complete: !training || training.isCompliant,
+        overdue_courses: training ? training.overdueCourses : [],
+        skills_covered: skillFit.covers,
+        gender: staff.gender,
         weekly_hours: weeklyHoursMap[staff.id] || 0,
         weekly_days: weeklyDaysMap[staff.id] || 0,
+        shifts_last7: recentShifts.last7,
+        shifts_next7: recentShifts.next7,
+        rule_profile: limits.profileName,
+        availability: availability.label,
+        on_leave: leave ? describeLeave(leave) : null,
+        off_sick: sickness ? describeAbsence(sickness) : null,
         score,
         eligible,
         reasons,
+        factors,
       };
     });
 
@@ -428,6 +553,8 @@ async function getBestStaffForShift(shiftId, organisationId, options = {}) {
 
     return {
       shift,
+      requirements: skillMix.requirements,
+      weights,
       topRecommendations: topEligible,
       allRanked: ranked,
     };
@@ -438,4 +565,5 @@ async function getBestStaffForShift(shiftId, organisationId, options = {}) {
 
 module.exports = {
   getBestStaffForShift,
+  getStaffForOrganisation,
 };
@@ -0,0 +1,372 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Shift attendance
+ *
+ * Ties CHECKIN / CHECKOUT to the staff member's assigned shift:
+ *
+ *   - a check-in matches the assigned shift that starts within the next
+ *     EARLY_CHECKIN_MINUTES or is already running (nearest start wins);
+ *     minutes_late is measured from the shift start (negative = early)
+ *   - a checkout matches the shift of the open check-in, or else an
+ *     assigned shift that started and ended no more than
+ *     LATE_CHECKOUT_MINUTES ago; minutes_early is measured to the shift
+ *     end (negative = stayed on)
+ *   - anything that matches no assigned shift is still recorded, with
+ *     match_status 'unmatched' and review_status 'pending' so a manager
+ *     can attach it to the right shift or dismiss it
+ *   - a check-in that was never checked out only blocks a new one for
+ *     the same shift or while its shift is still running; otherwise the
+ *     new check-in is recorded and the stale one goes to review
+ *
+ * Up to LATE_GRACE_MINUTES after the start still counts as on time.
+ */
+
+const shiftTime = require('./shiftTime');
+const { getOrganisationTimezone } = require('./organisationSettings');
+
+const EARLY_CHECKIN_MINUTES = 120;
+const LATE_CHECKOUT_MINUTES = 240;
+const LATE_GRACE_MINUTES = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+const ATTENDANCE_COLUMNS = `
+  al.id,
+  al.staff_id,
+  st.name AS staff_name,
+  al.organisation_id,
+  al.action,
+  al.source,
+  al.occurred_at,
+  al.shift_id,
+  s.shift_ref,
+  s.ward,
+  s.shift_date,
+  s.start_time,
+  s.end_time,
+  al.minutes_late,
+  al.minutes_early,
+  al.match_status,
+  al.review_status,
+  al.reviewed_by_user_id,
+  al.reviewed_at,
+  al.review_note
+`;
+
+const ATTENDANCE_FROM = `
+  FROM attendance_logs al
+  LEFT JOIN staff st ON st.id = al.staff_id
+  LEFT JOIN shifts s ON s.id = al.shift_id
+`;
+
+function isLate(minutesLate) {
+  return minutesLate != null && minutesLate > LATE_GRACE_MINUTES;
+}
+
+function minutesBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / MINUTE_MS);
+}
+
+// -------------------------
+// Matching
+// -------------------------
+
+/**
+ * Assigned shifts dated yesterday..tomorrow (local) with their instants,
+ * so overnight shifts and early check-ins are both covered. Unpublished
+ * (draft) shifts are left out.
+ */
+async function loadNearbyAssignedShifts(db, organisationId, staffId, at, timezone) {
+  const todayKey = shiftTime.getLocalDateKey(at, timezone);
+
+  const { rows } = await db.query(
+    `
+      SELECT s.id, s.shift_ref, s.ward, s.shift_date, s.start_time, s.end_time
+      FROM shift_assignments sa
+      JOIN shifts s ON s.id = sa.shift_id
+      WHERE sa.staff_id = $1
+        AND s.organisation_id = $2
+        AND s.shift_date BETWEEN $3::date AND $4::date
+        AND s.status <> 'draft'
+    `,
+    [staffId, organisationId, shiftTime.addDaysToKey(todayKey, -1), shiftTime.addDaysToKey(todayKey, 1)]
+  );
+
+  return shiftTime
+    .withTimezone(rows, timezone)
+    .map((shift) => ({ shift, ...shiftTime.getShiftRange(shift) }))
+    .filter(({ start, end }) => start && end);
+}
+
+function pickCheckinShift(candidates, at) {
+  const inWindow = candidates.filter(
+    ({ start, end }) => start.getTime() - EARLY_CHECKIN_MINUTES * MINUTE_MS <= at && at < end
+  );
+  inWindow.sort((a, b) => Math.abs(a.start - at) - Math.abs(b.start - at));
+  return inWindow[0] || null;
+}
+
+function pickCheckoutShift(candidates, at) {
+  const inWindow = candidates.filter(
+    ({ start, end }) => start <= at && at.getTime() <= end.getTime() + LATE_CHECKOUT_MINUTES * MINUTE_MS
+  );
+  inWindow.sort((a, b) => Math.abs(a.end - at) - Math.abs(b.end - at));
+  return inWindow[0] || null;
+}
+
+async function getLastLog(db, organisationId, staffId) {
+  const { rows } = await db.query(
+    `
+      SELECT id, action, shift_id, occurred_at
+      FROM attendance_logs
+      WHERE staff_id = $1 AND organisation_id = $2
+      ORDER BY occurred_at DESC
+      LIMIT 1
+    `,
+    [staffId, organisationId]
+  );
+  return rows[0] || null;
+}
+
+async function loadAttendance(db, organisationId, logId) {
+  const { rows } = await db.query(
+    `SELECT ${ATTENDANCE_COLUMNS} ${ATTENDANCE_FROM} WHERE al.id = $1 AND al.organisation_id = $2`,
+    [logId, organisationId]
+  );
+  return rows[0] || null;
+}
+
+// -------------------------
+// Recording
+// -------------------------
+
+async function insertLog(db, { organisationId, staffId, action, source, at, match }) {
+  const { rows } = await db.query(
+    `
+      INSERT INTO attendance_logs
+        (staff_id, organisation_id, action, source, occurred_at, metadata,
+         shift_id, minutes_late, minutes_early, match_status, review_status)
+      VALUES ($1, $2, $3, $4, $5, '{}'::jsonb, $6, $7, $8, $9, $10)
+      RETURNING id
+    `,
+    [
+      staffId,
+      organisationId,
+      action,
+      source,
+      at,
+      match ? match.shift.id : null,
+      action === 'checkin' && match ? minutesBetween(match.start, at) : null,
+      action === 'checkout' && match ? minutesBetween(at, match.end) : null,
+      match ? 'matched' : 'unmatched',
+      match ? null : 'pending',
+    ]
+  );
+  return loadAttendance(db, organisationId, rows[0].id);
+}
+
+/**
+ * Record a check-in against the staff member's assigned shift.
+ * Returns { log, shift, late } or { error, status } (409 when they are
+ * already checked in for this shift, or their checked-in shift is still
+ * running).
+ */
+async function recordCheckin(db, { organisationId, staffId, source = 'whatsapp', at = new Date() }) {
+  const timezone = await getOrganisationTimezone(db, organisationId);
+  const candidates = await loadNearbyAssignedShifts(db, organisationId, staffId, at, timezone);
+  const match = pickCheckinShift(candidates, at);
+
+  const last = await getLastLog(db, organisationId, staffId);
+  if (last && last.action === 'checkin') {
+    const lastShift = last.shift_id && candidates.find((c) => c.shift.id === last.shift_id);
+    const sameShift = Boolean(match && last.shift_id === match.shift.id);
+    if (sameShift || (lastShift && at < lastShift.end)) {
+      return { error: 'Already checked in', status: 409 };
+    }
+
+    // Never checked out of the earlier one: a manager sorts it out.
+    await db.query("UPDATE attendance_logs SET review_status = 'pending' WHERE id = $1", [last.id]);
+  }
+
+  const log = await insertLog(db, { organisationId, staffId, action: 'checkin', source, at, match });
+
+  // Turned up after being flagged as a no-show (noShowDetection.js).
+  if (match) {
+    await db.query(
+      `
+        UPDATE shift_no_shows
+        SET status = 'arrived_late', resolved_at = NOW()
+        WHERE shift_id = $1 AND staff_id = $2 AND status = 'open'
+      `,
+      [match.shift.id, staffId]
+    );
+  }
+
+  return { log, shift: match ? match.shift : null, late: isLate(log.minutes_late) };
+}
+
+/**
+ * Record a checkout against the shift they checked in for (or the
+ * assigned shift that just ended). Returns { log, shift } or
+ * { error, status } (409 when they are not checked in).
+ */
+async function recordCheckout(db, { organisationId, staffId, source = 'whatsapp', at = new Date() }) {
+  const last = await getLastLog(db, organisationId, staffId);
+  if (!last || last.action !== 'checkin') {
+    return { error: 'Not checked in', status: 409 };
+  }
+
+  const timezone = await getOrganisationTimezone(db, organisationId);
+  const candidates = await loadNearbyAssignedShifts(db, organisationId, staffId, at, timezone);
+  const match =
+    (last.shift_id && candidates.find((c) => c.shift.id === last.shift_id)) ||
+    pickCheckoutShift(candidates, at);
+
+  const log = await insertLog(db, { organisationId, staffId, action: 'checkout', source, at, match });
+  return { log, shift: match ? match.shift : null };
+}
+
+// -------------------------
+// Manager review
+// -------------------------
+
+/**
+ * Attendance rows, newest first.
+ * filters: { from, to, reviewStatus: 'pending' | 'resolved', staffId }
+ */
+async function listAttendance(db, organisationId, filters = {}) {
+  const params = [organisationId];
+  const where = ['al.organisation_id = $1'];
+
+  if (filters.from) {
+    params.push(filters.from);
+    where.push(`al.occurred_at::date >= $${params.length}::date`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    where.push(`al.occurred_at::date <= $${params.length}::date`);
+  }
+  if (filters.reviewStatus) {
+    params.push(filters.reviewStatus);
+    where.push(`al.review_status = $${params.length}`);
+  }
+  if (filters.staffId) {
+    params.push(filters.staffId);
+    where.push(`al.staff_id = $${params.length}`);
+  }
+
+  const { rows } = await db.query(
+    `
+      SELECT ${ATTENDANCE_COLUMNS}
+      ${ATTENDANCE_FROM}
+      WHERE ${where.join(' AND ')}
+      ORDER BY al.occurred_at DESC
+      LIMIT 1000
+    `,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Manager resolves a pending row (unmatched, or a check-in never checked
+ * out): attach it to the shift it was for (shiftId; lateness is worked
+ * out) or dismiss it (no shiftId; any shift it matched is kept).
+ * Returns { log } or { error, status }.
+ */
+async function resolveAttendance(db, { organisationId, logId, userId, shiftId = null, note = null }) {
+  const log = await loadAttendance(db, organisationId, logId);
+  if (!log) {
+    return { error: 'Attendance record not found', status: 404 };
+  }
+  if (log.review_status !== 'pending') {
+    return { error: 'Attendance record is not waiting for review', status: 409 };
+  }
+
+  let minutesLate = null;
+  let minutesEarly = null;
+
+  if (shiftId) {
+    const { rows } = await db.query(
+      `
+        SELECT id, shift_date, start_time, end_time
+        FROM shifts
+        WHERE id = $1 AND organisation_id = $2
+      `,
+      [shiftId, organisationId]
+    );
+    if (!rows.length) {
+      return { error: 'Shift not found', status: 404 };
+    }
+
+    const timezone = await getOrganisationTimezone(db, organisationId);
+    const { start, end } = shiftTime.getShiftRange(rows[0], timezone);
+    const at = new Date(log.occurred_at);
+    if (log.action === 'checkin') minutesLate = minutesBetween(start, at);
+    else minutesEarly = minutesBetween(at, end);
+  }
+
+  await db.query(
+    `
+      UPDATE attendance_logs
+      SET shift_id = COALESCE($2, shift_id),
+          minutes_late = CASE WHEN $2::int IS NULL THEN minutes_late ELSE $3 END,
+          minutes_early = CASE WHEN $2::int IS NULL THEN minutes_early ELSE $4 END,
+          match_status = CASE WHEN $2::int IS NULL THEN match_status ELSE 'matched' END,
+          review_status = 'resolved',
+          reviewed_by_user_id = $5,
+          reviewed_at = NOW(),
+          review_note = $6
+      WHERE id = $1
+    `,
+    [logId, shiftId, minutesLate, minutesEarly, userId, note]
+  );
+
+  return { log: await loadAttendance(db, organisationId, logId) };
+}
+
+/**
+ * Lateness per staff member over a date range (matched check-ins only),
+ * most late arrivals first.
+ */
+async function summariseLateness(db, organisationId, { from, to }) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        al.staff_id,
+        st.name AS staff_name,
+        COUNT(*) FILTER (WHERE al.action = 'checkin')::int AS checkins,
+        COUNT(*) FILTER (WHERE al.action = 'checkin' AND al.minutes_late > $4)::int AS late_count,
+        COALESCE(SUM(al.minutes_late) FILTER (WHERE al.action = 'checkin' AND al.minutes_late > $4), 0)::int
+          AS late_minutes,
+        COUNT(*) FILTER (WHERE al.action = 'checkout' AND al.minutes_early > $4)::int AS left_early_count
+      FROM attendance_logs al
+      JOIN staff st ON st.id = al.staff_id
+      WHERE al.organisation_id = $1
+        AND al.match_status = 'matched'
+        AND al.occurred_at::date BETWEEN $2::date AND $3::date
+      GROUP BY al.staff_id, st.name
+      ORDER BY late_count DESC, late_minutes DESC, st.name ASC
+    `,
+    [organisationId, from, to, LATE_GRACE_MINUTES]
+  );
+
+  return rows.map((r) => ({
+    ...r,
+    average_minutes_late: r.late_count ? Math.round(r.late_minutes / r.late_count) : 0,
+  }));
+}
+
+module.exports = {
+  EARLY_CHECKIN_MINUTES,
+  LATE_CHECKOUT_MINUTES,
+  LATE_GRACE_MINUTES,
+  isLate,
+  recordCheckin,
+  recordCheckout,
+  loadAttendance,
+  listAttendance,
+  resolveAttendance,
+  summariseLateness,
+};
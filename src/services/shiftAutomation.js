@@ -1,31 +1,49 @@
 const { pool } = require('../utils/db_postgres');
-const { sendWhatsApp } = require('./twilioSender');
+const { sendWhatsAppMessage } = require('./twilioSender');
+const shiftTime = require('./shiftTime');
+const { describeGenderRequirement } = require('./genderMatching');
+const { getBestStaffForShift } = require('./shiftAssignmentEngine');
+const { evaluateAssignment } = require('./assignmentService');
 
 /**
- * Determine if this is a day or night shift based on start_time.
+ * Determine if this is a day or night shift (see shiftTime.getShiftType).
  */
 function getShiftType(shift) {
   if (!shift.start_time) return 'Unknown';
-  const hour = parseInt(shift.start_time.substring(0, 2), 10);
-  return hour < 14 ? 'Day Shift' : 'Night Shift';
+  const type = shiftTime.getShiftType(shift);
+  if (type === 'night') return 'Night Shift';
+  if (type === 'day') return 'Day Shift';
+  return 'Shift';
+}
+
+/**
+ * Short code staff reply with ("ACCEPT SH001"): the shift_ref, or S<id>
+ * for shifts without one. Always a single upper-case word.
+ */
+function getOfferCode(shift) {
+  const ref = String(shift.shift_ref || '').trim().toUpperCase().replace(/\s+/g, '-');
+  return ref || `S${shift.id}`;
+}
+
+/**
+ * "14:30 on 21/11" in the organisation's timezone.
+ */
+function formatExpiry(expiresAt, timezone) {
+  const p = shiftTime.getLocalParts(new Date(expiresAt), timezone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(p.hour)}:${pad(p.minute)} on ${pad(p.day)}/${pad(p.month)}`;
 }
 
 /**
  * Format the shift alert message using your Priory-style template.
  */
-function formatShiftAlertMessage({ shift, staff, siteInfo, shiftType }) {
-  const d = new Date(shift.shift_date);
-  const dateLabel = d.toLocaleDateString(undefined, {
-    weekday: 'long',
-    day: '2-digit',
-    month: 'short',
-    year: 'numeric',
-  });
+function formatShiftAlertMessage({ shift, staff, siteInfo, shiftType, expiresAt = null, urgent = false }) {
+  const dateLabel = shiftTime.formatShiftDate(shift, null, { weekday: 'long' });
 
-  const start = shift.start_time ? shift.start_time.substring(0, 5) : 'TBC';
-  const end   = shift.end_time ? shift.end_time.substring(0, 5) : 'TBC';
+  const start = shiftTime.formatTime(shift.start_time);
+  const end   = shiftTime.formatTime(shift.end_time);
   const role  = shift.role_required || 'Support Worker';
-  const gender = shift.gender_required || 'both';
+  const gender = describeGenderRequirement(shift);
   const needed = shift.number_required || 1;
 
   const companyName = siteInfo.companyName || 'The Priory Group';
@@ -33,7 +51,7 @@ function formatShiftAlertMessage({ shift, staff, siteInfo, shiftType }) {
   const postcode    = siteInfo.postcode    || 'SK8 3DG';
 
   return (
-    '🚨 *SHIFT ALERT* 🚨\n' +
+    (urgent ? '🚨 *URGENT – SHIFT ALREADY STARTED* 🚨\n' : '🚨 *SHIFT ALERT* 🚨\n') +
     `*${companyName} – ${siteName}*\n` +
     `�� ${postcode}\n\n` +
     'Hi All,\n\n' +
@@ -41,137 +59,163 @@ function formatShiftAlertMessage({ shift, staff, siteInfo, shiftType }) {
     `• ${dateLabel} – ${shiftType}\n` +
     `• *Time:* ${start} – ${end}\n` +
     `• *Staff Needed:* ${needed} (${gender})\n\n` +
-    'Reply *ACCEPT* to take this shift or *DECLINE* if unavailable.'
+    (expiresAt ? `⏳ Offer open until ${formatExpiry(expiresAt, shift.timezone)}\n\n` : '') +
+    `Reply *ACCEPT ${getOfferCode(shift)}* to take this shift or *DECLINE ${getOfferCode(shift)}* if unavailable.`
   );
 }
 
 /**
- * Compute AI-style scores for each staff member for a given shift.
- * Lower recent workload + matching preferred_shift = higher score.
+ * Rank staff for a shift through the assignment engine's scoring pipeline
+ * (shiftAssignmentEngine.getBestStaffForShift), keeping only eligible
+ * staff with a WhatsApp-capable phone number.
+ *
+ * Returns { shift, scores: [{ staff, score, shiftType, reasons, factors }] }.
  */
 async function computeStaffScoresForShift(organisationId, shiftId) {
-  const { rows: [shift] } = await pool.query(
-    `SELECT id, organisation_id, ward, shift_date, shift_ref,
-            start_time, end_time, role_required, gender_required, number_required
-     FROM shifts
-     WHERE id = $1 AND organisation_id = $2`,
-    [shiftId, organisationId]
-  );
-
-  if (!shift) {
-    throw new Error('Shift not found for this organisation');
-  }
+  const { shift, allRanked } = await getBestStaffForShift(shiftId, organisationId);
+  const shiftType = getShiftType(shift);
 
-  // All staff in the org with a WhatsApp-capable phone number
-  const { rows: staffList } = await pool.query(
-    `SELECT id, name, phone_number, preferred_shift
-     FROM staff
-     WHERE organisation_id = $1
-       AND phone_number IS NOT NULL
-       AND phone_number <> ''`,
-    [organisationId]
-  );
-
-  if (!staffList.length) {
-    return { shift, scores: [] };
-  }
-
-  const since7DaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
-  const to7DaysAhead  = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
-
-  const scores = [];
-
-  for (const staff of staffList) {
-    const { rows: [row] } = await pool.query(
-      `SELECT
-         (SELECT COUNT(*) FROM shift_assignments sa
-          JOIN shifts s ON sa.shift_id = s.id
-          WHERE sa.staff_id = $1
-            AND s.shift_date >= $2
-            AND s.shift_date <= NOW()) AS shifts_last7,
-         (SELECT COUNT(*) FROM shift_assignments sa2
-          JOIN shifts s2 ON sa2.shift_id = s2.id
-          WHERE sa2.staff_id = $1
-            AND s2.shift_date > NOW()
-            AND s2.shift_date <= $3) AS shifts_next7`,
-      [staff.id, since7DaysAgo, to7DaysAhead]
-    );
+  const scores = allRanked
+    .filter((r) => r.eligible && r.phone_number)
+    .map((r) => ({
+      staff: { id: r.staff_id, name: r.staff_name, phone_number: r.phone_number },
+      score: r.score,
+      shiftType,
+      reasons: r.reasons,
+      factors: r.factors,
+    }));
 
-    const last7 = parseInt(row.shifts_last7 ?? 0, 10) || 0;
-    const next7 = parseInt(row.shifts_next7 ?? 0, 10) || 0;
+  return { shift, scores };
+}
 
-    let base = 100;
-    base -= last7 * 8;   // penalise heavy recent workload
-    base -= next7 * 5;   // penalise lots of upcoming shifts
+/**
+ * Walk ranked staff (best first) and keep those the assignment gate would
+ * accept right now, up to `limit`, so an ACCEPT can be honoured. Staff
+ * already on the shift or flagged as a no-show on it are left out, as is
+ * anyone the gate blocks (double booking, rest, hours, …).
+ *
+ * ranked: [{ staff_id, … }] as from getBestStaffForShift.
+ * Returns { offerable: [ranked], rejected: [{ staff_id, reason }] }.
+ */
+async function selectOfferableStaff(organisationId, shiftId, ranked, limit = Infinity) {
+  const { rows } = await pool.query(
+    `
+      SELECT staff_id FROM shift_assignments WHERE shift_id = $1
+      UNION
+      SELECT staff_id FROM shift_no_shows WHERE shift_id = $1
+    `,
+    [shiftId]
+  );
+  const onShift = new Set(rows.map((r) => r.staff_id));
 
-    const shiftType = getShiftType(shift);
-    const pref = (staff.preferred_shift || '').toLowerCase();
+  const offerable = [];
+  const rejected = [];
 
-    if (shiftType === 'Day Shift' && pref.includes('day')) {
-      base += 10;
-    } else if (shiftType === 'Night Shift' && pref.includes('night')) {
-      base += 10;
+  for (const r of ranked) {
+    if (offerable.length >= limit) break;
+    if (onShift.has(r.staff_id)) {
+      rejected.push({ staff_id: r.staff_id, reason: 'Already assigned to (or released from) this shift' });
+      continue;
     }
 
-    scores.push({
-      staff,
-      score: base,
-      last7,
-      next7,
-      shiftType,
-    });
+    const { verdict } = await evaluateAssignment(pool, { shiftId, staffId: r.staff_id, organisationId });
+    if (!verdict.ok) {
+      rejected.push({ staff_id: r.staff_id, reason: verdict.blocks.map((b) => b.reason).join('; ') });
+      continue;
+    }
+    offerable.push(r);
   }
 
-  scores.sort((a, b) => b.score - a.score);
-
-  return { shift, scores };
+  return { offerable, rejected };
 }
 
 /**
- * Create offers for the top N staff, insert into shift_offers and send WhatsApp alerts.
+ * Insert a shift_offers row for each ranked item and send the WhatsApp alert.
+ * items: [{ staff: { id, name, phone_number }, score, shiftType, factors }]
+ * Optional expiresAt / cascadeId / tier are stored on the offers (offer cascade).
+ * Every offer expires at the shift's start at the latest, or its end for
+ * `urgent` offers covering a shift that is already running (no-shows).
+ * Draft shifts are never offered: staff hear about them when the rota
+ * is published.
  */
-async function offerShiftToTopStaff({
+async function sendShiftOffers({
   organisationId,
-  shiftId,
-  maxOffers = 3,
+  shift,
+  items,
   suggestedRate = null,
   siteInfo = {},
+  expiresAt = null,
+  cascadeId = null,
+  tier = null,
+  urgent = false,
 }) {
-  const { shift, scores } = await computeStaffScoresForShift(organisationId, shiftId);
-
-  if (!scores.length) {
-    return { shift, offers: [], message: 'No staff with WhatsApp numbers found.' };
+  if (String(shift.status || '').toLowerCase() === 'draft') {
+    return { shift, offers: [], message: 'Draft shifts can only be offered once the rota is published.' };
   }
 
-  const broadcastGroup = `shift-${shiftId}-${Date.now()}`;
-  const top = scores.slice(0, maxOffers);
+  const broadcastGroup = `shift-${shift.id}-${Date.now()}`;
   const offers = [];
 
-  for (const item of top) {
+  const range = shiftTime.getShiftRange(shift);
+  const latest = urgent ? range.end : range.start;
+  const offerExpiry =
+    expiresAt && (!latest || new Date(expiresAt) < latest) ? new Date(expiresAt) : latest;
+
+  for (const item of items) {
     const staff = item.staff;
     const aiScore = item.score;
     const shiftType = item.shiftType;
 
     const { rows: [offer] } = await pool.query(
       `INSERT INTO shift_offers
-         (staff_id, organisation_id, shift_id, status, ai_score, broadcast_group, suggested_rate)
-       VALUES ($1,$2,$3,'offered',$4,$5,$6)
+         (staff_id, organisation_id, shift_id, status, ai_score, broadcast_group, suggested_rate,
+          expires_at, cascade_id, tier, offer_code)
+       VALUES ($1,$2,$3,'offered',$4,$5,$6,$7,$8,$9,$10)
        RETURNING id`,
-      [staff.id, organisationId, shiftId, aiScore, broadcastGroup, suggestedRate]
+      [
+        staff.id,
+        organisationId,
+        shift.id,
+        aiScore,
+        broadcastGroup,
+        suggestedRate,
+        offerExpiry,
+        cascadeId,
+        tier,
+        getOfferCode(shift),
+      ]
     );
 
-    const message = formatShiftAlertMessage({ shift, staff, siteInfo, shiftType });
+    // Only mention the expiry when it is earlier than the shift itself.
+    const message = formatShiftAlertMessage({
+      shift,
+      staff,
+      siteInfo,
+      shiftType,
+      expiresAt: expiresAt || urgent ? offerExpiry : null,
+      urgent,
+    });
 
     const toPhone = staff.phone_number.replace(/^whatsapp:/, '');
 
-    await sendWhatsApp(toPhone, message);
+    let sent = true;
+    try {
+      await sendWhatsAppMessage({ to: `whatsapp:${toPhone}`, body: message });
+    } catch (err) {
+      sent = false;
+      console.error(`[OFFERS] Failed to send offer ${offer.id} to staff ${staff.id}:`, err);
+    }
 
     offers.push({
       offer_id: offer.id,
       staff_id: staff.id,
       staff_name: staff.name,
       phone_number: staff.phone_number,
+      offer_code: getOfferCode(shift),
       ai_score: aiScore,
+      factors: item.factors,
+      expires_at: offerExpiry,
+      sent,
     });
   }
 
@@ -187,7 +231,150 @@ async function offerShiftToTopStaff({
   };
 }
 
+/**
+ * Create offers for the top N staff the assignment gate would accept,
+ * insert into shift_offers and send WhatsApp alerts.
+ */
+async function offerShiftToTopStaff({
+  organisationId,
+  shiftId,
+  maxOffers = 3,
+  suggestedRate = null,
+  siteInfo = {},
+  urgent = false,
+}) {
+  const { shift, scores } = await computeStaffScoresForShift(organisationId, shiftId);
+  const { offerable } = await selectOfferableStaff(
+    organisationId,
+    shift.id,
+    scores.map((s) => ({ ...s, staff_id: s.staff.id })),
+    maxOffers
+  );
+
+  if (!offerable.length) {
+    return { shift, offers: [], message: 'No eligible staff with WhatsApp numbers found.' };
+  }
+
+  return sendShiftOffers({
+    organisationId,
+    shift,
+    items: offerable,
+    suggestedRate,
+    siteInfo,
+    urgent,
+  });
+}
+
+/**
+ * Offer a shift to staff a manager picked from the ranking.
+ *
+ * Only staff the engine ranks as eligible, with a WhatsApp number, no
+ * pending offer for this shift and a clear assignment gate, are sent an
+ * offer; everyone else comes back in `skipped` with the reason.
+ */
+async function offerShiftToSelectedStaff({
+  organisationId,
+  shiftId,
+  staffIds,
+  suggestedRate = null,
+  siteInfo = {},
+}) {
+  const { shift, allRanked } = await getBestStaffForShift(shiftId, organisationId);
+  const shiftType = getShiftType(shift);
+
+  const { rows: pending } = await pool.query(
+    `SELECT staff_id FROM shift_offers
+     WHERE shift_id = $1 AND organisation_id = $2 AND status = 'offered'`,
+    [shift.id, organisationId]
+  );
+  const alreadyOffered = new Set(pending.map((r) => r.staff_id));
+
+  const items = [];
+  const skipped = [];
+
+  for (const staffId of [...new Set(staffIds)]) {
+    const ranked = allRanked.find((r) => r.staff_id === staffId);
+    let reason = null;
+
+    if (!ranked) {
+      reason = 'Staff not found in this organisation';
+    } else if (!ranked.eligible) {
+      const excluded = ranked.reasons.filter((r) => r.startsWith('Excluded:'));
+      reason = excluded.join(' ') || 'Not eligible for this shift';
+    } else if (!ranked.phone_number) {
+      reason = 'No WhatsApp number on file';
+    } else if (alreadyOffered.has(staffId)) {
+      reason = 'Already has a pending offer for this shift';
+    }
+
+    if (reason) {
+      skipped.push({ staff_id: staffId, staff_name: ranked ? ranked.staff_name : null, reason });
+      continue;
+    }
+
+    items.push({
+      staff: { id: ranked.staff_id, name: ranked.staff_name, phone_number: ranked.phone_number },
+      score: ranked.score,
+      shiftType,
+      factors: ranked.factors,
+    });
+  }
+
+  const { offerable, rejected } = await selectOfferableStaff(
+    organisationId,
+    shift.id,
+    items.map((item) => ({ ...item, staff_id: item.staff.id }))
+  );
+  for (const r of rejected) {
+    const item = items.find((i) => i.staff.id === r.staff_id);
+    skipped.push({ staff_id: r.staff_id, staff_name: item.staff.name, reason: r.reason });
+  }
+
+  if (!offerable.length) {
+    return { shift, offers: [], skipped };
+  }
+
+  const result = await sendShiftOffers({
+    organisationId,
+    shift,
+    items: offerable,
+    suggestedRate,
+    siteInfo,
+  });
+  return { ...result, skipped };
+}
+
+/**
+ * Re-offer shifts that just lost someone (sickness, no-shows) to the top
+ * staff. `urgent` for shifts that have already started.
+ * One shift failing doesn't stop the rest; its error is returned instead.
+ *
+ * Returns [{ shift_id, offers, error? }].
+ */
+async function backfillShifts({ organisationId, shiftIds, maxOffers = 5, urgent = false }) {
+  const results = [];
+
+  for (const shiftId of shiftIds) {
+    try {
+      const result = await offerShiftToTopStaff({ organisationId, shiftId, maxOffers, urgent });
+      results.push({ shift_id: shiftId, offers: result.offers });
+    } catch (err) {
+      console.error(`[OFFERS] Backfill failed for shift ${shiftId}:`, err);
+      results.push({ shift_id: shiftId, offers: [], error: err.message });
+    }
+  }
+
+  return results;
+}
+
 module.exports = {
+  getShiftType,
+  getOfferCode,
+  formatExpiry,
   computeStaffScoresForShift,
+  selectOfferableStaff,
+  sendShiftOffers,
   offerShiftToTopStaff,
+  offerShiftToSelectedStaff,
+  backfillShifts,
 };
@@ -0,0 +1,251 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Bulk shift operations
+ *
+ * Applies a list of shift operations in one call (POST /api/shifts/bulk),
+ * for import scripts and the dashboard's week editor:
+ *
+ *   { "op": "create", "data": { ...POST /api/shifts body }, "assign_staff_ids": [3, 7] }
+ *   { "op": "update", "id": 42, "data": { ...PUT /api/shifts/:id body }, "assign_staff_ids": [9] }
+ *   { "op": "delete", "id": 43 }
+ *   { "op": "cancel", "id": 44, "reason": "Ward closed for deep clean" }
+ *
+ * Each operation runs inside its own savepoint and uses the same code as
+ * the single-shift endpoints (shiftRecords.js, shiftCancellation.js).
+ * Staff in assign_staff_ids go through the assignment gate
+ * (assignStaffToShift), so a blocked assignment fails its operation with
+ * the gate's blocks. Staff on cancelled shifts are told once the batch
+ * has committed.
+ *
+ * Modes:
+ *   - 'atomic' (default): everything or nothing. Every operation is still
+ *     tried so all failures are reported, then the whole batch is rolled
+ *     back if any failed.
+ *   - 'best_effort': failed operations are rolled back to their savepoint
+ *     and the rest are committed.
+ *
+ * Every operation gets a result in the same order:
+ *   { index, op, id, ref, status: 'ok' | 'failed' | 'rolled_back',
+ *     shift, assignments, warnings, error, blocks }
+ * plus released / withdrawn_offers / notified for cancels. `ref` echoes
+ * the caller's own reference for the operation, if given.
+ */
+
+const { createShift, updateShift, deleteShift } = require('./shiftRecords');
+const {
+  cancelShift,
+  notifyShiftCancelled,
+  summariseCancellation,
+} = require('./shiftCancellation');
+const { assignStaffToShift } = require('./assignmentService');
+
+const OPERATIONS = ['create', 'update', 'delete', 'cancel'];
+const MODES = ['atomic', 'best_effort'];
+const MAX_OPERATIONS = 500;
+
+function parsePositiveInt(raw) {
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Shape checks that need no database. Returns an error string or null.
+ */
+function validateOperation(operation) {
+  if (!operation || typeof operation !== 'object') {
+    return 'Operation must be an object';
+  }
+  if (!OPERATIONS.includes(operation.op)) {
+    return `op must be one of: ${OPERATIONS.join(', ')}`;
+  }
+  if (operation.op !== 'create' && !parsePositiveInt(operation.id)) {
+    return `"id" is required for ${operation.op}`;
+  }
+  const writesData = operation.op === 'create' || operation.op === 'update';
+  if (writesData && (!operation.data || typeof operation.data !== 'object')) {
+    return `"data" is required for ${operation.op}`;
+  }
+  if (operation.op === 'cancel' && !String(operation.reason || '').trim()) {
+    return '"reason" is required for cancel';
+  }
+  if (operation.assign_staff_ids !== undefined) {
+    if (!writesData) {
+      return 'assign_staff_ids is only allowed on create and update';
+    }
+    const ids = operation.assign_staff_ids;
+    if (!Array.isArray(ids) || !ids.every((id) => parsePositiveInt(id))) {
+      return 'assign_staff_ids must be an array of staff ids';
+    }
+  }
+  return null;
+}
+
+/**
+ * Run one operation on the client. Returns the result fields to merge
+ * into the operation's result (status 'ok' or 'failed'); a cancel also
+ * returns `cancellation` to notify after COMMIT.
+ */
+async function runOperation(client, { organisationId, userId }, operation) {
+  const shiftId = parsePositiveInt(operation.id);
+  let result;
+
+  switch (operation.op) {
+    case 'create':
+      result = await createShift(client, organisationId, operation.data, { userId });
+      break;
+    case 'update':
+      result = await updateShift(client, organisationId, shiftId, operation.data, { userId });
+      break;
+    case 'delete':
+      result = await deleteShift(client, organisationId, shiftId);
+      break;
+    case 'cancel':
+      result = await cancelShift(client, {
+        organisationId,
+        shiftId,
+        userId,
+        reason: String(operation.reason).trim().slice(0, 500),
+      });
+      break;
+  }
+
+  if (result.error) {
+    return { status: 'failed', error: result.error };
+  }
+  if (operation.op === 'cancel') {
+    const { shift, ...summary } = summariseCancellation(result);
+    return { status: 'ok', id: shift.id, shift, ...summary, cancellation: result };
+  }
+
+  const assignments = [];
+  const warnings = [];
+  for (const staffId of operation.assign_staff_ids || []) {
+    const assigned = await assignStaffToShift(client, {
+      shiftId: result.shift.id,
+      staffId: Number(staffId),
+      organisationId,
+    });
+    if (!assigned.assigned) {
+      return {
+        status: 'failed',
+        error: `Assignment of staff ${staffId} blocked by scheduling rules`,
+        blocks: assigned.verdict.blocks,
+      };
+    }
+    assignments.push(assigned.assignment);
+    warnings.push(...assigned.verdict.warnings.map((w) => ({ ...w, staff_id: Number(staffId) })));
+  }
+
+  let shift = result.shift;
+  if (assignments.length) {
+    const { rows } = await client.query(
+      'SELECT number_filled, status FROM shifts WHERE id = $1',
+      [shift.id]
+    );
+    shift = { ...shift, ...rows[0] };
+  }
+
+  return { status: 'ok', id: shift.id, shift, assignments, warnings };
+}
+
+/**
+ * Apply operations with a pool. Returns
+ *   { mode, committed, succeeded, failed, results }
+ * or { error, status } if the request itself is invalid.
+ */
+async function applyBulkOperations(
+  db,
+  { organisationId, userId = null, operations, mode = 'atomic' }
+) {
+  if (!MODES.includes(mode)) {
+    return { error: `mode must be one of: ${MODES.join(', ')}`, status: 400 };
+  }
+  if (!Array.isArray(operations) || !operations.length) {
+    return { error: 'operations must be a non-empty array', status: 400 };
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    return { error: `At most ${MAX_OPERATIONS} operations per request`, status: 400 };
+  }
+
+  const results = operations.map((operation, index) => ({
+    index,
+    op: operation && operation.op,
+    id: operation ? parsePositiveInt(operation.id) : null,
+    ref: operation && operation.ref != null ? operation.ref : null,
+  }));
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    for (let i = 0; i < operations.length; i++) {
+      const invalid = validateOperation(operations[i]);
+      if (invalid) {
+        Object.assign(results[i], { status: 'failed', error: invalid });
+        continue;
+      }
+
+      await client.query('SAVEPOINT bulk_op');
+      try {
+        const outcome = await runOperation(client, { organisationId, userId }, operations[i]);
+        if (outcome.status === 'failed') {
+          await client.query('ROLLBACK TO SAVEPOINT bulk_op');
+        } else {
+          await client.query('RELEASE SAVEPOINT bulk_op');
+        }
+        Object.assign(results[i], outcome);
+      } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT bulk_op');
+        // e.g. a duplicate shift_ref; anything else is unexpected
+        const error = err.code === '23505' ? 'Duplicate shift_ref' : 'Operation failed';
+        if (err.code !== '23505') {
+          console.error(`[BULK] Operation ${i} (${operations[i].op}) failed:`, err);
+        }
+        Object.assign(results[i], { status: 'failed', error });
+      }
+    }
+
+    const failed = results.filter((r) => r.status === 'failed').length;
+    const committed = mode === 'best_effort' || failed === 0;
+
+    if (committed) {
+      await client.query('COMMIT');
+    } else {
+      await client.query('ROLLBACK');
+      for (const r of results) {
+        if (r.status === 'ok') {
+          r.status = 'rolled_back';
+        }
+      }
+    }
+
+    for (const r of results) {
+      const { cancellation } = r;
+      delete r.cancellation;
+      if (cancellation && r.status === 'ok') {
+        r.notified = await notifyShiftCancelled(cancellation, db);
+      }
+    }
+
+    return {
+      mode,
+      committed,
+      succeeded: results.filter((r) => r.status === 'ok').length,
+      failed,
+      results,
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  OPERATIONS,
+  MODES,
+  MAX_OPERATIONS,
+  applyBulkOperations,
+};
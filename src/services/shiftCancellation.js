@@ -0,0 +1,433 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Shift cancellation
+ *
+ * Cancelling (rather than deleting) a shift keeps the row for reporting
+ * and payroll:
+ *   - status 'cancelled' with cancelled_at, who cancelled it and a reason
+ *   - every assignment is released and every open offer 'withdrawn';
+ *     running cascades are cancelled and pending swaps of it stop
+ *   - the staff affected go in shift_cancellation_staff with the notice
+ *     they got. Assigned staff with less than the organisation's
+ *     late_cancellation_hours are marked late_cancellation. Releasing them
+ *     takes the shift out of shift_assignments, so summariseLateCancellations()
+ *     reports the booked hours per staff member for late-cancellation pay.
+ *
+ * After COMMIT the caller sends notifyShiftCancelled(), which tells the
+ * assigned staff and offer holders on WhatsApp.
+ *
+ * The assignment gate and the engine treat a cancelled shift as closed.
+ */
+
+const pool = require('../db');
+const shiftTime = require('./shiftTime');
+const { sendWhatsAppMessage } = require('./twilioSender');
+const { getOfferCode } = require('./shiftAutomation');
+const { normaliseStatus, canTransition, setShiftStatus } = require('./shiftStatus');
+
+const DEFAULT_LATE_CANCELLATION_HOURS = 24;
+const MAX_LATE_CANCELLATION_HOURS = 168;
+
+function isCancelled(shift) {
+  return String((shift && shift.status) || '').toLowerCase() === 'cancelled';
+}
+
+// -------------------------
+// Settings
+// -------------------------
+
+async function getCancellationSettings(db, organisationId) {
+  const { rows } = await db.query(
+    'SELECT late_cancellation_hours FROM organisations WHERE id = $1',
+    [organisationId]
+  );
+  return rows[0] || null;
+}
+
+async function setCancellationSettings(db, organisationId, { late_cancellation_hours }) {
+  await db.query(
+    `
+      UPDATE organisations
+      SET late_cancellation_hours = COALESCE($2, late_cancellation_hours)
+      WHERE id = $1
+    `,
+    [organisationId, late_cancellation_hours != null ? late_cancellation_hours : null]
+  );
+  return getCancellationSettings(db, organisationId);
+}
+
+// -------------------------
+// Cancelling
+// -------------------------
+
+/**
+ * Cancel a shift. Caller owns BEGIN / COMMIT.
+ *
+ * Returns { shift, assigned: [...], offered: [...] } for
+ * notifyShiftCancelled, or { error, status }.
+ */
+async function cancelShift(client, { organisationId, shiftId, userId = null, reason }) {
+  const { rows: shiftRows } = await client.query(
+    `
+      SELECT s.id, s.shift_ref, s.ward, s.status, s.shift_date, s.start_time, s.end_time,
+             o.timezone, COALESCE(o.late_cancellation_hours, $3) AS late_cancellation_hours
+      FROM shifts s
+      JOIN organisations o ON o.id = s.organisation_id
+      WHERE s.id = $1 AND s.organisation_id = $2
+      FOR UPDATE OF s
+    `,
+    [shiftId, organisationId, DEFAULT_LATE_CANCELLATION_HOURS]
+  );
+  const shift = shiftRows[0];
+
+  if (!shift) {
+    return { error: 'Shift not found', status: 404 };
+  }
+  if (isCancelled(shift)) {
+    return { error: 'Shift is already cancelled', status: 409 };
+  }
+
+  const now = new Date();
+  const { start, end } = shiftTime.getShiftRange(shift);
+  if ((end && end <= now) || !canTransition(normaliseStatus(shift.status), 'cancelled')) {
+    return { error: 'The shift has already finished', status: 409 };
+  }
+
+  const noticeHours = start ? Math.max((start - now) / 3600000, 0) : null;
+  const late = noticeHours != null && noticeHours < Number(shift.late_cancellation_hours);
+
+  const { rows: assigned } = await client.query(
+    `
+      DELETE FROM shift_assignments sa
+      USING staff st
+      WHERE sa.shift_id = $1 AND st.id = sa.staff_id
+      RETURNING sa.staff_id, sa.accepted_at, st.name AS staff_name, st.phone_number
+    `,
+    [shift.id]
+  );
+
+  const { rows: offered } = await client.query(
+    `
+      UPDATE shift_offers o
+      SET status = 'withdrawn', responded_at = NOW()
+      FROM staff st
+      WHERE o.shift_id = $1
+        AND o.status = 'offered'
+        AND st.id = o.staff_id
+      RETURNING o.id AS offer_id, o.staff_id, st.name AS staff_name, st.phone_number
+    `,
+    [shift.id]
+  );
+
+  await client.query(
+    `
+      UPDATE shift_offer_cascades
+      SET status = 'cancelled', next_escalation_at = NULL, updated_at = NOW()
+      WHERE shift_id = $1 AND status IN ('running', 'paused')
+    `,
+    [shift.id]
+  );
+
+  await client.query(
+    `
+      UPDATE shift_swaps
+      SET status = 'cancelled', decision_note = 'Shift cancelled', decided_at = NOW(), updated_at = NOW()
+      WHERE shift_id = $1 AND status IN ('open', 'pending_approval')
+    `,
+    [shift.id]
+  );
+
+  for (const a of assigned) {
+    await client.query(
+      `
+        INSERT INTO shift_cancellation_staff
+          (shift_id, staff_id, kind, assigned_at, notice_hours, late_cancellation)
+        VALUES ($1, $2, 'assigned', $3, $4, $5)
+        ON CONFLICT (shift_id, staff_id, kind) DO NOTHING
+      `,
+      [shift.id, a.staff_id, a.accepted_at, noticeHours, late]
+    );
+  }
+  for (const o of offered) {
+    await client.query(
+      `
+        INSERT INTO shift_cancellation_staff (shift_id, staff_id, kind, notice_hours)
+        VALUES ($1, $2, 'offered', $3)
+        ON CONFLICT (shift_id, staff_id, kind) DO NOTHING
+      `,
+      [shift.id, o.staff_id, noticeHours]
+    );
+  }
+
+  const statusChange = await setShiftStatus(client, shift.id, 'cancelled', {
+    userId,
+    source: 'cancel',
+    note: reason,
+  });
+  if (statusChange.error) return statusChange;
+
+  const { rows: updated } = await client.query(
+    `
+      UPDATE shifts
+      SET number_filled = 0,
+          cancelled_at = NOW(),
+          cancelled_by_user_id = $2,
+          cancellation_reason = $3
+      WHERE id = $1
+      RETURNING id, shift_ref, ward, role_required, status, shift_date, start_time, end_time,
+                number_required, number_filled, cancelled_at, cancelled_by_user_id,
+                cancellation_reason
+    `,
+    [shift.id, userId, reason]
+  );
+
+  return {
+    shift: { ...updated[0], timezone: shift.timezone },
+    assigned,
+    offered,
+    notice_hours: noticeHours != null ? Math.round(noticeHours * 10) / 10 : null,
+    late_cancellation: late,
+  };
+}
+
+/**
+ * Tell assigned staff and offer holders the shift is off. Call after
+ * COMMIT with cancelShift's result; failures are logged, not thrown.
+ * Returns the number of messages sent.
+ */
+async function notifyShiftCancelled({ shift, assigned, offered }, db = pool) {
+  const shiftLine =
+    `${shift.ward || ''} shift on ${shiftTime.formatShiftDate(shift)} ` +
+    `(${shiftTime.formatTime(shift.start_time)}–${shiftTime.formatTime(shift.end_time)}, ${getOfferCode(shift)})`;
+  const reasonLine = shift.cancellation_reason ? `\nReason: ${shift.cancellation_reason}\n` : '';
+
+  const messages = [
+    ...assigned.map((a) => ({
+      ...a,
+      kind: 'assigned',
+      body:
+        '❌ *Shift cancelled*\n\n' +
+        `Hi ${a.staff_name || 'there'}, your ${shiftLine} has been *cancelled*.\n` +
+        reasonLine +
+        '\nYou are no longer booked on it. Sorry for any inconvenience.',
+    })),
+    ...offered.map((o) => ({
+      ...o,
+      kind: 'offered',
+      body:
+        `Hi ${o.staff_name || 'there'}, the ${shiftLine} you were offered has been *cancelled*, ` +
+        "so there's no need to reply to that offer.",
+    })),
+  ];
+
+  let sent = 0;
+  for (const m of messages) {
+    if (!m.phone_number) continue;
+    try {
+      await sendWhatsAppMessage({
+        to: `whatsapp:${m.phone_number.replace(/^whatsapp:/, '')}`,
+        body: m.body,
+      });
+      await db.query(
+        `
+          UPDATE shift_cancellation_staff SET notified = TRUE
+          WHERE shift_id = $1 AND staff_id = $2 AND kind = $3
+        `,
+        [shift.id, m.staff_id, m.kind]
+      );
+      sent++;
+    } catch (err) {
+      console.error(`[CANCEL] Failed to notify staff ${m.staff_id} about shift ${shift.id}:`, err);
+    }
+  }
+  return sent;
+}
+
+/**
+ * Cancel with its own transaction, then notify.
+ * Returns { shift, released, withdrawn_offers, notified, ... } or { error, status }.
+ */
+async function cancelAndNotify(db, { organisationId, shiftId, userId, reason }) {
+  const client = await db.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await cancelShift(client, { organisationId, shiftId, userId, reason });
+    await client.query(result.error ? 'ROLLBACK' : 'COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (result.error) return result;
+
+  const notified = await notifyShiftCancelled(result, db);
+  return { ...summariseCancellation(result), notified };
+}
+
+/**
+ * API shape of a cancelShift result (no phone numbers).
+ */
+function summariseCancellation(result) {
+  return {
+    shift: result.shift,
+    notice_hours: result.notice_hours,
+    late_cancellation: result.late_cancellation,
+    released: result.assigned.map((a) => ({ staff_id: a.staff_id, staff_name: a.staff_name })),
+    withdrawn_offers: result.offered.map((o) => ({
+      offer_id: o.offer_id,
+      staff_id: o.staff_id,
+      staff_name: o.staff_name,
+    })),
+  };
+}
+
+// -------------------------
+// Reporting
+// -------------------------
+
+/**
+ * Cancelled shifts, newest first, with the staff affected.
+ * filters: { from, to, ward, lateOnly } (from / to on the shift date)
+ */
+async function listCancellations(db, organisationId, filters = {}) {
+  const params = [organisationId];
+  const where = ["s.organisation_id = $1", "s.status = 'cancelled'"];
+
+  if (filters.from) {
+    params.push(filters.from);
+    where.push(`s.shift_date >= $${params.length}::date`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    where.push(`s.shift_date < ($${params.length}::date + 1)`);
+  }
+  if (filters.ward) {
+    params.push(filters.ward);
+    where.push(`LOWER(s.ward) = LOWER($${params.length})`);
+  }
+  if (filters.lateOnly) {
+    where.push(`
+      EXISTS (
+        SELECT 1 FROM shift_cancellation_staff cs
+        WHERE cs.shift_id = s.id AND cs.late_cancellation
+      )
+    `);
+  }
+
+  const { rows } = await db.query(
+    `
+      SELECT
+        s.id,
+        s.shift_ref,
+        s.ward,
+        s.role_required,
+        s.shift_date,
+        s.start_time,
+        s.end_time,
+        s.number_required,
+        s.cancelled_at,
+        s.cancelled_by_user_id,
+        s.cancellation_reason,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+                   'staff_id', cs.staff_id, 'staff_name', st.name, 'kind', cs.kind,
+                   'assigned_at', cs.assigned_at, 'notice_hours', cs.notice_hours,
+                   'late_cancellation', cs.late_cancellation, 'notified', cs.notified
+                 ) ORDER BY cs.kind, st.name)
+          FROM shift_cancellation_staff cs
+          JOIN staff st ON st.id = cs.staff_id
+          WHERE cs.shift_id = s.id
+        ), '[]'::json) AS staff
+      FROM shifts s
+      WHERE ${where.join(' AND ')}
+      ORDER BY s.cancelled_at DESC NULLS LAST
+      LIMIT 500
+    `,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Late-cancelled bookings per staff member for a pay period, by shift
+ * date: the shifts, the notice given and the booked hours (DST-aware, see
+ * shiftTime), so payroll can apply its late-cancellation pay rules.
+ */
+async function summariseLateCancellations(db, organisationId, { from, to }) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        cs.staff_id,
+        st.name AS staff_name,
+        cs.notice_hours,
+        s.id AS shift_id,
+        s.shift_ref,
+        s.ward,
+        s.shift_date,
+        s.start_time,
+        s.end_time,
+        s.cancelled_at,
+        o.timezone
+      FROM shift_cancellation_staff cs
+      JOIN shifts s ON s.id = cs.shift_id
+      JOIN staff st ON st.id = cs.staff_id
+      JOIN organisations o ON o.id = s.organisation_id
+      WHERE s.organisation_id = $1
+        AND cs.kind = 'assigned'
+        AND cs.late_cancellation
+        AND s.shift_date >= $2::date
+        AND s.shift_date < ($3::date + 1)
+      ORDER BY s.shift_date ASC, s.start_time ASC
+    `,
+    [organisationId, from, to]
+  );
+
+  const byStaff = new Map();
+  for (const r of rows) {
+    const hours = Math.round(shiftTime.getShiftDurationHours(r, r.timezone) * 100) / 100;
+
+    if (!byStaff.has(r.staff_id)) {
+      byStaff.set(r.staff_id, {
+        staff_id: r.staff_id,
+        staff_name: r.staff_name,
+        late_cancelled_shifts: 0,
+        late_cancelled_hours: 0,
+        shifts: [],
+      });
+    }
+    const entry = byStaff.get(r.staff_id);
+    entry.late_cancelled_shifts += 1;
+    entry.late_cancelled_hours = Math.round((entry.late_cancelled_hours + hours) * 100) / 100;
+    entry.shifts.push({
+      shift_id: r.shift_id,
+      shift_ref: r.shift_ref,
+      ward: r.ward,
+      shift_date: shiftTime.getShiftDateKey(r.shift_date, r.timezone),
+      start_time: r.start_time,
+      end_time: r.end_time,
+      cancelled_at: r.cancelled_at,
+      notice_hours: r.notice_hours != null ? Number(r.notice_hours) : null,
+      hours,
+    });
+  }
+
+  return [...byStaff.values()].sort((a, b) => a.staff_name.localeCompare(b.staff_name));
+}
+
+module.exports = {
+  DEFAULT_LATE_CANCELLATION_HOURS,
+  MAX_LATE_CANCELLATION_HOURS,
+  isCancelled,
+  getCancellationSettings,
+  setCancellationSettings,
+  cancelShift,
+  notifyShiftCancelled,
+  cancelAndNotify,
+  summariseCancellation,
+  listCancellations,
+  summariseLateCancellations,
+};
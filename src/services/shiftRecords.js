@@ -0,0 +1,371 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Creating, updating and deleting shifts
+ *
+ * The validation and SQL behind POST / PUT / DELETE /api/shifts, shared
+ * with the bulk endpoint (shiftBulk.js) so a shift created one at a time
+ * or in a batch goes through exactly the same checks.
+ *
+ * Every function takes `db` (the pool or a transaction client) and
+ * returns { shift } or { error, status } rather than throwing.
+ */
+
+const {
+  resolveSkills,
+  replaceShiftRequirements,
+} = require('./skillMatching');
+const { generateShiftRef } = require('./shiftTemplates');
+const {
+  MANUAL_STATUSES,
+  normaliseStatus,
+  parseStatus,
+  canTransition,
+  recordStatusChange,
+  setShiftStatus,
+  syncShiftStatus,
+} = require('./shiftStatus');
+
+// Statuses a shift can be created in.
+const CREATE_STATUSES = ['draft', 'open'];
+
+const SHIFT_COLUMNS = `
+  id,
+  shift_ref,
+  ward,
+  role_required,
+  status,
+  shift_date,
+  start_time,
+  end_time,
+  gender_required,
+  gender_min_male,
+  gender_min_female,
+  number_required,
+  number_filled,
+  organisation_id
+`;
+
+/**
+ * Parse gender_min_male / gender_min_female from a request body.
+ * Returns { values: { gender_min_male, gender_min_female }, error }.
+ * Missing fields come back as null so PUT can leave them unchanged.
+ */
+function parseGenderMins(body) {
+  const values = {};
+  for (const field of ['gender_min_male', 'gender_min_female']) {
+    const raw = body[field];
+    if (raw === undefined || raw === null || raw === '') {
+      values[field] = null;
+      continue;
+    }
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 0) {
+      return { error: `Field "${field}" must be a whole number (0 or more)` };
+    }
+    values[field] = n;
+  }
+  return { values };
+}
+
+/**
+ * Create a shift. `body` is the POST /api/shifts body; `status` may be
+ * 'draft' or 'open' (the default).
+ */
+async function createShift(db, organisationId, body, { userId = null } = {}) {
+  const {
+    ward,
+    role_required,
+    status,
+    shift_date,
+    start_time,
+    end_time,
+    gender_required,
+    number_required,
+    shift_ref,
+    requirements,
+  } = body || {};
+
+  if (!ward || !shift_date) {
+    return {
+      error: 'Missing required fields: ward and shift_date are required',
+      status: 400,
+    };
+  }
+
+  const dateObj = new Date(shift_date);
+  if (isNaN(dateObj.getTime())) {
+    return { error: 'Invalid shift_date. Use a valid date/time.', status: 400 };
+  }
+
+  const initialStatus = status ? parseStatus(status) : 'open';
+  if (!CREATE_STATUSES.includes(initialStatus)) {
+    return { error: `New shifts can only be ${CREATE_STATUSES.join(' or ')}`, status: 400 };
+  }
+
+  if (requirements !== undefined && !Array.isArray(requirements)) {
+    return { error: 'requirements must be an array', status: 400 };
+  }
+  if (Array.isArray(requirements) && requirements.length) {
+    const { unknown } = await resolveSkills(
+      db,
+      organisationId,
+      requirements.map((r) => r.skill ?? r.skill_id ?? r.code)
+    );
+    if (unknown.length) {
+      return { error: `Unknown skills: ${unknown.join(', ')}`, status: 400 };
+    }
+  }
+
+  const finalShiftRef = shift_ref || generateShiftRef(ward, dateObj);
+
+  const numRequired = Number(number_required);
+  const numRequiredValue = Number.isNaN(numRequired) ? null : numRequired;
+
+  const genderMins = parseGenderMins(body || {});
+  if (genderMins.error) {
+    return { error: genderMins.error, status: 400 };
+  }
+  const minMale = genderMins.values.gender_min_male || 0;
+  const minFemale = genderMins.values.gender_min_female || 0;
+  if (minMale + minFemale > (numRequiredValue || 1)) {
+    return {
+      error: 'gender_min_male + gender_min_female cannot exceed number_required',
+      status: 400,
+    };
+  }
+
+  const insertSql = `
+    INSERT INTO shifts (
+      shift_ref,
+      ward,
+      role_required,
+      status,
+      shift_date,
+      start_time,
+      end_time,
+      gender_required,
+      gender_min_male,
+      gender_min_female,
+      number_required,
+      number_filled,
+      organisation_id
+    )
+    VALUES (
+      $1, $2, $3, $4,
+      $5, $6, $7,
+      COALESCE($8, 'both'),
+      $11, $12,
+      COALESCE($9, 1),
+      0,
+      $10
+    )
+    RETURNING ${SHIFT_COLUMNS}
+  `;
+
+  const params = [
+    finalShiftRef,
+    ward,
+    role_required || null,
+    initialStatus,
+    dateObj.toISOString(),
+    start_time || null,
+    end_time || null,
+    gender_required || null,
+    numRequiredValue,
+    organisationId,
+    minMale,
+    minFemale,
+  ];
+
+  const { rows } = await db.query(insertSql, params);
+  const created = rows[0];
+
+  await recordStatusChange(db, {
+    shiftId: created.id,
+    organisationId,
+    from: null,
+    to: initialStatus,
+    userId,
+    source: 'created',
+  });
+
+  if (Array.isArray(requirements) && requirements.length) {
+    const { saved } = await replaceShiftRequirements(db, organisationId, created.id, requirements);
+    created.requirements = saved;
+  }
+
+  return { shift: created };
+}
+
+/**
+ * Update a shift. `body` is the PUT /api/shifts/:id body; missing fields
+ * stay unchanged. `status` only accepts the manual steps (draft /
+ * published); everything else is re-derived after the update.
+ */
+async function updateShift(db, organisationId, shiftId, body, { userId = null } = {}) {
+  const {
+    ward,
+    role_required,
+    status,
+    shift_date,
+    start_time,
+    end_time,
+    gender_required,
+    number_required,
+    number_filled,
+  } = body || {};
+
+  if (number_filled !== undefined && number_filled !== null && number_filled !== '') {
+    return { error: 'number_filled is derived from assignments and cannot be set', status: 400 };
+  }
+
+  const requestedStatus = status ? parseStatus(status) : null;
+  if (requestedStatus === 'cancelled') {
+    return { error: 'Use POST /api/shifts/:id/cancel to cancel a shift', status: 400 };
+  }
+  if (status && !MANUAL_STATUSES.includes(requestedStatus)) {
+    return {
+      error: `status can only be set to ${MANUAL_STATUSES.join(' or ')}; the rest follow assignments and shift times`,
+      status: 400,
+    };
+  }
+
+  let shiftDateIso = null;
+  if (shift_date) {
+    const d = new Date(shift_date);
+    if (isNaN(d.getTime())) {
+      return { error: 'Invalid shift_date. Use a valid date/time.', status: 400 };
+    }
+    shiftDateIso = d.toISOString();
+  }
+
+  const numRequired = Number(number_required);
+  const numRequiredValue = Number.isNaN(numRequired) ? null : numRequired;
+
+  const genderMins = parseGenderMins(body || {});
+  if (genderMins.error) {
+    return { error: genderMins.error, status: 400 };
+  }
+
+  // Check the status step up front so a refused one doesn't leave the
+  // other fields half-saved.
+  if (requestedStatus) {
+    const { rows: current } = await db.query(
+      'SELECT status FROM shifts WHERE id = $1 AND organisation_id = $2',
+      [shiftId, organisationId]
+    );
+    if (!current.length) {
+      return { error: 'Shift not found', status: 404 };
+    }
+    const from = normaliseStatus(current[0].status);
+    if (!canTransition(from, requestedStatus)) {
+      return { error: `A ${from} shift can't be moved to ${requestedStatus}`, status: 409 };
+    }
+  }
+
+  const updateSql = `
+    UPDATE shifts
+    SET
+      ward = COALESCE($3, ward),
+      role_required = COALESCE($4, role_required),
+      shift_date = COALESCE($5, shift_date),
+      start_time = COALESCE($6, start_time),
+      end_time = COALESCE($7, end_time),
+      gender_required = COALESCE($8, gender_required),
+      number_required = COALESCE($9, number_required),
+      gender_min_male = COALESCE($10, gender_min_male),
+      gender_min_female = COALESCE($11, gender_min_female)
+    WHERE id = $1 AND organisation_id = $2
+      AND COALESCE($10, gender_min_male) + COALESCE($11, gender_min_female)
+          <= COALESCE($9, number_required)
+    RETURNING ${SHIFT_COLUMNS}
+  `;
+
+  const params = [
+    shiftId,
+    organisationId,
+    ward || null,
+    role_required || null,
+    shiftDateIso,
+    start_time || null,
+    end_time || null,
+    gender_required || null,
+    numRequiredValue,
+    genderMins.values.gender_min_male,
+    genderMins.values.gender_min_female,
+  ];
+
+  const { rows } = await db.query(updateSql, params);
+
+  if (!rows.length) {
+    const { rowCount } = await db.query(
+      'SELECT 1 FROM shifts WHERE id = $1 AND organisation_id = $2',
+      [shiftId, organisationId]
+    );
+    if (rowCount) {
+      return {
+        error: 'gender_min_male + gender_min_female cannot exceed number_required',
+        status: 400,
+      };
+    }
+    return { error: 'Shift not found', status: 404 };
+  }
+
+  if (requestedStatus) {
+    const result = await setShiftStatus(db, shiftId, requestedStatus, { userId, source: 'update' });
+    if (result.error) return result;
+  }
+  rows[0].status = await syncShiftStatus(db, shiftId, { userId, source: 'update' });
+
+  return { shift: rows[0] };
+}
+
+/**
+ * Hard-delete a shift (offers and assignments cascade). Only for shifts
+ * nobody is booked on or holds an open offer for; those, and shifts
+ * already cancelled, are cancelled instead (shiftCancellation.js) so
+ * staff are told and the record is kept.
+ */
+async function deleteShift(db, organisationId, shiftId) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        s.status,
+        EXISTS (SELECT 1 FROM shift_assignments sa WHERE sa.shift_id = s.id) AS has_assignments,
+        EXISTS (
+          SELECT 1 FROM shift_offers o WHERE o.shift_id = s.id AND o.status = 'offered'
+        ) AS has_open_offers
+      FROM shifts s
+      WHERE s.id = $1 AND s.organisation_id = $2
+    `,
+    [shiftId, organisationId]
+  );
+
+  if (!rows.length) {
+    return { error: 'Shift not found', status: 404 };
+  }
+  if (String(rows[0].status || '').toLowerCase() === 'cancelled') {
+    return { error: 'Cancelled shifts are kept for reporting and cannot be deleted', status: 409 };
+  }
+  if (rows[0].has_assignments || rows[0].has_open_offers) {
+    return {
+      error: 'Shift has staff booked or offered; cancel it instead (POST /api/shifts/:id/cancel)',
+      status: 409,
+    };
+  }
+
+  await db.query('DELETE FROM shifts WHERE id = $1 AND organisation_id = $2', [
+    shiftId,
+    organisationId,
+  ]);
+  return { shift: { id: shiftId } };
+}
+
+module.exports = {
+  SHIFT_COLUMNS,
+  parseGenderMins,
+  createShift,
+  updateShift,
+  deleteShift,
+};
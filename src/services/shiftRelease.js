@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Releasing an assignment
+ *
+ * Takes a staff member off a shift and opens the slot back up: the
+ * assignment row goes, number_filled drops and the shift's status is
+ * re-derived (a filled shift goes back to partially_filled or open).
+ * Used when someone can't work a shift they hold (sickness, no-shows).
+ * Re-offering the slot is up to the caller (shiftAutomation.backfillShifts).
+ */
+
+const { syncShiftStatus } = require('./shiftStatus');
+
+/**
+ * Caller owns BEGIN / COMMIT. Returns true if they were assigned.
+ */
+async function releaseStaffFromShift(client, shiftId, staffId) {
+  await client.query('SELECT id FROM shifts WHERE id = $1 FOR UPDATE', [shiftId]);
+
+  const { rowCount } = await client.query(
+    'DELETE FROM shift_assignments WHERE shift_id = $1 AND staff_id = $2',
+    [shiftId, staffId]
+  );
+  if (!rowCount) return false;
+
+  await client.query(
+    'UPDATE shifts SET number_filled = GREATEST(number_filled - 1, 0) WHERE id = $1',
+    [shiftId]
+  );
+  await syncShiftStatus(client, shiftId, { source: 'release' });
+  return true;
+}
+
+module.exports = {
+  releaseStaffFromShift,
+};
@@ -23,122 +23,81 @@
 //   3) Construct the new shift object.
 //   4) Run these checks before inserting a new assignment.
 //
+// All date/time resolution goes through shiftTime.js. Shift objects may
+// carry a `timezone` (the organisation's zone); otherwise Europe/London.
+//
+
+const shiftTime = require('./shiftTime');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Convert a date string and time string into a JavaScript Date.
  *
  * dateStr: e.g. "2025-11-20T00:00:00.000Z" or "2025-11-20"
  * timeStr: e.g. "07:30" or "19:30"
+ * timezone: IANA zone the time is wall-clock in (default Europe/London)
  *
  * If timeStr is missing, we just use whatever time is already inside dateStr.
  */
-function toDateTime(dateStr, timeStr) {
+function toDateTime(dateStr, timeStr, timezone) {
   if (!dateStr) return null;
 
-  const base = new Date(dateStr);
-  if (Number.isNaN(base.getTime())) return null;
-
-  if (!timeStr) {
-    return base;
+  if (!timeStr || String(timeStr).split(':').length < 2) {
+    const base = new Date(dateStr);
+    return Number.isNaN(base.getTime()) ? null : base;
   }
 
-  const [hh, mm] = String(timeStr).split(':');
-  if (hh === undefined || mm === undefined) {
-    return base;
-  }
+  const dateKey = shiftTime.getShiftDateKey(dateStr, timezone);
+  if (!dateKey) return null;
 
-  const result = new Date(base);
-  result.setHours(Number(hh) || 0, Number(mm) || 0, 0, 0);
-  return result;
+  return shiftTime.zonedTimeToInstant(dateKey, timeStr, shiftTime.resolveTimezone(timezone));
 }
 
 /**
  * Normalise a shift into a [start, end) range (as Date objects),
- * correctly handling night shifts that cross midnight.
+ * correctly handling night shifts that cross midnight and DST changes.
+ * Delegates to shiftTime.js so every module resolves shifts the same way.
  *
  * Example:
  *   shift_date: "2025-11-20"
  *   start_time: "19:30"
  *   end_time:   "08:00"
  *
- *   => start = 2025-11-20 19:30
- *      end   = 2025-11-21 08:00  (we add 1 day for the end)
+ *   => start = 2025-11-20 19:30 (Europe/London)
+ *      end   = 2025-11-21 08:00 (Europe/London)
  */
 function getShiftRange(shift) {
-  const start = toDateTime(shift.shift_date, shift.start_time);
-  const endRaw = toDateTime(shift.shift_date, shift.end_time);
-
-  if (!start || !endRaw) return { start: null, end: null };
-
-  let end = new Date(endRaw);
-
-  // If end time is <= start time, assume it crosses midnight:
-  // e.g. start 19:30, end 08:00 => treat end as next day.
-  if (end <= start) {
-    end = new Date(end.getTime());
-    end.setDate(end.getDate() + 1);
-  }
-
-  return { start, end };
+  return shiftTime.getShiftRange(shift);
 }
 
 /**
- * Estimate the number of hours for a shift.
+ * Number of hours for a shift (11.5 / 13.5 on BST changeover nights).
  * Returns a floating-point number (can be fractional).
  */
 function getShiftDurationHours(shift) {
-  const { start, end } = getShiftRange(shift);
-  if (!start || !end || end <= start) return 0;
-
-  const ms = end.getTime() - start.getTime();
-  const hours = ms / (1000 * 60 * 60);
-  return hours;
+  return shiftTime.getShiftDurationHours(shift);
 }
 
 /**
  * Determine if a shift is considered a "night" shift.
  *
- * Rules:
- *   - If it crosses midnight (endDate > startDate), treat as night.
+ * Rules (local time, see shiftTime.js):
+ *   - If it crosses midnight, treat as night.
  *   - OR, if start is before 06:00, or on/after 20:00, treat as night.
  */
 function isNightShift(shift) {
-  const { start, end } = getShiftRange(shift);
-  if (!start || !end) return false;
-
-  // Crossing midnight?
-  if (end.getDate() !== start.getDate()) {
-    return true;
-  }
-
-  const startHour = start.getHours();
-
-  if (startHour < 6) return true;
-  if (startHour >= 20) return true;
-
-  return false;
+  return shiftTime.isNightShift(shift);
 }
 
 /**
  * Classify a shift as "day", "night" or "unknown".
  *
- * DAY:   mostly between ~06:00 and ~22:00 same day.
+ * DAY:   starts 06:00 or later and finishes by 22:00 same day.
  * NIGHT: identified by isNightShift.
  */
 function getShiftType(shift) {
-  if (isNightShift(shift)) return 'night';
-
-  const { start, end } = getShiftRange(shift);
-  if (!start || !end) return 'unknown';
-
-  const startHour = start.getHours();
-  const endHour = end.getHours();
-
-  if (startHour >= 6 && endHour <= 22) {
-    return 'day';
-  }
-
-  return 'unknown';
+  return shiftTime.getShiftType(shift);
 }
 
 /**
@@ -234,8 +193,7 @@ function checkWeeklyHoursLimit(assignments, newShift, options = {}) {
   }
 
   const windowEnd = new Date(newStart);
-  const windowStart = new Date(newStart);
-  windowStart.setDate(windowStart.getDate() - 6); // last 7 days including today
+  const windowStart = new Date(newStart.getTime() - 6 * DAY_MS); // last 7 days including today
 
   const existingHours = calculateTotalHoursInWindow(
     assignments,
@@ -261,9 +219,9 @@ function checkWeeklyHoursLimit(assignments, newShift, options = {}) {
     return result;
   }
 
-  // Soft WTR-warning threshold at 48h: allow but flag.
+  // Soft WTR-warning threshold (48h by default): allow but flag.
   if (total > softThreshold) {
-    result.legalWarning = `Weekly hours above UK WTR guidance (48h). Total with this shift: ${total.toFixed(
+    result.legalWarning = `Weekly hours above UK WTR guidance (${softThreshold}h). Total with this shift: ${total.toFixed(
       1
     )}h`;
   }
@@ -296,8 +254,7 @@ function checkNightShiftLimit(assignments, newShift, maxNights = 4, windowDays =
   }
 
   const windowEnd = new Date(newStart);
-  const windowStart = new Date(newStart);
-  windowStart.setDate(windowStart.getDate() - (windowDays - 1));
+  const windowStart = new Date(newStart.getTime() - (windowDays - 1) * DAY_MS);
 
   let nightCount = 0;
 
@@ -351,8 +308,10 @@ function checkDoubleBooking(assignments, newShift) {
 }
 
 /**
- * Check that there is a minimum rest period between the end of any
- * existing shift and the start of the new shift.
+ * Check that there is a minimum rest period between the new shift and
+ * every existing shift, in both directions:
+ *   - end of an earlier shift -> start of the new shift
+ *   - end of the new shift    -> start of a later shift
  *
  * This supports safe scheduling under UK-style rules: typically
  * 11 hours uninterrupted rest in each 24-hour period.
@@ -361,8 +320,8 @@ function checkDoubleBooking(assignments, newShift) {
  *   minRestHours = 11
  */
 function checkRestPeriod(assignments, newShift, minRestHours = 11) {
-  const { start: newStart } = getShiftRange(newShift);
-  if (!newStart) {
+  const { start: newStart, end: newEnd } = getShiftRange(newShift);
+  if (!newStart || !newEnd) {
     return {
       ok: true,
       reason: 'New shift has no valid start date/time; skipping rest-period check',
@@ -370,37 +329,46 @@ function checkRestPeriod(assignments, newShift, minRestHours = 11) {
   }
 
   for (const a of assignments) {
-    const { start: prevStart, end: prevEnd } = getShiftRange(a);
-    if (!prevStart || !prevEnd || prevEnd <= prevStart) continue;
-
-    const gapHours = (newStart.getTime() - prevEnd.getTime()) / (1000 * 60 * 60);
-
-    // If new shift starts after previous one
-    if (gapHours > 0 && gapHours < minRestHours) {
-      const prevType = getShiftType(a);
-      const newType = getShiftType(newShift);
+    const { start: otherStart, end: otherEnd } = getShiftRange(a);
+    if (!otherStart || !otherEnd || otherEnd <= otherStart) continue;
 
+    // Existing shift BEFORE the new one
+    const gapBefore = (newStart.getTime() - otherEnd.getTime()) / (1000 * 60 * 60);
+    if (gapBefore >= 0 && gapBefore < minRestHours) {
       return {
         ok: false,
-        reason: `Insufficient rest between shifts (${gapHours.toFixed(
+        reason: `Insufficient rest between shifts (${gapBefore.toFixed(
           1
-        )}h < ${minRestHours}h). Previous shift type: ${prevType}, new shift type: ${newType}`,
+        )}h < ${minRestHours}h). Previous shift type: ${getShiftType(
+          a
+        )}, new shift type: ${getShiftType(newShift)}`,
         previousShift: a,
       };
     }
+
+    // Existing shift AFTER the new one
+    const gapAfter = (otherStart.getTime() - newEnd.getTime()) / (1000 * 60 * 60);
+    if (gapAfter >= 0 && gapAfter < minRestHours) {
+      return {
+        ok: false,
+        reason: `Insufficient rest before next shift (${gapAfter.toFixed(
+          1
+        )}h < ${minRestHours}h). New shift type: ${getShiftType(
+          newShift
+        )}, next shift type: ${getShiftType(a)}`,
+        nextShift: a,
+      };
+    }
   }
 
   return { ok: true };
 }
 
 /**
- * Helper to normalise a date to YYYY-MM-DD string (no time).
+ * Helper to normalise an instant to a local YYYY-MM-DD string (no time).
  */
-function toDateKey(date) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  const d = String(date.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+function toDateKey(date, timezone) {
+  return shiftTime.getLocalDateKey(date, timezone);
 }
 
 /**
@@ -423,31 +391,36 @@ function checkConsecutiveDaysLimit(assignments, newShift, maxDays = 6) {
     };
   }
 
-  // Build a set of calendar days where the staff already has shifts
+  const tz = shiftTime.resolveTimezone(newShift.timezone);
+
+  // Build a set of local calendar days where the staff already has shifts
   const workedDays = new Set();
 
   for (const a of assignments) {
     const { start } = getShiftRange(a);
     if (!start) continue;
-    workedDays.add(toDateKey(start));
+    workedDays.add(toDateKey(start, tz));
   }
 
   // Include the new shift day
-  workedDays.add(toDateKey(newStart));
-
-  // Starting from the new shift date and going backwards,
-  // count how many consecutive days are in the set.
-  let streak = 0;
-  const cursor = new Date(newStart);
-
-  while (true) {
-    const key = toDateKey(cursor);
-    if (workedDays.has(key)) {
-      streak += 1;
-      cursor.setDate(cursor.getDate() - 1);
-    } else {
-      break;
-    }
+  const newKey = toDateKey(newStart, tz);
+  workedDays.add(newKey);
+
+  // Starting from the new shift date, count how many consecutive days
+  // are in the set going backwards AND forwards (a new shift dropped
+  // into the middle of a run can join two shorter runs together).
+  let streak = 1;
+
+  let back = shiftTime.addDaysToKey(newKey, -1);
+  while (workedDays.has(back)) {
+    streak += 1;
+    back = shiftTime.addDaysToKey(back, -1);
+  }
+
+  let forward = shiftTime.addDaysToKey(newKey, 1);
+  while (workedDays.has(forward)) {
+    streak += 1;
+    forward = shiftTime.addDaysToKey(forward, 1);
   }
 
   if (streak > maxDays) {
@@ -462,19 +435,19 @@ function checkConsecutiveDaysLimit(assignments, newShift, maxDays = 6) {
 }
 
 /**
- * Stub rule for training compliance:
+ * Rule for training compliance:
  *
  * The system should prevent staff from picking shifts where they have
  * overdue mandatory training, unless a ward manager explicitly overrides.
  *
- * Real implementation will plug in data from the Compliance / Priory Academy
- * integration. For now this just shows how the rule will be called.
+ * The status comes from trainingCompliance.js (course records and expiry
+ * dates, or the legacy staff boolean for organisations without courses).
  *
  * Arguments:
  *   trainingStatus: object like
  *     {
  *       isCompliant: boolean,
- *       overdueCourses: string[]
+ *       overdueCourses: string[]   // e.g. "Fire Safety (expired Sat, 01 Nov 2025)"
  *     }
  *   allowManagerOverride: boolean
  */
@@ -0,0 +1,308 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Shift status state machine
+ *
+ *   draft ──► published ──► open ◄──► partially_filled ◄──► filled
+ *                              │            │                 │
+ *                              └────────────┴──► in_progress ─┴──► completed
+ *   any state before completed ──► cancelled
+ *
+ *   - draft: being built by a manager, not yet visible to staff
+ *   - published: recorded when a draft is published; the shift moves
+ *     straight on to its staffing status
+ *   - open / partially_filled / filled: derived from number_filled against
+ *     number_required, which the assignment gate and shiftRelease keep
+ *     in step with shift_assignments
+ *   - in_progress / completed: derived from the shift's start and end
+ *     (advanced by the background job, see advanceShiftStatuses)
+ *   - cancelled: only through shiftCancellation.js
+ *
+ * Code never writes shifts.status directly: it calls syncShiftStatus()
+ * after changing assignments or times, or setShiftStatus() for the manual
+ * steps (draft / published / cancelled). Both refuse transitions the
+ * machine doesn't allow and log every change in shift_status_history.
+ */
+
+const pool = require('../db');
+const shiftTime = require('./shiftTime');
+
+const STATUSES = [
+  'draft',
+  'published',
+  'open',
+  'partially_filled',
+  'filled',
+  'in_progress',
+  'completed',
+  'cancelled',
+];
+
+// Statuses a manager can ask for; the rest are derived by the server.
+const MANUAL_STATUSES = ['draft', 'published'];
+const DERIVED_STATUSES = ['open', 'partially_filled', 'filled', 'in_progress', 'completed'];
+
+const STAFFING = ['open', 'partially_filled', 'filled'];
+
+const TRANSITIONS = {
+  draft: ['published', 'cancelled'],
+  published: ['draft', ...STAFFING, 'in_progress', 'completed', 'cancelled'],
+  open: ['partially_filled', 'filled', 'in_progress', 'completed', 'cancelled'],
+  partially_filled: ['open', 'filled', 'in_progress', 'completed', 'cancelled'],
+  filled: ['open', 'partially_filled', 'in_progress', 'completed', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+// Statuses the background job looks at for in_progress / completed.
+const ACTIVE_STATUSES = [...STAFFING, 'in_progress'];
+
+/**
+ * Lower-case a stored status, mapping the old free-text values
+ * ('Open', 'Filled', 'partial') onto the machine. Only for rows already
+ * in the database; check request input with parseStatus().
+ */
+function normaliseStatus(raw) {
+  const status = String(raw || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (status === 'partial' || status === 'part') return 'partially_filled';
+  return STATUSES.includes(status) ? status : 'open';
+}
+
+/**
+ * A status from a request (query or body): one of STATUSES, any case.
+ * Returns null for anything else so the caller can answer 400.
+ */
+function parseStatus(raw) {
+  const status = String(raw == null ? '' : raw).trim().toLowerCase();
+  return STATUSES.includes(status) ? status : null;
+}
+
+function canTransition(from, to) {
+  return from === to || (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * The status a shift should have now, from its staffing and times.
+ * Drafts and cancelled / completed shifts keep theirs.
+ * `shift` needs status, number_required, number_filled, shift_date,
+ * start_time, end_time and timezone.
+ */
+function deriveStatus(shift, now = new Date()) {
+  const current = normaliseStatus(shift.status);
+  if (current === 'draft' || current === 'cancelled' || current === 'completed') {
+    return current;
+  }
+
+  const { start, end } = shiftTime.getShiftRange(shift);
+  if (end && end <= now) return 'completed';
+  if (start && start <= now) return 'in_progress';
+  if (current === 'in_progress') return current;
+
+  const required = Number(shift.number_required || 0);
+  const filled = Number(shift.number_filled || 0);
+  if (required > 0 && filled >= required) return 'filled';
+  if (filled > 0) return 'partially_filled';
+  return 'open';
+}
+
+// -------------------------
+// History
+// -------------------------
+
+/**
+ * Log a change. `from` is null for a newly created shift.
+ * source: 'created', 'assignment', 'release', 'update', 'publish',
+ *         'cancel', 'job', 'manager', 'template', …
+ */
+async function recordStatusChange(
+  db,
+  { shiftId, organisationId, from, to, userId = null, source, note = null }
+) {
+  await db.query(
+    `
+      INSERT INTO shift_status_history
+        (shift_id, organisation_id, from_status, to_status, changed_by_user_id, source, note)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `,
+    [shiftId, organisationId, from, to, userId, source, note]
+  );
+}
+
+async function listStatusHistory(db, organisationId, shiftId) {
+  const { rows } = await db.query(
+    `
+      SELECT h.id, h.from_status, h.to_status, h.source, h.note,
+             h.changed_by_user_id, u.email AS changed_by_email, h.changed_at
+      FROM shift_status_history h
+      LEFT JOIN users u ON u.id = h.changed_by_user_id
+      WHERE h.shift_id = $1 AND h.organisation_id = $2
+      ORDER BY h.changed_at ASC, h.id ASC
+    `,
+    [shiftId, organisationId]
+  );
+  return rows;
+}
+
+// -------------------------
+// Changing status
+// -------------------------
+
+async function loadShiftForStatus(db, shiftId) {
+  const { rows } = await db.query(
+    `
+      SELECT s.id, s.organisation_id, s.status, s.number_required, s.number_filled,
+             s.shift_date, s.start_time, s.end_time, o.timezone
+      FROM shifts s
+      JOIN organisations o ON o.id = s.organisation_id
+      WHERE s.id = $1
+    `,
+    [shiftId]
+  );
+  return rows[0] || null;
+}
+
+async function writeStatus(db, shift, to, { userId = null, source, note = null }) {
+  const from = shift.status == null ? null : normaliseStatus(shift.status);
+  await db.query('UPDATE shifts SET status = $2 WHERE id = $1', [shift.id, to]);
+  await recordStatusChange(db, {
+    shiftId: shift.id,
+    organisationId: shift.organisation_id,
+    from,
+    to,
+    userId,
+    source,
+    note,
+  });
+}
+
+/**
+ * Bring a shift's status in line with its staffing and times, after
+ * assignments, number_required or times changed. A derived status the
+ * machine doesn't allow from the current one is logged and not written.
+ * Returns the status the shift ends up with.
+ */
+async function syncShiftStatus(db, shiftId, { userId = null, source, note = null, now } = {}) {
+  const shift = await loadShiftForStatus(db, shiftId);
+  if (!shift) return null;
+
+  const current = normaliseStatus(shift.status);
+  const next = deriveStatus(shift, now);
+
+  if (next === current) return current;
+  if (!canTransition(current, next)) {
+    console.warn(`[STATUS] Not moving shift ${shift.id} from ${current} to ${next}`);
+    return current;
+  }
+
+  await writeStatus(db, shift, next, { userId, source, note });
+  return next;
+}
+
+/**
+ * Manual step (draft / published / cancelled). A published shift moves
+ * on to its staffing status straight away. Caller owns BEGIN / COMMIT.
+ * Returns { shiftStatus } or { error, status }.
+ */
+async function setShiftStatus(
+  db,
+  shiftId,
+  to,
+  { userId = null, source = 'manager', note = null } = {}
+) {
+  if (!MANUAL_STATUSES.includes(to) && to !== 'cancelled') {
+    return {
+      error: `status "${to}" is set automatically from assignments and shift times`,
+      status: 400,
+    };
+  }
+
+  const shift = await loadShiftForStatus(db, shiftId);
+  if (!shift) {
+    return { error: 'Shift not found', status: 404 };
+  }
+
+  const current = normaliseStatus(shift.status);
+  if (!canTransition(current, to)) {
+    return { error: `A ${current} shift can't be moved to ${to}`, status: 409 };
+  }
+  if (current === to) {
+    return { shiftStatus: current };
+  }
+
+  await writeStatus(db, shift, to, { userId, source, note });
+  if (to === 'published') {
+    return {
+      shiftStatus: await syncShiftStatus(db, shiftId, { userId, source }),
+    };
+  }
+  return { shiftStatus: to };
+}
+
+// -------------------------
+// Background job
+// -------------------------
+
+/**
+ * Move started shifts to in_progress and finished ones to completed.
+ * Returns counts for logging.
+ */
+async function advanceShiftStatuses({ db = pool, organisationId = null } = {}) {
+  const summary = { started: 0, completed: 0 };
+  const now = new Date();
+
+  const { rows } = await db.query(
+    `
+      SELECT s.id, s.organisation_id, s.status, s.number_required, s.number_filled,
+             s.shift_date, s.start_time, s.end_time, o.timezone
+      FROM shifts s
+      JOIN organisations o ON o.id = s.organisation_id
+      WHERE ($1::int IS NULL OR s.organisation_id = $1)
+        AND s.status = ANY($2::text[])
+        AND s.shift_date <= (NOW() + INTERVAL '1 day')
+    `,
+    [organisationId, ACTIVE_STATUSES]
+  );
+
+  for (const shift of rows) {
+    const next = deriveStatus(shift, now);
+    if (next === shift.status || (next !== 'in_progress' && next !== 'completed')) continue;
+
+    try {
+      const { rowCount } = await db.query(
+        'UPDATE shifts SET status = $3 WHERE id = $1 AND status = $2',
+        [shift.id, shift.status, next]
+      );
+      if (!rowCount) continue;
+
+      await recordStatusChange(db, {
+        shiftId: shift.id,
+        organisationId: shift.organisation_id,
+        from: shift.status,
+        to: next,
+        source: 'job',
+      });
+      summary[next === 'completed' ? 'completed' : 'started']++;
+    } catch (err) {
+      console.error(`[STATUS] Failed to advance shift ${shift.id}:`, err);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  STATUSES,
+  MANUAL_STATUSES,
+  DERIVED_STATUSES,
+  TRANSITIONS,
+  normaliseStatus,
+  parseStatus,
+  canTransition,
+  deriveStatus,
+  recordStatusChange,
+  listStatusHistory,
+  syncShiftStatus,
+  setShiftStatus,
+  advanceShiftStatuses,
+};
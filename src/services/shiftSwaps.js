@@ -0,0 +1,542 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Shift swaps
+ *
+ * Staff can hand one of their assigned shifts to a colleague instead of
+ * phoning the ward manager:
+ *
+ *   open              – requested (WhatsApp "SWAP SH001" or POST /api/swaps);
+ *                       colleagues with the same role who pass every
+ *                       scheduling rule are told about it
+ *   pending_approval  – a colleague has taken it ("TAKE SW12")
+ *   approved          – the assignment now belongs to the taker
+ *   rejected / cancelled / expired
+ *
+ * Approval is by a manager, or immediate when the organisation's
+ * swap_approval_policy is 'auto' and the taker has no rule warnings.
+ * Taking and approving re-run the assignment gate with the requester's
+ * slot treated as free (evaluateAssignment's replacingStaffId), and the
+ * approval moves the shift_assignments row to the taker in the caller's
+ * transaction, so number_filled never changes.
+ */
+
+const twilioSender = require('./twilioSender');
+const shiftTime = require('./shiftTime');
+const { evaluateAssignment } = require('./assignmentService');
+const { getOrganisationTimezone } = require('./organisationSettings');
+const { getOfferCode } = require('./shiftAutomation');
+
+const APPROVAL_POLICIES = ['manager', 'auto'];
+
+const SWAP_COLUMNS = `
+  sw.id,
+  sw.organisation_id,
+  sw.shift_id,
+  sw.assignment_id,
+  sw.requester_staff_id,
+  req.name AS requester_name,
+  sw.taker_staff_id,
+  tk.name AS taker_name,
+  sw.status,
+  sw.reason,
+  sw.notified_count,
+  sw.decided_by_user_id,
+  sw.decision_note,
+  sw.created_at,
+  sw.taken_at,
+  sw.decided_at,
+  s.shift_ref,
+  s.ward,
+  s.role_required,
+  s.shift_date,
+  s.start_time,
+  s.end_time
+`;
+
+const SWAP_FROM = `
+  FROM shift_swaps sw
+  JOIN shifts s ON s.id = sw.shift_id
+  JOIN staff req ON req.id = sw.requester_staff_id
+  LEFT JOIN staff tk ON tk.id = sw.taker_staff_id
+`;
+
+/**
+ * "SW12" – the code staff reply with to take a swap.
+ */
+function getSwapCode(swap) {
+  return `SW${swap.id}`;
+}
+
+/**
+ * Parse "SW12" / "sw12" / "12" back to a swap id (or null).
+ */
+function parseSwapCode(code) {
+  const match = String(code || '').trim().match(/^(?:SW)?(\d+)$/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+async function getSwapApprovalPolicy(db, organisationId) {
+  const { rows } = await db.query(
+    'SELECT swap_approval_policy FROM organisations WHERE id = $1 LIMIT 1',
+    [organisationId]
+  );
+  const policy = rows[0] && rows[0].swap_approval_policy;
+  return APPROVAL_POLICIES.includes(policy) ? policy : 'manager';
+}
+
+async function setSwapApprovalPolicy(db, organisationId, policy) {
+  await db.query('UPDATE organisations SET swap_approval_policy = $2 WHERE id = $1', [
+    organisationId,
+    policy,
+  ]);
+  return policy;
+}
+
+async function loadSwap(db, organisationId, swapId, options = {}) {
+  // FOR UPDATE cannot lock the nullable side of the LEFT JOIN, so lock the
+  // swap row on its own first.
+  if (options.forUpdate) {
+    await db.query('SELECT id FROM shift_swaps WHERE id = $1 AND organisation_id = $2 FOR UPDATE', [
+      swapId,
+      organisationId,
+    ]);
+  }
+
+  const { rows } = await db.query(
+    `SELECT ${SWAP_COLUMNS} ${SWAP_FROM} WHERE sw.id = $1 AND sw.organisation_id = $2`,
+    [swapId, organisationId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Swaps for an organisation, newest first.
+ * filters: { status, staffId }  (staffId matches requester or taker)
+ */
+async function listSwaps(db, organisationId, filters = {}) {
+  const params = [organisationId];
+  const where = ['sw.organisation_id = $1'];
+
+  if (filters.status) {
+    params.push(filters.status);
+    where.push(`sw.status = $${params.length}`);
+  }
+  if (filters.staffId) {
+    params.push(filters.staffId);
+    where.push(`(sw.requester_staff_id = $${params.length} OR sw.taker_staff_id = $${params.length})`);
+  }
+
+  const { rows } = await db.query(
+    `
+      SELECT ${SWAP_COLUMNS}
+      ${SWAP_FROM}
+      WHERE ${where.join(' AND ')}
+      ORDER BY sw.created_at DESC
+      LIMIT 200
+    `,
+    params
+  );
+  return rows;
+}
+
+function shiftHasStarted(shift) {
+  const { start } = shiftTime.getShiftRange(shift);
+  return !!start && start <= new Date();
+}
+
+/**
+ * Colleagues who could take over `requesterStaffId`'s place on the shift:
+ * same role as the requester (when they have one) and no rule blocks.
+ * Returns [{ staff_id, staff_name, phone_number, warnings }].
+ */
+async function findSwapCandidates(db, organisationId, shiftId, requesterStaffId) {
+  const { rows } = await db.query(
+    `
+      SELECT st.id, st.name, st.phone_number
+      FROM staff st
+      JOIN staff requester ON requester.id = $2
+      WHERE st.organisation_id = $1
+        AND st.id <> $2
+        AND (
+          NULLIF(TRIM(requester.role), '') IS NULL
+          OR LOWER(TRIM(st.role)) = LOWER(TRIM(requester.role))
+        )
+      ORDER BY st.name ASC
+    `,
+    [organisationId, requesterStaffId]
+  );
+
+  const candidates = [];
+  for (const row of rows) {
+    const { verdict } = await evaluateAssignment(db, {
+      shiftId,
+      staffId: row.id,
+      organisationId,
+      replacingStaffId: requesterStaffId,
+    });
+    // Colleagues who said they can't work then aren't asked.
+    if (!verdict.ok || verdict.warnings.some((w) => w.rule === 'availability')) continue;
+
+    candidates.push({
+      staff_id: row.id,
+      staff_name: row.name,
+      phone_number: row.phone_number,
+      warnings: verdict.warnings.map((w) => w.reason),
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Offer one of the staff member's assigned shifts for swap.
+ *
+ * Returns { swap, candidates } or { error, status }. Tell the candidates
+ * with notifySwapCandidates().
+ */
+async function requestSwap(db, { organisationId, staffId, shiftId, reason = null }) {
+  const { rows: assignmentRows } = await db.query(
+    `
+      SELECT sa.id, s.id AS shift_id, s.shift_date, s.start_time, s.end_time
+      FROM shift_assignments sa
+      JOIN shifts s ON s.id = sa.shift_id
+      WHERE sa.shift_id = $1 AND sa.staff_id = $2 AND s.organisation_id = $3
+        AND s.status <> 'draft'
+      LIMIT 1
+    `,
+    [shiftId, staffId, organisationId]
+  );
+  const assignment = assignmentRows[0];
+
+  if (!assignment) {
+    return { error: 'You are not assigned to this shift', status: 404 };
+  }
+
+  const timezone = await getOrganisationTimezone(db, organisationId);
+  if (shiftHasStarted(shiftTime.withTimezone(assignment, timezone))) {
+    return { error: 'This shift has already started', status: 409 };
+  }
+
+  let swapId;
+  try {
+    const { rows } = await db.query(
+      `
+        INSERT INTO shift_swaps (organisation_id, shift_id, assignment_id, requester_staff_id, reason)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `,
+      [organisationId, shiftId, assignment.id, staffId, reason]
+    );
+    swapId = rows[0].id;
+  } catch (err) {
+    if (err && err.code === '23505') {
+      return { error: 'This shift is already up for swap', status: 409 };
+    }
+    throw err;
+  }
+
+  const candidates = await findSwapCandidates(db, organisationId, shiftId, staffId);
+
+  await db.query('UPDATE shift_swaps SET notified_count = $2 WHERE id = $1', [
+    swapId,
+    candidates.filter((c) => c.phone_number).length,
+  ]);
+
+  return { swap: await loadSwap(db, organisationId, swapId), candidates };
+}
+
+/**
+ * Move the requester's assignment to the taker. Caller owns the transaction.
+ */
+async function applySwap(client, swap, { userId = null, note = null } = {}) {
+  const { rowCount } = await client.query(
+    `
+      UPDATE shift_assignments
+      SET staff_id = $3, accepted_at = NOW()
+      WHERE id = $1 AND staff_id = $2
+    `,
+    [swap.assignment_id, swap.requester_staff_id, swap.taker_staff_id]
+  );
+  if (!rowCount) {
+    return { error: 'The original assignment no longer exists', status: 409 };
+  }
+
+  await client.query(
+    `
+      UPDATE shift_swaps
+      SET status = 'approved',
+          decided_by_user_id = $2,
+          decision_note = $3,
+          decided_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1
+    `,
+    [swap.id, userId, note]
+  );
+
+  return { applied: true };
+}
+
+/**
+ * Shared checks before a swap changes hands: still live, shift not yet
+ * started, assignment still the requester's, and the taker passes the gate.
+ * Returns { swap, verdict } or { error, status, verdict? }.
+ */
+async function checkSwapStillValid(client, organisationId, swap, takerStaffId) {
+  const { rows: shiftRows } = await client.query(
+    'SELECT id, shift_date, start_time, end_time FROM shifts WHERE id = $1 FOR UPDATE',
+    [swap.shift_id]
+  );
+  const timezone = await getOrganisationTimezone(client, organisationId);
+
+  if (!shiftRows.length || shiftHasStarted(shiftTime.withTimezone(shiftRows[0], timezone))) {
+    await client.query(
+      "UPDATE shift_swaps SET status = 'expired', updated_at = NOW() WHERE id = $1",
+      [swap.id]
+    );
+    return { error: 'This shift has already started', status: 409 };
+  }
+
+  const { verdict } = await evaluateAssignment(client, {
+    shiftId: swap.shift_id,
+    staffId: takerStaffId,
+    organisationId,
+    replacingStaffId: swap.requester_staff_id,
+  });
+  if (!verdict.ok) {
+    return { error: 'The swap breaks a scheduling rule', status: 409, verdict };
+  }
+
+  return { swap, verdict };
+}
+
+/**
+ * A colleague takes an open swap. Caller owns BEGIN / COMMIT.
+ *
+ * Returns { swap, verdict, approved } or { error, status, verdict? }.
+ * approved is true when the auto policy applied the swap straight away.
+ * Errors leave nothing half-done, so every outcome is safe to COMMIT.
+ */
+async function takeSwap(client, { organisationId, swapId, staffId }) {
+  const swap = await loadSwap(client, organisationId, swapId, { forUpdate: true });
+  if (!swap) {
+    return { error: 'Swap not found', status: 404 };
+  }
+  if (swap.status !== 'open') {
+    return { error: `This swap is ${swap.status.replace('_', ' ')}`, status: 409 };
+  }
+  if (swap.requester_staff_id === staffId) {
+    return { error: 'You cannot take your own swap', status: 400 };
+  }
+
+  const check = await checkSwapStillValid(client, organisationId, swap, staffId);
+  if (check.error) return check;
+
+  await client.query(
+    `
+      UPDATE shift_swaps
+      SET taker_staff_id = $2, status = 'pending_approval', taken_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `,
+    [swap.id, staffId]
+  );
+
+  const policy = await getSwapApprovalPolicy(client, organisationId);
+  let approved = false;
+
+  if (policy === 'auto' && !check.verdict.warnings.length) {
+    const result = await applySwap(client, { ...swap, taker_staff_id: staffId }, {
+      note: 'Auto-approved by swap policy',
+    });
+    if (result.error) return result;
+    approved = true;
+  }
+
+  return { swap: await loadSwap(client, organisationId, swap.id), verdict: check.verdict, approved };
+}
+
+/**
+ * Manager approval of a taken swap. Caller owns BEGIN / COMMIT.
+ */
+async function approveSwap(client, { organisationId, swapId, userId, note = null }) {
+  const swap = await loadSwap(client, organisationId, swapId, { forUpdate: true });
+  if (!swap) {
+    return { error: 'Swap not found', status: 404 };
+  }
+  if (swap.status !== 'pending_approval') {
+    return { error: `Only taken swaps can be approved (this one is ${swap.status})`, status: 409 };
+  }
+
+  const check = await checkSwapStillValid(client, organisationId, swap, swap.taker_staff_id);
+  if (check.error) return check;
+
+  const result = await applySwap(client, swap, { userId, note });
+  if (result.error) return result;
+
+  return { swap: await loadSwap(client, organisationId, swap.id), verdict: check.verdict };
+}
+
+/**
+ * Manager rejection (open or taken swaps). The requester keeps the shift.
+ */
+async function rejectSwap(db, { organisationId, swapId, userId, note = null }) {
+  const { rowCount } = await db.query(
+    `
+      UPDATE shift_swaps
+      SET status = 'rejected',
+          decided_by_user_id = $3,
+          decision_note = $4,
+          decided_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1 AND organisation_id = $2 AND status IN ('open', 'pending_approval')
+    `,
+    [swapId, organisationId, userId, note]
+  );
+  if (!rowCount) {
+    const swap = await loadSwap(db, organisationId, swapId);
+    return swap
+      ? { error: `This swap is already ${swap.status}`, status: 409 }
+      : { error: 'Swap not found', status: 404 };
+  }
+  return { swap: await loadSwap(db, organisationId, swapId) };
+}
+
+/**
+ * The requester withdraws their swap before it is approved.
+ */
+async function cancelSwap(db, { organisationId, swapId, staffId }) {
+  const { rowCount } = await db.query(
+    `
+      UPDATE shift_swaps
+      SET status = 'cancelled', decided_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+        AND organisation_id = $2
+        AND requester_staff_id = $3
+        AND status IN ('open', 'pending_approval')
+    `,
+    [swapId, organisationId, staffId]
+  );
+  if (!rowCount) {
+    return { error: 'No open swap of yours with that id', status: 404 };
+  }
+  return { swap: await loadSwap(db, organisationId, swapId) };
+}
+
+// -------------------------
+// WhatsApp notifications (call after COMMIT; failures are logged)
+// -------------------------
+
+async function sendToStaff(db, staffId, body) {
+  const { rows } = await db.query('SELECT phone_number FROM staff WHERE id = $1', [staffId]);
+  const phone = rows[0] && rows[0].phone_number;
+  if (!phone) return false;
+
+  try {
+    await twilioSender.sendWhatsAppMessage({
+      to: `whatsapp:${phone.replace(/^whatsapp:/, '')}`,
+      body,
+    });
+    return true;
+  } catch (err) {
+    console.error(`[SWAPS] Failed to message staff ${staffId}:`, err);
+    return false;
+  }
+}
+
+async function describeSwapShift(db, swap) {
+  const timezone = await getOrganisationTimezone(db, swap.organisation_id);
+  const start = shiftTime.formatTime(swap.start_time);
+  const end = shiftTime.formatTime(swap.end_time);
+  return (
+    `*${getOfferCode({ id: swap.shift_id, shift_ref: swap.shift_ref })}* – ` +
+    `${shiftTime.formatShiftDate(swap, timezone)}, ${swap.ward || 'ward TBC'} (${start}–${end})`
+  );
+}
+
+/**
+ * Tell eligible colleagues a shift is up for swap.
+ */
+async function notifySwapCandidates(db, swap, candidates) {
+  const label = await describeSwapShift(db, swap);
+  let sent = 0;
+
+  for (const c of candidates) {
+    if (!c.phone_number) continue;
+    const body =
+      `🔁 *Shift swap available*\n\n` +
+      `${swap.requester_name} is looking for someone to take:\n${label}\n\n` +
+      (swap.reason ? `Reason: ${swap.reason}\n\n` : '') +
+      `Reply *TAKE ${getSwapCode(swap)}* to take this shift.`;
+    if (await sendToStaff(db, c.staff_id, body)) sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Tell the requester and taker what happened.
+ * event: 'taken' | 'approved' | 'rejected'
+ */
+async function notifySwapOutcome(db, swap, event) {
+  const label = await describeSwapShift(db, swap);
+  const code = getSwapCode(swap);
+
+  if (event === 'taken') {
+    await sendToStaff(
+      db,
+      swap.requester_staff_id,
+      `🔁 ${swap.taker_name} has offered to take your shift ${label} (${code}).\n\n` +
+        'It is now waiting for your ward manager to approve – you are still on this shift until then.'
+    );
+    await sendToStaff(
+      db,
+      swap.taker_staff_id,
+      `🔁 Thanks – your request to take ${label} (${code}) has been sent to your ward manager for approval.`
+    );
+  } else if (event === 'approved') {
+    await sendToStaff(
+      db,
+      swap.requester_staff_id,
+      `✅ Your swap ${code} is *confirmed*: ${swap.taker_name} is now working ${label}.\n\n` +
+        'You are no longer on this shift.'
+    );
+    await sendToStaff(
+      db,
+      swap.taker_staff_id,
+      `✅ Swap ${code} is *confirmed*: you are now working ${label}.`
+    );
+  } else if (event === 'rejected') {
+    const note = swap.decision_note ? `\n\nManager's note: ${swap.decision_note}` : '';
+    await sendToStaff(
+      db,
+      swap.requester_staff_id,
+      `❌ Your swap ${code} for ${label} was *not approved* – you are still working this shift.${note}`
+    );
+    if (swap.taker_staff_id) {
+      await sendToStaff(
+        db,
+        swap.taker_staff_id,
+        `❌ Swap ${code} for ${label} was *not approved*, so you have not been added to this shift.${note}`
+      );
+    }
+  }
+}
+
+module.exports = {
+  APPROVAL_POLICIES,
+  getSwapCode,
+  parseSwapCode,
+  getSwapApprovalPolicy,
+  setSwapApprovalPolicy,
+  loadSwap,
+  listSwaps,
+  findSwapCandidates,
+  requestSwap,
+  takeSwap,
+  approveSwap,
+  rejectSwap,
+  cancelSwap,
+  notifySwapCandidates,
+  notifySwapOutcome,
+};
@@ -0,0 +1,607 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Shift templates and rota patterns
+ *
+ * Instead of hand-entering every shift:
+ *
+ *   - a shift template is a ward's standard shift: times, role,
+ *     number_required, gender requirement and skill mix
+ *   - a rota pattern says which templates run on which day, either
+ *     'weekly' (day 0 = Monday … 6 = Sunday) or 'rolling' (a cycle of
+ *     cycle_length_days counted from anchor_date, e.g. a 14-day rota)
+ *   - generateShifts materialises a pattern for a date range. Each
+ *     generated shift remembers its template and date, so running the
+ *     generator again over the same dates skips what already exists.
+ *
+ * Generated shifts get a generateShiftRef reference (with -2, -3 … if
+ * two templates share a ward and start time) and their template's skill
+ * mix as shift_skill_requirements.
+ */
+
+const shiftTime = require('./shiftTime');
+const { getOrganisationTimezone } = require('./organisationSettings');
+const { resolveSkills } = require('./skillMatching');
+const { recordStatusChange } = require('./shiftStatus');
+
+const PATTERN_TYPES = ['weekly', 'rolling'];
+const MAX_CYCLE_DAYS = 56;
+const MAX_GENERATE_DAYS = 92;
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const TEMPLATE_COLUMNS = `
+  t.id,
+  t.organisation_id,
+  t.ward,
+  t.name,
+  t.start_time,
+  t.end_time,
+  t.role_required,
+  t.number_required,
+  t.gender_required,
+  t.gender_min_male,
+  t.gender_min_female,
+  t.is_active,
+  t.created_at,
+  t.updated_at,
+  COALESCE((
+    SELECT json_agg(json_build_object(
+             'skill_id', sk.id, 'code', sk.code, 'name', sk.name, 'kind', sk.kind,
+             'min_count', r.min_count
+           ) ORDER BY sk.kind, sk.code)
+    FROM shift_template_requirements r
+    JOIN skills sk ON sk.id = r.skill_id
+    WHERE r.template_id = t.id
+  ), '[]'::json) AS requirements
+`;
+
+/**
+ * Helper to generate a human-readable shift reference if not supplied.
+ * For example: "ALDER-20251114-0800"
+ */
+function generateShiftRef(ward, date) {
+  const safeWard = (ward || 'SHIFT')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '-') // replace spaces/symbols with dashes
+    .replace(/-+/g, '-') // collapse multiple dashes
+    .replace(/^-|-$/g, '') // trim leading/trailing dashes
+    .slice(0, 10); // keep it short
+
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  const hh = String(date.getHours()).padStart(2, '0');
+  const mm = String(date.getMinutes()).padStart(2, '0');
+
+  return `${safeWard || 'SHIFT'}-${y}${m}${d}-${hh}${mm}`;
+}
+
+function daysBetween(fromKey, toKey) {
+  const [y1, m1, d1] = fromKey.split('-').map(Number);
+  const [y2, m2, d2] = toKey.split('-').map(Number);
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / 86400000);
+}
+
+// -------------------------
+// Templates
+// -------------------------
+
+async function loadTemplate(db, organisationId, templateId) {
+  const { rows } = await db.query(
+    `SELECT ${TEMPLATE_COLUMNS} FROM shift_templates t WHERE t.id = $1 AND t.organisation_id = $2`,
+    [templateId, organisationId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * filters: { ward, activeOnly }
+ */
+async function listTemplates(db, organisationId, filters = {}) {
+  const params = [organisationId];
+  const where = ['t.organisation_id = $1'];
+
+  if (filters.ward) {
+    params.push(filters.ward);
+    where.push(`LOWER(t.ward) = LOWER($${params.length})`);
+  }
+  if (filters.activeOnly) {
+    where.push('t.is_active = TRUE');
+  }
+
+  const { rows } = await db.query(
+    `
+      SELECT ${TEMPLATE_COLUMNS}
+      FROM shift_templates t
+      WHERE ${where.join(' AND ')}
+      ORDER BY t.ward ASC, t.start_time ASC, t.name ASC
+    `,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Create (no id) or update a template and replace its skill mix.
+ * Caller owns BEGIN / COMMIT.
+ * fields: { ward, name, start_time, end_time, role_required, number_required,
+ *           gender_required, gender_min_male, gender_min_female, is_active,
+ *           requirements: [{ skill: "RN" | 3, min_count: 1 }] }
+ * Returns { template } or { error, status }.
+ */
+async function saveTemplate(db, organisationId, fields, templateId = null) {
+  const requirements = Array.isArray(fields.requirements) ? fields.requirements : null;
+
+  let skills = [];
+  if (requirements && requirements.length) {
+    const resolved = await resolveSkills(
+      db,
+      organisationId,
+      requirements.map((r) => r.skill ?? r.skill_id ?? r.code)
+    );
+    if (resolved.unknown.length) {
+      return { error: `Unknown skills: ${resolved.unknown.join(', ')}`, status: 400 };
+    }
+    skills = resolved.skills;
+  }
+
+  const values = [
+    fields.ward,
+    fields.name,
+    fields.start_time,
+    fields.end_time,
+    fields.role_required ?? null,
+    fields.number_required ?? null,
+    fields.gender_required ?? null,
+    fields.gender_min_male ?? null,
+    fields.gender_min_female ?? null,
+    fields.is_active ?? null,
+  ];
+
+  let id = templateId;
+  try {
+    if (id) {
+      const { rowCount } = await db.query(
+        `
+          UPDATE shift_templates
+          SET ward = COALESCE($3, ward),
+              name = COALESCE($4, name),
+              start_time = COALESCE($5, start_time),
+              end_time = COALESCE($6, end_time),
+              role_required = COALESCE($7, role_required),
+              number_required = COALESCE($8, number_required),
+              gender_required = COALESCE($9, gender_required),
+              gender_min_male = COALESCE($10, gender_min_male),
+              gender_min_female = COALESCE($11, gender_min_female),
+              is_active = COALESCE($12, is_active),
+              updated_at = NOW()
+          WHERE id = $1 AND organisation_id = $2
+        `,
+        [id, organisationId, ...values]
+      );
+      if (!rowCount) {
+        return { error: 'Shift template not found', status: 404 };
+      }
+    } else {
+      const { rows } = await db.query(
+        `
+          INSERT INTO shift_templates
+            (organisation_id, ward, name, start_time, end_time, role_required, number_required,
+             gender_required, gender_min_male, gender_min_female, is_active)
+          VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 1), COALESCE($8, 'both'),
+                  COALESCE($9, 0), COALESCE($10, 0), COALESCE($11, TRUE))
+          RETURNING id
+        `,
+        [organisationId, ...values]
+      );
+      id = rows[0].id;
+    }
+  } catch (err) {
+    if (err.code === '23505') {
+      return { error: 'This ward already has a template with that name', status: 409 };
+    }
+    throw err;
+  }
+
+  if (requirements) {
+    await db.query('DELETE FROM shift_template_requirements WHERE template_id = $1', [id]);
+    for (const req of requirements) {
+      const ref = String(req.skill ?? req.skill_id ?? req.code).trim().toLowerCase();
+      const skill = skills.find((sk) => String(sk.id) === ref || sk.code.toLowerCase() === ref);
+      await db.query(
+        `
+          INSERT INTO shift_template_requirements (template_id, skill_id, min_count)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (template_id, skill_id) DO UPDATE SET min_count = EXCLUDED.min_count
+        `,
+        [id, skill.id, Math.max(parseInt(req.min_count, 10) || 1, 1)]
+      );
+    }
+  }
+
+  return { template: await loadTemplate(db, organisationId, id) };
+}
+
+/**
+ * Shifts already generated from the template keep their details; only
+ * the link to the template is cleared.
+ */
+async function deleteTemplate(db, organisationId, templateId) {
+  const { rowCount } = await db.query(
+    'DELETE FROM shift_templates WHERE id = $1 AND organisation_id = $2',
+    [templateId, organisationId]
+  );
+  return rowCount > 0;
+}
+
+// -------------------------
+// Patterns
+// -------------------------
+
+/**
+ * Pattern day for a slot: 0-based index, or a weekday name for weekly
+ * patterns ("mon", "Tuesday"). Returns null if it isn't valid.
+ */
+function parsePatternDay(raw, patternType, cycleLength) {
+  if (patternType === 'weekly' && typeof raw === 'string' && !/^\d+$/.test(raw.trim())) {
+    const i = WEEKDAYS.indexOf(raw.trim().slice(0, 3).toLowerCase());
+    return i >= 0 ? i : null;
+  }
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 0 && n < cycleLength ? n : null;
+}
+
+/**
+ * Which pattern day a date falls on, or null before a rolling pattern's
+ * anchor date.
+ */
+function patternDayForDate(pattern, dateKey) {
+  if (pattern.pattern_type === 'weekly') {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return (new Date(Date.UTC(y, m - 1, d)).getUTCDay() + 6) % 7;
+  }
+  const offset = daysBetween(pattern.anchor_date, dateKey);
+  if (offset < 0) return null;
+  return offset % pattern.cycle_length_days;
+}
+
+async function loadPattern(db, organisationId, patternId) {
+  const { rows } = await db.query(
+    `
+      SELECT id, organisation_id, name, pattern_type, cycle_length_days,
+             anchor_date::text AS anchor_date, is_active, created_at, updated_at
+      FROM rota_patterns
+      WHERE id = $1 AND organisation_id = $2
+    `,
+    [patternId, organisationId]
+  );
+  if (!rows.length) return null;
+
+  const { rows: slots } = await db.query(
+    `
+      SELECT ps.day_index, ps.template_id, t.ward, t.name AS template_name,
+             t.start_time, t.end_time
+      FROM rota_pattern_slots ps
+      JOIN shift_templates t ON t.id = ps.template_id
+      WHERE ps.pattern_id = $1
+      ORDER BY ps.day_index ASC, t.start_time ASC
+    `,
+    [patternId]
+  );
+
+  return { ...rows[0], slots };
+}
+
+async function listPatterns(db, organisationId) {
+  const { rows } = await db.query(
+    `
+      SELECT p.id, p.name, p.pattern_type, p.cycle_length_days,
+             p.anchor_date::text AS anchor_date, p.is_active,
+             COUNT(ps.template_id)::int AS slot_count
+      FROM rota_patterns p
+      LEFT JOIN rota_pattern_slots ps ON ps.pattern_id = p.id
+      WHERE p.organisation_id = $1
+      GROUP BY p.id
+      ORDER BY p.name ASC
+    `,
+    [organisationId]
+  );
+  return rows;
+}
+
+/**
+ * Create (no id) or update a pattern; `slots` (if given) replaces all of
+ * its slots. Caller owns BEGIN / COMMIT.
+ * fields: { name, pattern_type, cycle_length_days, anchor_date, is_active,
+ *           slots: [{ day: 0 | "mon", template_id: 3 }] }
+ * Returns { pattern } or { error, status }.
+ */
+async function savePattern(client, organisationId, fields, patternId = null) {
+  const existing = patternId ? await loadPattern(client, organisationId, patternId) : null;
+  if (patternId && !existing) {
+    return { error: 'Rota pattern not found', status: 404 };
+  }
+
+  const patternType = fields.pattern_type || (existing ? existing.pattern_type : 'weekly');
+  if (!PATTERN_TYPES.includes(patternType)) {
+    return { error: `pattern_type must be one of: ${PATTERN_TYPES.join(', ')}`, status: 400 };
+  }
+
+  const cycleLength =
+    patternType === 'weekly'
+      ? 7
+      : Number(fields.cycle_length_days ?? (existing ? existing.cycle_length_days : NaN));
+  if (!(Number.isInteger(cycleLength) && cycleLength >= 1 && cycleLength <= MAX_CYCLE_DAYS)) {
+    return { error: `cycle_length_days must be between 1 and ${MAX_CYCLE_DAYS}`, status: 400 };
+  }
+
+  const anchorDate = fields.anchor_date ?? (existing ? existing.anchor_date : null);
+  if (patternType === 'rolling' && !anchorDate) {
+    return { error: 'anchor_date is required for a rolling pattern', status: 400 };
+  }
+
+  let slots = null;
+  if (Array.isArray(fields.slots)) {
+    slots = [];
+    const templateIds = [...new Set(fields.slots.map((s) => Number(s.template_id)))];
+    const { rows: templates } = await client.query(
+      'SELECT id FROM shift_templates WHERE organisation_id = $1 AND id = ANY($2::int[])',
+      [organisationId, templateIds.filter(Number.isInteger)]
+    );
+    const known = new Set(templates.map((t) => t.id));
+
+    for (const slot of fields.slots) {
+      const day = parsePatternDay(slot.day, patternType, cycleLength);
+      if (day == null) {
+        return { error: `Invalid day "${slot.day}" for a ${cycleLength}-day pattern`, status: 400 };
+      }
+      if (!known.has(Number(slot.template_id))) {
+        return { error: `Unknown shift template ${slot.template_id}`, status: 400 };
+      }
+      slots.push({ day, templateId: Number(slot.template_id) });
+    }
+  }
+
+  let id = patternId;
+  try {
+    if (id) {
+      await client.query(
+        `
+          UPDATE rota_patterns
+          SET name = COALESCE($3, name),
+              pattern_type = $4,
+              cycle_length_days = $5,
+              anchor_date = $6,
+              is_active = COALESCE($7, is_active),
+              updated_at = NOW()
+          WHERE id = $1 AND organisation_id = $2
+        `,
+        [id, organisationId, fields.name || null, patternType, cycleLength, anchorDate, fields.is_active ?? null]
+      );
+    } else {
+      const { rows } = await client.query(
+        `
+          INSERT INTO rota_patterns (organisation_id, name, pattern_type, cycle_length_days, anchor_date, is_active)
+          VALUES ($1, $2, $3, $4, $5, COALESCE($6, TRUE))
+          RETURNING id
+        `,
+        [organisationId, fields.name, patternType, cycleLength, anchorDate, fields.is_active ?? null]
+      );
+      id = rows[0].id;
+    }
+  } catch (err) {
+    if (err.code === '23505') {
+      return { error: 'A rota pattern with that name already exists', status: 409 };
+    }
+    throw err;
+  }
+
+  if (slots) {
+    await client.query('DELETE FROM rota_pattern_slots WHERE pattern_id = $1', [id]);
+    for (const slot of slots) {
+      await client.query(
+        `
+          INSERT INTO rota_pattern_slots (pattern_id, day_index, template_id)
+          VALUES ($1, $2, $3)
+          ON CONFLICT DO NOTHING
+        `,
+        [id, slot.day, slot.templateId]
+      );
+    }
+  } else if (existing && cycleLength < existing.cycle_length_days) {
+    await client.query('DELETE FROM rota_pattern_slots WHERE pattern_id = $1 AND day_index >= $2', [
+      id,
+      cycleLength,
+    ]);
+  }
+
+  return { pattern: await loadPattern(client, organisationId, id) };
+}
+
+async function deletePattern(db, organisationId, patternId) {
+  const { rowCount } = await db.query(
+    'DELETE FROM rota_patterns WHERE id = $1 AND organisation_id = $2',
+    [patternId, organisationId]
+  );
+  return rowCount > 0;
+}
+
+// -------------------------
+// Generation
+// -------------------------
+
+/**
+ * A free shift_ref: generateShiftRef for the template's local start, with
+ * -2, -3 … when it is taken.
+ */
+async function allocateShiftRef(client, ward, dateKey, startTime, usedRefs) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const [hh, mm] = String(startTime).split(':').map(Number);
+  // generateShiftRef reads local fields, so build the wall-clock time.
+  const base = generateShiftRef(ward, new Date(y, m - 1, d, hh, mm));
+
+  for (let n = 1; ; n++) {
+    const ref = n === 1 ? base : `${base}-${n}`;
+    if (usedRefs.has(ref)) continue;
+    const { rowCount } = await client.query('SELECT 1 FROM shifts WHERE shift_ref = $1', [ref]);
+    usedRefs.add(ref);
+    if (!rowCount) return ref;
+  }
+}
+
+/**
+ * Materialise a pattern's shifts for from..to (inclusive, "YYYY-MM-DD").
+ * Only active templates are used. Template + date pairs that were already
+ * generated are skipped. With dryRun nothing is written; with draft the
+ * shifts are created as 'draft' for publishing later (rotaPublishing.js).
+ * Caller owns BEGIN / COMMIT.
+ *
+ * Returns { pattern, created: [shift], skipped: [{ template_id, date, reason }] }
+ * or { error, status }.
+ */
+async function generateShifts(
+  client,
+  { organisationId, patternId, from, to, dryRun = false, draft = false }
+) {
+  const pattern = await loadPattern(client, organisationId, patternId);
+  if (!pattern) {
+    return { error: 'Rota pattern not found', status: 404 };
+  }
+  if (!pattern.is_active) {
+    return { error: 'Rota pattern is inactive', status: 409 };
+  }
+
+  const days = daysBetween(from, to) + 1;
+  if (days < 1 || days > MAX_GENERATE_DAYS) {
+    return { error: `from..to must cover 1 to ${MAX_GENERATE_DAYS} days`, status: 400 };
+  }
+
+  const templateIds = [...new Set(pattern.slots.map((s) => s.template_id))];
+  const { rows: templates } = await client.query(
+    `SELECT ${TEMPLATE_COLUMNS} FROM shift_templates t WHERE t.id = ANY($1::int[])`,
+    [templateIds]
+  );
+  const templateById = new Map(templates.map((t) => [t.id, t]));
+
+  const { rows: existing } = await client.query(
+    `
+      SELECT template_id, template_date::text AS template_date
+      FROM shifts
+      WHERE template_id = ANY($1::int[])
+        AND template_date BETWEEN $2::date AND $3::date
+    `,
+    [templateIds, from, to]
+  );
+  const generated = new Set(existing.map((r) => `${r.template_id}|${r.template_date}`));
+
+  const timezone = await getOrganisationTimezone(client, organisationId);
+  const usedRefs = new Set();
+  const created = [];
+  const skipped = [];
+
+  for (let i = 0; i < days; i++) {
+    const dateKey = shiftTime.addDaysToKey(from, i);
+    const day = patternDayForDate(pattern, dateKey);
+    if (day == null) continue;
+
+    for (const slot of pattern.slots.filter((s) => s.day_index === day)) {
+      const template = templateById.get(slot.template_id);
+      if (!template.is_active) {
+        skipped.push({ template_id: template.id, date: dateKey, reason: 'Template is inactive' });
+        continue;
+      }
+      if (generated.has(`${template.id}|${dateKey}`)) {
+        skipped.push({ template_id: template.id, date: dateKey, reason: 'Already generated' });
+        continue;
+      }
+      generated.add(`${template.id}|${dateKey}`);
+
+      const shiftRef = await allocateShiftRef(client, template.ward, dateKey, template.start_time, usedRefs);
+      const shift = {
+        shift_ref: shiftRef,
+        ward: template.ward,
+        role_required: template.role_required,
+        status: draft ? 'draft' : 'open',
+        shift_date: shiftTime.zonedTimeToInstant(dateKey, template.start_time, timezone),
+        start_time: template.start_time,
+        end_time: template.end_time,
+        gender_required: template.gender_required,
+        gender_min_male: template.gender_min_male,
+        gender_min_female: template.gender_min_female,
+        number_required: template.number_required,
+        number_filled: 0,
+        template_id: template.id,
+        template_date: dateKey,
+        requirements: template.requirements,
+      };
+
+      if (!dryRun) {
+        const { rows } = await client.query(
+          `
+            INSERT INTO shifts
+              (shift_ref, ward, role_required, status, shift_date, start_time, end_time,
+               gender_required, gender_min_male, gender_min_female, number_required, number_filled,
+               organisation_id, template_id, template_date)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 0, $12, $13, $14)
+            RETURNING id
+          `,
+          [
+            shift.shift_ref,
+            shift.ward,
+            shift.role_required,
+            shift.status,
+            shift.shift_date,
+            shift.start_time,
+            shift.end_time,
+            shift.gender_required,
+            shift.gender_min_male,
+            shift.gender_min_female,
+            shift.number_required,
+            organisationId,
+            shift.template_id,
+            shift.template_date,
+          ]
+        );
+        shift.id = rows[0].id;
+        await recordStatusChange(client, {
+          shiftId: shift.id,
+          organisationId,
+          from: null,
+          to: shift.status,
+          source: 'template',
+        });
+
+        for (const req of template.requirements) {
+          await client.query(
+            `
+              INSERT INTO shift_skill_requirements (shift_id, skill_id, min_count)
+              VALUES ($1, $2, $3)
+            `,
+            [shift.id, req.skill_id, req.min_count]
+          );
+        }
+      }
+
+      created.push(shift);
+    }
+  }
+
+  return { pattern, created, skipped };
+}
+
+module.exports = {
+  PATTERN_TYPES,
+  MAX_CYCLE_DAYS,
+  MAX_GENERATE_DAYS,
+  generateShiftRef,
+  loadTemplate,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate,
+  patternDayForDate,
+  loadPattern,
+  listPatterns,
+  savePattern,
+  deletePattern,
+  generateShifts,
+};
@@ -0,0 +1,365 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Shift time handling
+ *
+ * The ONE place that turns a shift row (shift_date + start_time + end_time)
+ * into real instants, and decides whether it is a day or night shift.
+ * Used by shiftRules, the assignment engine, payroll and WhatsApp message
+ * formatting so every code path agrees.
+ *
+ * Times on a shift are wall-clock times in the organisation's timezone
+ * (organisations.timezone, Europe/London by default). We resolve them with
+ * Intl, so BST changeover nights come out at their real length:
+ *   - last Sunday in March:   19:30 → 08:00 is 11.5h
+ *   - last Sunday in October: 19:30 → 08:00 is 13.5h
+ *
+ * Classification (local time):
+ *   - NIGHT: crosses local midnight, or starts before 06:00 or at/after 20:00
+ *   - DAY:   starts 06:00–19:59 and finishes by 22:00 the same day
+ *   - otherwise "unknown" (e.g. a 14:00–23:00 late)
+ */
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/London';
+
+// Used when a shift has no end_time (legacy rows): standard Priory 12h shift.
+const DEFAULT_SHIFT_HOURS = 12;
+
+const NIGHT_START_HOUR = 20;
+const EARLY_START_HOUR = 6;
+const DAY_LATEST_END_HOUR = 22;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// -------------------------
+// Timezone primitives
+// -------------------------
+
+const formatterCache = new Map();
+const validTimezoneCache = new Map();
+
+function isValidTimezone(tz) {
+  if (!tz) return false;
+  if (!validTimezoneCache.has(tz)) {
+    let valid = true;
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: tz });
+    } catch (err) {
+      valid = false;
+    }
+    validTimezoneCache.set(tz, valid);
+  }
+  return validTimezoneCache.get(tz);
+}
+
+function resolveTimezone(tz) {
+  return isValidTimezone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+
+function getPartsFormatter(tz) {
+  if (!formatterCache.has(tz)) {
+    formatterCache.set(
+      tz,
+      new Intl.DateTimeFormat('en-GB', {
+        timeZone: tz,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short',
+      })
+    );
+  }
+  return formatterCache.get(tz);
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone.
+ * Returns { year, month, day, hour, minute, second, weekday, dateKey }
+ * where weekday is 0=Sun..6=Sat and dateKey is "YYYY-MM-DD".
+ */
+function getLocalParts(instant, timezone) {
+  const tz = resolveTimezone(timezone);
+  const parts = {};
+  for (const p of getPartsFormatter(tz).formatToParts(instant)) {
+    parts[p.type] = p.value;
+  }
+
+  const weekdays = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: weekdays[parts.weekday],
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+/**
+ * Offset of the timezone from UTC at a given instant, in ms
+ * (e.g. +3600000 during BST).
+ */
+function getOffsetMs(instant, timezone) {
+  const p = getLocalParts(instant, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const truncated = Math.floor(instant.getTime() / 1000) * 1000;
+  return asUtc - truncated;
+}
+
+/**
+ * Convert a local wall-clock date + time in a timezone to a Date instant.
+ *
+ * dateKey: "YYYY-MM-DD", timeStr: "HH:MM" or "HH:MM:SS".
+ * Times that do not exist (inside the spring-forward gap) resolve to the
+ * instant just after the gap, like most calendar apps.
+ */
+function zonedTimeToInstant(dateKey, timeStr, timezone) {
+  const [y, m, d] = String(dateKey).split('-').map(Number);
+  const [hh, mm] = String(timeStr || '00:00').split(':').map((x) => Number(x) || 0);
+  if (!y || !m || !d) return null;
+
+  const wallAsUtc = Date.UTC(y, m - 1, d, hh, mm, 0, 0);
+  const firstGuess = wallAsUtc - getOffsetMs(new Date(wallAsUtc), timezone);
+  const offset = getOffsetMs(new Date(firstGuess), timezone);
+  return new Date(wallAsUtc - offset);
+}
+
+// -------------------------
+// Date keys
+// -------------------------
+
+const DATE_KEY_RE = /^(\d{4}-\d{2}-\d{2})$/;
+
+/**
+ * Local calendar date ("YYYY-MM-DD") of an instant in a timezone.
+ */
+function getLocalDateKey(instant, timezone) {
+  return getLocalParts(instant, timezone).dateKey;
+}
+
+/**
+ * Add whole calendar days to a "YYYY-MM-DD" key.
+ */
+function addDaysToKey(dateKey, days) {
+  const [y, m, d] = String(dateKey).split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return dt.toISOString().slice(0, 10);
+}
+
+/**
+ * Calendar date of a shift in the organisation's timezone.
+ *
+ * shift_date arrives as a bare "YYYY-MM-DD" string, an ISO string, or a
+ * Date (pg returns TIMESTAMPTZ columns as Date objects). Bare date strings
+ * are taken as-is; anything with a time is read in the organisation's zone.
+ */
+function getShiftDateKey(shiftDate, timezone) {
+  if (shiftDate == null || shiftDate === '') return null;
+
+  if (typeof shiftDate === 'string' && DATE_KEY_RE.test(shiftDate.trim())) {
+    return shiftDate.trim();
+  }
+
+  const d = shiftDate instanceof Date ? shiftDate : new Date(shiftDate);
+  if (Number.isNaN(d.getTime())) return null;
+  return getLocalDateKey(d, timezone);
+}
+
+/**
+ * Monday–Sunday week (as date keys) containing the given date key.
+ */
+function getWeekWindow(dateKey) {
+  const [y, m, d] = String(dateKey).split('-').map(Number);
+  const dow = new Date(Date.UTC(y, m - 1, d)).getUTCDay(); // 0=Sun
+  const start = addDaysToKey(dateKey, -((dow + 6) % 7));
+  return { start, end: addDaysToKey(start, 6) };
+}
+
+// -------------------------
+// Shifts
+// -------------------------
+
+function timeToMinutes(timeStr) {
+  if (!timeStr) return null;
+  const [hh, mm] = String(timeStr).split(':');
+  if (hh === undefined || mm === undefined) return null;
+  return (Number(hh) || 0) * 60 + (Number(mm) || 0);
+}
+
+const RANGE_CACHE_MAX = 5000;
+const rangeCache = new Map();
+
+function shiftTimezone(shift, timezone) {
+  return resolveTimezone(timezone || (shift && shift.timezone));
+}
+
+/**
+ * Resolve a shift into real [start, end) instants.
+ *
+ * The timezone is taken from the argument, then shift.timezone (loaders
+ * attach the organisation's zone), then DEFAULT_TIMEZONE.
+ * An end time at or before the start time means the shift ends the next
+ * local day (nights).
+ */
+function getShiftRange(shift, timezone) {
+  if (!shift) return { start: null, end: null };
+  const tz = shiftTimezone(shift, timezone);
+
+  const dateKey = getShiftDateKey(shift.shift_date, tz);
+  if (!dateKey) return { start: null, end: null };
+
+  const startMinutes = timeToMinutes(shift.start_time);
+  const endMinutes = timeToMinutes(shift.end_time);
+
+  // Resolving instants is Intl-heavy and the rota optimiser asks for the
+  // same shifts thousands of times, so cache by date + times + zone.
+  const cacheKey =
+    startMinutes == null ? null : `${tz}|${dateKey}|${shift.start_time}|${shift.end_time}`;
+  if (cacheKey && rangeCache.has(cacheKey)) {
+    const cached = rangeCache.get(cacheKey);
+    return { start: new Date(cached.start), end: new Date(cached.end) };
+  }
+
+  let start;
+  if (startMinutes == null) {
+    // Legacy rows with no start_time: use whatever time is inside shift_date.
+    start = new Date(shift.shift_date);
+    if (Number.isNaN(start.getTime())) start = zonedTimeToInstant(dateKey, '00:00', tz);
+  } else {
+    start = zonedTimeToInstant(dateKey, shift.start_time, tz);
+  }
+
+  let end;
+  if (endMinutes == null) {
+    end = new Date(start.getTime() + DEFAULT_SHIFT_HOURS * HOUR_MS);
+  } else {
+    const startLocal = getLocalParts(start, tz);
+    const localStartMinutes = startLocal.hour * 60 + startLocal.minute;
+    const endDateKey =
+      endMinutes <= localStartMinutes ? addDaysToKey(startLocal.dateKey, 1) : startLocal.dateKey;
+    end = zonedTimeToInstant(endDateKey, shift.end_time, tz);
+  }
+
+  if (cacheKey) {
+    if (rangeCache.size >= RANGE_CACHE_MAX) rangeCache.clear();
+    rangeCache.set(cacheKey, { start: start.getTime(), end: end.getTime() });
+  }
+
+  return { start, end };
+}
+
+/**
+ * Real length of a shift in hours (DST-aware).
+ */
+function getShiftDurationHours(shift, timezone) {
+  const { start, end } = getShiftRange(shift, timezone);
+  if (!start || !end || end <= start) return 0;
+  return (end.getTime() - start.getTime()) / HOUR_MS;
+}
+
+/**
+ * Night shift = crosses local midnight, or starts before 06:00 or at/after 20:00.
+ */
+function isNightShift(shift, timezone) {
+  const tz = shiftTimezone(shift, timezone);
+  const { start, end } = getShiftRange(shift, tz);
+  if (!start || !end) return false;
+
+  const startLocal = getLocalParts(start, tz);
+  const endLocal = getLocalParts(new Date(end.getTime() - 1), tz);
+
+  if (startLocal.dateKey !== endLocal.dateKey) return true;
+  if (startLocal.hour < EARLY_START_HOUR) return true;
+  if (startLocal.hour >= NIGHT_START_HOUR) return true;
+
+  return false;
+}
+
+/**
+ * "day", "night" or "unknown".
+ */
+function getShiftType(shift, timezone) {
+  const tz = shiftTimezone(shift, timezone);
+  if (isNightShift(shift, tz)) return 'night';
+
+  const { start, end } = getShiftRange(shift, tz);
+  if (!start || !end) return 'unknown';
+
+  const startLocal = getLocalParts(start, tz);
+  const endLocal = getLocalParts(end, tz);
+  const endsBy = endLocal.hour < DAY_LATEST_END_HOUR ||
+    (endLocal.hour === DAY_LATEST_END_HOUR && endLocal.minute === 0);
+
+  if (startLocal.hour >= EARLY_START_HOUR && endsBy) {
+    return 'day';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Attach a timezone to shift rows so the helpers above (and shiftRules,
+ * which calls them) resolve them in the organisation's zone.
+ */
+function withTimezone(shifts, timezone) {
+  const tz = resolveTimezone(timezone);
+  if (Array.isArray(shifts)) return shifts.map((s) => ({ ...s, timezone: tz }));
+  return shifts ? { ...shifts, timezone: tz } : shifts;
+}
+
+// -------------------------
+// Formatting (WhatsApp / UI)
+// -------------------------
+
+/**
+ * "Thu, 20 Nov 2025" in the organisation's timezone.
+ */
+function formatShiftDate(shift, timezone, options = {}) {
+  const tz = shiftTimezone(shift, timezone);
+  const dateKey = getShiftDateKey(shift && shift.shift_date, tz);
+  if (!dateKey) return 'TBC';
+
+  // The date key is already local; format it as-is (noon UTC, read in UTC).
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d, 12)).toLocaleDateString('en-GB', {
+    timeZone: 'UTC',
+    weekday: options.weekday || 'short',
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+}
+
+/**
+ * "HH:MM" from a TIME column value, or "TBC".
+ */
+function formatTime(timeStr) {
+  return timeStr ? String(timeStr).substring(0, 5) : 'TBC';
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_SHIFT_HOURS,
+  isValidTimezone,
+  resolveTimezone,
+  getLocalParts,
+  zonedTimeToInstant,
+  getLocalDateKey,
+  addDaysToKey,
+  getShiftDateKey,
+  getWeekWindow,
+  getShiftRange,
+  getShiftDurationHours,
+  isNightShift,
+  getShiftType,
+  withTimezone,
+  formatShiftDate,
+  formatTime,
+};
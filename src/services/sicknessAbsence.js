@@ -0,0 +1,449 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Sickness absence
+ *
+ * Staff report sickness over WhatsApp ("SICK", or "SICK 3" for the next
+ * three days) instead of messaging the manager informally:
+ *
+ *   1. a sickness spell is opened (or the open one reused)
+ *   2. their assigned shifts that haven't started yet in the window – the
+ *      next 24 hours by default, or their next shift within a week if
+ *      nothing falls in it – are taken off them: the assignment goes,
+ *      number_filled goes down and a filled shift reopens
+ *   3. the caller re-offers those shifts (shiftAutomation.backfillShifts)
+ *
+ * While a spell is open the staff member is blocked from assignment.
+ * "BACK" (or a manager) closes it; a return-to-work interview is then due
+ * until a manager records it.
+ *
+ * Bradford factor: S² × D, where S is the number of spells and D the
+ * days off over the last 52 weeks (open spells count up to today).
+ */
+
+const shiftTime = require('./shiftTime');
+const { getOrganisationTimezone } = require('./organisationSettings');
+const { formatDateKey } = require('./staffAvailability');
+const { releaseStaffFromShift } = require('./shiftRelease');
+
+const MAX_SICK_DAYS = 14;
+const NEXT_SHIFT_LOOKAHEAD_DAYS = 7;
+const BRADFORD_WINDOW_DAYS = 364;
+
+// Commonly used trigger points; informational only.
+const BRADFORD_LEVELS = [
+  { min: 401, level: 'formal_review' },
+  { min: 201, level: 'review' },
+  { min: 51, level: 'monitor' },
+  { min: 0, level: 'none' },
+];
+
+const ABSENCE_COLUMNS = `
+  sa.id,
+  sa.organisation_id,
+  sa.staff_id,
+  st.name AS staff_name,
+  sa.start_date::text AS start_date,
+  sa.end_date::text AS end_date,
+  sa.returned_on::text AS returned_on,
+  sa.reason,
+  sa.source,
+  sa.reported_by_user_id,
+  sa.rtw_completed_at,
+  sa.rtw_completed_by_user_id,
+  sa.rtw_notes,
+  sa.created_at,
+  (
+    SELECT COALESCE(array_agg(sas.shift_id ORDER BY sas.shift_id), '{}')
+    FROM sickness_absence_shifts sas
+    WHERE sas.absence_id = sa.id
+  ) AS shift_ids
+`;
+
+const ABSENCE_FROM = `
+  FROM sickness_absences sa
+  JOIN staff st ON st.id = sa.staff_id
+`;
+
+// -------------------------
+// Loading
+// -------------------------
+
+async function loadAbsence(db, organisationId, absenceId) {
+  const { rows } = await db.query(
+    `SELECT ${ABSENCE_COLUMNS} ${ABSENCE_FROM} WHERE sa.id = $1 AND sa.organisation_id = $2`,
+    [absenceId, organisationId]
+  );
+  return rows[0] || null;
+}
+
+async function getOpenAbsence(db, organisationId, staffId, options = {}) {
+  const { rows } = await db.query(
+    `
+      SELECT id
+      FROM sickness_absences
+      WHERE organisation_id = $1 AND staff_id = $2 AND end_date IS NULL
+      LIMIT 1
+      ${options.forUpdate ? 'FOR UPDATE' : ''}
+    `,
+    [organisationId, staffId]
+  );
+  return rows[0] ? loadAbsence(db, organisationId, rows[0].id) : null;
+}
+
+/**
+ * Spells, newest first.
+ * filters: { status: 'open' | 'rtw_due' | 'closed', staffId, from }
+ */
+async function listAbsences(db, organisationId, filters = {}) {
+  const params = [organisationId];
+  const where = ['sa.organisation_id = $1'];
+
+  if (filters.status === 'open') {
+    where.push('sa.end_date IS NULL');
+  } else if (filters.status === 'rtw_due') {
+    where.push('sa.end_date IS NOT NULL AND sa.rtw_completed_at IS NULL');
+  } else if (filters.status === 'closed') {
+    where.push('sa.end_date IS NOT NULL AND sa.rtw_completed_at IS NOT NULL');
+  }
+  if (filters.staffId) {
+    params.push(filters.staffId);
+    where.push(`sa.staff_id = $${params.length}`);
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    where.push(`(sa.end_date IS NULL OR sa.end_date >= $${params.length}::date)`);
+  }
+
+  const { rows } = await db.query(
+    `
+      SELECT ${ABSENCE_COLUMNS}
+      ${ABSENCE_FROM}
+      WHERE ${where.join(' AND ')}
+      ORDER BY sa.start_date DESC, sa.id DESC
+      LIMIT 500
+    `,
+    params
+  );
+  return rows;
+}
+
+/**
+ * The staff member's assigned shifts to cover: not started yet and
+ * starting within `days` × 24h. With no explicit days and nothing in the
+ * next 24h, their next shift within a week.
+ */
+async function findShiftsToCover(db, organisationId, staffId, days, timezone) {
+  const windowDays = days || 1;
+  const now = new Date();
+  const todayKey = shiftTime.getLocalDateKey(now, timezone);
+
+  const { rows } = await db.query(
+    `
+      SELECT s.id, s.shift_ref, s.ward, s.shift_date, s.start_time, s.end_time
+      FROM shift_assignments sa
+      JOIN shifts s ON s.id = sa.shift_id
+      WHERE sa.staff_id = $1
+        AND s.organisation_id = $2
+        AND s.shift_date BETWEEN $3::date AND $4::date
+      ORDER BY s.shift_date ASC, s.start_time ASC
+    `,
+    [
+      staffId,
+      organisationId,
+      shiftTime.addDaysToKey(todayKey, -1),
+      shiftTime.addDaysToKey(todayKey, Math.max(windowDays, NEXT_SHIFT_LOOKAHEAD_DAYS) + 1),
+    ]
+  );
+
+  const upcoming = shiftTime
+    .withTimezone(rows, timezone)
+    .map((shift) => ({ shift, start: shiftTime.getShiftRange(shift).start }))
+    .filter(({ start }) => start && start > now)
+    .sort((a, b) => a.start - b.start);
+
+  const windowEnd = new Date(now.getTime() + windowDays * 24 * 60 * 60 * 1000);
+  const inWindow = upcoming.filter(({ start }) => start < windowEnd);
+  if (inWindow.length || days) {
+    return inWindow.map(({ shift }) => shift);
+  }
+
+  const lookaheadEnd = new Date(now.getTime() + NEXT_SHIFT_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000);
+  return upcoming.filter(({ start }) => start < lookaheadEnd).slice(0, 1).map(({ shift }) => shift);
+}
+
+// -------------------------
+// Reporting and returning
+// -------------------------
+
+/**
+ * Record sickness and take the staff member off the shifts it covers.
+ * Caller owns BEGIN / COMMIT, then re-offers `shifts`.
+ *
+ * days: null = next 24h (or next shift), else 1..MAX_SICK_DAYS.
+ * Returns { absence, shifts, alreadyOff } or { error, status }.
+ */
+async function reportSickness(
+  client,
+  { organisationId, staffId, days = null, reason = null, source = 'whatsapp', userId = null }
+) {
+  if (days != null && !(Number.isInteger(days) && days >= 1 && days <= MAX_SICK_DAYS)) {
+    return { error: `days must be between 1 and ${MAX_SICK_DAYS}`, status: 400 };
+  }
+
+  const timezone = await getOrganisationTimezone(client, organisationId);
+  const todayKey = shiftTime.getLocalDateKey(new Date(), timezone);
+
+  let absence = await getOpenAbsence(client, organisationId, staffId, { forUpdate: true });
+  const alreadyOff = !!absence;
+
+  if (!absence) {
+    const { rows } = await client.query(
+      `
+        INSERT INTO sickness_absences (organisation_id, staff_id, start_date, reason, source, reported_by_user_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+      `,
+      [organisationId, staffId, todayKey, reason, source, userId]
+    );
+    absence = { id: rows[0].id };
+  }
+
+  const shifts = [];
+  for (const shift of await findShiftsToCover(client, organisationId, staffId, days, timezone)) {
+    const removed = await releaseStaffFromShift(client, shift.id, staffId);
+    if (!removed) continue;
+
+    await client.query(
+      `
+        INSERT INTO sickness_absence_shifts (absence_id, shift_id)
+        VALUES ($1, $2)
+        ON CONFLICT DO NOTHING
+      `,
+      [absence.id, shift.id]
+    );
+
+    // A swap of a shift they no longer have can't go ahead.
+    await client.query(
+      `
+        UPDATE shift_swaps
+        SET status = 'cancelled', decision_note = 'Requester reported sick', decided_at = NOW(), updated_at = NOW()
+        WHERE shift_id = $1 AND requester_staff_id = $2 AND status IN ('open', 'pending_approval')
+      `,
+      [shift.id, staffId]
+    );
+
+    shifts.push(shift);
+  }
+
+  return { absence: await loadAbsence(client, organisationId, absence.id), shifts, alreadyOff };
+}
+
+/**
+ * Close the open spell: back at work on returnDate (default today), so the
+ * last day off is the day before (or the start day for same-day returns).
+ * Pass absenceId (managers) or staffId (the staff member themselves).
+ *
+ * Returns { absence } or { error, status }.
+ */
+async function recordReturn(db, { organisationId, absenceId = null, staffId = null, returnDate = null }) {
+  let returnKey = returnDate;
+  if (!returnKey) {
+    const timezone = await getOrganisationTimezone(db, organisationId);
+    returnKey = shiftTime.getLocalDateKey(new Date(), timezone);
+  }
+
+  const { rows } = await db.query(
+    `
+      UPDATE sickness_absences
+      SET returned_on = $4::date,
+          end_date = GREATEST(start_date, $4::date - 1),
+          updated_at = NOW()
+      WHERE organisation_id = $1
+        AND end_date IS NULL
+        AND ($2::int IS NULL OR id = $2)
+        AND ($3::int IS NULL OR staff_id = $3)
+        AND start_date <= $4::date
+      RETURNING id
+    `,
+    [organisationId, absenceId, staffId, returnKey]
+  );
+
+  if (!rows.length) {
+    return { error: 'No open sickness absence found', status: 404 };
+  }
+  return { absence: await loadAbsence(db, organisationId, rows[0].id) };
+}
+
+/**
+ * Manager records the return-to-work interview.
+ */
+async function completeReturnToWork(db, { organisationId, absenceId, userId, notes = null }) {
+  const absence = await loadAbsence(db, organisationId, absenceId);
+  if (!absence) {
+    return { error: 'Sickness absence not found', status: 404 };
+  }
+  if (!absence.end_date) {
+    return { error: 'The staff member has not returned yet', status: 409 };
+  }
+  if (absence.rtw_completed_at) {
+    return { error: 'Return-to-work interview already recorded', status: 409 };
+  }
+
+  await db.query(
+    `
+      UPDATE sickness_absences
+      SET rtw_completed_at = NOW(),
+          rtw_completed_by_user_id = $2,
+          rtw_notes = $3,
+          updated_at = NOW()
+      WHERE id = $1
+    `,
+    [absenceId, userId, notes]
+  );
+
+  return { absence: await loadAbsence(db, organisationId, absenceId) };
+}
+
+// -------------------------
+// Bradford factor
+// -------------------------
+
+function daysBetween(startKey, endKey) {
+  const [y1, m1, d1] = startKey.split('-').map(Number);
+  const [y2, m2, d2] = endKey.split('-').map(Number);
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / 86400000) + 1;
+}
+
+function bradfordLevel(score) {
+  return BRADFORD_LEVELS.find((l) => score >= l.min).level;
+}
+
+/**
+ * Bradford factor for one staff member's spells as of todayKey.
+ * Returns { spells, days, score, level }.
+ */
+function calculateBradford(spells, todayKey) {
+  const windowStart = shiftTime.addDaysToKey(todayKey, -BRADFORD_WINDOW_DAYS + 1);
+  let count = 0;
+  let days = 0;
+
+  for (const spell of spells) {
+    const end = spell.end_date && spell.end_date < todayKey ? spell.end_date : todayKey;
+    const start = spell.start_date > windowStart ? spell.start_date : windowStart;
+    if (end < windowStart || start > todayKey || start > end) continue;
+    count++;
+    days += daysBetween(start, end);
+  }
+
+  const score = count * count * days;
+  return { spells: count, days, score, level: bradfordLevel(score) };
+}
+
+/**
+ * Bradford factor for every staff member with sickness in the last 52
+ * weeks (or one staff member), highest first.
+ */
+async function getBradfordScores(db, organisationId, { staffId = null } = {}) {
+  const timezone = await getOrganisationTimezone(db, organisationId);
+  const todayKey = shiftTime.getLocalDateKey(new Date(), timezone);
+  const windowStart = shiftTime.addDaysToKey(todayKey, -BRADFORD_WINDOW_DAYS + 1);
+
+  const { rows } = await db.query(
+    `
+      SELECT sa.staff_id, st.name AS staff_name,
+             sa.start_date::text AS start_date, sa.end_date::text AS end_date
+      FROM sickness_absences sa
+      JOIN staff st ON st.id = sa.staff_id
+      WHERE sa.organisation_id = $1
+        AND ($2::int IS NULL OR sa.staff_id = $2)
+        AND (sa.end_date IS NULL OR sa.end_date >= $3::date)
+    `,
+    [organisationId, staffId, windowStart]
+  );
+
+  const byStaff = new Map();
+  for (const row of rows) {
+    if (!byStaff.has(row.staff_id)) {
+      byStaff.set(row.staff_id, { staff_id: row.staff_id, staff_name: row.staff_name, spells: [] });
+    }
+    byStaff.get(row.staff_id).spells.push(row);
+  }
+
+  return [...byStaff.values()]
+    .map((s) => ({
+      staff_id: s.staff_id,
+      staff_name: s.staff_name,
+      ...calculateBradford(s.spells, todayKey),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// -------------------------
+// Assignment checks
+// -------------------------
+
+/**
+ * Spells overlapping a date range ("YYYY-MM-DD" keys) for several staff.
+ * Returns Map staff_id -> [spell].
+ */
+async function loadSickness(db, organisationId, staffIds, { from, to }) {
+  const map = new Map();
+  if (!staffIds.length) return map;
+
+  const { rows } = await db.query(
+    `
+      SELECT id, staff_id, start_date::text AS start_date, end_date::text AS end_date
+      FROM sickness_absences
+      WHERE organisation_id = $1
+        AND staff_id = ANY($2::int[])
+        AND (end_date IS NULL OR end_date >= $3::date)
+        AND start_date <= $4::date
+    `,
+    [organisationId, staffIds, from, to]
+  );
+
+  for (const row of rows) {
+    if (!map.has(row.staff_id)) map.set(row.staff_id, []);
+    map.get(row.staff_id).push(row);
+  }
+  return map;
+}
+
+/**
+ * The spell covering the shift's date (open spells cover every date from
+ * their start), or null.
+ */
+function findSicknessForShift(spells, shift, timezone) {
+  if (!spells || !spells.length) return null;
+  const dateKey = shiftTime.getShiftDateKey(shift.shift_date, timezone || shift.timezone);
+  if (!dateKey) return null;
+  return (
+    spells.find((s) => dateKey >= s.start_date && (!s.end_date || dateKey <= s.end_date)) || null
+  );
+}
+
+/**
+ * "off sick since 12 Nov" / "off sick 12 Nov – 14 Nov".
+ */
+function describeAbsence(absence) {
+  if (!absence.end_date) return `off sick since ${formatDateKey(absence.start_date)}`;
+  if (absence.end_date === absence.start_date) return `off sick ${formatDateKey(absence.start_date)}`;
+  return `off sick ${formatDateKey(absence.start_date)} – ${formatDateKey(absence.end_date)}`;
+}
+
+module.exports = {
+  MAX_SICK_DAYS,
+  BRADFORD_LEVELS,
+  loadAbsence,
+  getOpenAbsence,
+  listAbsences,
+  reportSickness,
+  recordReturn,
+  completeReturnToWork,
+  calculateBradford,
+  getBradfordScores,
+  loadSickness,
+  findSicknessForShift,
+  describeAbsence,
+};
@@ -0,0 +1,267 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Role and skill-mix matching
+ *
+ * Shifts can require roles and skills with counts, e.g. a 3-person night
+ * on Alder needing 1 × RN, 2 × HCA and 1 × medication competent.
+ *
+ * A candidate is only eligible if, after placing them, the still-unmet
+ * requirements can fit into the remaining open slots. Roles are counted
+ * as separate people; a skill can be held by someone filling a role, so
+ * each skill only needs enough slots on its own. So:
+ *   - an HCA cannot take the last slot of a shift still missing its RN
+ *   - an RN can fill the RN slot, and counts towards "medication
+ *     competent" too if they hold that skill
+ *
+ * Shifts without requirement rows fall back to their free-text
+ * role_required ("Registered Nurse", "RN" …) when it matches a role's
+ * name or code; in that case every slot needs that role. The fallback
+ * only kicks in once at least one staff member holds that role, so an
+ * organisation that has not tagged its staff yet is not locked out.
+ *
+ * Used by the assignment gate (hard block) and the assignment engine
+ * (hard exclusion with the reason in the ranked list).
+ */
+
+// -------------------------
+// Loading
+// -------------------------
+
+async function loadSkills(db, organisationId) {
+  const { rows } = await db.query(
+    `
+      SELECT id, code, name, kind
+      FROM skills
+      WHERE organisation_id = $1
+      ORDER BY kind ASC, name ASC
+    `,
+    [organisationId]
+  );
+
+  return rows;
+}
+
+/**
+ * Requirements for a shift: [{ skill_id, code, name, kind, min_count }].
+ * Falls back to role_required when the shift has no requirement rows
+ * (see header).
+ */
+async function loadShiftRequirements(db, shift) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        r.skill_id,
+        sk.code,
+        sk.name,
+        sk.kind,
+        r.min_count
+      FROM shift_skill_requirements r
+      JOIN skills sk ON sk.id = r.skill_id
+      WHERE r.shift_id = $1
+      ORDER BY sk.kind ASC, sk.name ASC
+    `,
+    [shift.id]
+  );
+
+  if (rows.length || !shift.role_required) {
+    return rows;
+  }
+
+  const { rows: roles } = await db.query(
+    `
+      SELECT id AS skill_id, code, name, kind
+      FROM skills
+      WHERE organisation_id = $1
+        AND kind = 'role'
+        AND (LOWER(name) = LOWER($2) OR LOWER(code) = LOWER($2))
+        AND EXISTS (SELECT 1 FROM staff_skills ss WHERE ss.skill_id = skills.id)
+      LIMIT 1
+    `,
+    [shift.organisation_id, String(shift.role_required).trim()]
+  );
+
+  return roles.map((role) => ({
+    ...role,
+    min_count: Math.max(parseInt(shift.number_required, 10) || 1, 1),
+    from_role_required: true,
+  }));
+}
+
+/**
+ * Skills held by each staff member: Map staff_id -> Set(skill_id).
+ */
+async function loadStaffSkillIds(db, staffIds) {
+  const result = new Map();
+  if (!staffIds || staffIds.length === 0) return result;
+
+  const { rows } = await db.query(
+    'SELECT staff_id, skill_id FROM staff_skills WHERE staff_id = ANY($1::int[])',
+    [staffIds]
+  );
+
+  for (const row of rows) {
+    if (!result.has(row.staff_id)) result.set(row.staff_id, new Set());
+    result.get(row.staff_id).add(row.skill_id);
+  }
+  return result;
+}
+
+/**
+ * How many staff already assigned to the shift hold each skill:
+ * Map skill_id -> count. Pass excludeStaffId to ignore one person.
+ */
+async function loadAssignedSkillCounts(db, shiftId, excludeStaffId = null) {
+  const { rows } = await db.query(
+    `
+      SELECT ss.skill_id, COUNT(DISTINCT sa.staff_id)::int AS assigned
+      FROM shift_assignments sa
+      JOIN staff_skills ss ON ss.staff_id = sa.staff_id
+      WHERE sa.shift_id = $1
+        AND ($2::int IS NULL OR sa.staff_id <> $2)
+      GROUP BY ss.skill_id
+    `,
+    [shiftId, excludeStaffId]
+  );
+
+  return new Map(rows.map((r) => [r.skill_id, r.assigned]));
+}
+
+/**
+ * Everything needed to check skill fit for one shift, loaded once.
+ * Returns { requirements, assignedCounts }.
+ */
+async function loadSkillMixContext(db, shift, options = {}) {
+  const requirements = await loadShiftRequirements(db, shift);
+  const assignedCounts = requirements.length
+    ? await loadAssignedSkillCounts(db, shift.id, options.excludeStaffId)
+    : new Map();
+
+  return { requirements, assignedCounts };
+}
+
+/**
+ * Resolve skill references (ids or codes, case-insensitive) for an
+ * organisation. Returns { skills: [{ id, code, name, kind }], unknown: [ref] }.
+ */
+async function resolveSkills(db, organisationId, refs) {
+  const all = await loadSkills(db, organisationId);
+  const skills = [];
+  const unknown = [];
+
+  for (const ref of refs || []) {
+    const key = String(ref).trim().toLowerCase();
+    const match = all.find((sk) => String(sk.id) === key || sk.code.toLowerCase() === key);
+    if (match) {
+      if (!skills.includes(match)) skills.push(match);
+    } else {
+      unknown.push(ref);
+    }
+  }
+
+  return { skills, unknown };
+}
+
+/**
+ * Replace a shift's requirements.
+ * requirements: [{ skill: "RN" | 3, min_count: 1 }]
+ * Returns { saved, unknown }; nothing is written if any skill is unknown.
+ */
+async function replaceShiftRequirements(db, organisationId, shiftId, requirements) {
+  const list = Array.isArray(requirements) ? requirements : [];
+  const { skills, unknown } = await resolveSkills(
+    db,
+    organisationId,
+    list.map((r) => r.skill ?? r.skill_id ?? r.code)
+  );
+  if (unknown.length) {
+    return { saved: [], unknown };
+  }
+
+  await db.query('DELETE FROM shift_skill_requirements WHERE shift_id = $1', [shiftId]);
+
+  for (const req of list) {
+    const ref = String(req.skill ?? req.skill_id ?? req.code).trim().toLowerCase();
+    const skill = skills.find((sk) => String(sk.id) === ref || sk.code.toLowerCase() === ref);
+    await db.query(
+      `
+        INSERT INTO shift_skill_requirements (shift_id, skill_id, min_count)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (shift_id, skill_id) DO UPDATE SET min_count = EXCLUDED.min_count
+      `,
+      [shiftId, skill.id, Math.max(parseInt(req.min_count, 10) || 1, 1)]
+    );
+  }
+
+  return { saved: await loadShiftRequirements(db, { id: shiftId }), unknown: [] };
+}
+
+// -------------------------
+// Evaluation
+// -------------------------
+
+/**
+ * Would placing this staff member still leave the shift able to meet its
+ * skill mix?
+ *
+ * requirements:   from loadShiftRequirements
+ * staffSkillIds:  Set(skill_id) the candidate holds
+ * assignedCounts: from loadAssignedSkillCounts
+ * openSlots:      number_required - number_filled (before placing them)
+ *
+ * Returns { ok, reason, covers: [names], stillNeeded: [{ name, kind, count }] }.
+ */
+function evaluateSkillFit(requirements, staffSkillIds, assignedCounts, openSlots) {
+  if (!requirements || requirements.length === 0) {
+    return { ok: true, covers: [], stillNeeded: [] };
+  }
+
+  const held = staffSkillIds || new Set();
+  const covers = [];
+  const stillNeeded = [];
+  const missingRoles = [];
+
+  for (const req of requirements) {
+    const assigned = assignedCounts.get(req.skill_id) || 0;
+    const outstanding = Math.max(req.min_count - assigned, 0);
+    if (outstanding === 0) continue;
+
+    if (held.has(req.skill_id)) {
+      covers.push(req.name);
+      if (outstanding - 1 > 0) {
+        stillNeeded.push({ name: req.name, kind: req.kind, count: outstanding - 1 });
+      }
+    } else {
+      stillNeeded.push({ name: req.name, kind: req.kind, count: outstanding });
+      if (req.kind === 'role') missingRoles.push(req.name);
+    }
+  }
+
+  const slotsAfter = Math.max((openSlots || 1) - 1, 0);
+  const rolesNeeded = stillNeeded
+    .filter((n) => n.kind === 'role')
+    .reduce((sum, n) => sum + n.count, 0);
+  const skillNeeded = Math.max(0, ...stillNeeded.filter((n) => n.kind !== 'role').map((n) => n.count));
+
+  if (rolesNeeded <= slotsAfter && skillNeeded <= slotsAfter) {
+    return { ok: true, covers, stillNeeded };
+  }
+
+  const describe = stillNeeded.map((n) => `${n.count} × ${n.name}`).join(', ');
+  const reason = missingRoles.length && !covers.length
+    ? `Does not hold the required role (${missingRoles.join(' / ')}); remaining slots are needed for ${describe}`
+    : `Placing this staff member would leave too few slots for ${describe}`;
+
+  return { ok: false, reason, covers, stillNeeded };
+}
+
+module.exports = {
+  loadSkills,
+  resolveSkills,
+  replaceShiftRequirements,
+  loadShiftRequirements,
+  loadStaffSkillIds,
+  loadAssignedSkillCounts,
+  loadSkillMixContext,
+  evaluateSkillFit,
+};
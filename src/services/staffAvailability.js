@@ -0,0 +1,394 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Staff availability
+ *
+ * Staff tell us when they can and cannot work, beyond preferred_shift:
+ *
+ *   recurring  – a weekday (1 = Monday … 7 = Sunday), e.g. "unavailable Tuesdays"
+ *   one-off    – a date range, e.g. "unavailable 12–15 Dec"
+ *
+ * Each entry is 'available' or 'unavailable' for day shifts, nights or
+ * both ('any'). For a given shift, date-range entries win over weekly
+ * patterns, and within each level 'unavailable' wins over 'available'.
+ *
+ * Unavailable staff are excluded from recommendations and offers and
+ * flagged as a warning by the assignment gate; declared availability is
+ * a scoring factor (scoringFactors.js).
+ *
+ * Set over WhatsApp ("AVAILABLE Mon Tue nights", "UNAVAILABLE 12-15 Dec")
+ * or /api/availability.
+ */
+
+const shiftTime = require('./shiftTime');
+
+const KINDS = ['available', 'unavailable'];
+const PERIODS = ['day', 'night', 'any'];
+const MAX_RANGE_DAYS = 366;
+
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const WEEKDAY_WORDS = {
+  mon: [1], monday: [1], mondays: [1],
+  tue: [2], tues: [2], tuesday: [2], tuesdays: [2],
+  wed: [3], weds: [3], wednesday: [3], wednesdays: [3],
+  thu: [4], thur: [4], thurs: [4], thursday: [4], thursdays: [4],
+  fri: [5], friday: [5], fridays: [5],
+  sat: [6], saturday: [6], saturdays: [6],
+  sun: [7], sunday: [7], sundays: [7],
+  weekday: [1, 2, 3, 4, 5], weekdays: [1, 2, 3, 4, 5],
+  weekend: [6, 7], weekends: [6, 7],
+};
+
+const PERIOD_WORDS = {
+  day: 'day', days: 'day', lates: 'day', earlies: 'day',
+  night: 'night', nights: 'night',
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "12", "12th", "12 Dec", "12 December", "12/12"
+const DATE_PART = '(\\d{1,2})(?:st|nd|rd|th)?(?:\\s*\\/\\s*(\\d{1,2})|\\s+([a-z]{3,9}))?';
+const DATE_RANGE_RE = new RegExp(`^${DATE_PART}(?:\\s*(?:-|–|to)\\s*${DATE_PART})?$`);
+
+// -------------------------
+// Parsing (WhatsApp)
+// -------------------------
+
+function monthFromWord(word) {
+  if (!word) return null;
+  const i = MONTHS.indexOf(word.slice(0, 3));
+  return i >= 0 ? i + 1 : null;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function isValidDateKey(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+/**
+ * Next occurrence (today or later) of day/month as a date key.
+ */
+function nextDateKey(day, month, todayKey) {
+  const year = Number(todayKey.slice(0, 4));
+  const key = `${year}-${pad(month)}-${pad(day)}`;
+  return key < todayKey ? `${year + 1}-${pad(month)}-${pad(day)}` : key;
+}
+
+/**
+ * Parse "12-15 Dec", "12 Dec", "24/12 - 2/1" or "28 Dec to 3 Jan".
+ *
+ * todayKey ("YYYY-MM-DD", organisation's zone) decides the year: dates
+ * already past this year mean next year.
+ * Returns { start_date, end_date }, { error } for impossible dates, or
+ * null when the text is not a date at all.
+ */
+function parseDateRange(text, todayKey) {
+  const match = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim().match(DATE_RANGE_RE);
+  if (!match) return null;
+
+  const [, d1, m1num, m1word, d2, m2num, m2word] = match;
+  const month2 = m2num ? Number(m2num) : monthFromWord(m2word);
+  const month1 = m1num ? Number(m1num) : monthFromWord(m1word) || month2;
+  if (!month1 || (d2 && !month2 && !month1)) {
+    return { error: 'Please include the month, e.g. "12-15 Dec".' };
+  }
+
+  const start = nextDateKey(Number(d1), month1, todayKey);
+  const endMonth = month2 || month1;
+  let end = d2 ? `${start.slice(0, 4)}-${pad(endMonth)}-${pad(Number(d2))}` : start;
+  if (end < start) {
+    // Only a range into an earlier month crosses the new year ("28 Dec - 3 Jan");
+    // "15-12 Dec" is a typo, not a year off.
+    if (endMonth === month1) {
+      return { error: 'The end date is before the start date, e.g. "12-15 Dec".' };
+    }
+    end = `${Number(start.slice(0, 4)) + 1}${end.slice(4)}`;
+  }
+
+  if (!isValidDateKey(start) || !isValidDateKey(end)) {
+    return { error: "That doesn't look like a real date." };
+  }
+  if (shiftTime.addDaysToKey(start, MAX_RANGE_DAYS) < end) {
+    return { error: `Date ranges can be at most ${MAX_RANGE_DAYS} days.` };
+  }
+
+  return { start_date: start, end_date: end };
+}
+
+/**
+ * Parse the text after AVAILABLE / UNAVAILABLE.
+ *
+ *   "Mon Tue nights", "weekends", "Tuesdays"      -> one entry per weekday
+ *   "12-15 Dec", "12 Dec", "24/12 - 2/1", "nights 3 Jan" -> one date-range entry
+ *
+ * todayKey ("YYYY-MM-DD", organisation's zone) decides the year: dates
+ * already past this year mean next year.
+ * Returns { entries: [{ weekday | start_date, end_date, period }] } or { error }.
+ */
+function parseAvailabilityText(text, todayKey) {
+  let rest = String(text || '').toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!rest) {
+    return { error: 'Please say which days or dates, e.g. "Mon Tue nights" or "12-15 Dec".' };
+  }
+
+  // Period words can go anywhere.
+  let period = 'any';
+  rest = rest
+    .split(' ')
+    .filter((word) => {
+      if (PERIOD_WORDS[word]) {
+        period = PERIOD_WORDS[word];
+        return false;
+      }
+      return true;
+    })
+    .join(' ');
+
+  const words = rest.split(' ').filter(Boolean);
+  if (words.length && words.every((w) => WEEKDAY_WORDS[w])) {
+    const weekdays = [...new Set(words.flatMap((w) => WEEKDAY_WORDS[w]))].sort();
+    return { entries: weekdays.map((weekday) => ({ weekday, period })) };
+  }
+
+  const range = parseDateRange(rest, todayKey);
+  if (!range) {
+    return {
+      error:
+        `I couldn't read "${text}". Try days like "Mon Tue nights" or dates like "12-15 Dec" or "24/12".`,
+    };
+  }
+  if (range.error) return range;
+
+  return { entries: [{ start_date: range.start_date, end_date: range.end_date, period }] };
+}
+
+// -------------------------
+// Describing
+// -------------------------
+
+function formatDateKey(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d, 12)).toLocaleDateString('en-GB', {
+    timeZone: 'UTC',
+    day: 'numeric',
+    month: 'short',
+  });
+}
+
+/**
+ * "Unavailable 12 Dec – 15 Dec" / "Available Mondays (nights)".
+ */
+function describeAvailabilityEntry(entry) {
+  const kind = entry.kind === 'unavailable' ? 'Unavailable' : 'Available';
+  const when =
+    entry.weekday != null
+      ? `${WEEKDAY_NAMES[entry.weekday - 1]}s`
+      : entry.start_date === entry.end_date
+        ? formatDateKey(entry.start_date)
+        : `${formatDateKey(entry.start_date)} – ${formatDateKey(entry.end_date)}`;
+  const period = entry.period === 'day' ? ' (days)' : entry.period === 'night' ? ' (nights)' : '';
+  const note = entry.note ? ` – ${entry.note}` : '';
+  return `${kind} ${when}${period}${note}`;
+}
+
+// -------------------------
+// Evaluating
+// -------------------------
+
+function isoWeekday(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const dow = new Date(Date.UTC(y, m - 1, d)).getUTCDay(); // 0 = Sunday
+  return dow === 0 ? 7 : dow;
+}
+
+function entryMatches(entry, dateKey, weekday, shiftPeriod) {
+  if (entry.period !== 'any' && entry.period !== shiftPeriod) return false;
+  if (entry.start_date && dateKey < entry.start_date) return false;
+  if (entry.end_date && dateKey > entry.end_date) return false;
+  return entry.weekday == null || entry.weekday === weekday;
+}
+
+/**
+ * Availability of one staff member for one shift.
+ * entries: that staff member's rows (see loadAvailability).
+ * Returns { status: 'available' | 'unavailable' | null, entry, label }.
+ */
+function evaluateAvailability(entries, shift, timezone) {
+  const none = { status: null, entry: null, label: null };
+  if (!entries || !entries.length) return none;
+
+  const tz = timezone || shift.timezone;
+  const dateKey = shiftTime.getShiftDateKey(shift.shift_date, tz);
+  if (!dateKey) return none;
+
+  const weekday = isoWeekday(dateKey);
+  const shiftPeriod = shiftTime.getShiftType(shift, tz) === 'night' ? 'night' : 'day';
+  const matching = entries.filter((e) => entryMatches(e, dateKey, weekday, shiftPeriod));
+
+  // Date ranges first, then weekly patterns.
+  for (const level of [matching.filter((e) => e.weekday == null), matching.filter((e) => e.weekday != null)]) {
+    const hit = level.find((e) => e.kind === 'unavailable') || level.find((e) => e.kind === 'available');
+    if (hit) {
+      return { status: hit.kind, entry: hit, label: describeAvailabilityEntry(hit) };
+    }
+  }
+
+  return none;
+}
+
+// -------------------------
+// Loading / saving
+// -------------------------
+
+const ENTRY_COLUMNS = `
+  id,
+  staff_id,
+  kind,
+  weekday,
+  period,
+  start_date::text AS start_date,
+  end_date::text AS end_date,
+  note,
+  source,
+  created_at
+`;
+
+/**
+ * Entries relevant to a date range ("YYYY-MM-DD" keys) for several staff.
+ * Returns Map staff_id -> [entry].
+ */
+async function loadAvailability(db, organisationId, staffIds, { from, to }) {
+  const map = new Map();
+  if (!staffIds.length) return map;
+
+  const { rows } = await db.query(
+    `
+      SELECT ${ENTRY_COLUMNS}
+      FROM staff_availability
+      WHERE organisation_id = $1
+        AND staff_id = ANY($2::int[])
+        AND (end_date IS NULL OR end_date >= $3::date)
+        AND (start_date IS NULL OR start_date <= $4::date)
+    `,
+    [organisationId, staffIds, from, to]
+  );
+
+  for (const row of rows) {
+    if (!map.has(row.staff_id)) map.set(row.staff_id, []);
+    map.get(row.staff_id).push(row);
+  }
+  return map;
+}
+
+/**
+ * A staff member's current and future entries (or everyone's when
+ * staffId is null), weekly patterns first.
+ */
+async function listAvailability(db, organisationId, { staffId = null, from = null, to = null } = {}) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        a.id,
+        a.staff_id,
+        st.name AS staff_name,
+        a.kind,
+        a.weekday,
+        a.period,
+        a.start_date::text AS start_date,
+        a.end_date::text AS end_date,
+        a.note,
+        a.source,
+        a.created_at
+      FROM staff_availability a
+      JOIN staff st ON st.id = a.staff_id
+      WHERE a.organisation_id = $1
+        AND ($2::int IS NULL OR a.staff_id = $2)
+        AND (a.end_date IS NULL OR a.end_date >= COALESCE($3::date, CURRENT_DATE))
+        AND ($4::date IS NULL OR a.start_date IS NULL OR a.start_date <= $4::date)
+      ORDER BY st.name ASC, (a.weekday IS NULL) ASC, a.weekday ASC, a.start_date ASC
+    `,
+    [organisationId, staffId, from, to]
+  );
+  return rows;
+}
+
+/**
+ * Save entries for a staff member. A new weekly pattern replaces any
+ * earlier pattern for the same weekday and period, so the latest message
+ * wins. Returns the saved rows.
+ */
+async function addAvailability(db, organisationId, staffId, kind, entries, options = {}) {
+  const saved = [];
+
+  for (const entry of entries) {
+    if (entry.weekday != null && !entry.start_date && !entry.end_date) {
+      await db.query(
+        `
+          DELETE FROM staff_availability
+          WHERE staff_id = $1
+            AND weekday = $2
+            AND period = $3
+            AND start_date IS NULL
+            AND end_date IS NULL
+        `,
+        [staffId, entry.weekday, entry.period || 'any']
+      );
+    }
+
+    const { rows } = await db.query(
+      `
+        INSERT INTO staff_availability (
+          organisation_id, staff_id, kind, weekday, period, start_date, end_date, note, source
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING ${ENTRY_COLUMNS}
+      `,
+      [
+        organisationId,
+        staffId,
+        kind,
+        entry.weekday ?? null,
+        entry.period || 'any',
+        entry.start_date || null,
+        entry.end_date || null,
+        options.note || null,
+        options.source || 'api',
+      ]
+    );
+    saved.push(rows[0]);
+  }
+
+  return saved;
+}
+
+async function deleteAvailability(db, organisationId, entryId, staffId = null) {
+  const { rowCount } = await db.query(
+    `
+      DELETE FROM staff_availability
+      WHERE id = $1 AND organisation_id = $2 AND ($3::int IS NULL OR staff_id = $3)
+    `,
+    [entryId, organisationId, staffId]
+  );
+  return rowCount > 0;
+}
+
+module.exports = {
+  KINDS,
+  PERIODS,
+  MAX_RANGE_DAYS,
+  parseDateRange,
+  formatDateKey,
+  parseAvailabilityText,
+  describeAvailabilityEntry,
+  evaluateAvailability,
+  loadAvailability,
+  listAvailability,
+  addAvailability,
+  deleteAvailability,
+};
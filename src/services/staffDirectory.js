@@ -1,6 +1,7 @@
 'use strict';
 
 const pool = require('../db');
+const { MANAGER_ROLES } = require('../middleware/requireManager');
 
 /**
  * Get or create a staff record for a given phone + organisation.
@@ -80,6 +81,62 @@ async function getOrCreateStaffByPhone(phoneNumber, organisationId) {
   return inserted[0];
 }
 
+/**
+ * Staff record linked to a logged-in user (users.staff_id), or null.
+ *
+ * @param {object} user - req.user ({ id, organisation_id })
+ * @returns {Promise<number|null>} staff id
+ */
+async function getStaffIdForUser(user) {
+  const { rows } = await pool.query(
+    `
+      SELECT u.staff_id
+      FROM users u
+      JOIN staff st ON st.id = u.staff_id
+      WHERE u.id = $1 AND st.organisation_id = $2
+      LIMIT 1
+    `,
+    [user.id, user.organisation_id]
+  );
+  return rows[0] ? rows[0].staff_id : null;
+}
+
+/**
+ * WhatsApp contacts for an organisation's managers: manager/admin logins
+ * linked to a staff record with a phone number. With `ward`, the managers
+ * whose staff record is on that ward, falling back to all of them.
+ *
+ * @param {number} organisationId
+ * @param {object} [options] - { ward }
+ * @returns {Promise<Array<{ user_id, staff_id, name, phone_number, ward }>>}
+ */
+async function listManagerContacts(organisationId, { ward = null } = {}) {
+  const { rows } = await pool.query(
+    `
+      SELECT DISTINCT ON (st.id)
+        u.id AS user_id,
+        st.id AS staff_id,
+        st.name,
+        st.phone_number,
+        st.ward
+      FROM users u
+      JOIN staff st ON st.id = u.staff_id
+      WHERE u.organisation_id = $1
+        AND st.organisation_id = $1
+        AND u.role = ANY($2::text[])
+        AND st.phone_number IS NOT NULL
+      ORDER BY st.id, u.id
+    `,
+    [organisationId, MANAGER_ROLES]
+  );
+
+  if (!ward) return rows;
+  const onWard = rows.filter((r) => r.ward && r.ward.toLowerCase() === String(ward).toLowerCase());
+  return onWard.length ? onWard : rows;
+}
+
 module.exports = {
   getOrCreateStaffByPhone,
+  getStaffIdForUser,
+  listManagerContacts,
 };
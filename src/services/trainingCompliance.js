@@ -0,0 +1,561 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Mandatory training compliance
+ *
+ * Courses are configured per organisation (training_courses). Each staff
+ * completion is a row in staff_training_records with an expiry computed
+ * from the course's validity. A staff member is compliant when every
+ * active mandatory course has a completion that has not expired.
+ *
+ * Produces the { isCompliant, overdueCourses } object that
+ * shiftRules.checkMandatoryTraining and the assignment engine read.
+ *
+ * Organisations that have not set up any mandatory courses yet fall back
+ * to the legacy staff.mandatory_training_complete boolean.
+ *
+ * Also owns:
+ *   - CSV bulk import of completions (exports from the LMS / Priory Academy)
+ *   - WhatsApp reminders 30 and 7 days before a course expires
+ */
+
+const pool = require('../db');
+const shiftTime = require('./shiftTime');
+const { getOrganisationTimezone } = require('./organisationSettings');
+const { sendWhatsAppMessage } = require('./twilioSender');
+
+// Days before expiry on which a reminder is sent (largest first).
+const REMINDER_DAYS = [30, 7];
+
+// Courses expiring within this many days are flagged as "expiring".
+const EXPIRING_SOON_DAYS = REMINDER_DAYS[0];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// -------------------------
+// Helpers
+// -------------------------
+
+function daysBetweenKeys(fromKey, toKey) {
+  const [fy, fm, fd] = fromKey.split('-').map(Number);
+  const [ty, tm, td] = toKey.split('-').map(Number);
+  return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / DAY_MS);
+}
+
+function formatDateKey(dateKey) {
+  return shiftTime.formatShiftDate({ shift_date: dateKey });
+}
+
+/**
+ * Compliance status for one staff member.
+ *
+ * courses: active mandatory courses for the organisation
+ * records: that staff member's completions (any order, any course)
+ * todayKey: "YYYY-MM-DD" in the organisation's timezone
+ */
+function computeComplianceStatus(courses, records, todayKey) {
+  const latestByCourse = new Map();
+  for (const r of records) {
+    const current = latestByCourse.get(r.course_id);
+    if (!current || r.completed_on > current.completed_on) {
+      latestByCourse.set(r.course_id, r);
+    }
+  }
+
+  const items = courses.map((course) => {
+    const latest = latestByCourse.get(course.id);
+
+    if (!latest) {
+      return {
+        course_id: course.id,
+        code: course.code,
+        name: course.name,
+        status: 'missing',
+        completed_on: null,
+        expires_on: null,
+        days_remaining: null,
+      };
+    }
+
+    const daysRemaining = latest.expires_on ? daysBetweenKeys(todayKey, latest.expires_on) : null;
+
+    let status = 'valid';
+    if (daysRemaining != null && daysRemaining < 0) {
+      status = 'expired';
+    } else if (daysRemaining != null && daysRemaining <= EXPIRING_SOON_DAYS) {
+      status = 'expiring';
+    }
+
+    return {
+      course_id: course.id,
+      code: course.code,
+      name: course.name,
+      status,
+      completed_on: latest.completed_on,
+      expires_on: latest.expires_on,
+      days_remaining: daysRemaining,
+    };
+  });
+
+  const overdue = items.filter((c) => c.status === 'missing' || c.status === 'expired');
+
+  return {
+    isCompliant: overdue.length === 0,
+    overdueCourses: overdue.map((c) =>
+      c.status === 'missing'
+        ? `${c.name} (not completed)`
+        : `${c.name} (expired ${formatDateKey(c.expires_on)})`
+    ),
+    expiringSoon: items.filter((c) => c.status === 'expiring'),
+    courses: items,
+  };
+}
+
+/**
+ * Status from the legacy staff.mandatory_training_complete boolean.
+ * NULL means "unknown" and is treated as no data.
+ */
+function legacyTrainingStatus(staff) {
+  if (!staff || staff.mandatory_training_complete == null) {
+    return null;
+  }
+
+  return {
+    isCompliant: !!staff.mandatory_training_complete,
+    overdueCourses: [],
+    expiringSoon: [],
+    courses: [],
+  };
+}
+
+// -------------------------
+// Loading
+// -------------------------
+
+async function loadMandatoryCourses(db, organisationId) {
+  const { rows } = await db.query(
+    `
+      SELECT id, code, name, validity_months
+      FROM training_courses
+      WHERE organisation_id = $1
+        AND is_active = TRUE
+        AND is_mandatory = TRUE
+      ORDER BY name ASC
+    `,
+    [organisationId]
+  );
+
+  return rows;
+}
+
+async function loadTrainingRecords(db, organisationId, staffIds) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        id,
+        staff_id,
+        course_id,
+        to_char(completed_on, 'YYYY-MM-DD') AS completed_on,
+        to_char(expires_on, 'YYYY-MM-DD') AS expires_on,
+        source,
+        created_at
+      FROM staff_training_records
+      WHERE organisation_id = $1
+        AND staff_id = ANY($2::int[])
+      ORDER BY completed_on DESC
+    `,
+    [organisationId, staffIds]
+  );
+
+  return rows;
+}
+
+/**
+ * Training status for several staff at once.
+ *
+ * staffList: staff rows ({ id, mandatory_training_complete })
+ * Returns a Map staff_id -> status (or null when nothing is known).
+ */
+async function loadTrainingStatuses(db, organisationId, staffList, options = {}) {
+  const result = new Map();
+  if (!staffList || staffList.length === 0) return result;
+
+  const courses = await loadMandatoryCourses(db, organisationId);
+
+  if (courses.length === 0) {
+    for (const staff of staffList) {
+      result.set(staff.id, legacyTrainingStatus(staff));
+    }
+    return result;
+  }
+
+  const timezone = options.timezone || (await getOrganisationTimezone(db, organisationId));
+  const todayKey = shiftTime.getLocalDateKey(new Date(), timezone);
+
+  const records = await loadTrainingRecords(
+    db,
+    organisationId,
+    staffList.map((s) => s.id)
+  );
+
+  const byStaff = new Map();
+  for (const r of records) {
+    if (!byStaff.has(r.staff_id)) byStaff.set(r.staff_id, []);
+    byStaff.get(r.staff_id).push(r);
+  }
+
+  for (const staff of staffList) {
+    result.set(staff.id, computeComplianceStatus(courses, byStaff.get(staff.id) || [], todayKey));
+  }
+
+  return result;
+}
+
+/**
+ * Training status for a single staff row (see loadTrainingStatuses).
+ */
+async function getTrainingStatus(db, organisationId, staff, options = {}) {
+  const statuses = await loadTrainingStatuses(db, organisationId, [staff], options);
+  return statuses.get(staff.id) || null;
+}
+
+// -------------------------
+// Recording completions
+// -------------------------
+
+/**
+ * Record one completion. expires_on is derived from the course validity.
+ * Re-recording the same staff/course/date is a no-op update.
+ * Returns the saved record, or null if the course is not in this organisation.
+ */
+async function recordCompletion(db, { organisationId, staffId, courseId, completedOn, source = 'manual', userId = null }) {
+  const { rows } = await db.query(
+    `
+      INSERT INTO staff_training_records (
+        organisation_id,
+        staff_id,
+        course_id,
+        completed_on,
+        expires_on,
+        source,
+        recorded_by_user_id
+      )
+      SELECT
+        c.organisation_id,
+        $2,
+        c.id,
+        $4::date,
+        CASE
+          WHEN c.validity_months IS NULL THEN NULL
+          ELSE ($4::date + make_interval(months => c.validity_months))::date
+        END,
+        $5,
+        $6
+      FROM training_courses c
+      WHERE c.id = $3 AND c.organisation_id = $1
+      ON CONFLICT (staff_id, course_id, completed_on)
+      DO UPDATE SET expires_on = EXCLUDED.expires_on, source = EXCLUDED.source
+      RETURNING
+        id,
+        staff_id,
+        course_id,
+        to_char(completed_on, 'YYYY-MM-DD') AS completed_on,
+        to_char(expires_on, 'YYYY-MM-DD') AS expires_on,
+        source
+    `,
+    [organisationId, staffId, courseId, completedOn, source, userId]
+  );
+
+  return rows[0] || null;
+}
+
+// -------------------------
+// CSV import
+// -------------------------
+
+/**
+ * Minimal RFC 4180 parser: commas, double-quoted fields, "" escapes,
+ * CRLF or LF line endings. Returns an array of rows (arrays of strings).
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const src = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((f) => f.trim() !== ''));
+}
+
+/**
+ * Accepts "YYYY-MM-DD" or UK "DD/MM/YYYY". Returns "YYYY-MM-DD" or null.
+ */
+function parseCompletionDate(value) {
+  const v = String(value || '').trim();
+
+  let y;
+  let m;
+  let d;
+  let match = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, y, m, d] = match.map(Number);
+  } else {
+    match = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) return null;
+    [, d, m, y] = match.map(Number);
+  }
+
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) {
+    return null;
+  }
+  return dt.toISOString().slice(0, 10);
+}
+
+/**
+ * Bulk import completions from CSV text.
+ *
+ * Header row required. Columns (case-insensitive):
+ *   staff_id  or phone_number     – who
+ *   course_code or course_name    – which course
+ *   completed_on                  – YYYY-MM-DD or DD/MM/YYYY
+ *
+ * Valid rows are saved, invalid rows are reported and skipped.
+ * Run inside a transaction if the caller wants all-or-nothing.
+ *
+ * Returns { imported, skipped: [{ line, error }] }.
+ */
+async function importCompletionsCsv(db, { organisationId, csv, userId = null }) {
+  const rows = parseCsv(csv);
+  if (rows.length < 2) {
+    return { imported: 0, skipped: [{ line: 1, error: 'CSV needs a header row and at least one data row' }] };
+  }
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+
+  const staffIdCol = col('staff_id');
+  const phoneCol = col('phone_number');
+  const codeCol = col('course_code');
+  const courseNameCol = col('course_name');
+  const dateCol = col('completed_on');
+
+  if ((staffIdCol < 0 && phoneCol < 0) || (codeCol < 0 && courseNameCol < 0) || dateCol < 0) {
+    return {
+      imported: 0,
+      skipped: [
+        {
+          line: 1,
+          error:
+            'Header must include staff_id or phone_number, course_code or course_name, and completed_on',
+        },
+      ],
+    };
+  }
+
+  const [{ rows: courses }, { rows: staff }] = await Promise.all([
+    db.query('SELECT id, code, name FROM training_courses WHERE organisation_id = $1', [organisationId]),
+    db.query('SELECT id, phone_number FROM staff WHERE organisation_id = $1', [organisationId]),
+  ]);
+
+  const courseByCode = new Map(courses.map((c) => [c.code.toLowerCase(), c]));
+  const courseByName = new Map(courses.map((c) => [c.name.toLowerCase(), c]));
+  const staffById = new Map(staff.map((s) => [String(s.id), s]));
+  const normalisePhone = (p) => String(p || '').replace(/^whatsapp:/, '').replace(/\s+/g, '');
+  const staffByPhone = new Map(
+    staff.filter((s) => s.phone_number).map((s) => [normalisePhone(s.phone_number), s])
+  );
+
+  let imported = 0;
+  const skipped = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const line = i + 1;
+    const cell = (idx) => (idx >= 0 && rows[i][idx] != null ? rows[i][idx].trim() : '');
+
+    const member =
+      (cell(staffIdCol) && staffById.get(cell(staffIdCol))) ||
+      (cell(phoneCol) && staffByPhone.get(normalisePhone(cell(phoneCol))));
+    if (!member) {
+      skipped.push({ line, error: 'Unknown staff member' });
+      continue;
+    }
+
+    const course =
+      (cell(codeCol) && courseByCode.get(cell(codeCol).toLowerCase())) ||
+      (cell(courseNameCol) && courseByName.get(cell(courseNameCol).toLowerCase()));
+    if (!course) {
+      skipped.push({ line, error: 'Unknown course' });
+      continue;
+    }
+
+    const completedOn = parseCompletionDate(cell(dateCol));
+    if (!completedOn) {
+      skipped.push({ line, error: `Invalid completed_on "${cell(dateCol)}"` });
+      continue;
+    }
+
+    await recordCompletion(db, {
+      organisationId,
+      staffId: member.id,
+      courseId: course.id,
+      completedOn,
+      source: 'csv',
+      userId,
+    });
+    imported++;
+  }
+
+  return { imported, skipped };
+}
+
+// -------------------------
+// Expiry reminders
+// -------------------------
+
+function buildReminderMessage(item) {
+  const when =
+    item.days_remaining === 0
+      ? '*today*'
+      : `on *${formatDateKey(item.expires_on)}* (${item.days_remaining} day${
+          item.days_remaining === 1 ? '' : 's'
+        })`;
+
+  return (
+    '📚 *Training reminder*\n\n' +
+    `Hi ${item.staff_name || 'there'}, your *${item.course_name}* training expires ${when}.\n\n` +
+    'Please book your refresher – once it expires you will not be able to pick up shifts ' +
+    'without a manager override.'
+  );
+}
+
+/**
+ * Send WhatsApp reminders for the latest completion of each mandatory
+ * course that expires in the next 30 days. Each record gets at most one
+ * 30-day and one 7-day reminder (tracked in training_reminders), so the
+ * job is safe to run as often as you like.
+ *
+ * Pass organisationId to limit the run to one organisation.
+ * Returns { checked, sent }.
+ */
+async function sendTrainingReminders({ db = pool, organisationId = null } = {}) {
+  const { rows } = await db.query(
+    `
+      WITH latest AS (
+        SELECT DISTINCT ON (r.staff_id, r.course_id)
+          r.id,
+          r.organisation_id,
+          r.staff_id,
+          r.course_id,
+          r.expires_on
+        FROM staff_training_records r
+        WHERE ($2::int IS NULL OR r.organisation_id = $2)
+        ORDER BY r.staff_id, r.course_id, r.completed_on DESC
+      )
+      SELECT
+        l.id AS record_id,
+        to_char(l.expires_on, 'YYYY-MM-DD') AS expires_on,
+        (l.expires_on - (NOW() AT TIME ZONE COALESCE(o.timezone, 'Europe/London'))::date) AS days_remaining,
+        st.name AS staff_name,
+        st.phone_number,
+        c.name AS course_name
+      FROM latest l
+      JOIN training_courses c ON c.id = l.course_id
+      JOIN staff st ON st.id = l.staff_id
+      JOIN organisations o ON o.id = l.organisation_id
+      WHERE l.expires_on IS NOT NULL
+        AND c.is_active = TRUE
+        AND c.is_mandatory = TRUE
+        AND st.phone_number IS NOT NULL
+        AND (l.expires_on - (NOW() AT TIME ZONE COALESCE(o.timezone, 'Europe/London'))::date)
+            BETWEEN 0 AND $1
+    `,
+    [REMINDER_DAYS[0], organisationId]
+  );
+
+  let sent = 0;
+
+  for (const row of rows) {
+    const daysRemaining = Number(row.days_remaining);
+
+    // Smallest reminder threshold we have reached (30 → 7).
+    const daysBefore = REMINDER_DAYS.filter((d) => daysRemaining <= d).pop();
+    if (daysBefore == null) continue;
+
+    const { rows: claimed } = await db.query(
+      `
+        INSERT INTO training_reminders (record_id, days_before)
+        VALUES ($1, $2)
+        ON CONFLICT (record_id, days_before) DO NOTHING
+        RETURNING id
+      `,
+      [row.record_id, daysBefore]
+    );
+    if (!claimed.length) continue;
+
+    try {
+      await sendWhatsAppMessage({
+        to: row.phone_number.startsWith('whatsapp:') ? row.phone_number : `whatsapp:${row.phone_number}`,
+        body: buildReminderMessage({ ...row, days_remaining: daysRemaining }),
+      });
+      sent++;
+    } catch (err) {
+      // Release the claim so the next run retries this reminder.
+      console.error('[TRAINING] Failed to send reminder for record', row.record_id, err);
+      await db.query('DELETE FROM training_reminders WHERE id = $1', [claimed[0].id]);
+    }
+  }
+
+  return { checked: rows.length, sent };
+}
+
+module.exports = {
+  REMINDER_DAYS,
+  computeComplianceStatus,
+  legacyTrainingStatus,
+  loadMandatoryCourses,
+  loadTrainingStatuses,
+  getTrainingStatus,
+  recordCompletion,
+  parseCsv,
+  parseCompletionDate,
+  importCompletionsCsv,
+  sendTrainingReminders,
+};
@@ -0,0 +1,309 @@
+'use strict';
+
+/**
+ * Priory SmartShift – Ward safe-staffing compliance
+ *
+ * Groups shifts into periods (ward + local date + day/night) and checks
+ * the staff actually assigned against the ward's standard:
+ *   - minimum headcount
+ *   - minimum registered nurses (staff holding an RN / RMN role)
+ *   - minimum male / female staff for same-gender observations (only
+ *     observation-eligible staff count)
+ *
+ * Standards come from ward_staffing_standards (ward-specific beats the
+ * organisation-wide row). Organisations with no standards get a default
+ * built from the rota itself: headcount = sum of number_required, and
+ * registered = min_staff_ratio from config/standards.json.
+ */
+
+const standardsConfig = require('../../config/standards.json');
+const shiftTime = require('./shiftTime');
+const { getOrganisationTimezone } = require('./organisationSettings');
+const { observationGender } = require('./genderMatching');
+
+// Role codes (skills.kind = 'role') that count as registered nurses.
+const REGISTERED_ROLE_CODES = ['RN', 'RMN'];
+
+// Longest range the compliance check will evaluate in one call.
+const MAX_RANGE_DAYS = 31;
+
+const PERIODS = ['day', 'night'];
+
+// -------------------------
+// Standards
+// -------------------------
+
+async function loadStaffingStandards(db, organisationId) {
+  const { rows } = await db.query(
+    `
+      SELECT
+        id,
+        ward,
+        period,
+        min_headcount,
+        min_registered,
+        min_male,
+        min_female
+      FROM ward_staffing_standards
+      WHERE organisation_id = $1 AND is_active = TRUE
+    `,
+    [organisationId]
+  );
+
+  return rows;
+}
+
+/**
+ * Standard for one ward + period. Ward-specific beats organisation-wide.
+ * With no configured standards at all, derive one from the planned rota.
+ */
+function resolveStandard(standards, ward, period, plannedHeadcount) {
+  const forPeriod = standards.filter((s) => s.period === period);
+  const match =
+    forPeriod.find((s) => s.ward && ward && s.ward.toLowerCase() === ward.toLowerCase()) ||
+    forPeriod.find((s) => !s.ward);
+
+  if (match) {
+    return {
+      source: match.ward ? 'ward' : 'organisation',
+      standard_id: match.id,
+      min_headcount: match.min_headcount,
+      min_registered: match.min_registered,
+      min_male: match.min_male,
+      min_female: match.min_female,
+    };
+  }
+
+  if (standards.length) {
+    return null; // standards exist, just not for this ward / period
+  }
+
+  const ratio = Number(standardsConfig.min_staff_ratio) || 0;
+  return {
+    source: 'default',
+    standard_id: null,
+    min_headcount: plannedHeadcount,
+    min_registered: Math.ceil(plannedHeadcount * ratio),
+    min_male: 0,
+    min_female: 0,
+  };
+}
+
+// -------------------------
+// Evaluation
+// -------------------------
+
+/**
+ * Compare one period's assigned staff against its standard.
+ * period.staff: [{ id, gender, observation_eligible, roles: [codes] }]
+ * Returns the gaps (empty when compliant).
+ */
+function evaluatePeriod(period, standard) {
+  const staff = period.staff;
+  const actual = {
+    headcount: staff.length,
+    registered: staff.filter((s) => s.roles.some((r) => REGISTERED_ROLE_CODES.includes(r))).length,
+    male: staff.filter((s) => observationGender(s) === 'male').length,
+    female: staff.filter((s) => observationGender(s) === 'female').length,
+  };
+
+  const gaps = [];
+  if (standard) {
+    const check = (rule, label, required, have) => {
+      if (have < required) {
+        gaps.push({ rule, required, actual: have, short_by: required - have, message: `${label}: ${have}/${required}` });
+      }
+    };
+
+    check('headcount', 'Staff on shift', standard.min_headcount, actual.headcount);
+    check('registered', 'Registered nurses', standard.min_registered, actual.registered);
+    check('male', 'Male staff', standard.min_male, actual.male);
+    check('female', 'Female staff', standard.min_female, actual.female);
+  }
+
+  return { actual, gaps };
+}
+
+// -------------------------
+// Loading periods
+// -------------------------
+
+function listDateKeys(fromKey, toKey) {
+  const keys = [];
+  for (let k = fromKey; k <= toKey; k = shiftTime.addDaysToKey(k, 1)) {
+    keys.push(k);
+  }
+  return keys;
+}
+
+/**
+ * Safe-staffing status for every ward period between two local dates.
+ *
+ * options: { from, to, ward }  (YYYY-MM-DD; defaults: today .. today + 7)
+ * Returns { timezone, from, to, periods, understaffed }.
+ */
+async function getStaffingCompliance(db, organisationId, options = {}) {
+  const timezone = await getOrganisationTimezone(db, organisationId);
+  const todayKey = shiftTime.getLocalDateKey(new Date(), timezone);
+
+  const from = options.from || todayKey;
+  let to = options.to || shiftTime.addDaysToKey(from, 7);
+  if (to < from) to = from;
+  if (listDateKeys(from, to).length > MAX_RANGE_DAYS) {
+    to = shiftTime.addDaysToKey(from, MAX_RANGE_DAYS - 1);
+  }
+
+  const wardFilter = options.ward ? String(options.ward).toLowerCase() : null;
+
+  const [standards, { rows: shifts }] = await Promise.all([
+    loadStaffingStandards(db, organisationId),
+    db.query(
+      `
+        SELECT
+          id,
+          shift_ref,
+          ward,
+          shift_date,
+          start_time,
+          end_time,
+          number_required,
+          number_filled
+        FROM shifts
+        WHERE organisation_id = $1
+          AND shift_date BETWEEN $2::date AND $3::date
+          AND LOWER(COALESCE(status, '')) <> 'cancelled'
+      `,
+      [organisationId, shiftTime.addDaysToKey(from, -1), shiftTime.addDaysToKey(to, 1)]
+    ),
+  ]);
+
+  const inRange = shifts
+    .map((s) => ({ ...s, timezone }))
+    .filter((s) => {
+      const key = shiftTime.getShiftDateKey(s.shift_date, timezone);
+      if (!key || key < from || key > to) return false;
+      return !wardFilter || String(s.ward || '').toLowerCase() === wardFilter;
+    });
+
+  const shiftIds = inRange.map((s) => s.id);
+  const { rows: assigned } = shiftIds.length
+    ? await db.query(
+        `
+          SELECT
+            sa.shift_id,
+            st.id AS staff_id,
+            st.name AS staff_name,
+            st.gender,
+            st.observation_eligible,
+            COALESCE(
+              ARRAY_AGG(sk.code) FILTER (WHERE sk.kind = 'role'),
+              '{}'
+            ) AS roles
+          FROM shift_assignments sa
+          JOIN staff st ON st.id = sa.staff_id
+          LEFT JOIN staff_skills ss ON ss.staff_id = st.id
+          LEFT JOIN skills sk ON sk.id = ss.skill_id
+          WHERE sa.shift_id = ANY($1::int[])
+          GROUP BY sa.shift_id, st.id, st.name, st.gender, st.observation_eligible
+        `,
+        [shiftIds]
+      )
+    : { rows: [] };
+
+  const staffByShift = new Map();
+  for (const row of assigned) {
+    if (!staffByShift.has(row.shift_id)) staffByShift.set(row.shift_id, []);
+    staffByShift.get(row.shift_id).push(row);
+  }
+
+  // Build periods: ward|date|day-night
+  const periods = new Map();
+  const periodFor = (ward, date, period) => {
+    const key = `${(ward || '').toLowerCase()}|${date}|${period}`;
+    if (!periods.has(key)) {
+      periods.set(key, { ward, date, period, planned: 0, shifts: [], staffById: new Map() });
+    }
+    return periods.get(key);
+  };
+
+  for (const shift of inRange) {
+    const date = shiftTime.getShiftDateKey(shift.shift_date, timezone);
+    const period = shiftTime.getShiftType(shift) === 'night' ? 'night' : 'day';
+    const p = periodFor(shift.ward, date, period);
+
+    p.planned += Number(shift.number_required || 0);
+    p.shifts.push({
+      id: shift.id,
+      shift_ref: shift.shift_ref,
+      start_time: shift.start_time,
+      end_time: shift.end_time,
+      number_required: shift.number_required,
+      number_filled: shift.number_filled,
+    });
+    for (const s of staffByShift.get(shift.id) || []) {
+      p.staffById.set(s.staff_id, {
+        id: s.staff_id,
+        name: s.staff_name,
+        gender: s.gender,
+        observation_eligible: s.observation_eligible,
+        roles: s.roles,
+      });
+    }
+  }
+
+  // Wards with their own standard are checked even when nothing is rostered.
+  const standardWards = [...new Set(standards.filter((s) => s.ward).map((s) => s.ward))].filter(
+    (w) => !wardFilter || w.toLowerCase() === wardFilter
+  );
+  for (const ward of standardWards) {
+    for (const date of listDateKeys(from, to)) {
+      for (const period of PERIODS) {
+        if (standards.some((s) => s.ward === ward && s.period === period)) {
+          periodFor(ward, date, period);
+        }
+      }
+    }
+  }
+
+  const result = [...periods.values()].map((p) => {
+    const staff = [...p.staffById.values()];
+    const standard = resolveStandard(standards, p.ward, p.period, p.planned);
+    const { actual, gaps } = evaluatePeriod({ staff }, standard);
+
+    return {
+      ward: p.ward,
+      date: p.date,
+      period: p.period,
+      planned_headcount: p.planned,
+      standard,
+      actual,
+      compliant: gaps.length === 0,
+      gaps,
+      shifts: p.shifts,
+      staff,
+    };
+  });
+
+  result.sort(
+    (a, b) =>
+      a.date.localeCompare(b.date) ||
+      a.period.localeCompare(b.period) ||
+      String(a.ward || '').localeCompare(String(b.ward || ''))
+  );
+
+  return {
+    timezone,
+    from,
+    to,
+    periods: result,
+    understaffed: result.filter((p) => !p.compliant),
+  };
+}
+
+module.exports = {
+  REGISTERED_ROLE_CODES,
+  loadStaffingStandards,
+  resolveStandard,
+  evaluatePeriod,
+  getStaffingCompliance,
+};